@@ -6,7 +6,19 @@ const TABLES = {
   USERS: process.env.DYNAMODB_USERS_TABLE || 'SocialMedia_Users',
   POSTS: process.env.DYNAMODB_POSTS_TABLE || 'SocialMedia_Posts',
   INTERACTIONS: process.env.DYNAMODB_INTERACTIONS_TABLE || 'SocialMedia_Interactions',
-  STORIES: process.env.DYNAMODB_STORIES_TABLE || 'SocialMedia_Stories'
+  STORIES: process.env.DYNAMODB_STORIES_TABLE || 'SocialMedia_Stories',
+  FOLLOWS: process.env.DYNAMODB_FOLLOWS_TABLE || 'SocialMedia_Follows',
+  FOLLOW_REQUESTS: process.env.DYNAMODB_FOLLOW_REQUESTS_TABLE || 'SocialMedia_FollowRequests',
+  BLOCKS: process.env.DYNAMODB_BLOCKS_TABLE || 'SocialMedia_Blocks',
+  MUTES: process.env.DYNAMODB_MUTES_TABLE || 'SocialMedia_Mutes',
+  TIMELINES: process.env.DYNAMODB_TIMELINES_TABLE || 'SocialMedia_Timelines',
+  FEED_IMPRESSIONS: process.env.DYNAMODB_FEED_IMPRESSIONS_TABLE || 'SocialMedia_FeedImpressions',
+  CONVERSATIONS: process.env.DYNAMODB_CONVERSATIONS_TABLE || 'SocialMedia_Conversations',
+  CONVERSATION_MEMBERS: process.env.DYNAMODB_CONVERSATION_MEMBERS_TABLE || 'SocialMedia_ConversationMembers',
+  MESSAGES: process.env.DYNAMODB_MESSAGES_TABLE || 'SocialMedia_Messages',
+  NOTIFICATIONS: process.env.DYNAMODB_NOTIFICATIONS_TABLE || 'SocialMedia_Notifications',
+  DEVICES: process.env.DYNAMODB_DEVICES_TABLE || 'SocialMedia_Devices',
+  SESSIONS: process.env.DYNAMODB_SESSIONS_TABLE || 'SocialMedia_Sessions'
 };
 
 // Common DynamoDB operations
@@ -66,6 +78,21 @@ const dynamoDb = {
     }
   },
   
+  // Query a single page of items (keeps LastEvaluatedKey for pagination)
+  queryPage: async (params) => {
+    try {
+      const result = await dynamoDB.query(params).promise();
+      return {
+        Items: result.Items,
+        LastEvaluatedKey: result.LastEvaluatedKey,
+        Count: result.Count
+      };
+    } catch (error) {
+      console.error('DynamoDB query error:', error);
+      throw error;
+    }
+  },
+  
   // Scan table
   scan: async (params) => {
     try {
@@ -77,6 +104,20 @@ const dynamoDb = {
     }
   },
   
+  // Scan a single page of items (keeps LastEvaluatedKey for pagination)
+  scanPage: async (params) => {
+    try {
+      const result = await dynamoDB.scan(params).promise();
+      return {
+        Items: result.Items,
+        LastEvaluatedKey: result.LastEvaluatedKey
+      };
+    } catch (error) {
+      console.error('DynamoDB scan error:', error);
+      throw error;
+    }
+  },
+  
   // Batch get items
   batchGet: async (params) => {
     try {
@@ -99,6 +140,67 @@ const dynamoDb = {
     }
   },
   
+  // Batch get any number of keys from one table (chunks of 100, retries unprocessed keys)
+  batchGetAll: async (tableName, keys, projectionExpression = null) => {
+    try {
+      const items = [];
+      
+      for (let i = 0; i < keys.length; i += 100) {
+        let requestItems = {
+          [tableName]: { Keys: keys.slice(i, i + 100) }
+        };
+        
+        if (projectionExpression) {
+          requestItems[tableName].ProjectionExpression = projectionExpression;
+        }
+        
+        let attempt = 0;
+        while (requestItems && requestItems[tableName]) {
+          const result = await dynamoDB.batchGet({ RequestItems: requestItems }).promise();
+          items.push(...(result.Responses[tableName] || []));
+          requestItems = result.UnprocessedKeys;
+          
+          if (requestItems && requestItems[tableName]) {
+            attempt++;
+            await new Promise(resolve => setTimeout(resolve, Math.min(1000, 50 * 2 ** attempt)));
+          }
+        }
+      }
+      
+      return items;
+    } catch (error) {
+      console.error('DynamoDB batchGet error:', error);
+      throw error;
+    }
+  },
+  
+  // Batch write any number of put/delete requests to one table (chunks of 25, retries unprocessed items)
+  batchWriteAll: async (tableName, writeRequests) => {
+    try {
+      for (let i = 0; i < writeRequests.length; i += 25) {
+        let requestItems = {
+          [tableName]: writeRequests.slice(i, i + 25)
+        };
+        
+        let attempt = 0;
+        while (requestItems && requestItems[tableName]) {
+          const result = await dynamoDB.batchWrite({ RequestItems: requestItems }).promise();
+          requestItems = result.UnprocessedItems;
+          
+          if (requestItems && requestItems[tableName]) {
+            attempt++;
+            await new Promise(resolve => setTimeout(resolve, Math.min(1000, 50 * 2 ** attempt)));
+          }
+        }
+      }
+      
+      return true;
+    } catch (error) {
+      console.error('DynamoDB batchWrite error:', error);
+      throw error;
+    }
+  },
+  
   // Transaction operations
   transactWrite: async (params) => {
     try {
@@ -108,10 +210,26 @@ const dynamoDb = {
       console.error('DynamoDB transactWrite error:', error);
       throw error;
     }
+  },
+  
+  // DynamoDB set from a list of strings or numbers (for ADD / DELETE on set attributes)
+  createSet: (values) => dynamoDB.createSet(values)
+};
+
+// Whether an error came from a failed ConditionExpression (single write or transaction)
+const isConditionalCheckFailure = (error) => {
+  if (!error) return false;
+  
+  if (error.code === 'ConditionalCheckFailedException') {
+    return true;
   }
+  
+  return error.code === 'TransactionCanceledException' &&
+    /ConditionalCheckFailed/.test(error.message || '');
 };
 
 module.exports = {
   dynamoDb,
-  TABLES
+  TABLES,
+  isConditionalCheckFailure
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 // config/index.js - Central configuration management
 const dotenv = require('dotenv');
 const path = require('path');
+const os = require('os');
 
 // Load environment variables based on NODE_ENV
 const loadEnvConfig = () => {
@@ -39,10 +40,27 @@ const config = {
   jwt: {
     secret: process.env.JWT_SECRET,
     refreshSecret: process.env.JWT_REFRESH_SECRET,
-    accessTokenExpiry: process.env.JWT_ACCESS_TOKEN_EXPIRY || '1h',
+    accessTokenExpiry: process.env.JWT_ACCESS_TOKEN_EXPIRY || '15m',
     refreshTokenExpiry: process.env.JWT_REFRESH_TOKEN_EXPIRY || '7d',
     issuer: process.env.JWT_ISSUER || 'social-media-app',
-    audience: process.env.JWT_AUDIENCE || 'social-media-users'
+    audience: process.env.JWT_AUDIENCE || 'social-media-users',
+    // Access tokens from before server-side sessions carry no session ID (sid). They are
+    // accepted until this time (ISO 8601), a short window after sessions were introduced, so
+    // clients signed in before the upgrade move over without being logged out. Set it to a
+    // past time to refuse them straight away
+    sessionlessTokensUntil: process.env.SESSIONLESS_TOKENS_UNTIL || '2026-11-02T00:00:00Z'
+  },
+  
+  // Authentication provider: 'cognito' (AWS Cognito user pool) or 'local' (password hashes
+  // and emailed codes kept in DynamoDB, so development and tests need no Cognito)
+  auth: {
+    provider: process.env.AUTH_PROVIDER || 'cognito',
+    // Two-factor authentication: the name authenticator apps show next to the account,
+    // and how long the second login step may take after the password was accepted
+    twoFactor: {
+      issuer: process.env.TWO_FACTOR_ISSUER || 'Social Media App',
+      challengeExpiry: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || '5m'
+    }
   },
   
   // AWS configuration
@@ -57,7 +75,18 @@ const config = {
       postsTable: process.env.DYNAMODB_POSTS_TABLE || 'SocialMedia_Posts',
       interactionsTable: process.env.DYNAMODB_INTERACTIONS_TABLE || 'SocialMedia_Interactions',
       storiesTable: process.env.DYNAMODB_STORIES_TABLE || 'SocialMedia_Stories',
-      notificationsTable: process.env.DYNAMODB_NOTIFICATIONS_TABLE || 'SocialMedia_Notifications'
+      followsTable: process.env.DYNAMODB_FOLLOWS_TABLE || 'SocialMedia_Follows',
+      followRequestsTable: process.env.DYNAMODB_FOLLOW_REQUESTS_TABLE || 'SocialMedia_FollowRequests',
+      blocksTable: process.env.DYNAMODB_BLOCKS_TABLE || 'SocialMedia_Blocks',
+      mutesTable: process.env.DYNAMODB_MUTES_TABLE || 'SocialMedia_Mutes',
+      timelinesTable: process.env.DYNAMODB_TIMELINES_TABLE || 'SocialMedia_Timelines',
+      feedImpressionsTable: process.env.DYNAMODB_FEED_IMPRESSIONS_TABLE || 'SocialMedia_FeedImpressions',
+      conversationsTable: process.env.DYNAMODB_CONVERSATIONS_TABLE || 'SocialMedia_Conversations',
+      conversationMembersTable: process.env.DYNAMODB_CONVERSATION_MEMBERS_TABLE || 'SocialMedia_ConversationMembers',
+      messagesTable: process.env.DYNAMODB_MESSAGES_TABLE || 'SocialMedia_Messages',
+      notificationsTable: process.env.DYNAMODB_NOTIFICATIONS_TABLE || 'SocialMedia_Notifications',
+      devicesTable: process.env.DYNAMODB_DEVICES_TABLE || 'SocialMedia_Devices',
+      sessionsTable: process.env.DYNAMODB_SESSIONS_TABLE || 'SocialMedia_Sessions'
     },
     
     // S3 buckets
@@ -75,7 +104,11 @@ const config = {
     
     // SNS topics
     sns: {
-      notificationsTopic: process.env.SNS_NOTIFICATIONS_TOPIC
+      notificationsTopic: process.env.SNS_NOTIFICATIONS_TOPIC,
+      // Platform applications for mobile push (APNs for iOS, FCM for Android)
+      apnsApplicationArn: process.env.SNS_APNS_APPLICATION_ARN,
+      apnsSandbox: process.env.SNS_APNS_SANDBOX === 'true',
+      fcmApplicationArn: process.env.SNS_FCM_APPLICATION_ARN
     },
     
     // ElasticSearch
@@ -90,6 +123,46 @@ const config = {
     }
   },
   
+  // Notification settings
+  notifications: {
+    // Likes, comments, shares and replies on the same target within this many minutes
+    // of the group's latest activity are combined into one notification
+    aggregationWindowMinutes: parseInt(process.env.NOTIFICATION_AGGREGATION_WINDOW_MINUTES || '60')
+  },
+  
+  // Email settings
+  email: {
+    // 'smtp' sends through the SMTP server below (point it at a mailcatcher such as
+    // localhost:1025 in development); 'file' writes each email to fileDir as an .eml file
+    transport: process.env.EMAIL_TRANSPORT || 'file',
+    from: process.env.EMAIL_FROM || 'Social Media App <no-reply@localhost>',
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    },
+    fileDir: process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'social-media-emails'),
+    // Links in emails: the web app, and this API for one-click unsubscribe
+    appUrl: process.env.APP_URL || 'http://localhost:3001',
+    apiUrl: process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`,
+    // Unsubscribe links are signed with a key of their own (so they can never pass for access
+    // tokens, or the other way round) and stop working after `expiry`. The key is only
+    // required once emails are sent
+    unsubscribe: {
+      secret: process.env.UNSUBSCRIBE_TOKEN_SECRET,
+      expiry: process.env.UNSUBSCRIBE_TOKEN_EXPIRY || '60d'
+    }
+  },
+  
+  // Realtime (socket.io) settings
+  realtime: {
+    // 'memory' keeps emits inside this process; 'redis' shares them between instances
+    adapter: process.env.SOCKET_ADAPTER || 'memory',
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379'
+  },
+  
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info',
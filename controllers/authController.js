@@ -1,17 +1,41 @@
 // controllers/authController.js
 const User = require('../models/User');
-const { cognitoService } = require('../services/cognitoService');
-const jwt = require('jsonwebtoken');
+const { getAuthProvider } = require('../services/authProvider');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
 const { validationResult } = require('express-validator');
 const { snsService } = require('../services/snsService');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+// Cognito or local, as configured
+const authProvider = getAuthProvider();
+
+// Close a user's live socket connections once their tokens have been revoked
+const disconnectSockets = (req, userId) => {
+  try {
+    const io = req.app.get('io');
+    io.to(userId).emit('session:revoked');
+    io.in(userId).disconnectSockets(true);
+  } catch (socketError) {
+    console.error('Socket disconnect error:', socketError);
+    // Continue even if sockets can't be reached
+  }
+};
+
+// Close the socket connections opened with one of a user's sessions
+const disconnectSession = async (req, userId, sessionId) => {
+  try {
+    const sockets = await req.app.get('io').in(userId).fetchSockets();
+    
+    sockets
+      .filter(socket => socket.data.sessionId === sessionId)
+      .forEach(socket => {
+        socket.emit('session:revoked');
+        socket.disconnect(true);
+      });
+  } catch (socketError) {
+    console.error('Socket disconnect error:', socketError);
+    // Continue even if sockets can't be reached
+  }
 };
 
 const authController = {
@@ -37,34 +61,37 @@ const authController = {
         return res.status(400).json({ message: 'Username is already taken' });
       }
       
-      // Register user with Cognito
+      // Register user with the auth provider (also creates the user in DynamoDB)
       try {
-        const cognitoResult = await cognitoService.signUp(username, email, password);
-        
-        // Create user in DynamoDB
-        const user = await User.create({
-          userId: cognitoResult.UserSub,
-          username,
-          email,
-          password // Will be hashed in the model
-        });
+        const user = await authProvider.signUp(username, email, password);
+        const userDetails = {
+          userId: user.userId,
+          username: user.username,
+          email: user.email
+        };
         
-        // Generate token
-        const token = generateToken(user.userId);
+        // An address that still needs confirming gets no session yet, the same as at login;
+        // the user logs in once confirmRegistration has accepted the emailed code
+        if (user.emailVerified === false) {
+          return res.status(201).json({
+            message: 'User registered successfully. Please confirm your email address',
+            confirmationRequired: true,
+            user: userDetails
+          });
+        }
+        
+        // Start a session for this device
+        const tokens = await sessionService.createSession(user.userId, req, req.body.deviceName);
         
         // Return success response
         res.status(201).json({
           message: 'User registered successfully',
-          user: {
-            userId: user.userId,
-            username: user.username,
-            email: user.email
-          },
-          token
+          user: userDetails,
+          ...tokens
         });
-      } catch (cognitoError) {
-        console.error('Cognito registration error:', cognitoError);
-        return res.status(400).json({ message: cognitoError.message });
+      } catch (providerError) {
+        console.error('Provider registration error:', providerError);
+        return res.status(400).json({ message: providerError.message });
       }
     } catch (error) {
       console.error('Registration error:', error);
@@ -75,16 +102,22 @@ const authController = {
   // Confirm user registration
   confirmRegistration: async (req, res) => {
     try {
-      const { username, confirmationCode } = req.body;
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { email, confirmationCode } = req.body;
       
-      // Confirm with Cognito
+      // Confirm with the auth provider
       try {
-        await cognitoService.confirmSignUp(username, confirmationCode);
+        await authProvider.confirmSignUp(email, confirmationCode);
         
         res.status(200).json({ message: 'User confirmed successfully' });
-      } catch (cognitoError) {
-        console.error('Cognito confirmation error:', cognitoError);
-        return res.status(400).json({ message: cognitoError.message });
+      } catch (providerError) {
+        console.error('Provider confirmation error:', providerError);
+        return res.status(400).json({ message: providerError.message });
       }
     } catch (error) {
       console.error('Confirmation error:', error);
@@ -103,18 +136,26 @@ const authController = {
       
       const { email, password } = req.body;
       
-      // Authenticate with Cognito
+      // Authenticate with the auth provider
       try {
-        const authResult = await cognitoService.signIn(email, password);
+        const { user, providerTokens } = await authProvider.signIn(email, password);
         
-        // Get user from DynamoDB
-        const user = await User.getByEmail(email);
         if (!user) {
           return res.status(404).json({ message: 'User not found' });
         }
         
-        // Generate token
-        const token = generateToken(user.userId);
+        // With two-factor authentication on, the session is only created once
+        // the challenge is answered with a code (see completeTwoFactorLogin)
+        if (user.twoFactorEnabled) {
+          return res.status(200).json({
+            message: 'Two-factor authentication required',
+            twoFactorRequired: true,
+            challengeToken: twoFactorService.createChallenge(user.userId, req.body.deviceName)
+          });
+        }
+        
+        // Start a session for this device
+        const tokens = await sessionService.createSession(user.userId, req, req.body.deviceName);
         
         // Return success response
         res.status(200).json({
@@ -125,11 +166,17 @@ const authController = {
             email: user.email,
             profilePicture: user.profilePicture
           },
-          token,
-          cognitoTokens: authResult
+          ...tokens,
+          // Cognito's own tokens, when Cognito is the provider
+          ...(providerTokens && { cognitoTokens: providerTokens })
         });
       } catch (authError) {
         console.error('Authentication error:', authError);
+        
+        if (authError.code === 'UserNotConfirmedException') {
+          return res.status(403).json({ message: 'Please confirm your email address first' });
+        }
+        
         return res.status(401).json({ message: 'Invalid credentials' });
       }
     } catch (error) {
@@ -138,7 +185,7 @@ const authController = {
     }
   },
   
-  // Refresh token
+  // Exchange a refresh token for a new access token and refresh token
   refreshToken: async (req, res) => {
     try {
       const { refreshToken } = req.body;
@@ -148,8 +195,8 @@ const authController = {
       }
       
       try {
-        // Refresh tokens with Cognito
-        const tokens = await cognitoService.refreshToken(refreshToken);
+        // Rotate the session's refresh token
+        const tokens = await sessionService.refresh(refreshToken, req);
         
         res.status(200).json({
           message: 'Tokens refreshed successfully',
@@ -157,6 +204,12 @@ const authController = {
         });
       } catch (tokenError) {
         console.error('Token refresh error:', tokenError);
+        
+        // A reused refresh token revokes its session; sign out whoever holds it
+        if (tokenError.session) {
+          await disconnectSession(req, tokenError.session.userId, tokenError.session.sessionId);
+        }
+        
         return res.status(401).json({ message: 'Invalid refresh token' });
       }
     } catch (error) {
@@ -177,15 +230,15 @@ const authController = {
       }
       
       try {
-        // Request password reset from Cognito
-        await cognitoService.forgotPassword(email);
+        // Request password reset from the auth provider
+        await authProvider.forgotPassword(user);
         
         res.status(200).json({ 
           message: 'Password reset code sent to your email' 
         });
-      } catch (cognitoError) {
-        console.error('Cognito forgot password error:', cognitoError);
-        return res.status(400).json({ message: cognitoError.message });
+      } catch (providerError) {
+        console.error('Provider forgot password error:', providerError);
+        return res.status(400).json({ message: providerError.message });
       }
     } catch (error) {
       console.error('Forgot password error:', error);
@@ -199,8 +252,8 @@ const authController = {
       const { email, confirmationCode, newPassword } = req.body;
       
       try {
-        // Reset password in Cognito
-        await cognitoService.confirmForgotPassword(
+        // Check the code (and reset the password) with the auth provider
+        await authProvider.confirmForgotPassword(
           email, 
           confirmationCode, 
           newPassword
@@ -209,8 +262,10 @@ const authController = {
         // Get user from DynamoDB
         const user = await User.getByEmail(email);
         if (user) {
-          // Update password in DynamoDB as well
+          // Update password in DynamoDB as well and sign out existing sessions
           await User.changePassword(user.userId, newPassword);
+          await sessionService.revokeAllSessions(user.userId);
+          disconnectSockets(req, user.userId);
         }
         
         res.status(200).json({ message: 'Password reset successful' });
@@ -236,14 +291,257 @@ const authController = {
         return res.status(401).json({ message: 'Current password is incorrect' });
       }
       
-      // Change password in DynamoDB
+      // Change password in DynamoDB and sign out existing sessions
       await User.changePassword(userId, newPassword);
+      await sessionService.revokeAllSessions(userId);
+      disconnectSockets(req, userId);
+      
+      // Keep this device signed in with a new session
+      const tokens = await sessionService.createSession(userId, req, req.body.deviceName);
       
-      res.status(200).json({ message: 'Password changed successfully' });
+      res.status(200).json({ message: 'Password changed successfully', ...tokens });
     } catch (error) {
       console.error('Change password error:', error);
       res.status(500).json({ message: 'Server error' });
     }
+  },
+  
+  // Second login step: answer the challenge from login with an authenticator or backup code
+  completeTwoFactorLogin: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { challengeToken, code } = req.body;
+      
+      const challenge = twoFactorService.verifyChallenge(challengeToken);
+      if (!challenge) {
+        return res.status(401).json({ message: 'Invalid or expired challenge, please log in again' });
+      }
+      
+      const user = await User.getById(challenge.userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      const isCodeValid = await twoFactorService.verifyCode(user.userId, code);
+      if (!isCodeValid) {
+        return res.status(401).json({ message: 'Invalid code' });
+      }
+      
+      // Start a session for the device that began the login
+      const tokens = await sessionService.createSession(user.userId, req, challenge.deviceName);
+      
+      res.status(200).json({
+        message: 'Login successful',
+        user: {
+          userId: user.userId,
+          username: user.username,
+          email: user.email,
+          profilePicture: user.profilePicture
+        },
+        ...tokens
+      });
+    } catch (error) {
+      if (error.code === 'TwoFactorLocked') {
+        return res.status(429).json({ message: error.message });
+      }
+      
+      console.error('Two-factor login error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Start two-factor enrolment (requires the password again)
+  setupTwoFactor: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const isPasswordValid = await User.verifyPassword(req.user.userId, req.body.password);
+      if (!isPasswordValid) {
+        return res.status(401).json({ message: 'Password is incorrect' });
+      }
+      
+      try {
+        // otpauthUrl is shown as a QR code; secret is for typing into the app by hand
+        const { secret, otpauthUrl } = await twoFactorService.beginEnrolment(req.user);
+        
+        res.status(200).json({
+          message: 'Scan the QR code with your authenticator app, then verify a code to finish',
+          secret,
+          otpauthUrl
+        });
+      } catch (enrolmentError) {
+        if (enrolmentError.message === 'Two-factor authentication is not configured') {
+          return res.status(503).json({ message: enrolmentError.message });
+        }
+        
+        return res.status(400).json({ message: enrolmentError.message });
+      }
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Finish two-factor enrolment with a code from the authenticator app
+  verifyTwoFactorSetup: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      try {
+        const backupCodes = await twoFactorService.confirmEnrolment(req.user.userId, req.body.code);
+        
+        res.status(200).json({
+          message: 'Two-factor authentication enabled. Store your backup codes somewhere safe',
+          backupCodes
+        });
+      } catch (enrolmentError) {
+        return res.status(400).json({ message: enrolmentError.message });
+      }
+    } catch (error) {
+      console.error('Two-factor verification error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Replace the backup codes (requires the password and a current code)
+  regenerateBackupCodes: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const userId = req.user.userId;
+      const { password, code } = req.body;
+      
+      const isPasswordValid = await User.verifyPassword(userId, password);
+      if (!isPasswordValid) {
+        return res.status(401).json({ message: 'Password is incorrect' });
+      }
+      
+      const isCodeValid = await twoFactorService.verifyCode(userId, code);
+      if (!isCodeValid) {
+        return res.status(401).json({ message: 'Invalid code' });
+      }
+      
+      const backupCodes = await twoFactorService.regenerateBackupCodes(userId);
+      
+      res.status(200).json({ message: 'Backup codes regenerated', backupCodes });
+    } catch (error) {
+      if (error.code === 'TwoFactorLocked') {
+        return res.status(429).json({ message: error.message });
+      }
+      
+      console.error('Regenerate backup codes error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Turn two-factor authentication off (requires the password and a current code)
+  disableTwoFactor: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const userId = req.user.userId;
+      const { password, code } = req.body;
+      
+      if (!req.user.twoFactorEnabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+      }
+      
+      const isPasswordValid = await User.verifyPassword(userId, password);
+      if (!isPasswordValid) {
+        return res.status(401).json({ message: 'Password is incorrect' });
+      }
+      
+      const isCodeValid = await twoFactorService.verifyCode(userId, code);
+      if (!isCodeValid) {
+        return res.status(401).json({ message: 'Invalid code' });
+      }
+      
+      await twoFactorService.disable(userId);
+      
+      res.status(200).json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+      if (error.code === 'TwoFactorLocked') {
+        return res.status(429).json({ message: error.message });
+      }
+      
+      console.error('Disable two-factor error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // List the user's active sessions (devices signed in)
+  getSessions: async (req, res) => {
+    try {
+      const sessions = await sessionService.listSessions(req.user.userId, req.sessionId);
+      
+      res.status(200).json({ sessions });
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Sign out one session (this device or another one)
+  deleteSession: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const userId = req.user.userId;
+      const { sessionId } = req.params;
+      
+      const revoked = await sessionService.revokeSession(userId, sessionId);
+      if (!revoked) {
+        return res.status(404).json({ message: 'Session not found' });
+      }
+      
+      await disconnectSession(req, userId, sessionId);
+      
+      res.status(200).json({ message: 'Session revoked' });
+    } catch (error) {
+      console.error('Delete session error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Sign out everywhere by revoking every session and every token issued so far
+  logoutAll: async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      
+      await sessionService.revokeAllSessions(userId);
+      await User.revokeTokens(userId);
+      disconnectSockets(req, userId);
+      
+      res.status(200).json({ message: 'Logged out of all sessions' });
+    } catch (error) {
+      console.error('Logout all error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
   }
 };
 
@@ -0,0 +1,540 @@
+// controllers/conversationController.js
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const chatSockets = require('../sockets/chat');
+const messagingService = require('../services/messagingService');
+const { validationResult } = require('express-validator');
+
+// Load user details for a set of user IDs into a lookup map
+const getUserMap = async (userIds) => {
+  const users = await Promise.all([...new Set(userIds)].map(id => User.getById(id)));
+  
+  const userMap = {};
+  users.forEach(user => {
+    if (user) {
+      userMap[user.userId] = {
+        userId: user.userId,
+        username: user.username,
+        profilePicture: user.profilePicture
+      };
+    }
+  });
+  
+  return userMap;
+};
+
+// Attach participant details (with their read receipts) to a conversation
+const formatConversation = (conversation, members, userMap) => ({
+  ...conversation,
+  participants: members.map(member => ({
+    ...(userMap[member.userId] || { userId: member.userId, username: 'Unknown' }),
+    role: member.role,
+    lastReadMessageId: member.lastReadMessageId || null,
+    lastReadAt: member.lastReadAt || null,
+    lastDeliveredMessageId: member.lastDeliveredMessageId || null
+  }))
+});
+
+// Who a message request came from: the other participant of a direct conversation, or
+// whoever added the user to a group (members added before that was recorded: its creator)
+const getRequestSenderId = (conversation, membership) => {
+  if (conversation.type === Conversation.TYPES.GROUP) {
+    return membership.addedBy || conversation.createdBy;
+  }
+  
+  return conversation.participantIds.find(id => id !== membership.userId);
+};
+
+// Delete a message request, optionally blocking the sender
+const removeRequest = async (req, res, block) => {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user.userId;
+    
+    const membership = await Conversation.getMember(conversationId, userId);
+    const conversation = membership && await Conversation.getById(conversationId);
+    
+    if (!conversation || membership.folder !== Conversation.FOLDERS.REQUESTS) {
+      return res.status(404).json({ message: 'Message request not found' });
+    }
+    
+    // Block first, so a failure leaves the request in place to try again
+    if (block) {
+      await User.blockUser(userId, getRequestSenderId(conversation, membership));
+    }
+    
+    // Hide everything sent so far; the request stays deleted when the sender writes again
+    const clearedMessageId = conversation.lastMessage ? conversation.lastMessage.messageId : null;
+    await Conversation.deleteRequest(conversationId, userId, clearedMessageId);
+    
+    try {
+      await chatSockets.emitUnreadCount(req.app.get('io'), userId);
+    } catch (socketError) {
+      console.error('Unread count update error:', socketError);
+      // Continue even if real-time update fails
+    }
+    
+    res.status(200).json({
+      message: block ? 'Message request deleted and user blocked' : 'Message request deleted'
+    });
+  } catch (error) {
+    console.error('Delete message request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const conversationController = {
+  // Start a conversation (one participant: direct message, more or a name: group)
+  createConversation: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const userId = req.user.userId;
+      const { name } = req.body;
+      const participantIds = [...new Set(req.body.participantIds)].filter(id => id !== userId);
+      
+      if (participantIds.length === 0) {
+        return res.status(400).json({ message: 'At least one other participant is required' });
+      }
+      
+      if (participantIds.length + 1 > Conversation.MAX_GROUP_SIZE) {
+        return res.status(400).json({
+          message: `Conversations can have at most ${Conversation.MAX_GROUP_SIZE} participants`
+        });
+      }
+      
+      // Every participant must exist and not be blocked either way
+      for (const participantId of participantIds) {
+        const participant = await User.getById(participantId);
+        
+        if (!participant) {
+          return res.status(404).json({ message: 'User not found' });
+        }
+        
+        if (await User.isBlocked(userId, participantId)) {
+          return res.status(403).json({ message: 'Cannot interact with this user' });
+        }
+      }
+      
+      let conversation;
+      let created = true;
+      
+      if (participantIds.length === 1 && !name) {
+        ({ conversation, created } = await messagingService.openDirectConversation(userId, participantIds[0]));
+      } else {
+        // Participants who don't follow the creator get the group as a message request
+        const folders = await messagingService.getRequestFolders(userId, participantIds);
+        conversation = await Conversation.createGroup(userId, participantIds, name, folders);
+      }
+      
+      const members = await Conversation.getMembers(conversation.conversationId);
+      const userMap = await getUserMap(members.map(member => member.userId));
+      
+      res.status(created ? 201 : 200).json({
+        message: created ? 'Conversation created successfully' : 'Conversation already exists',
+        conversation: formatConversation(conversation, members, userMap)
+      });
+    } catch (error) {
+      console.error('Create conversation error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Get the user's conversations in the inbox (or message requests), most recently active first
+  getConversations: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const userId = req.user.userId;
+      const { limit = 20, lastKey, folder = Conversation.FOLDERS.INBOX } = req.query;
+      
+      // Parse lastKey if provided
+      let lastEvaluatedKey = null;
+      if (lastKey) {
+        try {
+          lastEvaluatedKey = JSON.parse(Buffer.from(lastKey, 'base64').toString());
+        } catch (parseError) {
+          return res.status(400).json({ message: 'Invalid lastKey format' });
+        }
+      }
+      
+      const result = await Conversation.getForUser(userId, parseInt(limit), lastEvaluatedKey, folder);
+      const conversationIds = result.memberships.map(membership => membership.conversationId);
+      
+      const [conversations, membersList] = await Promise.all([
+        Conversation.getByIds(conversationIds),
+        Promise.all(conversationIds.map(id => Conversation.getMembers(id)))
+      ]);
+      
+      const conversationMap = {};
+      conversations.forEach(conversation => {
+        conversationMap[conversation.conversationId] = conversation;
+      });
+      
+      const userMap = await getUserMap(membersList.flat().map(member => member.userId));
+      
+      // Keep the inbox order from the activity index
+      const formattedConversations = result.memberships
+        .filter(membership => conversationMap[membership.conversationId])
+        .map(membership => ({
+          ...formatConversation(
+            conversationMap[membership.conversationId],
+            membersList[conversationIds.indexOf(membership.conversationId)],
+            userMap
+          ),
+          folder: membership.folder || Conversation.FOLDERS.INBOX,
+          unreadCount: membership.unreadCount || 0
+        }));
+      
+      // Encode lastEvaluatedKey for pagination
+      let nextKey = null;
+      if (result.lastEvaluatedKey) {
+        nextKey = Buffer.from(JSON.stringify(result.lastEvaluatedKey)).toString('base64');
+      }
+      
+      res.status(200).json({
+        conversations: formattedConversations,
+        nextKey
+      });
+    } catch (error) {
+      console.error('Get conversations error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Get a single conversation
+  getConversation: async (req, res) => {
+    try {
+      const { conversationId } = req.params;
+      const userId = req.user.userId;
+      
+      // Only members can see a conversation
+      const membership = await Conversation.getMember(conversationId, userId);
+      const conversation = membership && await Conversation.getById(conversationId);
+      
+      if (!conversation) {
+        return res.status(404).json({ message: 'Conversation not found' });
+      }
+      
+      const members = await Conversation.getMembers(conversationId);
+      const userMap = await getUserMap(members.map(member => member.userId));
+      
+      res.status(200).json({
+        conversation: {
+          ...formatConversation(conversation, members, userMap),
+          folder: membership.folder || Conversation.FOLDERS.INBOX,
+          unreadCount: membership.unreadCount || 0
+        }
+      });
+    } catch (error) {
+      console.error('Get conversation error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Get a conversation's messages, newest first
+  getMessages: async (req, res) => {
+    try {
+      const { conversationId } = req.params;
+      const { limit = 50, lastKey } = req.query;
+      const userId = req.user.userId;
+      
+      // Parse lastKey if provided
+      let lastEvaluatedKey = null;
+      if (lastKey) {
+        try {
+          lastEvaluatedKey = JSON.parse(Buffer.from(lastKey, 'base64').toString());
+        } catch (parseError) {
+          return res.status(400).json({ message: 'Invalid lastKey format' });
+        }
+      }
+      
+      // Only members can read a conversation
+      const membership = await Conversation.getMember(conversationId, userId);
+      
+      if (!membership) {
+        return res.status(404).json({ message: 'Conversation not found' });
+      }
+      
+      const [result, members] = await Promise.all([
+        // Messages from before a deleted request stay hidden
+        Message.getPage(conversationId, parseInt(limit), lastEvaluatedKey, membership.clearedMessageId),
+        Conversation.getMembers(conversationId)
+      ]);
+      
+      // Fetching the newest messages means they have reached this user
+      if (!lastEvaluatedKey && result.messages.length > 0) {
+        try {
+          await chatSockets.markDelivered(req.app.get('io'), conversationId, userId, result.messages[0].messageId);
+        } catch (receiptError) {
+          console.error('Delivery receipt error:', receiptError);
+          // Continue even if the receipt fails
+        }
+      }
+      
+      // Story replies show whether the story they refer to has expired
+      const messages = await Message.attachStoryStatus(result.messages);
+      
+      // Encode lastEvaluatedKey for pagination
+      let nextKey = null;
+      if (result.lastEvaluatedKey) {
+        nextKey = Buffer.from(JSON.stringify(result.lastEvaluatedKey)).toString('base64');
+      }
+      
+      res.status(200).json({
+        messages: messages.map(message => ({
+          ...message,
+          status: Message.getStatus(message, members)
+        })),
+        nextKey
+      });
+    } catch (error) {
+      console.error('Get messages error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Send a text, image or video message
+  sendMessage: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { conversationId } = req.params;
+      const { text } = req.body;
+      const userId = req.user.userId;
+      
+      // Only members can post to a conversation
+      const membership = await Conversation.getMember(conversationId, userId);
+      const conversation = membership && await Conversation.getById(conversationId);
+      
+      if (!conversation) {
+        return res.status(404).json({ message: 'Conversation not found' });
+      }
+      
+      // Media messages come through the upload middleware; everything else is text
+      let type = Message.TYPES.TEXT;
+      let mediaUrl = null;
+      if (req.file) {
+        type = req.file.mimetype.startsWith('video/') ? Message.TYPES.VIDEO : Message.TYPES.IMAGE;
+        mediaUrl = req.file.location;
+      } else if (!text || !text.trim()) {
+        return res.status(400).json({ message: 'Message text is required' });
+      }
+      
+      const members = await Conversation.getMembers(conversationId);
+      const otherIds = members.map(member => member.userId).filter(id => id !== userId);
+      
+      // Direct messages are not delivered between blocked users
+      if (conversation.type === Conversation.TYPES.DIRECT &&
+        otherIds.length > 0 && await User.isBlocked(userId, otherIds[0])) {
+        return res.status(403).json({ message: 'Cannot interact with this user' });
+      }
+      
+      const message = await messagingService.sendMessage(req.app.get('io'), members, {
+        conversationId,
+        senderId: userId,
+        type,
+        text: text || '',
+        mediaUrl
+      });
+      
+      res.status(201).json({
+        message: 'Message sent successfully',
+        data: { ...message, status: Message.STATUSES.SENT }
+      });
+    } catch (error) {
+      console.error('Send message error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Mark a conversation as read up to a message (the latest by default)
+  markRead: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { conversationId } = req.params;
+      const { messageId } = req.body;
+      const userId = req.user.userId;
+      
+      const membership = await Conversation.getMember(conversationId, userId);
+      
+      if (!membership) {
+        return res.status(404).json({ message: 'Conversation not found' });
+      }
+      
+      if (messageId && !(await Message.getById(conversationId, messageId))) {
+        return res.status(404).json({ message: 'Message not found' });
+      }
+      
+      // Null when already read this far - nothing changes
+      const updated = await chatSockets.markRead(req.app.get('io'), conversationId, userId, messageId);
+      const current = updated || membership;
+      
+      res.status(200).json({
+        message: 'Conversation marked as read',
+        lastReadMessageId: current.lastReadMessageId || null,
+        unreadCount: current.unreadCount || 0
+      });
+    } catch (error) {
+      console.error('Mark conversation read error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Get the number of conversations with unread messages
+  getUnreadCount: async (req, res) => {
+    try {
+      const count = await Conversation.getUnreadCount(req.user.userId);
+      
+      res.status(200).json({ count });
+    } catch (error) {
+      console.error('Get unread conversation count error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Accept a message request, moving the conversation into the main inbox
+  acceptRequest: async (req, res) => {
+    try {
+      const { conversationId } = req.params;
+      const userId = req.user.userId;
+      
+      const membership = await Conversation.getMember(conversationId, userId);
+      
+      if (!membership || membership.folder !== Conversation.FOLDERS.REQUESTS) {
+        return res.status(404).json({ message: 'Message request not found' });
+      }
+      
+      await Conversation.acceptRequest(conversationId, userId);
+      
+      try {
+        await chatSockets.emitUnreadCount(req.app.get('io'), userId);
+      } catch (socketError) {
+        console.error('Unread count update error:', socketError);
+        // Continue even if real-time update fails
+      }
+      
+      res.status(200).json({
+        message: 'Message request accepted'
+      });
+    } catch (error) {
+      console.error('Accept message request error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Delete a message request
+  deleteRequest: (req, res) => removeRequest(req, res, false),
+  
+  // Delete a message request and block the sender
+  blockRequest: (req, res) => removeRequest(req, res, true),
+  
+  // Add participants to a group conversation (admins only)
+  addMembers: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { conversationId } = req.params;
+      const userId = req.user.userId;
+      
+      const membership = await Conversation.getMember(conversationId, userId);
+      const conversation = membership && await Conversation.getById(conversationId);
+      
+      if (!conversation) {
+        return res.status(404).json({ message: 'Conversation not found' });
+      }
+      
+      if (conversation.type !== Conversation.TYPES.GROUP) {
+        return res.status(400).json({ message: 'Participants can only be added to group conversations' });
+      }
+      
+      if (membership.role !== 'admin') {
+        return res.status(403).json({ message: 'Only group admins can add participants' });
+      }
+      
+      const members = await Conversation.getMembers(conversationId);
+      const memberIds = new Set(members.map(member => member.userId));
+      const newIds = [...new Set(req.body.userIds)].filter(id => !memberIds.has(id));
+      
+      if (memberIds.size + newIds.length > Conversation.MAX_GROUP_SIZE) {
+        return res.status(400).json({
+          message: `Conversations can have at most ${Conversation.MAX_GROUP_SIZE} participants`
+        });
+      }
+      
+      for (const newId of newIds) {
+        if (!(await User.getById(newId))) {
+          return res.status(404).json({ message: 'User not found' });
+        }
+        
+        if (await User.isBlocked(userId, newId)) {
+          return res.status(403).json({ message: 'Cannot interact with this user' });
+        }
+      }
+      
+      // New participants who don't follow the admin adding them get the group as a message request
+      const folders = await messagingService.getRequestFolders(userId, newIds);
+      await Conversation.addMembers(conversationId, newIds, userId, folders);
+      
+      res.status(200).json({
+        message: 'Participants added successfully',
+        added: newIds
+      });
+    } catch (error) {
+      console.error('Add conversation members error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Leave a group conversation
+  leaveConversation: async (req, res) => {
+    try {
+      const { conversationId } = req.params;
+      const userId = req.user.userId;
+      
+      const membership = await Conversation.getMember(conversationId, userId);
+      const conversation = membership && await Conversation.getById(conversationId);
+      
+      if (!conversation) {
+        return res.status(404).json({ message: 'Conversation not found' });
+      }
+      
+      if (conversation.type !== Conversation.TYPES.GROUP) {
+        return res.status(400).json({ message: 'Cannot leave a direct conversation' });
+      }
+      
+      await Conversation.removeMember(conversationId, userId);
+      
+      res.status(200).json({
+        message: 'Left conversation successfully'
+      });
+    } catch (error) {
+      console.error('Leave conversation error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+};
+
+module.exports = conversationController;
@@ -0,0 +1,60 @@
+// controllers/deviceController.js
+const pushService = require('../services/pushService');
+const { validationResult } = require('express-validator');
+
+const deviceController = {
+  // Register a device's push token for the current user
+  registerDevice: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { deviceId, platform, token } = req.body;
+      
+      const device = await pushService.registerDevice(req.user.userId, { deviceId, platform, token });
+      
+      res.status(201).json({
+        message: 'Device registered',
+        device: {
+          deviceId: device.deviceId,
+          platform: device.platform,
+          createdAt: device.createdAt,
+          updatedAt: device.updatedAt
+        }
+      });
+    } catch (error) {
+      console.error('Register device error:', error);
+      
+      if (error.message === 'Push notifications are not configured for this platform') {
+        return res.status(503).json({ message: error.message });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Unregister a device (e.g. when the user logs out on it)
+  unregisterDevice: async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      
+      const removed = await pushService.unregisterDevice(req.user.userId, deviceId);
+      
+      if (!removed) {
+        return res.status(404).json({ message: 'Device not found' });
+      }
+      
+      res.status(200).json({
+        message: 'Device unregistered'
+      });
+    } catch (error) {
+      console.error('Unregister device error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+};
+
+module.exports = deviceController;
@@ -3,8 +3,10 @@ const Interaction = require('../models/Interaction');
 const User = require('../models/User');
 const Post = require('../models/Post');
 const Story = require('../models/Story');
-const { snsService } = require('../services/snsService');
+const notificationService = require('../services/notificationService');
 const { validationResult } = require('express-validator');
+const { getActiveMutes, isCommentMuted } = require('../utils/muteFilters');
+const { getReactionList, summarizeReactions, describeReaction } = require('../utils/reactionList');
 
 const interactionController = {
   // Add a comment
@@ -41,12 +43,22 @@ const interactionController = {
         return res.status(404).json({ message: 'Content not found' });
       }
       
+      // Blocked users cannot comment on each other's content
+      if (await User.isBlocked(userId, contentOwnerId)) {
+        return res.status(403).json({ message: 'Cannot interact with this user' });
+      }
+      
       // Verify parent comment exists if provided
       if (parentId) {
         const parentComment = await Interaction.getById(parentId);
         if (!parentComment || parentComment.type !== 'comment') {
           return res.status(404).json({ message: 'Parent comment not found' });
         }
+        
+        // ...or reply to each other's comments
+        if (await User.isBlocked(userId, parentComment.userId)) {
+          return res.status(403).json({ message: 'Cannot interact with this user' });
+        }
       }
       
       // Create comment
@@ -76,28 +88,35 @@ const interactionController = {
       // Send notification to content owner if it's not the same user
       if (contentOwnerId && contentOwnerId !== userId) {
         try {
-          // Create notification message
-          const notificationMessage = {
+          // Store the notification and deliver it (socket.io and push)
+          await notificationService.notify(req.app.get('io'), {
             type: 'comment',
             senderId: userId,
             recipientId: contentOwnerId,
             contentId,
             contentType: post ? 'post' : 'reel',
-            message: `${user.username} commented on your ${post ? 'post' : 'reel'}`,
-            timestamp: new Date().toISOString()
-          };
-          
-          // Send to SNS
-          await snsService.publishNotification(notificationMessage);
-          
-          // Also emit via socket.io for real-time updates
-          req.app.get('io').to(contentOwnerId).emit('notification', notificationMessage);
+            action: `commented on your ${post ? 'post' : 'reel'}`
+          });
         } catch (notifError) {
           console.error('Notification error:', notifError);
           // Continue even if notification fails
         }
       }
       
+      // Notify users mentioned in the comment
+      try {
+        await notificationService.notifyMentions(req.app.get('io'), {
+          senderId: userId,
+          text: content,
+          contentId,
+          contentType: post ? 'post' : 'reel',
+          action: 'mentioned you in a comment'
+        });
+      } catch (notifError) {
+        console.error('Mention notification error:', notifError);
+        // Continue even if notification fails
+      }
+      
       // If it's a reply, also notify the parent comment author
       if (parentId) {
         try {
@@ -105,22 +124,15 @@ const interactionController = {
           if (parentComment && parentComment.userId !== userId) {
             const parentAuthor = await User.getById(parentComment.userId);
             
-            // Create notification message
-            const notificationMessage = {
+            // Store the notification and deliver it (socket.io and push)
+            await notificationService.notify(req.app.get('io'), {
               type: 'reply',
               senderId: userId,
               recipientId: parentComment.userId,
               contentId: parentId,
               contentType: 'comment',
-              message: `${user.username} replied to your comment`,
-              timestamp: new Date().toISOString()
-            };
-            
-            // Send to SNS
-            await snsService.publishNotification(notificationMessage);
-            
-            // Also emit via socket.io for real-time updates
-            req.app.get('io').to(parentComment.userId).emit('notification', notificationMessage);
+              action: 'replied to your comment'
+            });
           }
         } catch (notifError) {
           console.error('Reply notification error:', notifError);
@@ -159,8 +171,16 @@ const interactionController = {
         lastEvaluatedKey
       );
       
+      // Hide comments from anyone on either side of a block, muted accounts and muted words
+      const blockedIds = await User.getBlockedIds(req.user.userId);
+      const mutes = getActiveMutes(await User.getMutes(req.user.userId));
+      
       // Get user details for each comment
-      const comments = result.interactions.filter(i => !i.parentId);
+      const comments = result.interactions.filter(i =>
+        !i.parentId &&
+        !blockedIds.has(i.userId) &&
+        (i.userId === req.user.userId || !isCommentMuted(i, mutes))
+      );
       const userIds = [...new Set(comments.map(comment => comment.userId))];
       
       // Get all users in a single batch
@@ -225,8 +245,16 @@ const interactionController = {
         lastEvaluatedKey
       );
       
+      // Hide replies from anyone on either side of a block, muted accounts and muted words
+      const blockedIds = await User.getBlockedIds(req.user.userId);
+      const mutes = getActiveMutes(await User.getMutes(req.user.userId));
+      const replies = result.replies.filter(reply =>
+        !blockedIds.has(reply.userId) &&
+        (reply.userId === req.user.userId || !isCommentMuted(reply, mutes))
+      );
+      
       // Get user details for each reply
-      const userIds = [...new Set(result.replies.map(reply => reply.userId))];
+      const userIds = [...new Set(replies.map(reply => reply.userId))];
       
       // Get all users in a single batch
       const userPromises = userIds.map(id => User.getById(id));
@@ -245,7 +273,7 @@ const interactionController = {
       });
       
       // Format response
-      const formattedReplies = result.replies.map(reply => ({
+      const formattedReplies = replies.map(reply => ({
         ...reply,
         user: userMap[reply.userId] || { userId: reply.userId, username: 'Unknown' }
       }));
@@ -291,7 +319,14 @@ const interactionController = {
   // Like a comment
   likeComment: async (req, res) => {
     try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
       const { commentId } = req.params;
+      const reactionType = req.body.reactionType || 'like';
       const userId = req.user.userId;
       
       // Check if comment exists
@@ -301,38 +336,27 @@ const interactionController = {
         return res.status(404).json({ message: 'Comment not found' });
       }
       
-      // Create like interaction
-      await Interaction.create({
-        type: 'like',
-        userId,
-        contentId: commentId,
-        content: '',
-        parentId: null
-      });
+      // Blocked users cannot like each other's comments
+      if (await User.isBlocked(userId, comment.userId)) {
+        return res.status(403).json({ message: 'Cannot interact with this user' });
+      }
+      
+      // One reaction per user; reacting again with the same type is a no-op
+      const result = await Interaction.react(userId, 'comment', commentId, reactionType);
       
-      // Send notification to comment author if it's not the same user
-      if (comment.userId !== userId) {
+      // Send notification to comment author on a new or changed reaction if it's not the same user
+      if ((result.reacted || result.changed) && comment.userId !== userId) {
         try {
-          // Get user details for the notification
-          const user = await User.getById(userId);
-          const commentAuthor = await User.getById(comment.userId);
-          
-          // Create notification message
-          const notificationMessage = {
+          // Store the notification and deliver it (socket.io and push)
+          await notificationService.notify(req.app.get('io'), {
             type: 'like',
+            reactionType,
             senderId: userId,
             recipientId: comment.userId,
             contentId: commentId,
             contentType: 'comment',
-            message: `${user.username} liked your comment`,
-            timestamp: new Date().toISOString()
-          };
-          
-          // Send to SNS
-          await snsService.publishNotification(notificationMessage);
-          
-          // Also emit via socket.io for real-time updates
-          req.app.get('io').to(comment.userId).emit('notification', notificationMessage);
+            action: `${describeReaction(reactionType)} your comment`
+          });
         } catch (notifError) {
           console.error('Notification error:', notifError);
           // Continue even if notification fails
@@ -340,10 +364,19 @@ const interactionController = {
       }
       
       res.status(200).json({
-        message: 'Comment liked successfully'
+        message: 'Comment liked successfully',
+        reactionType,
+        likesCount: result.likesCount,
+        reactionCounts: result.reactionCounts
       });
     } catch (error) {
       console.error('Like comment error:', error);
+      
+      // Deleted while the reaction was being written
+      if (error.message === 'Content not found') {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      
       res.status(500).json({ message: 'Server error' });
     }
   },
@@ -354,27 +387,78 @@ const interactionController = {
       const { commentId } = req.params;
       const userId = req.user.userId;
       
-      // Find the like interaction
-      const params = {
-        TableName: 'SocialMedia_Interactions',
-        IndexName: 'UserContentIndex',
-        KeyConditionExpression: 'userId = :userId AND contentId = :contentId',
-        FilterExpression: 'type = :type',
-        ExpressionAttributeValues: {
-          ':userId': userId,
-          ':contentId': commentId,
-          ':type': 'like'
-        }
-      };
+      // Check if comment exists
+      const comment = await Interaction.getById(commentId);
+      
+      if (!comment || comment.type !== 'comment') {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
       
-      // This is a simplified approach - would need actual implementation
-      // to find and delete the like interaction
+      // Remove the reaction record (unliking twice is a no-op)
+      const result = await Interaction.unreact(userId, 'comment', commentId);
       
       res.status(200).json({
-        message: 'Comment unliked successfully'
+        message: 'Comment unliked successfully',
+        likesCount: result.likesCount,
+        reactionCounts: result.reactionCounts
       });
     } catch (error) {
       console.error('Unlike comment error:', error);
+      
+      // Deleted while the reaction was being written
+      if (error.message === 'Content not found') {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Get who reacted to a comment
+  getCommentReactions: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { commentId } = req.params;
+      const { type, limit = 20, lastKey } = req.query;
+      const userId = req.user.userId;
+      
+      // Parse lastKey if provided
+      let lastEvaluatedKey = null;
+      if (lastKey) {
+        try {
+          lastEvaluatedKey = JSON.parse(Buffer.from(lastKey, 'base64').toString());
+        } catch (parseError) {
+          return res.status(400).json({ message: 'Invalid lastKey format' });
+        }
+      }
+      
+      // Check the comment exists and is visible to the viewer
+      const comment = await Interaction.getById(commentId);
+      
+      if (!comment || comment.type !== 'comment' || await User.isBlocked(userId, comment.userId)) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      
+      const result = await getReactionList(userId, commentId, type || null, parseInt(limit), lastEvaluatedKey);
+      
+      // Encode lastEvaluatedKey for pagination
+      let nextKey = null;
+      if (result.lastEvaluatedKey) {
+        nextKey = Buffer.from(JSON.stringify(result.lastEvaluatedKey)).toString('base64');
+      }
+      
+      res.status(200).json({
+        ...summarizeReactions(comment),
+        reactions: result.reactions,
+        nextKey
+      });
+    } catch (error) {
+      console.error('Get comment reactions error:', error);
       res.status(500).json({ message: 'Server error' });
     }
   }
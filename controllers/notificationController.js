@@ -1,12 +1,51 @@
 // controllers/notificationController.js
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const emailService = require('../services/emailService');
+const notificationService = require('../services/notificationService');
+const notificationPreferences = require('../utils/notificationPreferences');
+const emailTemplates = require('../utils/emailTemplates');
 const { validationResult } = require('express-validator');
 
+// The user and setting an unsubscribe link is for, or null if the link is not valid
+const readUnsubscribeLink = (token) => {
+  const unsubscribe = emailService.verifyUnsubscribeToken(token);
+  
+  if (!unsubscribe) {
+    return null;
+  }
+  
+  const isDigest = unsubscribe.setting === 'digest';
+  
+  if (!isDigest && !notificationPreferences.CATEGORIES[unsubscribe.setting]) {
+    return null;
+  }
+  
+  return {
+    ...unsubscribe,
+    isDigest,
+    emails: isDigest ? 'digest emails' : `${unsubscribe.setting} emails`
+  };
+};
+
+// Answer an unsubscribe link with a page for browsers and JSON for everything else
+const sendUnsubscribeResponse = (res, status, body, confirm = null) => {
+  res.status(status).format({
+    json: () => res.json(body),
+    html: () => res.send(emailTemplates.renderUnsubscribePage({ message: body.message, confirm }))
+  });
+};
+
 const notificationController = {
   // Get user's notifications
   getNotifications: async (req, res) => {
     try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
       const userId = req.user.userId;
       const { limit = 20, lastKey, unreadOnly } = req.query;
       
@@ -23,16 +62,21 @@ const notificationController = {
       // Convert unreadOnly to boolean
       const showUnreadOnly = unreadOnly === 'true';
       
-      // Get notifications from database
+      // Get notifications from database, hiding anyone on either side of a block (grouped
+      // notifications just lose those actors)
+      const blockedIds = await User.getBlockedIds(userId);
       const result = await Notification.getByUserId(
         userId, 
         parseInt(limit), 
         lastEvaluatedKey,
-        showUnreadOnly
+        showUnreadOnly,
+        blockedIds
       );
+      const notifications = result.notifications;
       
-      // Get sender details for each notification
-      const senderIds = [...new Set(result.notifications.map(notification => notification.senderId))];
+      // Get sender details for each notification, and the latest actors of grouped ones
+      const senderIds = [...new Set(notifications.flatMap(notification =>
+        [notification.senderId, ...(notification.actorIds || [])]))];
       
       // Get all users in a single batch
       const userPromises = senderIds.map(id => User.getById(id));
@@ -51,10 +95,26 @@ const notificationController = {
       });
       
       // Format response
-      const formattedNotifications = result.notifications.map(notification => ({
-        ...notification,
-        sender: userMap[notification.senderId] || { userId: notification.senderId, username: 'Unknown' }
-      }));
+      const getSender = (id) => userMap[id] || { userId: id, username: 'Unknown' };
+      const formattedNotifications = notifications.map(notification => {
+        const formatted = {
+          ...notification,
+          sender: getSender(notification.senderId)
+        };
+        
+        // Grouped notifications list their latest actors, newest first, and name the latest
+        // one shown in their message
+        if (notification.actorIds) {
+          formatted.actors = notification.actorIds.map(getSender);
+          formatted.message = notificationService.buildMessage(
+            formatted.sender.username,
+            notification.actorCount,
+            notification.action
+          );
+        }
+        
+        return formatted;
+      });
       
       // Encode lastEvaluatedKey for pagination
       let nextKey = null;
@@ -135,6 +195,70 @@ const notificationController = {
     }
   },
   
+  // Opening an unsubscribe link: only asks to confirm. Unsubscribing takes a POST, so link
+  // scanners and mail clients prefetching the link do not switch anything off
+  confirmUnsubscribe: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const unsubscribe = readUnsubscribeLink(req.query.token);
+      
+      if (!unsubscribe) {
+        return sendUnsubscribeResponse(res, 400, { message: 'Invalid unsubscribe link' });
+      }
+      
+      sendUnsubscribeResponse(res, 200, {
+        message: `Stop receiving ${unsubscribe.emails}?`,
+        setting: unsubscribe.setting
+      }, { url: req.originalUrl, label: 'Unsubscribe' });
+    } catch (error) {
+      console.error('Confirm unsubscribe error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // One-click unsubscribe (RFC 8058) or the confirm button: turns off email for one
+  // notification category, or the digest. Works without logging in; the signed token names the user
+  unsubscribe: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const unsubscribe = readUnsubscribeLink(req.query.token);
+      
+      if (!unsubscribe) {
+        return sendUnsubscribeResponse(res, 400, { message: 'Invalid unsubscribe link' });
+      }
+      
+      const { userId, setting, isDigest } = unsubscribe;
+      const user = await User.getById(userId);
+      
+      if (!user) {
+        return sendUnsubscribeResponse(res, 404, { message: 'User not found' });
+      }
+      
+      const updates = isDigest
+        ? { digest: 'off' }
+        : { types: { [setting]: { email: false } } };
+      
+      await User.updateNotificationPreferences(userId, notificationPreferences.mergePreferences(user, updates));
+      
+      sendUnsubscribeResponse(res, 200, {
+        message: `You will no longer receive ${unsubscribe.emails}`
+      });
+    } catch (error) {
+      console.error('Unsubscribe error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
   // Get unread notification count
   getUnreadCount: async (req, res) => {
     try {
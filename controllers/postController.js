@@ -2,9 +2,13 @@
 const Post = require('../models/Post');
 const User = require('../models/User');
 const { s3Service } = require('../services/s3Service');
-const { snsService } = require('../services/snsService');
+const notificationService = require('../services/notificationService');
 const { elasticsearchService } = require('../services/elasticsearchService');
 const { validationResult } = require('express-validator');
+const { getActiveMutes, isPostMuted } = require('../utils/muteFilters');
+const { v4: uuidv4 } = require('uuid');
+const { getReactionList, summarizeReactions, describeReaction } = require('../utils/reactionList');
+const { withAuthors } = require('../utils/authors');
 
 const postController = {
   // Create a new post
@@ -42,6 +46,20 @@ const postController = {
         tags: tags ? JSON.parse(tags) : []
       });
       
+      // Notify users mentioned in the post
+      try {
+        await notificationService.notifyMentions(req.app.get('io'), {
+          senderId: userId,
+          text: content,
+          contentId: post.postId,
+          contentType: 'post',
+          action: 'mentioned you in a post'
+        });
+      } catch (notifError) {
+        console.error('Mention notification error:', notifError);
+        // Continue even if notification fails
+      }
+      
       // Index post in ElasticSearch for searching
       try {
         // await elasticsearchService.indexDocument('posts', post.postId, {
@@ -80,6 +98,16 @@ const postController = {
       // Get author details
       const author = await User.getById(post.userId);
       
+      // Blocked users cannot see each other's posts
+      if (await User.isBlocked(req.user.userId, post.userId)) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      // Posts from private accounts are only visible to approved followers
+      if (!(await User.canViewContent(req.user.userId, author))) {
+        return res.status(403).json({ message: 'This account is private', isPrivate: true });
+      }
+      
       // Format response
       const response = {
         ...post,
@@ -100,6 +128,12 @@ const postController = {
   // Get user's posts
   getUserPosts: async (req, res) => {
     try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
       const { userId } = req.params;
       const { limit = 20, lastKey } = req.query;
       
@@ -113,16 +147,21 @@ const postController = {
         }
       }
       
-      // Get posts from database
-      const result = await Post.getByUserId(userId, parseInt(limit), lastEvaluatedKey);
-      
       // Get author details
       const author = await User.getById(userId);
       
-      if (!author) {
+      if (!author || await User.isBlocked(req.user.userId, userId)) {
         return res.status(404).json({ message: 'User not found' });
       }
       
+      // Posts from private accounts are only visible to approved followers
+      if (!(await User.canViewContent(req.user.userId, author))) {
+        return res.status(403).json({ message: 'This account is private', isPrivate: true });
+      }
+      
+      // Get posts from database
+      const result = await Post.getByUserId(userId, parseInt(limit), lastEvaluatedKey);
+      
       // Format response
       const posts = result.posts.map(post => ({
         ...post,
@@ -152,45 +191,51 @@ const postController = {
   // Get timeline posts (from followed users)
   getTimelinePosts: async (req, res) => {
     try {
-      const userId = req.user.userId;
-      const { limit = 20 } = req.query;
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
       
-      // Get user's following list
-      const following = await User.getFollowing(userId);
+      // mode=ranked serves the "For You" feed instead of the chronological timeline
+      if (req.query.mode === 'ranked') {
+        return postController.getRankedFeed(req, res);
+      }
       
-      // Add the user's own ID to get their posts too
-      const userIds = [...following, userId];
+      const userId = req.user.userId;
+      const { limit = 20, lastKey } = req.query;
       
-      // Get posts from database
-      const posts = await Post.getTimelinePosts(userIds, parseInt(limit));
-      
-      // Get user details for each post
-      const uniqueUserIds = [...new Set(posts.map(post => post.userId))];
-      
-      // Get all users in a single batch
-      const userPromises = uniqueUserIds.map(id => User.getById(id));
-      const users = await Promise.all(userPromises);
-      
-      // Create a map for fast lookup
-      const userMap = {};
-      users.forEach(user => {
-        if (user) {
-          userMap[user.userId] = {
-            userId: user.userId,
-            username: user.username,
-            profilePicture: user.profilePicture
-          };
+      // Parse lastKey if provided (it carries the sort key of the last post served)
+      let before = null;
+      if (lastKey) {
+        try {
+          before = JSON.parse(Buffer.from(lastKey, 'base64').toString()).before;
+        } catch (parseError) {
+          return res.status(400).json({ message: 'Invalid lastKey format' });
         }
+      }
+      
+      // Leave out anyone on either side of a block, and posts the user has muted
+      const blockedIds = await User.getBlockedIds(userId);
+      const mutes = getActiveMutes(await User.getMutes(req.user.userId));
+      
+      // Get posts from the user's home timeline
+      const { posts, nextBefore } = await Post.getTimelinePosts(userId, parseInt(limit), before, {
+        exclude: post => blockedIds.has(post.userId) ||
+          (post.userId !== userId && isPostMuted(post, mutes))
       });
       
-      // Format response
-      const formattedPosts = posts.map(post => ({
-        ...post,
-        author: userMap[post.userId] || { userId: post.userId, username: 'Unknown' }
-      }));
+      // Attach author details to each post
+      const formattedPosts = await withAuthors(posts);
+      
+      // Encode the cursor for the next page
+      const nextKey = nextBefore
+        ? Buffer.from(JSON.stringify({ before: nextBefore })).toString('base64')
+        : null;
       
       res.status(200).json({
-        posts: formattedPosts
+        posts: formattedPosts,
+        nextKey
       });
     } catch (error) {
       console.error('Get timeline posts error:', error);
@@ -198,6 +243,60 @@ const postController = {
     }
   },
   
+  // Get the ranked "For You" feed
+  getRankedFeed: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const userId = req.user.userId;
+      const { limit = 20, lastKey } = req.query;
+      
+      // Parse lastKey if provided (it carries the feed session); the first page starts a new session
+      let sessionId = uuidv4();
+      if (lastKey) {
+        try {
+          sessionId = JSON.parse(Buffer.from(lastKey, 'base64').toString()).sessionId;
+        } catch (parseError) {
+          return res.status(400).json({ message: 'Invalid lastKey format' });
+        }
+        
+        if (typeof sessionId !== 'string' || !sessionId) {
+          return res.status(400).json({ message: 'Invalid lastKey format' });
+        }
+      }
+      
+      // Leave out anyone on either side of a block, and posts the user has muted
+      const blockedIds = await User.getBlockedIds(userId);
+      const mutes = getActiveMutes(await User.getMutes(req.user.userId));
+      
+      // Score and page the feed
+      const { posts, hasMore } = await Post.getRankedPosts(userId, parseInt(limit), sessionId, {
+        exclude: post => blockedIds.has(post.userId) ||
+          (post.userId !== userId && isPostMuted(post, mutes))
+      });
+      
+      // Attach author details to each post
+      const formattedPosts = await withAuthors(posts);
+      
+      // Later pages continue the same session so served posts are not repeated
+      const nextKey = hasMore
+        ? Buffer.from(JSON.stringify({ sessionId })).toString('base64')
+        : null;
+      
+      res.status(200).json({
+        posts: formattedPosts,
+        nextKey
+      });
+    } catch (error) {
+      console.error('Get ranked feed error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
   // Update a post
   updatePost: async (req, res) => {
     try {
@@ -310,40 +409,38 @@ const postController = {
     }
   },
   
-  // Like a post
+  // Like a post, or react to it with another reaction type
   likePost: async (req, res) => {
     try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
       const { postId } = req.params;
+      const reactionType = req.body.reactionType || 'like';
       const userId = req.user.userId;
       
-      // Like the post
-      const result = await Post.like(postId, userId);
+      // React to the post
+      const result = await Post.like(postId, userId, reactionType);
       
       // Get post and post owner details for notification
       const post = await Post.getById(postId);
       
-      // Send notification to post owner if it's not the same user
-      if (post && post.userId !== userId) {
+      // Send notification to post owner on a new or changed reaction if it's not the same user
+      if ((result.reacted || result.changed) && post && post.userId !== userId) {
         try {
-          // Get user details for the notification
-          const user = await User.getById(userId);
-          
-          // Create notification message
-          const notificationMessage = {
+          // Store the notification and deliver it (socket.io and push)
+          await notificationService.notify(req.app.get('io'), {
             type: 'like',
+            reactionType,
             senderId: userId,
             recipientId: post.userId,
             contentId: postId,
             contentType: 'post',
-            message: `${user.username} liked your post`,
-            timestamp: new Date().toISOString()
-          };
-          
-          // Send to SNS
-          await snsService.publishNotification(notificationMessage);
-          
-          // Also emit via socket.io for real-time updates
-          req.app.get('io').to(post.userId).emit('notification', notificationMessage);
+            action: `${describeReaction(reactionType)} your post`
+          });
         } catch (notifError) {
           console.error('Notification error:', notifError);
           // Continue even if notification fails
@@ -352,10 +449,21 @@ const postController = {
       
       res.status(200).json({
         message: 'Post liked successfully',
-        likesCount: result.likesCount
+        reactionType,
+        likesCount: result.likesCount,
+        reactionCounts: result.reactionCounts
       });
     } catch (error) {
       console.error('Like post error:', error);
+      
+      if (error.message === 'Post not found' || error.message === 'Content not found') {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      if (error.message === 'Cannot interact with this user') {
+        return res.status(403).json({ message: error.message });
+      }
+      
       res.status(500).json({ message: 'Server error' });
     }
   },
@@ -371,10 +479,71 @@ const postController = {
       
       res.status(200).json({
         message: 'Post unliked successfully',
-        likesCount: result.likesCount
+        likesCount: result.likesCount,
+        reactionCounts: result.reactionCounts
       });
     } catch (error) {
       console.error('Unlike post error:', error);
+      
+      // Deleted while the reaction was being written
+      if (error.message === 'Content not found') {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Get who reacted to a post
+  getPostReactions: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { postId } = req.params;
+      const { type, limit = 20, lastKey } = req.query;
+      const userId = req.user.userId;
+      
+      // Parse lastKey if provided
+      let lastEvaluatedKey = null;
+      if (lastKey) {
+        try {
+          lastEvaluatedKey = JSON.parse(Buffer.from(lastKey, 'base64').toString());
+        } catch (parseError) {
+          return res.status(400).json({ message: 'Invalid lastKey format' });
+        }
+      }
+      
+      // Check the post exists and is visible to the viewer
+      const post = await Post.getById(postId);
+      
+      if (!post || await User.isBlocked(userId, post.userId)) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      const author = await User.getById(post.userId);
+      if (author && !(await User.canViewContent(userId, author))) {
+        return res.status(403).json({ message: 'This account is private', isPrivate: true });
+      }
+      
+      const result = await getReactionList(userId, postId, type || null, parseInt(limit), lastEvaluatedKey);
+      
+      // Encode lastEvaluatedKey for pagination
+      let nextKey = null;
+      if (result.lastEvaluatedKey) {
+        nextKey = Buffer.from(JSON.stringify(result.lastEvaluatedKey)).toString('base64');
+      }
+      
+      res.status(200).json({
+        ...summarizeReactions(post),
+        reactions: result.reactions,
+        nextKey
+      });
+    } catch (error) {
+      console.error('Get post reactions error:', error);
       res.status(500).json({ message: 'Server error' });
     }
   },
@@ -385,34 +554,33 @@ const postController = {
       const { postId } = req.params;
       const userId = req.user.userId;
       
-      // Increment share count
-      const result = await Post.share(postId, userId);
-      
       // Get post and post owner details for notification
       const post = await Post.getById(postId);
       
+      if (!post) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      // Blocked users cannot share each other's posts
+      if (await User.isBlocked(userId, post.userId)) {
+        return res.status(403).json({ message: 'Cannot interact with this user' });
+      }
+      
+      // Increment share count
+      const result = await Post.share(postId, userId);
+      
       // Send notification to post owner if it's not the same user
       if (post && post.userId !== userId) {
         try {
-          // Get user details for the notification
-          const user = await User.getById(userId);
-          
-          // Create notification message
-          const notificationMessage = {
+          // Store the notification and deliver it (socket.io and push)
+          await notificationService.notify(req.app.get('io'), {
             type: 'share',
             senderId: userId,
             recipientId: post.userId,
             contentId: postId,
             contentType: 'post',
-            message: `${user.username} shared your post`,
-            timestamp: new Date().toISOString()
-          };
-          
-          // Send to SNS
-          await snsService.publishNotification(notificationMessage);
-          
-          // Also emit via socket.io for real-time updates
-          req.app.get('io').to(post.userId).emit('notification', notificationMessage);
+            action: 'shared your post'
+          });
         } catch (notifError) {
           console.error('Notification error:', notifError);
           // Continue even if notification fails
@@ -453,30 +621,12 @@ const postController = {
         posts.push(...batchResults.filter(p => p)); // Filter out any null results
       }
       
-      // Get user details for each post
-      const uniqueUserIds = [...new Set(posts.map(post => post.userId))];
-      
-      // Get all users in a single batch
-      const userPromises = uniqueUserIds.map(id => User.getById(id));
-      const users = await Promise.all(userPromises);
-      
-      // Create a map for fast lookup
-      const userMap = {};
-      users.forEach(user => {
-        if (user) {
-          userMap[user.userId] = {
-            userId: user.userId,
-            username: user.username,
-            profilePicture: user.profilePicture
-          };
-        }
-      });
+      // Hide posts from anyone on either side of a block
+      const blockedIds = await User.getBlockedIds(req.user.userId);
+      const visiblePosts = posts.filter(post => !blockedIds.has(post.userId));
       
-      // Format response
-      const formattedPosts = posts.map(post => ({
-        ...post,
-        author: userMap[post.userId] || { userId: post.userId, username: 'Unknown' }
-      }));
+      // Attach author details to each post
+      const formattedPosts = await withAuthors(visiblePosts);
       
       res.status(200).json({
         posts: formattedPosts
@@ -3,7 +3,16 @@ const Story = require('../models/Story'); // Reusing Story model for Reels
 const User = require('../models/User');
 const Interaction = require('../models/Interaction');
 const { s3Service } = require('../services/s3Service');
+const notificationService = require('../services/notificationService');
 const { validationResult } = require('express-validator');
+const { getActiveMutes, isPostMuted } = require('../utils/muteFilters');
+const { getReactionList, summarizeReactions, describeReaction } = require('../utils/reactionList');
+const { withAuthors } = require('../utils/authors');
+const { compareRankedReels } = require('../utils/feedRanking');
+
+// Default and maximum look-back for the discovery feed
+const DISCOVER_WINDOW_HOURS = 72;
+const MAX_DISCOVER_WINDOW_HOURS = 720;
 
 const reelController = {
   // Create a new reel
@@ -29,10 +38,23 @@ const reelController = {
         mediaUrl: req.file.location,
         mediaType: 'video',
         caption: caption || '',
-        contentType: 'reel', // Override contentType
-        expiryTime: null // Reels don't expire
+        contentType: 'reel' // Reels don't expire
       });
       
+      // Notify users mentioned in the caption
+      try {
+        await notificationService.notifyMentions(req.app.get('io'), {
+          senderId: userId,
+          text: caption,
+          contentId: reel.contentId,
+          contentType: 'reel',
+          action: 'mentioned you in a reel'
+        });
+      } catch (notifError) {
+        console.error('Mention notification error:', notifError);
+        // Continue even if notification fails
+      }
+      
       res.status(201).json({
         message: 'Reel created successfully',
         reel
@@ -46,35 +68,53 @@ const reelController = {
   // Get user's reels
   getUserReels: async (req, res) => {
     try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
       const { userId } = req.params;
+      const { limit = 20, lastKey } = req.query;
       
-      // Get reels from database
-      const params = {
-        TableName: 'SocialMedia_Stories',
-        IndexName: 'UserIdIndex',
-        KeyConditionExpression: 'userId = :userId',
-        FilterExpression: 'contentType = :contentType',
-        ExpressionAttributeValues: {
-          ':userId': userId,
-          ':contentType': 'reel'
+      // Parse lastKey if provided
+      let lastEvaluatedKey = null;
+      if (lastKey) {
+        try {
+          lastEvaluatedKey = JSON.parse(Buffer.from(lastKey, 'base64').toString());
+        } catch (parseError) {
+          return res.status(400).json({ message: 'Invalid lastKey format' });
         }
-      };
+      }
       
       // Get user details
       const user = await User.getById(userId);
       
-      if (!user) {
+      if (!user || await User.isBlocked(req.user.userId, userId)) {
         return res.status(404).json({ message: 'User not found' });
       }
       
+      // Reels from private accounts are only visible to approved followers
+      if (!(await User.canViewContent(req.user.userId, user))) {
+        return res.status(403).json({ message: 'This account is private', isPrivate: true });
+      }
+      
+      // Get reels from database
+      const result = await Story.getReelsByUserId(userId, parseInt(limit), lastEvaluatedKey);
+      
+      const author = {
+        userId: user.userId,
+        username: user.username,
+        profilePicture: user.profilePicture
+      };
+      
       // Format response
       const response = {
-        user: {
-          userId: user.userId,
-          username: user.username,
-          profilePicture: user.profilePicture
-        },
-        reels: [] // Will populate from query
+        user: author,
+        reels: result.reels.map(reel => ({ ...reel, author })),
+        nextKey: result.lastEvaluatedKey
+          ? Buffer.from(JSON.stringify(result.lastEvaluatedKey)).toString('base64')
+          : null
       };
       
       res.status(200).json(response);
@@ -84,23 +124,43 @@ const reelController = {
     }
   },
   
-  // Get reel feed (trending and from followed users)
+  // Get reel feed (reels from followed users, newest first)
   getReelFeed: async (req, res) => {
     try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
       const userId = req.user.userId;
-      const { limit = 20 } = req.query;
+      const { limit = 20, lastKey } = req.query;
       
-      // Get user's following list
-      const following = await User.getFollowing(userId);
+      // Parse lastKey if provided (it carries the sort key of the last reel served)
+      let before = null;
+      if (lastKey) {
+        try {
+          before = JSON.parse(Buffer.from(lastKey, 'base64').toString()).before;
+        } catch (parseError) {
+          return res.status(400).json({ message: 'Invalid lastKey format' });
+        }
+      }
       
-      // Add the user's own ID to get their reels too
-      const userIds = [...following, userId];
+      // Leave out anyone on either side of a block, and reels the user has muted
+      const blockedIds = await User.getBlockedIds(userId);
+      const mutes = getActiveMutes(await User.getMutes(req.user.userId));
       
-      // Get reels from database (you would need a custom query)
-      // For now, simply querying all reels and filtering client-side
+      // Get reels from the user's reel timeline
+      const result = await Story.getReelsFeed(userId, parseInt(limit), before, {
+        exclude: reel => blockedIds.has(reel.userId) ||
+          (reel.userId !== userId && isPostMuted(reel, mutes))
+      });
       
       res.status(200).json({
-        reels: [] // Would populate from actual data
+        reels: await withAuthors(result.reels),
+        nextKey: result.nextBefore
+          ? Buffer.from(JSON.stringify({ before: result.nextBefore })).toString('base64')
+          : null
       });
     } catch (error) {
       console.error('Get reel feed error:', error);
@@ -108,25 +168,152 @@ const reelController = {
     }
   },
   
-  // Like a reel
+  // Get discovery feed (popular reels from a recent window)
+  getDiscoverReels: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const userId = req.user.userId;
+      const limit = parseInt(req.query.limit || 20);
+      const { lastKey } = req.query;
+      
+      // The window start is fixed on the first page so later pages rank the same reels
+      const windowHours = Math.min(
+        parseInt(req.query.windowHours || DISCOVER_WINDOW_HOURS),
+        MAX_DISCOVER_WINDOW_HOURS
+      );
+      let since = new Date(Date.now() - windowHours * 3600000).toISOString();
+      let after = null;
+      
+      // Parse lastKey if provided (the window start and the ranking position of the last
+      // reel served, so reels moving up or down the ranking don't shift later pages)
+      if (lastKey) {
+        try {
+          ({ since, after } = JSON.parse(Buffer.from(lastKey, 'base64').toString()));
+        } catch (parseError) {
+          return res.status(400).json({ message: 'Invalid lastKey format' });
+        }
+        
+        if (typeof since !== 'string' || !after || typeof after.score !== 'number' ||
+          typeof after.timestamp !== 'string' || typeof after.contentId !== 'string') {
+          return res.status(400).json({ message: 'Invalid lastKey format' });
+        }
+      }
+      
+      // Leave out the viewer's own reels, blocked users and muted content
+      const blockedIds = await User.getBlockedIds(userId);
+      const mutes = getActiveMutes(await User.getMutes(req.user.userId));
+      
+      const ranked = (await Story.getPopularReels(since))
+        .filter(reel => !after || compareRankedReels(reel, after) > 0);
+      
+      // Walk the ranking from the cursor until the page is full, checking the authors of
+      // each slice of candidates together
+      const reels = [];
+      let index = 0;
+      
+      while (index < ranked.length && reels.length < limit) {
+        const slice = ranked.slice(index, index + limit - reels.length);
+        index += slice.length;
+        
+        const candidates = slice.filter(reel =>
+          reel.userId !== userId && !blockedIds.has(reel.userId) && !isPostMuted(reel, mutes)
+        );
+        
+        // Reels from private accounts are only shown to approved followers
+        const viewableIds = await User.getViewableIds(userId, candidates.map(reel => reel.userId));
+        reels.push(...candidates.filter(reel => viewableIds.has(reel.userId)));
+      }
+      
+      // Continue after the last reel walked past, whether it was served or not
+      const last = ranked[index - 1];
+      
+      res.status(200).json({
+        reels: await withAuthors(reels),
+        nextKey: index < ranked.length
+          ? Buffer.from(JSON.stringify({
+            since,
+            after: { score: last.score, timestamp: last.timestamp, contentId: last.contentId }
+          })).toString('base64')
+          : null
+      });
+    } catch (error) {
+      console.error('Get discover reels error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Like a reel, or react to it with another reaction type
   likeReel: async (req, res) => {
     try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
       const { reelId } = req.params;
+      const reactionType = req.body.reactionType || 'like';
       const userId = req.user.userId;
       
-      // Create interaction
-      await Interaction.create({
-        type: 'like',
-        userId,
-        contentId: reelId,
-        content: ''
-      });
+      // Check if reel exists
+      const reel = await Story.getById(reelId);
+      
+      if (!reel || reel.contentType !== 'reel') {
+        return res.status(404).json({ message: 'Reel not found' });
+      }
+      
+      // Blocked users cannot interact with each other's reels
+      if (await User.isBlocked(userId, reel.userId)) {
+        return res.status(403).json({ message: 'Cannot interact with this user' });
+      }
+      
+      // Reels from private accounts are only visible to approved followers
+      const owner = await User.getById(reel.userId);
+      if (owner && !(await User.canViewContent(userId, owner))) {
+        return res.status(403).json({ message: 'This account is private', isPrivate: true });
+      }
+      
+      // One reaction per user; reacting again with the same type is a no-op
+      const result = await Interaction.react(userId, 'reel', reelId, reactionType);
+      
+      // Send notification to the reel owner on a new or changed reaction if it's not the same user
+      if ((result.reacted || result.changed) && reel.userId !== userId) {
+        try {
+          // Store the notification and deliver it (socket.io and push)
+          await notificationService.notify(req.app.get('io'), {
+            type: 'like',
+            reactionType,
+            senderId: userId,
+            recipientId: reel.userId,
+            contentId: reelId,
+            contentType: 'reel',
+            action: `${describeReaction(reactionType)} your reel`
+          });
+        } catch (notifError) {
+          console.error('Notification error:', notifError);
+          // Continue even if notification fails
+        }
+      }
       
       res.status(200).json({
-        message: 'Reel liked successfully'
+        message: 'Reel liked successfully',
+        reactionType,
+        likesCount: result.likesCount,
+        reactionCounts: result.reactionCounts
       });
     } catch (error) {
       console.error('Like reel error:', error);
+      
+      // Deleted while the reaction was being written
+      if (error.message === 'Content not found') {
+        return res.status(404).json({ message: 'Reel not found' });
+      }
+      
       res.status(500).json({ message: 'Server error' });
     }
   },
@@ -137,27 +324,83 @@ const reelController = {
       const { reelId } = req.params;
       const userId = req.user.userId;
       
-      // Find and delete like interaction
-      const params = {
-        TableName: 'SocialMedia_Interactions',
-        IndexName: 'UserContentIndex',
-        KeyConditionExpression: 'userId = :userId AND contentId = :contentId',
-        FilterExpression: 'type = :type',
-        ExpressionAttributeValues: {
-          ':userId': userId,
-          ':contentId': reelId,
-          ':type': 'like'
-        }
-      };
+      // Check if reel exists
+      const reel = await Story.getById(reelId);
+      
+      if (!reel || reel.contentType !== 'reel') {
+        return res.status(404).json({ message: 'Reel not found' });
+      }
       
-      // This is simplified - would need proper implementation
-      // to find and delete the interaction
+      // Remove the reaction record (unliking twice is a no-op)
+      const result = await Interaction.unreact(userId, 'reel', reelId);
       
       res.status(200).json({
-        message: 'Reel unliked successfully'
+        message: 'Reel unliked successfully',
+        likesCount: result.likesCount,
+        reactionCounts: result.reactionCounts
       });
     } catch (error) {
       console.error('Unlike reel error:', error);
+      
+      // Deleted while the reaction was being written
+      if (error.message === 'Content not found') {
+        return res.status(404).json({ message: 'Reel not found' });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Get who reacted to a reel
+  getReelReactions: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { reelId } = req.params;
+      const { type, limit = 20, lastKey } = req.query;
+      const userId = req.user.userId;
+      
+      // Parse lastKey if provided
+      let lastEvaluatedKey = null;
+      if (lastKey) {
+        try {
+          lastEvaluatedKey = JSON.parse(Buffer.from(lastKey, 'base64').toString());
+        } catch (parseError) {
+          return res.status(400).json({ message: 'Invalid lastKey format' });
+        }
+      }
+      
+      // Check the reel exists and is visible to the viewer
+      const reel = await Story.getById(reelId);
+      
+      if (!reel || reel.contentType !== 'reel' || await User.isBlocked(userId, reel.userId)) {
+        return res.status(404).json({ message: 'Reel not found' });
+      }
+      
+      const owner = await User.getById(reel.userId);
+      if (owner && !(await User.canViewContent(userId, owner))) {
+        return res.status(403).json({ message: 'This account is private', isPrivate: true });
+      }
+      
+      const result = await getReactionList(userId, reelId, type || null, parseInt(limit), lastEvaluatedKey);
+      
+      // Encode lastEvaluatedKey for pagination
+      let nextKey = null;
+      if (result.lastEvaluatedKey) {
+        nextKey = Buffer.from(JSON.stringify(result.lastEvaluatedKey)).toString('base64');
+      }
+      
+      res.status(200).json({
+        ...summarizeReactions(reel),
+        reactions: result.reactions,
+        nextKey
+      });
+    } catch (error) {
+      console.error('Get reel reactions error:', error);
       res.status(500).json({ message: 'Server error' });
     }
   },
@@ -175,6 +418,24 @@ const reelController = {
         return res.status(400).json({ errors: errors.array() });
       }
       
+      // Check if reel exists
+      const reel = await Story.getById(reelId);
+      
+      if (!reel || reel.contentType !== 'reel') {
+        return res.status(404).json({ message: 'Reel not found' });
+      }
+      
+      // Blocked users cannot interact with each other's reels
+      if (await User.isBlocked(userId, reel.userId)) {
+        return res.status(403).json({ message: 'Cannot interact with this user' });
+      }
+      
+      // Reels from private accounts are only visible to approved followers
+      const owner = await User.getById(reel.userId);
+      if (owner && !(await User.canViewContent(userId, owner))) {
+        return res.status(403).json({ message: 'This account is private', isPrivate: true });
+      }
+      
       // Create comment interaction
       const comment = await Interaction.create({
         type: 'comment',
@@ -183,6 +444,20 @@ const reelController = {
         content
       });
       
+      // Notify users mentioned in the comment
+      try {
+        await notificationService.notifyMentions(req.app.get('io'), {
+          senderId: userId,
+          text: content,
+          contentId: reelId,
+          contentType: 'reel',
+          action: 'mentioned you in a comment'
+        });
+      } catch (notifError) {
+        console.error('Mention notification error:', notifError);
+        // Continue even if notification fails
+      }
+      
       // Get user details for response
       const user = await User.getById(userId);
       
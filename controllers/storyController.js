@@ -1,8 +1,27 @@
 // controllers/storyController.js
 const Story = require('../models/Story');
 const User = require('../models/User');
+const Interaction = require('../models/Interaction');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
 const { s3Service } = require('../services/s3Service');
+const notificationService = require('../services/notificationService');
+const messagingService = require('../services/messagingService');
 const { validationResult } = require('express-validator');
+const { getActiveMutes } = require('../utils/muteFilters');
+const { getReactionList, summarizeReactions, describeReaction } = require('../utils/reactionList');
+
+// Thumbnail for a story reference in a DM. Image thumbnails are written next to the
+// original by the image processor; videos fall back to no thumbnail until one is stored
+const getStoryThumbnail = (story) => {
+  if (story.thumbnailUrl) {
+    return story.thumbnailUrl;
+  }
+  if (story.mediaType === 'image') {
+    return story.mediaUrl.replace(/^(.+)\.(.+)$/, '$1_thumbnail.$2');
+  }
+  return null;
+};
 
 const storyController = {
   // Create a new story
@@ -48,16 +67,21 @@ const storyController = {
     try {
       const { userId } = req.params;
       
-      // Get stories from database
-      const stories = await Story.getByUserId(userId);
-      
       // Get user details
       const user = await User.getById(userId);
       
-      if (!user) {
+      if (!user || await User.isBlocked(req.user.userId, userId)) {
         return res.status(404).json({ message: 'User not found' });
       }
       
+      // Stories from private accounts are only visible to approved followers
+      if (!(await User.canViewContent(req.user.userId, user))) {
+        return res.status(403).json({ message: 'This account is private', isPrivate: true });
+      }
+      
+      // Get stories from database
+      const stories = await Story.getByUserId(userId);
+      
       // Format response
       const response = {
         user: {
@@ -83,8 +107,15 @@ const storyController = {
       // Get user's following list
       const following = await User.getFollowing(userId);
       
+      // Leave out anyone on either side of a block, and accounts whose stories are muted
+      const blockedIds = await User.getBlockedIds(userId);
+      const mutes = getActiveMutes(await User.getMutes(req.user.userId));
+      
       // Add the user's own ID to get their stories too
-      const userIds = [...following, userId];
+      const userIds = [
+        ...following.filter(id => !blockedIds.has(id) && !mutes.storyUserIds.has(id)),
+        userId
+      ];
       
       // Get stories from database
       const storiesByUser = await Story.getStoriesFeed(userIds);
@@ -126,6 +157,13 @@ const storyController = {
       const { storyId } = req.params;
       const userId = req.user.userId;
       
+      // Check if story exists and is visible to the viewer
+      const story = await Story.getById(storyId);
+      
+      if (!story || await User.isBlocked(userId, story.userId)) {
+        return res.status(404).json({ message: 'Story not found' });
+      }
+      
       // Mark story as viewed
       await Story.markAsViewed(storyId, userId);
       
@@ -138,6 +176,227 @@ const storyController = {
     }
   },
   
+  // Reply to a story with a direct message to its author, or send a quick emoji reaction
+  replyToStory: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { storyId } = req.params;
+      const { text, emoji } = req.body;
+      const userId = req.user.userId;
+      
+      if (!emoji && (!text || !text.trim())) {
+        return res.status(400).json({ message: 'Reply text or emoji is required' });
+      }
+      
+      // Check if story exists, hasn't expired and is visible to the viewer
+      const story = await Story.getById(storyId);
+      
+      if (!story || story.contentType !== 'story' ||
+        story.expiryTime < Math.floor(Date.now() / 1000) ||
+        await User.isBlocked(userId, story.userId)) {
+        return res.status(404).json({ message: 'Story not found' });
+      }
+      
+      if (story.userId === userId) {
+        return res.status(400).json({ message: 'You cannot reply to your own story' });
+      }
+      
+      // Stories from private accounts are only visible to approved followers
+      const owner = await User.getById(story.userId);
+      if (owner && !(await User.canViewContent(userId, owner))) {
+        return res.status(403).json({ message: 'This account is private', isPrivate: true });
+      }
+      
+      const { conversation } = await messagingService.openDirectConversation(userId, story.userId);
+      const members = await Conversation.getMembers(conversation.conversationId);
+      
+      const message = await messagingService.sendMessage(req.app.get('io'), members, {
+        conversationId: conversation.conversationId,
+        senderId: userId,
+        type: emoji ? Message.TYPES.STORY_REACTION : Message.TYPES.STORY_REPLY,
+        text: emoji || text,
+        storyRef: {
+          storyId,
+          authorId: story.userId,
+          mediaType: story.mediaType,
+          thumbnailUrl: getStoryThumbnail(story),
+          expiresAt: new Date(story.expiryTime * 1000).toISOString()
+        }
+      });
+      
+      res.status(201).json({
+        message: emoji ? 'Reaction sent successfully' : 'Reply sent successfully',
+        conversationId: conversation.conversationId,
+        data: { ...message, status: Message.STATUSES.SENT }
+      });
+    } catch (error) {
+      console.error('Reply to story error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Like a story, or react to it with another reaction type
+  likeStory: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { storyId } = req.params;
+      const reactionType = req.body.reactionType || 'like';
+      const userId = req.user.userId;
+      
+      // Check if story exists, hasn't expired and is visible to the viewer
+      const story = await Story.getById(storyId);
+      
+      if (!story || story.contentType !== 'story' ||
+        story.expiryTime < Math.floor(Date.now() / 1000) ||
+        await User.isBlocked(userId, story.userId)) {
+        return res.status(404).json({ message: 'Story not found' });
+      }
+      
+      // Stories from private accounts are only visible to approved followers
+      const owner = await User.getById(story.userId);
+      if (owner && !(await User.canViewContent(userId, owner))) {
+        return res.status(403).json({ message: 'This account is private', isPrivate: true });
+      }
+      
+      // One reaction per user; reacting again with the same type is a no-op
+      const result = await Interaction.react(userId, 'story', storyId, reactionType);
+      
+      // Send notification to the story owner on a new or changed reaction if it's not the same user
+      if ((result.reacted || result.changed) && story.userId !== userId) {
+        try {
+          // Store the notification and deliver it (socket.io and push)
+          await notificationService.notify(req.app.get('io'), {
+            type: 'like',
+            reactionType,
+            senderId: userId,
+            recipientId: story.userId,
+            contentId: storyId,
+            contentType: 'story',
+            action: `${describeReaction(reactionType)} your story`
+          });
+        } catch (notifError) {
+          console.error('Notification error:', notifError);
+          // Continue even if notification fails
+        }
+      }
+      
+      res.status(200).json({
+        message: 'Story liked successfully',
+        reactionType,
+        likesCount: result.likesCount,
+        reactionCounts: result.reactionCounts
+      });
+    } catch (error) {
+      console.error('Like story error:', error);
+      
+      // Deleted while the reaction was being written
+      if (error.message === 'Content not found') {
+        return res.status(404).json({ message: 'Story not found' });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Unlike a story
+  unlikeStory: async (req, res) => {
+    try {
+      const { storyId } = req.params;
+      const userId = req.user.userId;
+      
+      // Check if story exists
+      const story = await Story.getById(storyId);
+      
+      if (!story || story.contentType !== 'story') {
+        return res.status(404).json({ message: 'Story not found' });
+      }
+      
+      // Remove the reaction record (unliking twice is a no-op)
+      const result = await Interaction.unreact(userId, 'story', storyId);
+      
+      res.status(200).json({
+        message: 'Story unliked successfully',
+        likesCount: result.likesCount,
+        reactionCounts: result.reactionCounts
+      });
+    } catch (error) {
+      console.error('Unlike story error:', error);
+      
+      // Deleted while the reaction was being written
+      if (error.message === 'Content not found') {
+        return res.status(404).json({ message: 'Story not found' });
+      }
+      
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Get who reacted to a story
+  getStoryReactions: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { storyId } = req.params;
+      const { type, limit = 20, lastKey } = req.query;
+      const userId = req.user.userId;
+      
+      // Parse lastKey if provided
+      let lastEvaluatedKey = null;
+      if (lastKey) {
+        try {
+          lastEvaluatedKey = JSON.parse(Buffer.from(lastKey, 'base64').toString());
+        } catch (parseError) {
+          return res.status(400).json({ message: 'Invalid lastKey format' });
+        }
+      }
+      
+      // Check the story exists and is visible to the viewer
+      const story = await Story.getById(storyId);
+      
+      if (!story || story.contentType !== 'story' ||
+        story.expiryTime < Math.floor(Date.now() / 1000) ||
+        await User.isBlocked(userId, story.userId)) {
+        return res.status(404).json({ message: 'Story not found' });
+      }
+      
+      const owner = await User.getById(story.userId);
+      if (owner && !(await User.canViewContent(userId, owner))) {
+        return res.status(403).json({ message: 'This account is private', isPrivate: true });
+      }
+      
+      const result = await getReactionList(userId, storyId, type || null, parseInt(limit), lastEvaluatedKey);
+      
+      // Encode lastEvaluatedKey for pagination
+      let nextKey = null;
+      if (result.lastEvaluatedKey) {
+        nextKey = Buffer.from(JSON.stringify(result.lastEvaluatedKey)).toString('base64');
+      }
+      
+      res.status(200).json({
+        ...summarizeReactions(story),
+        reactions: result.reactions,
+        nextKey
+      });
+    } catch (error) {
+      console.error('Get story reactions error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
   // Delete a story
   deleteStory: async (req, res) => {
     try {
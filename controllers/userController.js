@@ -1,7 +1,11 @@
 // controllers/userController.js
 const User = require('../models/User');
+const FollowRequest = require('../models/FollowRequest');
 const { s3Service } = require('../services/s3Service');
 const { elasticsearchService } = require('../services/elasticsearchService');
+const notificationService = require('../services/notificationService');
+const presence = require('../sockets/presence');
+const notificationPreferences = require('../utils/notificationPreferences');
 const { validationResult } = require('express-validator');
 
 const userController = {
@@ -17,6 +21,11 @@ const userController = {
         return res.status(404).json({ message: 'User not found' });
       }
       
+      // Blocked users cannot see each other at all
+      if (req.user && await User.isBlocked(req.user.userId, userId)) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
       // Format response (exclude sensitive data)
       const profile = {
         userId: user.userId,
@@ -24,21 +33,31 @@ const userController = {
         email: user.email,
         profilePicture: user.profilePicture,
         bio: user.bio,
-        followersCount: user.followers ? user.followers.length : 0,
-        followingCount: user.following ? user.following.length : 0,
+        isPrivate: !!user.isPrivate,
+        followersCount: user.followersCount || 0,
+        followingCount: user.followingCount || 0,
         createdAt: user.createdAt
       };
       
       // Check if the requesting user is following this user
       let isFollowing = false;
+      let followRequestStatus = null;
       if (req.user && req.user.userId !== userId) {
-        const reqUserFollowing = await User.getFollowing(req.user.userId);
-        isFollowing = reqUserFollowing.includes(userId);
+        isFollowing = await User.isFollowing(req.user.userId, userId);
+        
+        // Surface an outstanding request to a private account
+        if (!isFollowing && user.isPrivate) {
+          const followRequest = await FollowRequest.get(userId, req.user.userId);
+          if (followRequest && followRequest.status === FollowRequest.STATUS.PENDING) {
+            followRequestStatus = followRequest.status;
+          }
+        }
       }
       
       res.status(200).json({
         profile,
-        isFollowing
+        isFollowing,
+        followRequestStatus
       });
     } catch (error) {
       console.error('Get profile error:', error);
@@ -56,7 +75,7 @@ const userController = {
       }
       
       const userId = req.user.userId;
-      const { username, bio } = req.body;
+      const { username, bio, isPrivate, showActivityStatus } = req.body;
       
       // Check if username is already taken (if username is provided)
       if (username) {
@@ -71,9 +90,41 @@ const userController = {
       
       if (username) updates.username = username;
       if (bio !== undefined) updates.bio = bio;
+      if (isPrivate !== undefined) updates.isPrivate = isPrivate;
+      if (showActivityStatus !== undefined) updates.showActivityStatus = showActivityStatus;
       
       const updatedUser = await User.update(userId, updates);
       
+      // Going public approves everyone who was waiting
+      if (req.user.isPrivate && updatedUser.isPrivate === false) {
+        try {
+          let lastEvaluatedKey = null;
+          do {
+            const page = await FollowRequest.getPendingForUser(userId, 100, lastEvaluatedKey);
+            for (const request of page.requests) {
+              if (await FollowRequest.respond(userId, request.requesterId, FollowRequest.STATUS.ACCEPTED)) {
+                await User.followUser(request.requesterId, userId);
+              }
+            }
+            lastEvaluatedKey = page.lastEvaluatedKey;
+          } while (lastEvaluatedKey);
+        } catch (approveError) {
+          console.error('Error approving pending follow requests:', approveError);
+          // Continue even if approval fails
+        }
+      }
+      
+      // Showing or hiding activity status changes what followers see right away
+      if (showActivityStatus !== undefined &&
+        presence.sharesActivity(req.user) !== presence.sharesActivity(updatedUser)) {
+        try {
+          await presence.publishPresence(req.app.get('io'), userId);
+        } catch (presenceError) {
+          console.error('Error publishing presence:', presenceError);
+          // Continue even if presence update fails
+        }
+      }
+      
       // Index user in ElasticSearch for search
       try {
         await elasticsearchService.indexDocument('users', userId, {
@@ -93,7 +144,9 @@ const userController = {
           username: updatedUser.username,
           email: updatedUser.email,
           profilePicture: updatedUser.profilePicture,
-          bio: updatedUser.bio
+          bio: updatedUser.bio,
+          isPrivate: !!updatedUser.isPrivate,
+          showActivityStatus: presence.sharesActivity(updatedUser)
         }
       });
     } catch (error) {
@@ -102,6 +155,42 @@ const userController = {
     }
   },
   
+  // Get online status for people the user follows (optionally only some of them)
+  getPresence: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const userId = req.user.userId;
+      let followingIds = await User.getFollowing(userId);
+      
+      if (req.query.userIds) {
+        const requestedIds = new Set(req.query.userIds.split(','));
+        followingIds = followingIds.filter(id => requestedIds.has(id));
+      }
+      
+      // People who hide their activity are left out
+      const users = (await User.getActivity(followingIds)).filter(user => presence.sharesActivity(user));
+      const onlineIds = await presence.getOnlineIds(req.app.get('io'), users.map(user => user.userId));
+      
+      const statuses = users.map(user => presence.getPresence(user.userId, user.lastActiveAt, onlineIds));
+      
+      // Active now first, then most recently active
+      statuses.sort((a, b) => {
+        if (a.isOnline !== b.isOnline) return a.isOnline ? -1 : 1;
+        return (b.lastActiveAt || '').localeCompare(a.lastActiveAt || '');
+      });
+      
+      res.status(200).json({ presence: statuses });
+    } catch (error) {
+      console.error('Get presence error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
   // Update profile picture
   updateProfilePicture: async (req, res) => {
     try {
@@ -158,12 +247,61 @@ const userController = {
       // Check if target user exists
       const targetUser = await User.getById(targetUserId);
       
-      if (!targetUser) {
+      if (!targetUser || await User.isBlocked(userId, targetUserId)) {
         return res.status(404).json({ message: 'User not found' });
       }
       
+      // Private accounts must approve new followers first
+      if (targetUser.isPrivate && !(await User.isFollowing(userId, targetUserId))) {
+        const followRequest = await FollowRequest.create(userId, targetUserId);
+        
+        // Only notify for a new request, not a repeated tap
+        if (followRequest) {
+          try {
+            // Store the notification and deliver it (socket.io and push)
+            await notificationService.notify(req.app.get('io'), {
+              type: 'follow_request',
+              senderId: userId,
+              recipientId: targetUserId,
+              contentId: userId,
+              contentType: 'user',
+              action: 'requested to follow you'
+            });
+          } catch (notifError) {
+            console.error('Notification error:', notifError);
+            // Continue even if notification fails
+          }
+        }
+        
+        return res.status(202).json({
+          message: `Follow request sent to ${targetUser.username}`,
+          followRequestStatus: FollowRequest.STATUS.PENDING
+        });
+      }
+      
       // Follow user
-      await User.followUser(userId, targetUserId);
+      const followed = await User.followUser(userId, targetUserId);
+      
+      if (!followed) {
+        return res.status(200).json({
+          message: `You are already following ${targetUser.username}`
+        });
+      }
+      
+      try {
+        // Store the notification and deliver it (socket.io, push and email)
+        await notificationService.notify(req.app.get('io'), {
+          type: 'follow',
+          senderId: userId,
+          recipientId: targetUserId,
+          contentId: userId,
+          contentType: 'user',
+          action: 'started following you'
+        });
+      } catch (notifError) {
+        console.error('Notification error:', notifError);
+        // Continue even if notification fails
+      }
       
       res.status(200).json({
         message: `You are now following ${targetUser.username}`
@@ -193,7 +331,25 @@ const userController = {
       }
       
       // Unfollow user
-      await User.unfollowUser(userId, targetUserId);
+      const unfollowed = await User.unfollowUser(userId, targetUserId);
+      
+      // Withdraw any outstanding follow request as well
+      const followRequest = await FollowRequest.get(targetUserId, userId);
+      if (followRequest) {
+        await FollowRequest.delete(targetUserId, userId);
+        
+        if (!unfollowed && followRequest.status === FollowRequest.STATUS.PENDING) {
+          return res.status(200).json({
+            message: `Follow request to ${targetUser.username} withdrawn`
+          });
+        }
+      }
+      
+      if (!unfollowed) {
+        return res.status(200).json({
+          message: `You are not following ${targetUser.username}`
+        });
+      }
       
       res.status(200).json({
         message: `You have unfollowed ${targetUser.username}`
@@ -207,7 +363,24 @@ const userController = {
   // Get user followers
   getFollowers: async (req, res) => {
     try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
       const { userId } = req.params;
+      const { limit = 20, lastKey } = req.query;
+      
+      // Parse lastKey if provided
+      let lastEvaluatedKey = null;
+      if (lastKey) {
+        try {
+          lastEvaluatedKey = JSON.parse(Buffer.from(lastKey, 'base64').toString());
+        } catch (parseError) {
+          return res.status(400).json({ message: 'Invalid lastKey format' });
+        }
+      }
       
       // Check if user exists
       const user = await User.getById(userId);
@@ -216,25 +389,35 @@ const userController = {
         return res.status(404).json({ message: 'User not found' });
       }
       
-      // Get followers
-      const followerIds = await User.getFollowers(userId);
+      // Private accounts only share their lists with approved followers
+      if (!(await User.canViewContent(req.user && req.user.userId, user))) {
+        return res.status(403).json({ message: 'This account is private', isPrivate: true });
+      }
+      
+      // Get a page of followers
+      const result = await User.getFollowersPage(userId, parseInt(limit), lastEvaluatedKey);
       
       // Get follower details
-      const followers = [];
-      
-      for (const followerId of followerIds) {
-        const follower = await User.getById(followerId);
-        if (follower) {
-          followers.push({
-            userId: follower.userId,
-            username: follower.username,
-            profilePicture: follower.profilePicture
-          });
-        }
+      const users = await Promise.all(result.userIds.map(id => User.getById(id)));
+      
+      const followers = users
+        .filter(follower => follower)
+        .map(follower => ({
+          userId: follower.userId,
+          username: follower.username,
+          profilePicture: follower.profilePicture
+        }));
+      
+      // Encode lastEvaluatedKey for pagination
+      let nextKey = null;
+      if (result.lastEvaluatedKey) {
+        nextKey = Buffer.from(JSON.stringify(result.lastEvaluatedKey)).toString('base64');
       }
       
       res.status(200).json({
-        followers
+        followers,
+        followersCount: user.followersCount || 0,
+        nextKey
       });
     } catch (error) {
       console.error('Get followers error:', error);
@@ -245,7 +428,24 @@ const userController = {
   // Get user's following list
   getFollowing: async (req, res) => {
     try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
       const { userId } = req.params;
+      const { limit = 20, lastKey } = req.query;
+      
+      // Parse lastKey if provided
+      let lastEvaluatedKey = null;
+      if (lastKey) {
+        try {
+          lastEvaluatedKey = JSON.parse(Buffer.from(lastKey, 'base64').toString());
+        } catch (parseError) {
+          return res.status(400).json({ message: 'Invalid lastKey format' });
+        }
+      }
       
       // Check if user exists
       const user = await User.getById(userId);
@@ -254,25 +454,35 @@ const userController = {
         return res.status(404).json({ message: 'User not found' });
       }
       
-      // Get following
-      const followingIds = await User.getFollowing(userId);
+      // Private accounts only share their lists with approved followers
+      if (!(await User.canViewContent(req.user && req.user.userId, user))) {
+        return res.status(403).json({ message: 'This account is private', isPrivate: true });
+      }
+      
+      // Get a page of followed users
+      const result = await User.getFollowingPage(userId, parseInt(limit), lastEvaluatedKey);
       
       // Get following details
-      const following = [];
-      
-      for (const followingId of followingIds) {
-        const followedUser = await User.getById(followingId);
-        if (followedUser) {
-          following.push({
-            userId: followedUser.userId,
-            username: followedUser.username,
-            profilePicture: followedUser.profilePicture
-          });
-        }
+      const users = await Promise.all(result.userIds.map(id => User.getById(id)));
+      
+      const following = users
+        .filter(followedUser => followedUser)
+        .map(followedUser => ({
+          userId: followedUser.userId,
+          username: followedUser.username,
+          profilePicture: followedUser.profilePicture
+        }));
+      
+      // Encode lastEvaluatedKey for pagination
+      let nextKey = null;
+      if (result.lastEvaluatedKey) {
+        nextKey = Buffer.from(JSON.stringify(result.lastEvaluatedKey)).toString('base64');
       }
       
       res.status(200).json({
-        following
+        following,
+        followingCount: user.followingCount || 0,
+        nextKey
       });
     } catch (error) {
       console.error('Get following error:', error);
@@ -280,6 +490,392 @@ const userController = {
     }
   },
   
+  // Get the authenticated user's follow requests: pending ones by default, or the
+  // accepted/declined ones they answered recently with ?status=
+  getFollowRequests: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const userId = req.user.userId;
+      const { limit = 20, lastKey, status = FollowRequest.STATUS.PENDING } = req.query;
+      
+      // Parse lastKey if provided
+      let lastEvaluatedKey = null;
+      if (lastKey) {
+        try {
+          lastEvaluatedKey = JSON.parse(Buffer.from(lastKey, 'base64').toString());
+        } catch (parseError) {
+          return res.status(400).json({ message: 'Invalid lastKey format' });
+        }
+      }
+      
+      const result = await FollowRequest.getForUser(userId, status, parseInt(limit), lastEvaluatedKey);
+      
+      // Get requester details
+      const users = await Promise.all(result.requests.map(request => User.getById(request.requesterId)));
+      
+      const requests = result.requests
+        .map((request, index) => ({
+          requesterId: request.requesterId,
+          status: request.status,
+          timestamp: request.timestamp,
+          user: users[index] ? {
+            userId: users[index].userId,
+            username: users[index].username,
+            profilePicture: users[index].profilePicture
+          } : null
+        }))
+        .filter(request => request.user);
+      
+      // Encode lastEvaluatedKey for pagination
+      let nextKey = null;
+      if (result.lastEvaluatedKey) {
+        nextKey = Buffer.from(JSON.stringify(result.lastEvaluatedKey)).toString('base64');
+      }
+      
+      res.status(200).json({
+        requests,
+        nextKey
+      });
+    } catch (error) {
+      console.error('Get follow requests error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Accept a follow request
+  acceptFollowRequest: async (req, res) => {
+    try {
+      const { requesterId } = req.params;
+      const userId = req.user.userId;
+      
+      const accepted = await FollowRequest.respond(userId, requesterId, FollowRequest.STATUS.ACCEPTED);
+      
+      if (!accepted) {
+        return res.status(404).json({ message: 'Follow request not found' });
+      }
+      
+      // Create the follow edge
+      await User.followUser(requesterId, userId);
+      
+      // Let the requester know they were approved
+      try {
+        // Store the notification and deliver it (socket.io and push)
+        await notificationService.notify(req.app.get('io'), {
+          type: 'follow_accept',
+          senderId: userId,
+          recipientId: requesterId,
+          contentId: userId,
+          contentType: 'user',
+          action: 'accepted your follow request'
+        });
+      } catch (notifError) {
+        console.error('Notification error:', notifError);
+        // Continue even if notification fails
+      }
+      
+      res.status(200).json({
+        message: 'Follow request accepted'
+      });
+    } catch (error) {
+      console.error('Accept follow request error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Decline a follow request
+  declineFollowRequest: async (req, res) => {
+    try {
+      const { requesterId } = req.params;
+      const userId = req.user.userId;
+      
+      const declined = await FollowRequest.respond(userId, requesterId, FollowRequest.STATUS.DECLINED);
+      
+      if (!declined) {
+        return res.status(404).json({ message: 'Follow request not found' });
+      }
+      
+      res.status(200).json({
+        message: 'Follow request declined'
+      });
+    } catch (error) {
+      console.error('Decline follow request error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Block a user
+  blockUser: async (req, res) => {
+    try {
+      const { targetUserId } = req.params;
+      const userId = req.user.userId;
+      
+      // Can't block yourself
+      if (targetUserId === userId) {
+        return res.status(400).json({ message: 'You cannot block yourself' });
+      }
+      
+      // Check if target user exists
+      const targetUser = await User.getById(targetUserId);
+      
+      if (!targetUser) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      // Block user (also removes follows in both directions)
+      await User.blockUser(userId, targetUserId);
+      
+      res.status(200).json({
+        message: `You have blocked ${targetUser.username}`
+      });
+    } catch (error) {
+      console.error('Block user error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Unblock a user
+  unblockUser: async (req, res) => {
+    try {
+      const { targetUserId } = req.params;
+      const userId = req.user.userId;
+      
+      const unblocked = await User.unblockUser(userId, targetUserId);
+      
+      if (!unblocked) {
+        return res.status(404).json({ message: 'User is not blocked' });
+      }
+      
+      res.status(200).json({
+        message: 'User unblocked'
+      });
+    } catch (error) {
+      console.error('Unblock user error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Get users blocked by the authenticated user
+  getBlockedUsers: async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const { limit = 20, lastKey } = req.query;
+      
+      // Parse lastKey if provided
+      let lastEvaluatedKey = null;
+      if (lastKey) {
+        try {
+          lastEvaluatedKey = JSON.parse(Buffer.from(lastKey, 'base64').toString());
+        } catch (parseError) {
+          return res.status(400).json({ message: 'Invalid lastKey format' });
+        }
+      }
+      
+      const result = await User.getBlockedPage(userId, parseInt(limit), lastEvaluatedKey);
+      
+      // Get blocked user details
+      const users = await Promise.all(result.blocks.map(block => User.getById(block.blockedId)));
+      
+      const blockedUsers = result.blocks
+        .map((block, index) => ({
+          userId: block.blockedId,
+          username: users[index] ? users[index].username : 'Unknown',
+          profilePicture: users[index] ? users[index].profilePicture : null,
+          blockedAt: block.timestamp
+        }));
+      
+      // Encode lastEvaluatedKey for pagination
+      let nextKey = null;
+      if (result.lastEvaluatedKey) {
+        nextKey = Buffer.from(JSON.stringify(result.lastEvaluatedKey)).toString('base64');
+      }
+      
+      res.status(200).json({
+        users: blockedUsers,
+        nextKey
+      });
+    } catch (error) {
+      console.error('Get blocked users error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Get the authenticated user's mute settings
+  getMutes: async (req, res) => {
+    try {
+      const mutes = await User.getMutes(req.user.userId);
+      
+      // Get muted user details
+      const users = await Promise.all(mutes.users.map(mute => User.getById(mute.targetUserId)));
+      
+      res.status(200).json({
+        users: mutes.users.map((mute, index) => ({
+          userId: mute.targetUserId,
+          username: users[index] ? users[index].username : 'Unknown',
+          profilePicture: users[index] ? users[index].profilePicture : null,
+          posts: !!mute.posts,
+          stories: !!mute.stories,
+          mutedAt: mute.timestamp
+        })),
+        words: mutes.words.map(mute => ({
+          word: mute.word,
+          expiresAt: mute.expiresAt || null,
+          mutedAt: mute.timestamp
+        }))
+      });
+    } catch (error) {
+      console.error('Get mutes error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Mute a user's posts and/or stories
+  muteUser: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { targetUserId } = req.params;
+      const { posts = true, stories = true } = req.body;
+      const userId = req.user.userId;
+      
+      // Can't mute yourself
+      if (targetUserId === userId) {
+        return res.status(400).json({ message: 'You cannot mute yourself' });
+      }
+      
+      // Check if target user exists
+      const targetUser = await User.getById(targetUserId);
+      
+      if (!targetUser) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      // Muting nothing is the same as unmuting
+      if (!posts && !stories) {
+        await User.unmuteUser(userId, targetUserId);
+      } else {
+        await User.muteUser(userId, targetUserId, { posts, stories });
+      }
+      
+      res.status(200).json({
+        message: `Mute settings for ${targetUser.username} updated`,
+        mute: { posts: !!posts, stories: !!stories }
+      });
+    } catch (error) {
+      console.error('Mute user error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Unmute a user
+  unmuteUser: async (req, res) => {
+    try {
+      const { targetUserId } = req.params;
+      const userId = req.user.userId;
+      
+      const unmuted = await User.unmuteUser(userId, targetUserId);
+      
+      if (!unmuted) {
+        return res.status(404).json({ message: 'User is not muted' });
+      }
+      
+      res.status(200).json({
+        message: 'User unmuted'
+      });
+    } catch (error) {
+      console.error('Unmute user error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Mute a word or hashtag
+  muteWord: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const { word, expiresAt } = req.body;
+      const userId = req.user.userId;
+      
+      const normalizedWord = word.trim().toLowerCase();
+      
+      await User.muteWord(userId, normalizedWord, expiresAt || null);
+      
+      res.status(200).json({
+        message: `"${normalizedWord}" muted`,
+        word: normalizedWord,
+        expiresAt: expiresAt || null
+      });
+    } catch (error) {
+      console.error('Mute word error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Get notification preferences (per category and channel) and quiet hours
+  getNotificationPreferences: async (req, res) => {
+    try {
+      res.status(200).json(notificationPreferences.getPreferences(req.user));
+    } catch (error) {
+      console.error('Get notification preferences error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Update notification preferences; only the categories, channels and quiet hours fields sent change
+  updateNotificationPreferences: async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      const preferences = notificationPreferences.mergePreferences(req.user, req.body);
+      await User.updateNotificationPreferences(req.user.userId, preferences);
+      
+      res.status(200).json({
+        message: 'Notification preferences updated',
+        ...preferences
+      });
+    } catch (error) {
+      console.error('Update notification preferences error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
+  // Unmute a word or hashtag
+  unmuteWord: async (req, res) => {
+    try {
+      const { word } = req.params;
+      const userId = req.user.userId;
+      
+      const unmuted = await User.unmuteWord(userId, word.trim().toLowerCase());
+      
+      if (!unmuted) {
+        return res.status(404).json({ message: 'Word is not muted' });
+      }
+      
+      res.status(200).json({
+        message: 'Word unmuted'
+      });
+    } catch (error) {
+      console.error('Unmute word error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  },
+  
   // Search users
   searchUsers: async (req, res) => {
     try {
@@ -292,13 +888,18 @@ const userController = {
       // Search users in ElasticSearch
       const searchResults = await elasticsearchService.searchUsers(query, parseInt(limit));
       
+      // Hide users on either side of a block
+      const blockedIds = req.user ? await User.getBlockedIds(req.user.userId) : new Set();
+      
       // Format response
-      const users = searchResults.map(result => ({
-        userId: result.userId,
-        username: result.username,
-        profilePicture: result.profilePicture || null,
-        bio: result.bio || ''
-      }));
+      const users = searchResults
+        .filter(result => !blockedIds.has(result.userId))
+        .map(result => ({
+          userId: result.userId,
+          username: result.username,
+          profilePicture: result.profilePicture || null,
+          bio: result.bio || ''
+        }));
       
       res.status(200).json({
         users
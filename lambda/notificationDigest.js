@@ -0,0 +1,26 @@
+// lambda/notificationDigest.js
+const digestService = require('../services/digestService');
+
+// Runs on two schedules (e.g. EventBridge rules): daily with the event
+// { "frequency": "daily" } and weekly with { "frequency": "weekly" }
+exports.handler = async (event) => {
+    try {
+        const frequency = (event && event.frequency) || 'daily';
+        
+        const sent = await digestService.sendDigests(frequency);
+        
+        console.log(`Sent ${sent} ${frequency} digest emails`);
+        
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: 'Digest emails sent',
+                frequency,
+                sent
+            })
+        };
+    } catch (error) {
+        console.error('Error in notification digest handler:', error);
+        throw error;
+    }
+};
@@ -0,0 +1,58 @@
+// lambda/timelineFanout.js
+const AWS = require('aws-sdk');
+const { TABLES } = require('../config/dynamodb');
+const Post = require('../models/Post');
+const Story = require('../models/Story');
+const User = require('../models/User');
+const Timeline = require('../models/Timeline');
+
+// Table a stream record came from (the ARN is .../table/<name>/stream/<label>)
+const getTableName = (record) => record.eventSourceARN.split('/')[1];
+
+// Triggered by the Posts, Stories and Users table streams, so timeline work stays out of the
+// request path. New posts and reels are written into followers' timelines; authors passing the
+// fan-out threshold are switched to pull mode. Both are idempotent, so a failed batch
+// can simply be retried by the stream.
+exports.handler = async (event) => {
+    try {
+        let fannedOut = 0;
+        let switched = 0;
+
+        for (const record of event.Records) {
+            const tableName = getTableName(record);
+
+            if (tableName === TABLES.POSTS && record.eventName === 'INSERT') {
+                const post = AWS.DynamoDB.Converter.unmarshall(record.dynamodb.NewImage);
+                fannedOut += await Post.fanOut(post);
+            } else if (tableName === TABLES.STORIES && record.eventName === 'INSERT') {
+                const story = AWS.DynamoDB.Converter.unmarshall(record.dynamodb.NewImage);
+
+                // Stories expire within a day and are read per author, so only reels fan out
+                if (story.contentType === 'reel') {
+                    fannedOut += await Story.fanOut(story);
+                }
+            } else if (tableName === TABLES.USERS && record.eventName === 'MODIFY') {
+                const user = AWS.DynamoDB.Converter.unmarshall(record.dynamodb.NewImage);
+
+                if (Timeline.isHighFanout(user) && !Timeline.isPulled(user)) {
+                    await User.switchToPull(user.userId);
+                    switched++;
+                }
+            }
+        }
+
+        console.log(`Wrote ${fannedOut} timeline entries, switched ${switched} authors to pull mode`);
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: 'Timeline fan-out completed',
+                fannedOut,
+                switched
+            })
+        };
+    } catch (error) {
+        console.error('Error in timeline fan-out handler:', error);
+        throw error;
+    }
+};
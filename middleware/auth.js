@@ -1,7 +1,53 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { cognitoService } = require('../services/cognitoService');
+const config = require('../config');
+
+// Whether access tokens without a session ID are still accepted (see config.jwt.sessionlessTokensUntil)
+const acceptsSessionlessTokens = () => {
+  const until = Date.parse(config.jwt.sessionlessTokensUntil);
+  return !Number.isNaN(until) && Date.now() < until;
+};
+
+// Verify a JWT and load its user (null if the user no longer exists).
+// Shared by HTTP and socket authentication; throws if the token is invalid, expired or revoked
+const verifyToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  
+  // Tokens minted for one purpose (e.g. two-factor challenges) are not access tokens
+  if (decoded.purpose) {
+    throw new Error('Token cannot be used for authentication');
+  }
+  
+  // Tokens from before sessions only work during the migration window
+  if (!decoded.sid && !acceptsSessionlessTokens()) {
+    throw new Error('Token has no session');
+  }
+  
+  const [user, session] = await Promise.all([
+    User.getById(decoded.userId),
+    decoded.sid ? Session.getById(decoded.sid) : null
+  ]);
+  
+  // Access tokens belong to a session and stop working as soon as it is revoked
+  if (decoded.sid && (!session || session.userId !== decoded.userId)) {
+    throw new Error('Session has been revoked');
+  }
+  
+  // Tokens issued before (or in the same millisecond as) the user's tokens were revoked are
+  // no longer accepted. Tokens without iatMs and revocations stored in seconds (tokensValidAfter)
+  // predate millisecond times and are compared at the start of their second
+  const revokedAt = user && (user.tokensValidAfterMs || (user.tokensValidAfter || 0) * 1000);
+  const issuedAt = decoded.iatMs || decoded.iat * 1000;
+  
+  if (revokedAt && issuedAt <= revokedAt) {
+    throw new Error('Token has been revoked');
+  }
+  
+  return { decoded, user };
+};
 
 // Middleware to authenticate JWT token
 const authenticateToken = async (req, res, next) => {
@@ -16,16 +62,15 @@ const authenticateToken = async (req, res, next) => {
     
     // Verify token
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const { decoded, user } = await verifyToken(token);
       
-      // Get user from database
-      const user = await User.getById(decoded.userId);
       if (!user) {
         return res.status(404).json({ message: 'User not found' });
       }
       
-      // Attach user to request
+      // Attach user (and their session) to request
       req.user = user;
+      req.sessionId = decoded.sid || null;
       next();
     } catch (error) {
       console.error('Token verification error:', error);
@@ -37,6 +82,53 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Middleware that attaches the user when a valid token is sent, but lets anonymous requests through
+const optionalAuthenticateToken = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+  
+  return authenticateToken(req, res, next);
+};
+
+// Socket.io handshake middleware: verifies the same JWT as HTTP requests, sent as
+// `auth.token` in the handshake or as a Bearer Authorization header
+const authenticateSocket = async (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers.authorization;
+    const token = socket.handshake.auth.token ||
+      (authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+    
+    if (!token) {
+      return next(new Error('No token provided'));
+    }
+    
+    try {
+      const { decoded, user } = await verifyToken(token);
+      
+      if (!user) {
+        return next(new Error('User not found'));
+      }
+      
+      // Attach user (and their session) to socket
+      socket.data.userId = user.userId;
+      socket.data.sessionId = decoded.sid || null;
+      socket.data.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+      next();
+    } catch (error) {
+      console.error('Socket token verification error:', error);
+      return next(new Error('Invalid token'));
+    }
+  } catch (error) {
+    console.error('Socket authentication error:', error);
+    next(new Error('Server error'));
+  }
+};
+
 module.exports = {
-  authenticateToken
+  verifyToken,
+  authenticateToken,
+  optionalAuthenticateToken,
+  authenticateSocket
 };
\ No newline at end of file
@@ -197,6 +197,30 @@ const uploadMiddleware = {
     uploadToS3('reels', BUCKETS.VIDEOS)
   ],
   
+  // For direct message images
+  messageImage: [
+    multer({
+      storage,
+      limits: {
+        fileSize: MAX_IMAGE_SIZE
+      },
+      fileFilter: fileFilter(ALLOWED_IMAGE_TYPES)
+    }).single('image'),
+    uploadToS3('messages', BUCKETS.IMAGES)
+  ],
+  
+  // For direct message videos
+  messageVideo: [
+    multer({
+      storage,
+      limits: {
+        fileSize: MAX_VIDEO_SIZE
+      },
+      fileFilter: fileFilter(ALLOWED_VIDEO_TYPES)
+    }).single('video'),
+    uploadToS3('messages', BUCKETS.VIDEOS)
+  ],
+  
   // Error handling middleware
   handleUploadError: (err, req, res, next) => {
     if (err instanceof multer.MulterError) {
@@ -0,0 +1,564 @@
+// models/Conversation.js
+const { dynamoDb, TABLES, isConditionalCheckFailure } = require('../config/dynamodb');
+const { v4: uuidv4 } = require('uuid');
+
+// Conversation kinds
+const TYPES = {
+  DIRECT: 'direct',
+  GROUP: 'group'
+};
+
+// Where a conversation shows up for a member. Direct messages from someone the recipient
+// does not follow land in requests until accepted; deleted requests stay hidden unless
+// the recipient restores them
+const FOLDERS = {
+  INBOX: 'inbox',
+  REQUESTS: 'requests',
+  DELETED: 'deleted'
+};
+
+// Largest group conversation allowed (creator included)
+const MAX_GROUP_SIZE = 50;
+
+// Direct conversations have one ID per pair of users, whoever starts them
+const getDirectId = (userId, otherUserId) => `dm_${[userId, otherUserId].sort().join('_')}`;
+
+// Short text shown in the inbox for the latest message
+const getPreview = (message) => {
+  if (message.type === 'text' || message.type === 'story_reply') {
+    return message.text.slice(0, 100);
+  }
+  if (message.type === 'story_reaction') {
+    return `Reacted ${message.text} to a story`;
+  }
+  return `[${message.type}]`;
+};
+
+// Members also carry read/delivered pointers (lastReadMessageId, lastDeliveredMessageId)
+// once they have any, and the number of unread messages from other participants.
+// Group members record who added them, so a request can be traced back to that person
+const buildMember = (conversationId, userId, role, timestamp, folder = FOLDERS.INBOX, addedBy = null) => ({
+  conversationId,
+  userId,
+  role,
+  folder,
+  joinedAt: timestamp,
+  lastActivityAt: timestamp,
+  unreadCount: 0,
+  ...(addedBy && { addedBy })
+});
+
+// Filter a user's memberships down to one folder (members created before folders existed are in the inbox)
+const folderFilter = (folder) => {
+  if (folder === FOLDERS.INBOX) {
+    return '(attribute_not_exists(folder) OR folder = :folder)';
+  }
+  return 'folder = :folder';
+};
+
+// Move a member into a folder from one of fromFolders, setting any extra attributes.
+// Returns the updated member, or null if the member was not in one of those folders
+const updateFolder = async (conversationId, userId, fromFolders, toFolder, extra = {}) => {
+  const setExpressions = ['folder = :toFolder'];
+  const expressionAttributeValues = {
+    ':toFolder': toFolder
+  };
+  
+  const fromPlaceholders = fromFolders.map((folder, index) => {
+    expressionAttributeValues[`:fromFolder${index}`] = folder;
+    return `:fromFolder${index}`;
+  });
+  
+  Object.entries(extra).forEach(([key, value]) => {
+    setExpressions.push(`${key} = :${key}`);
+    expressionAttributeValues[`:${key}`] = value;
+  });
+  
+  const params = {
+    TableName: TABLES.CONVERSATION_MEMBERS,
+    Key: { conversationId, userId },
+    UpdateExpression: `SET ${setExpressions.join(', ')}`,
+    ConditionExpression: `folder IN (${fromPlaceholders.join(', ')})`,
+    ExpressionAttributeValues: expressionAttributeValues,
+    ReturnValues: 'ALL_NEW'
+  };
+  
+  try {
+    const result = await dynamoDb.update(params);
+    return result.Attributes;
+  } catch (error) {
+    if (isConditionalCheckFailure(error)) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const Conversation = {
+  TYPES,
+  FOLDERS,
+  MAX_GROUP_SIZE,
+  getDirectId,
+  
+  // Get the direct conversation between two users, creating it on first use with the
+  // other user's side in otherFolder. Returns { conversation, created }
+  getOrCreateDirect: async (userId, otherUserId, otherFolder = FOLDERS.INBOX) => {
+    try {
+      const conversationId = getDirectId(userId, otherUserId);
+      const timestamp = new Date().toISOString();
+      
+      const conversationItem = {
+        conversationId,
+        type: TYPES.DIRECT,
+        createdBy: userId,
+        participantIds: [userId, otherUserId],
+        lastMessage: null,
+        createdAt: timestamp,
+        updatedAt: timestamp
+      };
+      
+      // Create the conversation and both memberships together
+      const transactionParams = {
+        TransactItems: [
+          {
+            Put: {
+              TableName: TABLES.CONVERSATIONS,
+              Item: conversationItem,
+              ConditionExpression: 'attribute_not_exists(conversationId)'
+            }
+          },
+          {
+            Put: {
+              TableName: TABLES.CONVERSATION_MEMBERS,
+              Item: buildMember(conversationId, userId, 'member', timestamp)
+            }
+          },
+          {
+            Put: {
+              TableName: TABLES.CONVERSATION_MEMBERS,
+              Item: buildMember(conversationId, otherUserId, 'member', timestamp, otherFolder)
+            }
+          }
+        ]
+      };
+      
+      try {
+        await dynamoDb.transactWrite(transactionParams);
+        return { conversation: conversationItem, created: true };
+      } catch (error) {
+        // Already exists - return it
+        if (!isConditionalCheckFailure(error)) {
+          throw error;
+        }
+      }
+      
+      return {
+        conversation: await Conversation.getById(conversationId),
+        created: false
+      };
+    } catch (error) {
+      console.error('Error getting or creating direct conversation:', error);
+      throw error;
+    }
+  },
+  
+  // Create a group conversation; the creator becomes its admin. folders maps participants
+  // to the folder the conversation starts in for them (the inbox if not given)
+  createGroup: async (creatorId, participantIds, name, folders = {}) => {
+    try {
+      const conversationId = uuidv4();
+      const timestamp = new Date().toISOString();
+      const memberIds = [...new Set([creatorId, ...participantIds])];
+      
+      const conversationItem = {
+        conversationId,
+        type: TYPES.GROUP,
+        name: name || '',
+        createdBy: creatorId,
+        lastMessage: null,
+        createdAt: timestamp,
+        updatedAt: timestamp
+      };
+      
+      const transactionParams = {
+        TransactItems: [
+          {
+            Put: {
+              TableName: TABLES.CONVERSATIONS,
+              Item: conversationItem
+            }
+          },
+          ...memberIds.map(memberId => ({
+            Put: {
+              TableName: TABLES.CONVERSATION_MEMBERS,
+              Item: memberId === creatorId
+                ? buildMember(conversationId, memberId, 'admin', timestamp)
+                : buildMember(conversationId, memberId, 'member', timestamp, folders[memberId], creatorId)
+            }
+          }))
+        ]
+      };
+      
+      await dynamoDb.transactWrite(transactionParams);
+      return conversationItem;
+    } catch (error) {
+      console.error('Error creating group conversation:', error);
+      throw error;
+    }
+  },
+  
+  // Get a conversation by ID
+  getById: async (conversationId) => {
+    try {
+      const params = {
+        TableName: TABLES.CONVERSATIONS,
+        Key: { conversationId }
+      };
+      
+      return await dynamoDb.get(params);
+    } catch (error) {
+      console.error('Error getting conversation by ID:', error);
+      throw error;
+    }
+  },
+  
+  // Get several conversations at once
+  getByIds: async (conversationIds) => {
+    try {
+      return await dynamoDb.batchGetAll(
+        TABLES.CONVERSATIONS,
+        conversationIds.map(conversationId => ({ conversationId }))
+      );
+    } catch (error) {
+      console.error('Error getting conversations:', error);
+      throw error;
+    }
+  },
+  
+  // Get a user's membership of a conversation (null if not a member)
+  getMember: async (conversationId, userId) => {
+    try {
+      const params = {
+        TableName: TABLES.CONVERSATION_MEMBERS,
+        Key: { conversationId, userId }
+      };
+      
+      return (await dynamoDb.get(params)) || null;
+    } catch (error) {
+      console.error('Error getting conversation member:', error);
+      throw error;
+    }
+  },
+  
+  // Get every member of a conversation
+  getMembers: async (conversationId) => {
+    try {
+      const params = {
+        TableName: TABLES.CONVERSATION_MEMBERS,
+        KeyConditionExpression: 'conversationId = :conversationId',
+        ExpressionAttributeValues: {
+          ':conversationId': conversationId
+        }
+      };
+      
+      return await dynamoDb.query(params);
+    } catch (error) {
+      console.error('Error getting conversation members:', error);
+      throw error;
+    }
+  },
+  
+  // Get a page of a user's memberships in a folder, most recently active conversation first
+  getForUser: async (userId, limit = 20, lastEvaluatedKey = null, folder = FOLDERS.INBOX) => {
+    try {
+      const params = {
+        TableName: TABLES.CONVERSATION_MEMBERS,
+        IndexName: 'UserActivityIndex',
+        KeyConditionExpression: 'userId = :userId',
+        FilterExpression: folderFilter(folder),
+        ExpressionAttributeValues: {
+          ':userId': userId,
+          ':folder': folder
+        },
+        ScanIndexForward: false, // Most recent first
+        Limit: limit
+      };
+      
+      if (lastEvaluatedKey) {
+        params.ExclusiveStartKey = lastEvaluatedKey;
+      }
+      
+      const result = await dynamoDb.queryPage(params);
+      
+      return {
+        memberships: result.Items,
+        lastEvaluatedKey: result.LastEvaluatedKey
+      };
+    } catch (error) {
+      console.error('Error getting user conversations:', error);
+      throw error;
+    }
+  },
+  
+  // Add members to a group conversation on behalf of addedBy; folders maps them to the
+  // folder the conversation starts in for them (the inbox if not given)
+  addMembers: async (conversationId, userIds, addedBy, folders = {}) => {
+    try {
+      const timestamp = new Date().toISOString();
+      
+      await dynamoDb.batchWriteAll(TABLES.CONVERSATION_MEMBERS, userIds.map(userId => ({
+        PutRequest: { Item: buildMember(conversationId, userId, 'member', timestamp, folders[userId], addedBy) }
+      })));
+      
+      return true;
+    } catch (error) {
+      console.error('Error adding conversation members:', error);
+      throw error;
+    }
+  },
+  
+  // Remove a member from a conversation
+  removeMember: async (conversationId, userId) => {
+    try {
+      const params = {
+        TableName: TABLES.CONVERSATION_MEMBERS,
+        Key: { conversationId, userId }
+      };
+      
+      await dynamoDb.delete(params);
+      return true;
+    } catch (error) {
+      console.error('Error removing conversation member:', error);
+      throw error;
+    }
+  },
+  
+  // Store a new message as the conversation's latest and move it to the top of each inbox.
+  // The sender has read their own message; everyone else gains an unread message.
+  // Returns the IDs of members for whom the conversation just became unread
+  recordMessage: async (conversationId, message, memberIds) => {
+    try {
+      await dynamoDb.update({
+        TableName: TABLES.CONVERSATIONS,
+        Key: { conversationId },
+        UpdateExpression: 'SET lastMessage = :lastMessage, updatedAt = :timestamp',
+        ExpressionAttributeValues: {
+          ':lastMessage': {
+            messageId: message.messageId,
+            senderId: message.senderId,
+            type: message.type,
+            preview: getPreview(message),
+            timestamp: message.timestamp
+          },
+          ':timestamp': message.timestamp
+        }
+      });
+      
+      const newlyUnread = [];
+      
+      await Promise.all(memberIds.map(async (userId) => {
+        const params = {
+          TableName: TABLES.CONVERSATION_MEMBERS,
+          Key: { conversationId, userId },
+          ConditionExpression: 'attribute_exists(userId)',
+          ExpressionAttributeValues: {
+            ':timestamp': message.timestamp
+          },
+          ReturnValues: 'UPDATED_NEW'
+        };
+        
+        if (userId === message.senderId) {
+          params.UpdateExpression = 'SET lastActivityAt = :timestamp, lastReadMessageId = :messageId, ' +
+            'lastDeliveredMessageId = :messageId, lastReadAt = :timestamp';
+          params.ExpressionAttributeValues[':messageId'] = message.messageId;
+        } else {
+          params.UpdateExpression = 'SET lastActivityAt = :timestamp ADD unreadCount :one';
+          params.ExpressionAttributeValues[':one'] = 1;
+        }
+        
+        try {
+          const result = await dynamoDb.update(params);
+          if (result.Attributes && result.Attributes.unreadCount === 1) {
+            newlyUnread.push(userId);
+          }
+        } catch (error) {
+          // Member left in the meantime - nothing to update
+          if (!isConditionalCheckFailure(error)) {
+            throw error;
+          }
+        }
+      }));
+      
+      return newlyUnread;
+    } catch (error) {
+      console.error('Error recording conversation message:', error);
+      throw error;
+    }
+  },
+  
+  // Move a member's read pointer forward to a message. Unread messages from others after
+  // that message stay unread. Returns the updated member, or null if the pointer was
+  // already at or past the message
+  markRead: async (conversationId, userId, messageId) => {
+    try {
+      // Count what is still unread after the new pointer (a COUNT query stops at 1 MB
+      // of messages read, so keep going until every page is counted)
+      let unreadCount = 0;
+      let lastEvaluatedKey = null;
+      
+      do {
+        const countParams = {
+          TableName: TABLES.MESSAGES,
+          KeyConditionExpression: 'conversationId = :conversationId AND messageId > :messageId',
+          FilterExpression: 'senderId <> :userId',
+          ExpressionAttributeValues: {
+            ':conversationId': conversationId,
+            ':messageId': messageId,
+            ':userId': userId
+          },
+          Select: 'COUNT'
+        };
+        
+        if (lastEvaluatedKey) {
+          countParams.ExclusiveStartKey = lastEvaluatedKey;
+        }
+        
+        const remaining = await dynamoDb.queryPage(countParams);
+        unreadCount += remaining.Count;
+        lastEvaluatedKey = remaining.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+      
+      const params = {
+        TableName: TABLES.CONVERSATION_MEMBERS,
+        Key: { conversationId, userId },
+        UpdateExpression: 'SET lastReadMessageId = :messageId, lastReadAt = :timestamp, unreadCount = :unreadCount, ' +
+          'lastDeliveredMessageId = if_not_exists(lastDeliveredMessageId, :messageId)',
+        ConditionExpression: 'attribute_exists(userId) AND ' +
+          '(attribute_not_exists(lastReadMessageId) OR lastReadMessageId < :messageId)',
+        ExpressionAttributeValues: {
+          ':messageId': messageId,
+          ':timestamp': new Date().toISOString(),
+          ':unreadCount': unreadCount
+        },
+        ReturnValues: 'ALL_NEW'
+      };
+      
+      let member;
+      try {
+        const result = await dynamoDb.update(params);
+        member = result.Attributes;
+      } catch (error) {
+        if (isConditionalCheckFailure(error)) {
+          return null;
+        }
+        throw error;
+      }
+      
+      // Whatever has been read has also been delivered
+      if (member.lastDeliveredMessageId < messageId) {
+        member = await Conversation.markDelivered(conversationId, userId, messageId) || member;
+      }
+      
+      return member;
+    } catch (error) {
+      console.error('Error marking conversation as read:', error);
+      throw error;
+    }
+  },
+  
+  // Move a member's delivered pointer forward to a message.
+  // Returns the updated member, or null if the pointer was already at or past the message
+  markDelivered: async (conversationId, userId, messageId) => {
+    try {
+      const params = {
+        TableName: TABLES.CONVERSATION_MEMBERS,
+        Key: { conversationId, userId },
+        UpdateExpression: 'SET lastDeliveredMessageId = :messageId',
+        ConditionExpression: 'attribute_exists(userId) AND ' +
+          '(attribute_not_exists(lastDeliveredMessageId) OR lastDeliveredMessageId < :messageId)',
+        ExpressionAttributeValues: {
+          ':messageId': messageId
+        },
+        ReturnValues: 'ALL_NEW'
+      };
+      
+      try {
+        const result = await dynamoDb.update(params);
+        return result.Attributes;
+      } catch (error) {
+        if (isConditionalCheckFailure(error)) {
+          return null;
+        }
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error marking messages as delivered:', error);
+      throw error;
+    }
+  },
+  
+  // Count the user's conversations in a folder that have unread messages
+  getUnreadCount: async (userId, folder = FOLDERS.INBOX) => {
+    try {
+      let count = 0;
+      let lastEvaluatedKey = null;
+      
+      do {
+        const params = {
+          TableName: TABLES.CONVERSATION_MEMBERS,
+          IndexName: 'UserActivityIndex',
+          KeyConditionExpression: 'userId = :userId',
+          FilterExpression: `unreadCount > :zero AND ${folderFilter(folder)}`,
+          ExpressionAttributeValues: {
+            ':userId': userId,
+            ':zero': 0,
+            ':folder': folder
+          },
+          Select: 'COUNT'
+        };
+        
+        if (lastEvaluatedKey) {
+          params.ExclusiveStartKey = lastEvaluatedKey;
+        }
+        
+        const result = await dynamoDb.queryPage(params);
+        count += result.Count;
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+      
+      return count;
+    } catch (error) {
+      console.error('Error getting unread conversation count:', error);
+      throw error;
+    }
+  },
+  
+  // Accept a message request (or restore a deleted one), moving the conversation into the main inbox
+  acceptRequest: async (conversationId, userId) => {
+    try {
+      return await updateFolder(conversationId, userId, [FOLDERS.REQUESTS, FOLDERS.DELETED], FOLDERS.INBOX, {
+        acceptedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error accepting message request:', error);
+      throw error;
+    }
+  },
+  
+  // Delete a message request. Messages up to clearedMessageId stay hidden from the member
+  deleteRequest: async (conversationId, userId, clearedMessageId = null) => {
+    try {
+      const extra = { unreadCount: 0 };
+      if (clearedMessageId) {
+        extra.clearedMessageId = clearedMessageId;
+      }
+      
+      return await updateFolder(conversationId, userId, [FOLDERS.REQUESTS], FOLDERS.DELETED, extra);
+    } catch (error) {
+      console.error('Error deleting message request:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = Conversation;
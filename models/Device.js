@@ -0,0 +1,114 @@
+// models/Device.js
+const { dynamoDb, TABLES } = require('../config/dynamodb');
+
+// Mobile platforms that can receive push notifications
+const PLATFORMS = {
+  IOS: 'ios', // APNs
+  ANDROID: 'android' // FCM
+};
+
+const Device = {
+  PLATFORMS,
+  
+  // Register (or refresh) a user's device and the SNS endpoint it is reached through
+  save: async (userId, deviceData) => {
+    try {
+      const timestamp = new Date().toISOString();
+      const existing = await Device.get(userId, deviceData.deviceId);
+      
+      const deviceItem = {
+        userId,
+        deviceId: deviceData.deviceId,
+        platform: deviceData.platform,
+        token: deviceData.token,
+        endpointArn: deviceData.endpointArn,
+        createdAt: existing ? existing.createdAt : timestamp,
+        updatedAt: timestamp
+      };
+      
+      const params = {
+        TableName: TABLES.DEVICES,
+        Item: deviceItem
+      };
+      
+      await dynamoDb.put(params);
+      return deviceItem;
+    } catch (error) {
+      console.error('Error saving device:', error);
+      throw error;
+    }
+  },
+  
+  // Get one of a user's devices
+  get: async (userId, deviceId) => {
+    try {
+      const params = {
+        TableName: TABLES.DEVICES,
+        Key: { userId, deviceId }
+      };
+      
+      return await dynamoDb.get(params);
+    } catch (error) {
+      console.error('Error getting device:', error);
+      throw error;
+    }
+  },
+  
+  // Get all of a user's registered devices
+  getByUserId: async (userId) => {
+    try {
+      const params = {
+        TableName: TABLES.DEVICES,
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: {
+          ':userId': userId
+        }
+      };
+      
+      return await dynamoDb.query(params);
+    } catch (error) {
+      console.error('Error getting user devices:', error);
+      throw error;
+    }
+  },
+  
+  // Get every registration of a push token (normally one; more if the device changed accounts)
+  getByToken: async (token) => {
+    try {
+      const params = {
+        TableName: TABLES.DEVICES,
+        IndexName: 'TokenIndex',
+        KeyConditionExpression: '#token = :token',
+        ExpressionAttributeNames: {
+          '#token': 'token' // 'token' is a reserved keyword
+        },
+        ExpressionAttributeValues: {
+          ':token': token
+        }
+      };
+      
+      return await dynamoDb.query(params);
+    } catch (error) {
+      console.error('Error getting devices by token:', error);
+      throw error;
+    }
+  },
+  
+  // Remove a device registration
+  delete: async (userId, deviceId) => {
+    try {
+      const params = {
+        TableName: TABLES.DEVICES,
+        Key: { userId, deviceId }
+      };
+      
+      await dynamoDb.delete(params);
+      return true;
+    } catch (error) {
+      console.error('Error deleting device:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = Device;
@@ -0,0 +1,70 @@
+// models/FeedImpression.js
+const { dynamoDb, TABLES } = require('../config/dynamodb');
+
+// Impressions only need to outlive a scrolling session (DynamoDB TTL on expiryTime)
+const SESSION_TTL_HOURS = parseInt(process.env.FEED_SESSION_TTL_HOURS || '24');
+
+// Feed session IDs come back from the client in the page cursor, so impressions are
+// partitioned by user and session: a cursor can only ever reach its own user's sessions
+const toSessionKey = (userId, sessionId) => `${userId}#${sessionId}`;
+
+const FeedImpression = {
+  // Record the posts served on one page of a ranked feed session
+  record: async (userId, sessionId, postIds) => {
+    try {
+      const servedAt = new Date().toISOString();
+      const expiryTime = Math.floor(Date.now() / 1000) + SESSION_TTL_HOURS * 3600;
+      
+      await dynamoDb.batchWriteAll(TABLES.FEED_IMPRESSIONS, postIds.map(postId => ({
+        PutRequest: {
+          Item: {
+            sessionId: toSessionKey(userId, sessionId),
+            postId,
+            userId,
+            servedAt,
+            expiryTime
+          }
+        }
+      })));
+      
+      return true;
+    } catch (error) {
+      console.error('Error recording feed impressions:', error);
+      throw error;
+    }
+  },
+  
+  // Get the IDs of every post already served in one of the user's sessions
+  getServedIds: async (userId, sessionId) => {
+    try {
+      const servedIds = new Set();
+      let lastEvaluatedKey = null;
+      
+      do {
+        const params = {
+          TableName: TABLES.FEED_IMPRESSIONS,
+          KeyConditionExpression: 'sessionId = :sessionId',
+          ExpressionAttributeValues: {
+            ':sessionId': toSessionKey(userId, sessionId)
+          },
+          ProjectionExpression: 'postId'
+        };
+        
+        if (lastEvaluatedKey) {
+          params.ExclusiveStartKey = lastEvaluatedKey;
+        }
+        
+        const result = await dynamoDb.queryPage(params);
+        result.Items.forEach(item => servedIds.add(item.postId));
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+      
+      return servedIds;
+    } catch (error) {
+      console.error('Error getting served feed posts:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = FeedImpression;
@@ -0,0 +1,160 @@
+// models/FollowRequest.js
+const { dynamoDb, TABLES, isConditionalCheckFailure } = require('../config/dynamodb');
+
+// Request states. A request stays pending until the target answers it; accepted and
+// declined requests are kept for RESOLVED_REQUEST_TTL_DAYS and then expire (TTL on expiryTime)
+const STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined'
+};
+
+const RESOLVED_REQUEST_TTL_DAYS = parseInt(process.env.FOLLOW_REQUEST_TTL_DAYS || '30');
+
+// Requests received by a user in one state share a StatusIndex partition, so a page of
+// pending requests holds nothing but pending requests
+const getStatusKey = (targetId, status) => `${targetId}#${status}`;
+
+const FollowRequest = {
+  STATUS,
+  
+  // Create a follow request (or send one again after an answer); returns null if one is already pending
+  create: async (requesterId, targetId) => {
+    try {
+      const timestamp = new Date().toISOString();
+      
+      const requestItem = {
+        targetId,
+        requesterId,
+        status: STATUS.PENDING,
+        statusKey: getStatusKey(targetId, STATUS.PENDING),
+        timestamp,
+        updatedAt: timestamp
+      };
+      
+      const params = {
+        TableName: TABLES.FOLLOW_REQUESTS,
+        Item: requestItem,
+        // Only one open request per pair; answered requests may be sent again
+        ConditionExpression: 'attribute_not_exists(targetId) OR #status <> :pending',
+        ExpressionAttributeNames: {
+          '#status': 'status' // 'status' is a reserved keyword
+        },
+        ExpressionAttributeValues: {
+          ':pending': STATUS.PENDING
+        }
+      };
+      
+      await dynamoDb.put(params);
+      return requestItem;
+    } catch (error) {
+      // A request is already pending
+      if (isConditionalCheckFailure(error)) {
+        return null;
+      }
+      
+      console.error('Error creating follow request:', error);
+      throw error;
+    }
+  },
+  
+  // Get the request between a requester and a target
+  get: async (targetId, requesterId) => {
+    try {
+      const params = {
+        TableName: TABLES.FOLLOW_REQUESTS,
+        Key: { targetId, requesterId }
+      };
+      
+      return await dynamoDb.get(params);
+    } catch (error) {
+      console.error('Error getting follow request:', error);
+      throw error;
+    }
+  },
+  
+  // Get a page of the requests received by a user in one state, most recently updated first
+  getForUser: async (targetId, status = STATUS.PENDING, limit = 20, lastEvaluatedKey = null) => {
+    try {
+      const params = {
+        TableName: TABLES.FOLLOW_REQUESTS,
+        IndexName: 'StatusIndex',
+        KeyConditionExpression: 'statusKey = :statusKey',
+        ExpressionAttributeValues: {
+          ':statusKey': getStatusKey(targetId, status)
+        },
+        ScanIndexForward: false,
+        Limit: limit
+      };
+      
+      if (lastEvaluatedKey) {
+        params.ExclusiveStartKey = lastEvaluatedKey;
+      }
+      
+      const result = await dynamoDb.queryPage(params);
+      
+      return {
+        requests: result.Items,
+        lastEvaluatedKey: result.LastEvaluatedKey
+      };
+    } catch (error) {
+      console.error('Error getting follow requests:', error);
+      throw error;
+    }
+  },
+  
+  // Get pending requests received by a user
+  getPendingForUser: (targetId, limit = 20, lastEvaluatedKey = null) =>
+    FollowRequest.getForUser(targetId, STATUS.PENDING, limit, lastEvaluatedKey),
+  
+  // Move a pending request to accepted/declined; returns false if it was not pending
+  respond: async (targetId, requesterId, status) => {
+    try {
+      const params = {
+        TableName: TABLES.FOLLOW_REQUESTS,
+        Key: { targetId, requesterId },
+        UpdateExpression: 'SET #status = :status, statusKey = :statusKey, updatedAt = :updatedAt, ' +
+          'expiryTime = :expiryTime',
+        ConditionExpression: '#status = :pending',
+        ExpressionAttributeNames: {
+          '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+          ':status': status,
+          ':statusKey': getStatusKey(targetId, status),
+          ':pending': STATUS.PENDING,
+          ':updatedAt': new Date().toISOString(),
+          ':expiryTime': Math.floor(Date.now() / 1000) + RESOLVED_REQUEST_TTL_DAYS * 86400
+        }
+      };
+      
+      await dynamoDb.update(params);
+      return true;
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return false;
+      }
+      
+      console.error('Error responding to follow request:', error);
+      throw error;
+    }
+  },
+  
+  // Delete a request (withdrawn by the requester, or the follow ended)
+  delete: async (targetId, requesterId) => {
+    try {
+      const params = {
+        TableName: TABLES.FOLLOW_REQUESTS,
+        Key: { targetId, requesterId }
+      };
+      
+      await dynamoDb.delete(params);
+      return true;
+    } catch (error) {
+      console.error('Error deleting follow request:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = FollowRequest;
@@ -1,8 +1,99 @@
 // models/Interaction.js
-const { dynamoDb, TABLES } = require('../config/dynamodb');
+const { dynamoDb, TABLES, isConditionalCheckFailure } = require('../config/dynamodb');
 const { v4: uuidv4 } = require('uuid');
 
+// Where each kind of likeable content keeps its likesCount
+const LIKE_TARGETS = {
+  post: (contentId) => ({ TableName: TABLES.POSTS, Key: { postId: contentId } }),
+  reel: (contentId) => ({ TableName: TABLES.STORIES, Key: { contentId } }),
+  story: (contentId) => ({ TableName: TABLES.STORIES, Key: { contentId } }),
+  comment: (contentId) => ({ TableName: TABLES.INTERACTIONS, Key: { interactionId: contentId } })
+};
+
+// Condition for counter updates on a target, so a reaction racing a delete doesn't
+// recreate the deleted item as a bare counter
+const targetExists = (target) => `attribute_exists(${Object.keys(target.Key)[0]})`;
+
+// One like record per user and target, so liking twice writes the same item
+const getLikeId = (userId, contentId) => `like#${userId}#${contentId}`;
+
+// Supported reaction types ('like' is the default)
+const REACTION_TYPES = ['like', 'love', 'laugh', 'wow', 'sad', 'angry'];
+
+// Reacting to content that doesn't exist (or was deleted meanwhile); controllers answer 404
+const contentNotFound = () => new Error('Content not found');
+
+// Whether a counter update failed because the target has no reactionCounts map to add a
+// per-type counter to (content created before reactions existed; new content starts with one)
+const isMissingReactionCounts = (error) => {
+  if (!error) return false;
+  
+  if (error.code === 'ValidationException') {
+    return /document path/i.test(error.message || '');
+  }
+  
+  return error.code === 'TransactionCanceledException' &&
+    /ValidationError/.test(error.message || '');
+};
+
+// Run a reaction transaction, giving a legacy target its reactionCounts map and retrying
+// if that is what it lacked
+const writeReaction = async (target, transactionParams) => {
+  try {
+    await dynamoDb.transactWrite(transactionParams);
+  } catch (error) {
+    if (!isMissingReactionCounts(error)) {
+      throw error;
+    }
+    
+    try {
+      await dynamoDb.update({
+        ...target,
+        UpdateExpression: 'SET reactionCounts = if_not_exists(reactionCounts, :empty)',
+        ConditionExpression: targetExists(target),
+        ExpressionAttributeValues: {
+          ':empty': {}
+        }
+      });
+    } catch (updateError) {
+      if (isConditionalCheckFailure(updateError)) {
+        throw contentNotFound();
+      }
+      throw updateError;
+    }
+    
+    await dynamoDb.transactWrite(transactionParams);
+  }
+};
+
+// Read the current reaction counters of a target; throws if the target is gone
+const getReactionSummary = async (target) => {
+  const item = await dynamoDb.get({
+    ...target,
+    ProjectionExpression: 'likesCount, reactionCounts'
+  });
+  
+  if (!item) {
+    throw contentNotFound();
+  }
+  
+  const reactionCounts = {};
+  Object.entries(item.reactionCounts || {}).forEach(([type, count]) => {
+    if (count > 0) {
+      reactionCounts[type] = count;
+    }
+  });
+  
+  return {
+    likesCount: item.likesCount || 0,
+    reactionCounts
+  };
+};
+
 const Interaction = {
+  REACTION_TYPES,
+  getLikeId,
+  
   // Create a new interaction (comment, like, etc.)
   create: async (interactionData) => {
     try {
@@ -19,6 +110,12 @@ const Interaction = {
         timestamp
       };
       
+      // Comments can be reacted to, so they carry the same counters as posts and reels
+      if (interactionData.type === 'comment') {
+        interactionItem.likesCount = 0;
+        interactionItem.reactionCounts = {};
+      }
+      
       const params = {
         TableName: TABLES.INTERACTIONS,
         Item: interactionItem,
@@ -84,7 +181,7 @@ const Interaction = {
         params.ExclusiveStartKey = lastEvaluatedKey;
       }
       
-      const result = await dynamoDb.query(params);
+      const result = await dynamoDb.queryPage(params);
       
       return {
         interactions: result.Items,
@@ -113,7 +210,7 @@ const Interaction = {
         params.ExclusiveStartKey = lastEvaluatedKey;
       }
       
-      const result = await dynamoDb.query(params);
+      const result = await dynamoDb.queryPage(params);
       
       return {
         replies: result.Items,
@@ -163,6 +260,333 @@ const Interaction = {
       console.error('Error deleting interaction:', error);
       throw error;
     }
+  },
+  
+  // React to a post, reel, story or comment. Reacting again with the same type is a
+  // no-op; a different type changes the reaction. likesCount counts every reaction,
+  // reactionCounts counts them per type.
+  // Returns { reacted, changed, previousReaction, reactionType } and the current counts
+  react: async (userId, contentType, contentId, reactionType = 'like') => {
+    try {
+      const target = LIKE_TARGETS[contentType](contentId);
+      const likeId = getLikeId(userId, contentId);
+      
+      const existing = await Interaction.getById(likeId);
+      // Likes recorded before reactions existed have no reactionType
+      const previousReaction = existing ? (existing.reactionType || 'like') : null;
+      
+      if (previousReaction === reactionType) {
+        return {
+          reacted: false,
+          changed: false,
+          previousReaction,
+          reactionType,
+          ...(await getReactionSummary(target))
+        };
+      }
+      
+      let transactionParams;
+      
+      if (!existing) {
+        const likeItem = {
+          interactionId: likeId,
+          type: 'like',
+          reactionType,
+          userId,
+          contentId,
+          contentType,
+          timestamp: new Date().toISOString()
+        };
+        
+        // Use transaction so the reaction record and the counters always move together
+        transactionParams = {
+          TransactItems: [
+            {
+              Put: {
+                TableName: TABLES.INTERACTIONS,
+                Item: likeItem,
+                ConditionExpression: 'attribute_not_exists(interactionId)'
+              }
+            },
+            {
+              Update: {
+                ...target,
+                UpdateExpression: 'ADD likesCount :inc, reactionCounts.#reaction :inc',
+                ConditionExpression: targetExists(target),
+                ExpressionAttributeNames: {
+                  '#reaction': reactionType
+                },
+                ExpressionAttributeValues: {
+                  ':inc': 1
+                }
+              }
+            }
+          ]
+        };
+      } else {
+        // Change the reaction; the condition guards against a concurrent change
+        const changeParams = {
+          TableName: TABLES.INTERACTIONS,
+          Key: { interactionId: likeId },
+          UpdateExpression: 'SET reactionType = :reaction, updatedAt = :updatedAt',
+          ConditionExpression: 'attribute_exists(interactionId) AND attribute_not_exists(reactionType)',
+          ExpressionAttributeValues: {
+            ':reaction': reactionType,
+            ':updatedAt': new Date().toISOString()
+          }
+        };
+        
+        if (existing.reactionType) {
+          changeParams.ConditionExpression = 'reactionType = :previous';
+          changeParams.ExpressionAttributeValues[':previous'] = previousReaction;
+        }
+        
+        transactionParams = {
+          TransactItems: [
+            { Update: changeParams },
+            {
+              Update: {
+                ...target,
+                UpdateExpression: 'ADD reactionCounts.#previous :dec, reactionCounts.#reaction :inc',
+                ConditionExpression: targetExists(target),
+                ExpressionAttributeNames: {
+                  '#previous': previousReaction,
+                  '#reaction': reactionType
+                },
+                ExpressionAttributeValues: {
+                  ':inc': 1,
+                  ':dec': -1
+                }
+              }
+            }
+          ]
+        };
+      }
+      
+      let applied = true;
+      try {
+        await writeReaction(target, transactionParams);
+      } catch (error) {
+        // Lost a race with another request from the same user - keep its result
+        // (if the target was deleted instead, reading its counters below throws)
+        if (!isConditionalCheckFailure(error)) {
+          throw error;
+        }
+        applied = false;
+      }
+      
+      return {
+        reacted: applied && !existing,
+        changed: applied && !!existing,
+        previousReaction,
+        reactionType,
+        ...(await getReactionSummary(target))
+      };
+    } catch (error) {
+      console.error('Error reacting to content:', error);
+      throw error;
+    }
+  },
+  
+  // Remove a user's reaction; returns { removed } (false if there was none) and the current counts
+  unreact: async (userId, contentType, contentId) => {
+    try {
+      const target = LIKE_TARGETS[contentType](contentId);
+      const likeId = getLikeId(userId, contentId);
+      
+      const existing = await Interaction.getById(likeId);
+      
+      if (!existing) {
+        return {
+          removed: false,
+          ...(await getReactionSummary(target))
+        };
+      }
+      
+      const reactionType = existing.reactionType || 'like';
+      
+      // The condition guards against a concurrent change or removal
+      const deleteParams = {
+        TableName: TABLES.INTERACTIONS,
+        Key: { interactionId: likeId },
+        ConditionExpression: 'attribute_exists(interactionId) AND attribute_not_exists(reactionType)'
+      };
+      
+      if (existing.reactionType) {
+        deleteParams.ConditionExpression = 'reactionType = :reaction';
+        deleteParams.ExpressionAttributeValues = { ':reaction': reactionType };
+      }
+      
+      const transactionParams = {
+        TransactItems: [
+          { Delete: deleteParams },
+          {
+            Update: {
+              ...target,
+              UpdateExpression: 'ADD likesCount :dec, reactionCounts.#reaction :dec',
+              ConditionExpression: targetExists(target),
+              ExpressionAttributeNames: {
+                '#reaction': reactionType
+              },
+              ExpressionAttributeValues: {
+                ':dec': -1
+              }
+            }
+          }
+        ]
+      };
+      
+      let removed = true;
+      try {
+        await writeReaction(target, transactionParams);
+      } catch (error) {
+        // Removed or changed concurrently - nothing to do (if the target was deleted
+        // instead, reading its counters below throws)
+        if (!isConditionalCheckFailure(error)) {
+          throw error;
+        }
+        removed = false;
+      }
+      
+      return {
+        removed,
+        ...(await getReactionSummary(target))
+      };
+    } catch (error) {
+      console.error('Error removing reaction:', error);
+      throw error;
+    }
+  },
+  
+  // Get a page of reactions on a content item, optionally of a single type
+  getReactions: async (contentId, reactionType = null, limit = 20, lastEvaluatedKey = null) => {
+    try {
+      const params = {
+        TableName: TABLES.INTERACTIONS,
+        IndexName: 'ContentIndex',
+        KeyConditionExpression: 'contentId = :contentId',
+        FilterExpression: '#type = :like',
+        ExpressionAttributeNames: {
+          '#type': 'type' // 'type' is a reserved keyword
+        },
+        ExpressionAttributeValues: {
+          ':contentId': contentId,
+          ':like': 'like'
+        },
+        ScanIndexForward: false, // Most recent first
+        Limit: limit
+      };
+      
+      // Likes recorded before reactions existed count as 'like'
+      if (reactionType === 'like') {
+        params.FilterExpression += ' AND (reactionType = :reaction OR attribute_not_exists(reactionType))';
+        params.ExpressionAttributeValues[':reaction'] = reactionType;
+      } else if (reactionType) {
+        params.FilterExpression += ' AND reactionType = :reaction';
+        params.ExpressionAttributeValues[':reaction'] = reactionType;
+      }
+      
+      if (lastEvaluatedKey) {
+        params.ExclusiveStartKey = lastEvaluatedKey;
+      }
+      
+      const result = await dynamoDb.queryPage(params);
+      
+      return {
+        reactions: result.Items.map(item => ({
+          ...item,
+          reactionType: item.reactionType || 'like'
+        })),
+        lastEvaluatedKey: result.LastEvaluatedKey
+      };
+    } catch (error) {
+      console.error('Error getting reactions:', error);
+      throw error;
+    }
+  },
+  
+  // Get the reactions of the given users on a content item (by key, so the cost follows the
+  // number of users rather than the number of reactions), optionally of a single type
+  getReactionsByUsers: async (contentId, userIds, reactionType = null) => {
+    try {
+      const likes = await dynamoDb.batchGetAll(
+        TABLES.INTERACTIONS,
+        [...new Set(userIds)].map(userId => ({ interactionId: getLikeId(userId, contentId) }))
+      );
+      
+      // Likes recorded before reactions existed count as 'like'
+      return likes
+        .map(item => ({ ...item, reactionType: item.reactionType || 'like' }))
+        .filter(item => !reactionType || item.reactionType === reactionType);
+    } catch (error) {
+      console.error('Error getting reactions by users:', error);
+      throw error;
+    }
+  },
+  
+  // Check whether a user has reacted to a target
+  hasLiked: async (userId, contentId) => {
+    try {
+      const like = await Interaction.getById(getLikeId(userId, contentId));
+      return !!like;
+    } catch (error) {
+      console.error('Error checking like:', error);
+      throw error;
+    }
+  },
+  
+  // Count a user's recent likes and comments per content author (feed ranking affinity)
+  getAuthorAffinity: async (userId, limit = 200) => {
+    try {
+      const params = {
+        TableName: TABLES.INTERACTIONS,
+        IndexName: 'UserContentIndex',
+        KeyConditionExpression: 'userId = :userId',
+        FilterExpression: '#type IN (:like, :comment)',
+        ExpressionAttributeNames: {
+          '#type': 'type' // 'type' is a reserved keyword
+        },
+        ExpressionAttributeValues: {
+          ':userId': userId,
+          ':like': 'like',
+          ':comment': 'comment'
+        },
+        ScanIndexForward: false, // Most recent first
+        Limit: limit
+      };
+      
+      const interactions = await dynamoDb.query(params);
+      
+      if (!interactions || interactions.length === 0) {
+        return {};
+      }
+      
+      // Resolve authors of the posts interacted with; other content IDs simply don't match
+      const contentIds = [...new Set(interactions.map(interaction => interaction.contentId))];
+      const posts = await dynamoDb.batchGetAll(
+        TABLES.POSTS,
+        contentIds.map(postId => ({ postId })),
+        'postId, userId'
+      );
+      
+      const authorByPost = {};
+      posts.forEach(post => {
+        authorByPost[post.postId] = post.userId;
+      });
+      
+      const affinity = {};
+      interactions.forEach(interaction => {
+        const authorId = authorByPost[interaction.contentId];
+        if (authorId && authorId !== userId) {
+          affinity[authorId] = (affinity[authorId] || 0) + 1;
+        }
+      });
+      
+      return affinity;
+    } catch (error) {
+      console.error('Error getting author affinity:', error);
+      throw error;
+    }
   }
 };
 
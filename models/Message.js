@@ -0,0 +1,177 @@
+// models/Message.js
+const { dynamoDb, TABLES } = require('../config/dynamodb');
+const { v4: uuidv4 } = require('uuid');
+
+// Message kinds
+const TYPES = {
+  TEXT: 'text',
+  IMAGE: 'image',
+  VIDEO: 'video',
+  STORY_REPLY: 'story_reply',
+  STORY_REACTION: 'story_reaction'
+};
+
+// Emoji offered as one-tap story reactions
+const STORY_QUICK_REACTIONS = ['😂', '😮', '😍', '😢', '👏', '🔥', '🎉', '💯'];
+
+// Delivery states, from the sender's point of view
+const STATUSES = {
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read'
+};
+
+// Message IDs sort by creation time within a conversation (and are URL-safe)
+const newMessageId = () => `${Date.now().toString().padStart(13, '0')}-${uuidv4()}`;
+
+const Message = {
+  TYPES,
+  STATUSES,
+  STORY_QUICK_REACTIONS,
+  
+  // Work out a message's state from the other members' read and delivered pointers:
+  // read once every other member has read it, delivered once it has reached all of them
+  getStatus: (message, members) => {
+    const recipients = members.filter(member => member.userId !== message.senderId);
+    
+    if (recipients.length === 0) {
+      return STATUSES.SENT;
+    }
+    
+    if (recipients.every(member => member.lastReadMessageId >= message.messageId)) {
+      return STATUSES.READ;
+    }
+    
+    if (recipients.every(member => member.lastDeliveredMessageId >= message.messageId)) {
+      return STATUSES.DELIVERED;
+    }
+    
+    return STATUSES.SENT;
+  },
+  
+  // Create a new message
+  create: async (messageData) => {
+    try {
+      const messageItem = {
+        conversationId: messageData.conversationId,
+        messageId: newMessageId(),
+        senderId: messageData.senderId,
+        type: messageData.type || TYPES.TEXT,
+        text: messageData.text || '',
+        mediaUrl: messageData.mediaUrl || null,
+        timestamp: new Date().toISOString()
+      };
+      
+      // Story replies and reactions keep a snapshot of the story they refer to
+      if (messageData.storyRef) {
+        messageItem.storyRef = messageData.storyRef;
+      }
+      
+      const params = {
+        TableName: TABLES.MESSAGES,
+        Item: messageItem
+      };
+      
+      await dynamoDb.put(params);
+      return messageItem;
+    } catch (error) {
+      console.error('Error creating message:', error);
+      throw error;
+    }
+  },
+  
+  // Get a message by ID
+  getById: async (conversationId, messageId) => {
+    try {
+      const params = {
+        TableName: TABLES.MESSAGES,
+        Key: { conversationId, messageId }
+      };
+      
+      return await dynamoDb.get(params);
+    } catch (error) {
+      console.error('Error getting message by ID:', error);
+      throw error;
+    }
+  },
+  
+  // Get a page of a conversation's messages, newest first, optionally only those after afterMessageId
+  getPage: async (conversationId, limit = 50, lastEvaluatedKey = null, afterMessageId = null) => {
+    try {
+      const params = {
+        TableName: TABLES.MESSAGES,
+        KeyConditionExpression: 'conversationId = :conversationId',
+        ExpressionAttributeValues: {
+          ':conversationId': conversationId
+        },
+        ScanIndexForward: false, // Newest first
+        Limit: limit
+      };
+      
+      if (afterMessageId) {
+        params.KeyConditionExpression += ' AND messageId > :afterMessageId';
+        params.ExpressionAttributeValues[':afterMessageId'] = afterMessageId;
+      }
+      
+      if (lastEvaluatedKey) {
+        params.ExclusiveStartKey = lastEvaluatedKey;
+      }
+      
+      const result = await dynamoDb.queryPage(params);
+      
+      return {
+        messages: result.Items,
+        lastEvaluatedKey: result.LastEvaluatedKey
+      };
+    } catch (error) {
+      console.error('Error getting messages:', error);
+      throw error;
+    }
+  },
+  
+  // Mark story references whose story has expired (or been removed by the Stories TTL)
+  attachStoryStatus: async (messages) => {
+    try {
+      const storyIds = [...new Set(messages
+        .filter(message => message.storyRef)
+        .map(message => message.storyRef.storyId))];
+      
+      if (storyIds.length === 0) {
+        return messages;
+      }
+      
+      const stories = await dynamoDb.batchGetAll(
+        TABLES.STORIES,
+        storyIds.map(contentId => ({ contentId })),
+        'contentId, expiryTime'
+      );
+      
+      // TTL deletion can lag behind expiry, so check the expiry time as well
+      const now = Math.floor(Date.now() / 1000);
+      const liveIds = new Set(stories
+        .filter(story => story.expiryTime > now)
+        .map(story => story.contentId));
+      
+      return messages.map(message => {
+        if (!message.storyRef) {
+          return message;
+        }
+        
+        const expired = !liveIds.has(message.storyRef.storyId);
+        return {
+          ...message,
+          storyRef: {
+            ...message.storyRef,
+            expired,
+            thumbnailUrl: expired ? null : message.storyRef.thumbnailUrl
+          }
+        };
+      });
+    } catch (error) {
+      console.error('Error checking referenced stories:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = Message;
@@ -1,8 +1,71 @@
 // models/Notification.js
-const { dynamoDb, TABLES } = require('../config/dynamodb');
+const { dynamoDb, TABLES, isConditionalCheckFailure } = require('../config/dynamodb');
 const { v4: uuidv4 } = require('uuid');
 
+// Notification types grouped into one entry per target ("alex and 12 others liked your post")
+const AGGREGATED_TYPES = ['like', 'comment', 'share', 'reply'];
+
+// How many of the latest actors an aggregated notification keeps
+const MAX_ACTORS = 3;
+
+// Distinct actors a group tracks (in actorSet) before a new entry starts the group again,
+// keeping the entry well within DynamoDB's item size limit
+const MAX_TRACKED_ACTORS = 2000;
+
+// Actors already counted in a grouped notification
+const getCountedActors = (notification) => (notification.actorSet && notification.actorSet.values) || [];
+
+// actorSet is bookkeeping for counting, not something clients need (or should see)
+const withoutActorSet = (notification) => {
+  if (!notification || !notification.actorSet) {
+    return notification;
+  }
+  
+  const { actorSet, ...rest } = notification;
+  return rest;
+};
+
+// A notification as seen by a recipient who excludes some users (e.g. blocked ones). Grouped
+// notifications lose those actors: the latest remaining actor becomes the sender and the count
+// drops by the excluded actors it included. Null if none of its latest actors remain
+const withoutActors = (notification, excludedIds) => {
+  if (!notification.actorIds) {
+    return excludedIds.has(notification.senderId) ? null : notification;
+  }
+  
+  const actorIds = notification.actorIds.filter(id => !excludedIds.has(id));
+  
+  if (actorIds.length === 0) {
+    return null;
+  }
+  
+  if (actorIds.length === notification.actorIds.length && !excludedIds.has(notification.senderId)) {
+    return notification;
+  }
+  
+  const excludedCount = getCountedActors(notification).filter(id => excludedIds.has(id)).length;
+  
+  return {
+    ...notification,
+    senderId: actorIds[0],
+    actorIds,
+    actorCount: Math.max(notification.actorCount - excludedCount, actorIds.length)
+  };
+};
+
+// Notifications about the same target for the same recipient share a group key
+const getGroupKey = ({ recipientId, type, contentType, contentId }) =>
+  `${recipientId}#${type}#${contentType}#${contentId}`;
+
 const Notification = {
+  AGGREGATED_TYPES,
+  MAX_ACTORS,
+  MAX_TRACKED_ACTORS,
+  
+  // Whether notifications of this kind are grouped by target
+  isAggregated: (notificationData) =>
+    AGGREGATED_TYPES.includes(notificationData.type) && !!notificationData.contentId,
+  
   // Create a new notification
   create: async (notificationData) => {
     try {
@@ -21,25 +84,118 @@ const Notification = {
         timestamp
       };
       
+      // Reaction notifications keep the reaction used
+      if (notificationData.reactionType) {
+        notificationItem.reactionType = notificationData.reactionType;
+      }
+      
+      // Grouped notifications start with a single actor and are updated in place by aggregate()
+      if (Notification.isAggregated(notificationData)) {
+        notificationItem.groupKey = getGroupKey(notificationData);
+        notificationItem.action = notificationData.action;
+        notificationItem.actorIds = [notificationData.senderId];
+        notificationItem.actorSet = dynamoDb.createSet([notificationData.senderId]);
+        notificationItem.actorCount = 1;
+      }
+      
       const params = {
-        TableName: 'SocialMedia_Notifications',
+        TableName: TABLES.NOTIFICATIONS,
         Item: notificationItem,
         ConditionExpression: 'attribute_not_exists(notificationId)'
       };
       
       await dynamoDb.put(params);
-      return notificationItem;
+      return withoutActorSet(notificationItem);
     } catch (error) {
       console.error('Error creating notification:', error);
       throw error;
     }
   },
   
-  // Get user's notifications
-  getByUserId: async (userId, limit = 20, lastEvaluatedKey = null, unreadOnly = false) => {
+  // Get the most recent notification in a target's group, if any
+  getLatestInGroup: async (notificationData) => {
     try {
       const params = {
-        TableName: 'SocialMedia_Notifications',
+        TableName: TABLES.NOTIFICATIONS,
+        IndexName: 'GroupIndex',
+        KeyConditionExpression: 'groupKey = :groupKey',
+        ExpressionAttributeValues: {
+          ':groupKey': getGroupKey(notificationData)
+        },
+        ScanIndexForward: false, // Newest first
+        Limit: 1
+      };
+      
+      const notifications = await dynamoDb.query(params);
+      return notifications[0] || null;
+    } catch (error) {
+      console.error('Error getting latest grouped notification:', error);
+      throw error;
+    }
+  },
+  
+  // Count of actors once senderId joins a grouped notification. Someone already counted
+  // (e.g. changing their reaction, or unliking and liking again) is not counted again
+  countWithActor: (notification, senderId) =>
+    notification.actorCount + (getCountedActors(notification).includes(senderId) ? 0 : 1),
+  
+  // Whether a grouped notification tracks as many actors as it may; the next event starts a new entry
+  isGroupFull: (notification) => getCountedActors(notification).length >= MAX_TRACKED_ACTORS,
+  
+  // Fold a new event into an existing grouped notification: the sender becomes the latest
+  // actor, the count and message are replaced and the entry becomes unread again and moves
+  // to the top of the list. Returns the updated notification, or null if it changed since it was read
+  aggregate: async (notification, notificationData, actorCount, message) => {
+    try {
+      const { senderId } = notificationData;
+      const actorIds = [senderId, ...notification.actorIds.filter(id => id !== senderId)].slice(0, MAX_ACTORS);
+      
+      const params = {
+        TableName: TABLES.NOTIFICATIONS,
+        Key: { notificationId: notification.notificationId },
+        UpdateExpression: 'SET senderId = :senderId, actorIds = :actorIds, actorCount = :actorCount, ' +
+          'message = :message, #read = :read, #timestamp = :timestamp ADD actorSet :actors',
+        // Optimistic lock: another event may have updated the entry in the meantime
+        ConditionExpression: '#timestamp = :previousTimestamp',
+        ExpressionAttributeNames: {
+          '#read': 'read', // 'read' is a reserved keyword
+          '#timestamp': 'timestamp' // 'timestamp' is a reserved keyword
+        },
+        ExpressionAttributeValues: {
+          ':senderId': senderId,
+          ':actorIds': actorIds,
+          ':actorCount': actorCount,
+          ':actors': dynamoDb.createSet([senderId]),
+          ':message': message,
+          ':read': false,
+          ':timestamp': new Date().toISOString(),
+          ':previousTimestamp': notification.timestamp
+        },
+        ReturnValues: 'ALL_NEW'
+      };
+      
+      // Keep the latest reaction on grouped reactions
+      if (notificationData.reactionType) {
+        params.UpdateExpression += ', reactionType = :reactionType';
+        params.ExpressionAttributeValues[':reactionType'] = notificationData.reactionType;
+      }
+      
+      const result = await dynamoDb.update(params);
+      return withoutActorSet(result.Attributes);
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return null;
+      }
+      console.error('Error aggregating notification:', error);
+      throw error;
+    }
+  },
+  
+  // Get user's notifications, leaving out the users in excludedActorIds (see withoutActors)
+  getByUserId: async (userId, limit = 20, lastEvaluatedKey = null, unreadOnly = false, excludedActorIds = new Set()) => {
+    try {
+      const params = {
+        TableName: TABLES.NOTIFICATIONS,
         IndexName: 'RecipientIndex',
         KeyConditionExpression: 'recipientId = :recipientId',
         ExpressionAttributeValues: {
@@ -51,7 +207,10 @@ const Notification = {
       
       // Add filter for unread notifications if requested
       if (unreadOnly) {
-        params.FilterExpression = 'read = :read';
+        params.FilterExpression = '#read = :read';
+        params.ExpressionAttributeNames = {
+          '#read': 'read' // 'read' is a reserved keyword
+        };
         params.ExpressionAttributeValues[':read'] = false;
       }
       
@@ -59,10 +218,13 @@ const Notification = {
         params.ExclusiveStartKey = lastEvaluatedKey;
       }
       
-      const result = await dynamoDb.query(params);
+      const result = await dynamoDb.queryPage(params);
       
       return {
-        notifications: result.Items,
+        notifications: result.Items
+          .map(notification => withoutActors(notification, excludedActorIds))
+          .filter(Boolean)
+          .map(withoutActorSet),
         lastEvaluatedKey: result.LastEvaluatedKey
       };
     } catch (error) {
@@ -76,22 +238,22 @@ const Notification = {
     try {
       // Get the notification first to verify ownership
       const getParams = {
-        TableName: 'SocialMedia_Notifications',
+        TableName: TABLES.NOTIFICATIONS,
         Key: { notificationId }
       };
       
       const notification = await dynamoDb.get(getParams);
       
-      if (!notification.Item) {
+      if (!notification) {
         throw new Error('Notification not found');
       }
       
-      if (notification.Item.recipientId !== userId) {
+      if (notification.recipientId !== userId) {
         throw new Error('Not authorized to update this notification');
       }
       
       const updateParams = {
-        TableName: 'SocialMedia_Notifications',
+        TableName: TABLES.NOTIFICATIONS,
         Key: { notificationId },
         UpdateExpression: 'SET #read = :read',
         ExpressionAttributeNames: {
@@ -114,27 +276,33 @@ const Notification = {
   // Mark all notifications as read
   markAllAsRead: async (userId) => {
     try {
-      // Get all unread notifications for the user
-      const unreadNotifications = await Notification.getByUserId(userId, 100, null, true);
-      
-      // Update each notification
-      const updatePromises = unreadNotifications.notifications.map(notification => {
-        const updateParams = {
-          TableName: 'SocialMedia_Notifications',
-          Key: { notificationId: notification.notificationId },
-          UpdateExpression: 'SET #read = :read',
-          ExpressionAttributeNames: {
-            '#read': 'read'
-          },
-          ExpressionAttributeValues: {
-            ':read': true
-          }
-        };
+      // Go through all unread notifications for the user, page by page
+      let lastEvaluatedKey = null;
+      
+      do {
+        const unreadNotifications = await Notification.getByUserId(userId, 100, lastEvaluatedKey, true);
+        
+        // Update each notification
+        const updatePromises = unreadNotifications.notifications.map(notification => {
+          const updateParams = {
+            TableName: TABLES.NOTIFICATIONS,
+            Key: { notificationId: notification.notificationId },
+            UpdateExpression: 'SET #read = :read',
+            ExpressionAttributeNames: {
+              '#read': 'read'
+            },
+            ExpressionAttributeValues: {
+              ':read': true
+            }
+          };
+          
+          return dynamoDb.update(updateParams);
+        });
         
-        return dynamoDb.update(updateParams);
-      });
+        await Promise.all(updatePromises);
+        lastEvaluatedKey = unreadNotifications.lastEvaluatedKey;
+      } while (lastEvaluatedKey);
       
-      await Promise.all(updatePromises);
       return true;
     } catch (error) {
       console.error('Error marking all notifications as read:', error);
@@ -147,22 +315,22 @@ const Notification = {
     try {
       // Get the notification first to verify ownership
       const getParams = {
-        TableName: 'SocialMedia_Notifications',
+        TableName: TABLES.NOTIFICATIONS,
         Key: { notificationId }
       };
       
       const notification = await dynamoDb.get(getParams);
       
-      if (!notification.Item) {
+      if (!notification) {
         throw new Error('Notification not found');
       }
       
-      if (notification.Item.recipientId !== userId) {
+      if (notification.recipientId !== userId) {
         throw new Error('Not authorized to delete this notification');
       }
       
       const deleteParams = {
-        TableName: 'SocialMedia_Notifications',
+        TableName: TABLES.NOTIFICATIONS,
         Key: { notificationId }
       };
       
@@ -177,20 +345,35 @@ const Notification = {
   // Get unread notification count
   getUnreadCount: async (userId) => {
     try {
-      const params = {
-        TableName: 'SocialMedia_Notifications',
-        IndexName: 'RecipientIndex',
-        KeyConditionExpression: 'recipientId = :recipientId',
-        FilterExpression: 'read = :read',
-        ExpressionAttributeValues: {
-          ':recipientId': userId,
-          ':read': false
-        },
-        Select: 'COUNT'
-      };
+      let count = 0;
+      let lastEvaluatedKey = null;
+      
+      do {
+        const params = {
+          TableName: TABLES.NOTIFICATIONS,
+          IndexName: 'RecipientIndex',
+          KeyConditionExpression: 'recipientId = :recipientId',
+          FilterExpression: '#read = :read',
+          ExpressionAttributeNames: {
+            '#read': 'read' // 'read' is a reserved keyword
+          },
+          ExpressionAttributeValues: {
+            ':recipientId': userId,
+            ':read': false
+          },
+          Select: 'COUNT'
+        };
+        
+        if (lastEvaluatedKey) {
+          params.ExclusiveStartKey = lastEvaluatedKey;
+        }
+        
+        const result = await dynamoDb.queryPage(params);
+        count += result.Count;
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
       
-      const result = await dynamoDb.query(params);
-      return result.Count;
+      return count;
     } catch (error) {
       console.error('Error getting unread notification count:', error);
       throw error;
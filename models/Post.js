@@ -1,6 +1,14 @@
 // models/Post.js
 const { dynamoDb, TABLES } = require('../config/dynamodb');
 const { v4: uuidv4 } = require('uuid');
+const User = require('./User');
+const Timeline = require('./Timeline');
+const Interaction = require('./Interaction');
+const FeedImpression = require('./FeedImpression');
+const { rankPosts } = require('../utils/feedRanking');
+
+// Number of recent timeline posts considered when ranking a feed page
+const RANKED_CANDIDATE_POOL = parseInt(process.env.FEED_CANDIDATE_POOL || '200');
 
 const Post = {
   // Create a new post
@@ -16,6 +24,7 @@ const Post = {
         mediaUrls: postData.mediaUrls || [],
         mediaType: postData.mediaType || 'none', // none, image, video
         likesCount: 0,
+        reactionCounts: {},
         commentsCount: 0,
         sharesCount: 0,
         tags: postData.tags || [],
@@ -29,6 +38,16 @@ const Post = {
       };
       
       await dynamoDb.put(params);
+      
+      // Show the post in the author's own timeline straight away; followers' timelines are
+      // filled in the background by lambda/timelineFanout.js from the Posts table stream
+      try {
+        await Timeline.addPost(postItem, [postItem.userId]);
+      } catch (timelineError) {
+        console.error('Error adding post to author timeline:', timelineError);
+        // Continue even if the timeline write fails
+      }
+      
       return postItem;
     } catch (error) {
       console.error('Error creating post:', error);
@@ -36,6 +55,38 @@ const Post = {
     }
   },
   
+  // Write a new post into its author's followers' timelines, one page of followers at a
+  // time. Authors in pull mode are skipped (their posts are pulled at read time).
+  // Returns the number of timelines written
+  fanOut: async (post) => {
+    try {
+      const author = await User.getById(post.userId);
+      
+      if (!author || Timeline.isPulled(author)) {
+        return 0;
+      }
+      
+      let lastEvaluatedKey = null;
+      let fannedOut = 0;
+      
+      do {
+        const page = await User.getFollowersPage(post.userId, 1000, lastEvaluatedKey);
+        
+        if (page.userIds.length > 0) {
+          await Timeline.addPost(post, page.userIds);
+          fannedOut += page.userIds.length;
+        }
+        
+        lastEvaluatedKey = page.lastEvaluatedKey;
+      } while (lastEvaluatedKey);
+      
+      return fannedOut;
+    } catch (error) {
+      console.error('Error fanning out post:', error);
+      throw error;
+    }
+  },
+  
   // Get post by ID
   getById: async (postId) => {
     try {
@@ -69,7 +120,7 @@ const Post = {
         params.ExclusiveStartKey = lastEvaluatedKey;
       }
       
-      const result = await dynamoDb.query(params);
+      const result = await dynamoDb.queryPage(params);
       
       return {
         posts: result.Items,
@@ -81,39 +132,134 @@ const Post = {
     }
   },
   
-  // Get timeline posts (posts from followed users)
-  getTimelinePosts: async (userIds, limit = 20, lastEvaluatedKey = null) => {
+  // Get home timeline posts (newest first), older than the `before` sort key if given.
+  // Reads the user's materialized timeline and merges in posts from followed authors in
+  // pull mode, which are not fanned out on write. options.exclude(post) drops posts
+  // (blocked or muted) before the page is cut.
+  getTimelinePosts: async (userId, limit = 20, before = null, options = {}) => {
     try {
-      // Use a batch query approach for timeline
-      const queries = userIds.map(userId => ({
-        TableName: TABLES.POSTS,
-        IndexName: 'UserIdIndex',
-        KeyConditionExpression: 'userId = :userId',
-        ExpressionAttributeValues: {
-          ':userId': userId
-        },
-        Limit: limit
+      const isExcluded = (post) => !!options.exclude && options.exclude(post);
+      
+      // Read timeline entries until we have a full page (filtered entries don't count)
+      const entries = [];
+      let lastEvaluatedKey = null;
+      do {
+        const page = await Timeline.getPage(userId, limit, before, lastEvaluatedKey);
+        entries.push(...page.entries.filter(entry =>
+          !isExcluded({ userId: entry.authorId, postId: entry.postId })
+        ));
+        lastEvaluatedKey = page.lastEvaluatedKey;
+      } while (entries.length < limit && lastEvaluatedKey);
+      
+      // Oldest sort key down to which every source has been read completely;
+      // anything older must wait for the next page
+      let boundary = null;
+      const raiseBoundary = (sortKey) => {
+        if (!boundary || sortKey > boundary) {
+          boundary = sortKey;
+        }
+      };
+      
+      const pageEntries = entries.slice(0, limit);
+      if (entries.length >= limit && (entries.length > limit || lastEvaluatedKey)) {
+        raiseBoundary(pageEntries[pageEntries.length - 1].sortKey);
+      }
+      
+      // Hydrate timeline entries; posts deleted since fan-out simply drop out
+      const entryPosts = await dynamoDb.batchGetAll(
+        TABLES.POSTS,
+        pageEntries.map(entry => ({ postId: entry.postId }))
+      );
+      
+      // Pull recent posts from followed authors that are not fanned out (only their
+      // follow edges are read, via the sparse PullIndex)
+      const pulledAuthorIds = await User.getPulledFollowing(userId);
+      
+      const pulledResults = await Promise.all(pulledAuthorIds.map(authorId => {
+        const params = {
+          TableName: TABLES.POSTS,
+          IndexName: 'UserIdIndex',
+          KeyConditionExpression: 'userId = :userId',
+          ExpressionAttributeValues: {
+            ':userId': authorId
+          },
+          ScanIndexForward: false, // Newest first
+          Limit: limit
+        };
+        
+        if (before) {
+          params.KeyConditionExpression = 'userId = :userId AND #timestamp <= :before';
+          params.ExpressionAttributeNames = { '#timestamp': 'timestamp' };
+          params.ExpressionAttributeValues[':before'] = before.split('#')[0];
+        }
+        
+        return dynamoDb.query(params);
       }));
       
-      // Execute queries in parallel
-      const results = await Promise.all(queries.map(params => dynamoDb.query(params)));
+      pulledResults.forEach(authorPosts => {
+        if (authorPosts.length === limit) {
+          raiseBoundary(Timeline.toSortKey(authorPosts[authorPosts.length - 1]));
+        }
+      });
+      
+      // Merge, de-duplicate and order by sort key so pages never overlap
+      const postsById = {};
+      [...entryPosts, ...pulledResults.flat()].forEach(post => {
+        postsById[post.postId] = post;
+      });
       
-      // Combine and sort all posts
-      const allPosts = results.flatMap(result => result.Items);
+      const candidates = Object.values(postsById)
+        .filter(post => !before || Timeline.toSortKey(post) < before)
+        .filter(post => !boundary || Timeline.toSortKey(post) >= boundary)
+        .filter(post => !isExcluded(post))
+        .sort((a, b) => (Timeline.toSortKey(a) < Timeline.toSortKey(b) ? 1 : -1));
       
-      // Sort by timestamp (newest first)
-      const sortedPosts = allPosts.sort((a, b) => 
-        new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime()
-      );
+      const posts = candidates.slice(0, limit);
       
-      // Apply limit
-      return sortedPosts.slice(0, limit);
+      // Continue after the last post served, or after the boundary if the page ran short
+      const nextBefore = candidates.length > limit
+        ? Timeline.toSortKey(posts[posts.length - 1])
+        : boundary;
+      
+      return {
+        posts,
+        nextBefore
+      };
     } catch (error) {
       console.error('Error getting timeline posts:', error);
       throw error;
     }
   },
   
+  // Get a page of the ranked "For You" feed. Candidates are the most recent timeline
+  // posts; posts already served in this feed session are skipped, and the page served
+  // is recorded so later pages don't repeat it.
+  getRankedPosts: async (userId, limit = 20, sessionId, options = {}) => {
+    try {
+      const servedIds = await FeedImpression.getServedIds(userId, sessionId);
+      
+      const { posts: candidates } = await Post.getTimelinePosts(userId, RANKED_CANDIDATE_POOL, null, {
+        exclude: post => servedIds.has(post.postId) || (!!options.exclude && options.exclude(post))
+      });
+      
+      const affinity = await Interaction.getAuthorAffinity(userId);
+      const ranked = rankPosts(candidates, affinity);
+      const posts = ranked.slice(0, limit);
+      
+      if (posts.length > 0) {
+        await FeedImpression.record(userId, sessionId, posts.map(post => post.postId));
+      }
+      
+      return {
+        posts,
+        hasMore: ranked.length > limit
+      };
+    } catch (error) {
+      console.error('Error getting ranked posts:', error);
+      throw error;
+    }
+  },
+  
   // Update post
   update: async (postId, userId, updates) => {
     try {
@@ -173,51 +319,26 @@ const Post = {
     }
   },
   
-  // Like a post
-  like: async (postId, userId) => {
+  // React to a post ('like' by default)
+  like: async (postId, userId, reactionType = 'like') => {
     try {
-      // Create interaction record
-      const interactionId = uuidv4();
-      const timestamp = new Date().toISOString();
-      
-      const interactionItem = {
-        interactionId,
-        type: 'like',
-        userId,
-        contentId: postId,
-        timestamp
-      };
-      
-      // Update post's like count atomically
-      const postParams = {
-        TableName: TABLES.POSTS,
-        Key: { postId },
-        UpdateExpression: 'ADD likesCount :inc',
-        ExpressionAttributeValues: {
-          ':inc': 1
-        },
-        ReturnValues: 'UPDATED_NEW'
-      };
+      const post = await Post.getById(postId);
       
-      // Write interaction record
-      const interactionParams = {
-        TableName: TABLES.INTERACTIONS,
-        Item: interactionItem
-      };
+      if (!post) {
+        throw new Error('Post not found');
+      }
       
-      // Use transaction to ensure both operations succeed or fail together
-      const transactionParams = {
-        TransactItems: [
-          { Update: postParams },
-          { Put: interactionParams }
-        ]
-      };
+      // Blocked users cannot like each other's posts
+      if (await User.isBlocked(userId, post.userId)) {
+        throw new Error('Cannot interact with this user');
+      }
       
-      await dynamoDb.transactWrite(transactionParams);
+      // One reaction per user; reacting again with the same type is a no-op
+      const result = await Interaction.react(userId, 'post', postId, reactionType);
       
       return { 
         success: true, 
-        likesCount: (await Post.getById(postId)).likesCount 
+        ...result
       };
     } catch (error) {
       console.error('Error liking post:', error);
@@ -225,60 +346,18 @@ const Post = {
     }
   },
   
-  // Unlike a post
+  // Remove the user's reaction from a post
   unlike: async (postId, userId) => {
     try {
-      // Find existing like interaction
-      const params = {
-        TableName: TABLES.INTERACTIONS,
-        IndexName: 'UserContentIndex',
-        KeyConditionExpression: 'userId = :userId AND contentId = :contentId',
-        FilterExpression: 'type = :type',
-        ExpressionAttributeValues: {
-          ':userId': userId,
-          ':contentId': postId,
-          ':type': 'like'
-        }
-      };
-      
-      const interactions = await dynamoDb.query(params);
+      const result = await Interaction.unreact(userId, 'post', postId);
       
-      if (!interactions || interactions.length === 0) {
-        return { success: false, message: 'Like not found' };
+      if (!result.removed) {
+        return { success: false, message: 'Like not found', ...result };
       }
       
-      const interactionId = interactions[0].interactionId;
-      
-      // Update post's like count atomically
-      const postParams = {
-        TableName: TABLES.POSTS,
-        Key: { postId },
-        UpdateExpression: 'ADD likesCount :dec',
-        ExpressionAttributeValues: {
-          ':dec': -1
-        },
-        ReturnValues: 'UPDATED_NEW'
-      };
-      
-      // Delete interaction record
-      const interactionParams = {
-        TableName: TABLES.INTERACTIONS,
-        Key: { interactionId }
-      };
-      
-      // Use transaction to ensure both operations succeed or fail together
-      const transactionParams = {
-        TransactItems: [
-          { Update: postParams },
-          { Delete: interactionParams }
-        ]
-      };
-      
-      await dynamoDb.transactWrite(transactionParams);
-      
       return { 
         success: true, 
-        likesCount: (await Post.getById(postId)).likesCount 
+        ...result
       };
     } catch (error) {
       console.error('Error unliking post:', error);
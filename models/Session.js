@@ -0,0 +1,125 @@
+// models/Session.js
+const { dynamoDb, TABLES, isConditionalCheckFailure } = require('../config/dynamodb');
+const { v4: uuidv4 } = require('uuid');
+
+const Session = {
+  // Create a session for a newly signed-in device
+  create: async (sessionData) => {
+    try {
+      const timestamp = new Date().toISOString();
+      
+      const sessionItem = {
+        sessionId: uuidv4(),
+        userId: sessionData.userId,
+        refreshTokenHash: sessionData.refreshTokenHash,
+        rotatedTokenHashes: [],
+        deviceName: sessionData.deviceName || null,
+        userAgent: sessionData.userAgent || null,
+        ip: sessionData.ip || null,
+        createdAt: timestamp,
+        lastUsedAt: timestamp,
+        expiryTime: sessionData.expiryTime // TTL attribute (seconds)
+      };
+      
+      const params = {
+        TableName: TABLES.SESSIONS,
+        Item: sessionItem,
+        ConditionExpression: 'attribute_not_exists(sessionId)'
+      };
+      
+      await dynamoDb.put(params);
+      return sessionItem;
+    } catch (error) {
+      console.error('Error creating session:', error);
+      throw error;
+    }
+  },
+  
+  // Get a session by ID
+  getById: async (sessionId) => {
+    try {
+      const params = {
+        TableName: TABLES.SESSIONS,
+        Key: { sessionId }
+      };
+      
+      return await dynamoDb.get(params);
+    } catch (error) {
+      console.error('Error getting session:', error);
+      throw error;
+    }
+  },
+  
+  // Get a user's sessions, newest first
+  getByUserId: async (userId) => {
+    try {
+      const params = {
+        TableName: TABLES.SESSIONS,
+        IndexName: 'UserIndex',
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: {
+          ':userId': userId
+        },
+        ScanIndexForward: false
+      };
+      
+      return await dynamoDb.query(params);
+    } catch (error) {
+      console.error('Error getting user sessions:', error);
+      throw error;
+    }
+  },
+  
+  // Swap the session's refresh token for a new one, but only if the presented token is still
+  // the current one. `rotation.rotatedTokenHashes` replaces the list of rotated-out hashes.
+  // Returns the updated session, or null if it was already rotated or removed
+  rotate: async (sessionId, previousHash, rotation) => {
+    try {
+      const params = {
+        TableName: TABLES.SESSIONS,
+        Key: { sessionId },
+        UpdateExpression: 'SET refreshTokenHash = :refreshTokenHash, rotatedTokenHashes = :rotatedTokenHashes, ' +
+          'lastUsedAt = :lastUsedAt, ip = :ip, userAgent = :userAgent, expiryTime = :expiryTime',
+        ConditionExpression: 'refreshTokenHash = :previousHash',
+        ExpressionAttributeValues: {
+          ':refreshTokenHash': rotation.refreshTokenHash,
+          ':rotatedTokenHashes': rotation.rotatedTokenHashes,
+          ':lastUsedAt': new Date().toISOString(),
+          ':ip': rotation.ip || null,
+          ':userAgent': rotation.userAgent || null,
+          ':expiryTime': rotation.expiryTime,
+          ':previousHash': previousHash
+        },
+        ReturnValues: 'ALL_NEW'
+      };
+      
+      const result = await dynamoDb.update(params);
+      return result.Attributes;
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return null;
+      }
+      
+      console.error('Error rotating session:', error);
+      throw error;
+    }
+  },
+  
+  // Remove a session (its access and refresh tokens stop working)
+  delete: async (sessionId) => {
+    try {
+      const params = {
+        TableName: TABLES.SESSIONS,
+        Key: { sessionId }
+      };
+      
+      await dynamoDb.delete(params);
+      return true;
+    } catch (error) {
+      console.error('Error deleting session:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = Session;
@@ -1,29 +1,81 @@
 // models/Story.js
 const { dynamoDb, TABLES } = require('../config/dynamodb');
 const { v4: uuidv4 } = require('uuid');
+const User = require('./User');
+const Timeline = require('./Timeline');
+const { rankReels } = require('../utils/feedRanking');
+
+// How long a story is shown before it expires
+const STORY_LIFETIME_SECONDS = 86400;
+
+// Most recent reels ranked for discover; older reels in the window are not considered
+const POPULAR_REEL_CANDIDATES = parseInt(process.env.POPULAR_REEL_CANDIDATES || '500');
+
+// A user's unexpired stories, oldest first. Reels share the index, so every page within the
+// last story lifetime is read; TTL deletion lags, so stories past their expiryTime are dropped here
+const getActiveStories = async (userId) => {
+  const now = Math.floor(Date.now() / 1000);
+  const since = new Date((now - STORY_LIFETIME_SECONDS) * 1000).toISOString();
+  const stories = [];
+  let lastEvaluatedKey = null;
+  
+  do {
+    const params = {
+      TableName: TABLES.STORIES,
+      IndexName: 'UserIdIndex',
+      KeyConditionExpression: 'userId = :userId AND #timestamp >= :since',
+      FilterExpression: 'contentType = :contentType',
+      ExpressionAttributeNames: {
+        '#timestamp': 'timestamp'
+      },
+      ExpressionAttributeValues: {
+        ':userId': userId,
+        ':since': since,
+        ':contentType': 'story'
+      }
+    };
+    
+    if (lastEvaluatedKey) {
+      params.ExclusiveStartKey = lastEvaluatedKey;
+    }
+    
+    const result = await dynamoDb.queryPage(params);
+    stories.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  
+  return stories.filter(story => !story.expiryTime || story.expiryTime > now);
+};
 
 const Story = {
   // Create a new story
   create: async (storyData) => {
     try {
       const contentId = storyData.contentId || uuidv4();
+      const contentType = storyData.contentType || 'story';
       const timestamp = new Date().toISOString();
       
-      // Calculate expiry time (24 hours from now)
-      const expiryTime = Math.floor(Date.now() / 1000) + 86400; // 24 hours in seconds
-      
       const storyItem = {
         contentId,
-        contentType: storyData.contentType || 'story',
+        contentType,
         userId: storyData.userId,
         mediaUrl: storyData.mediaUrl,
         mediaType: storyData.mediaType || 'image', // image or video
         caption: storyData.caption || '',
         viewers: [],
-        timestamp,
-        expiryTime // TTL attribute for auto-deletion (only for stories)
+        likesCount: 0,
+        reactionCounts: {},
+        timestamp
       };
       
+      if (contentType === 'story') {
+        // TTL attribute for auto-deletion (24 hours from now)
+        storyItem.expiryTime = Math.floor(Date.now() / 1000) + STORY_LIFETIME_SECONDS;
+      } else {
+        // Reels are permanent and carry a view counter used by the discovery feed
+        storyItem.viewCount = 0;
+      }
+      
       const params = {
         TableName: TABLES.STORIES,
         Item: storyItem,
@@ -31,6 +83,18 @@ const Story = {
       };
       
       await dynamoDb.put(params);
+      
+      // Show a reel in the author's own reel timeline straight away; followers' timelines
+      // are filled in the background by lambda/timelineFanout.js from the Stories table stream
+      if (contentType === 'reel') {
+        try {
+          await Timeline.addReel(storyItem, [storyItem.userId]);
+        } catch (timelineError) {
+          console.error('Error adding reel to author timeline:', timelineError);
+          // Continue even if the timeline write fails
+        }
+      }
+      
       return storyItem;
     } catch (error) {
       console.error('Error creating story:', error);
@@ -38,6 +102,38 @@ const Story = {
     }
   },
   
+  // Write a new reel into its author's followers' reel timelines, one page of followers at
+  // a time. Authors in pull mode are skipped (their reels are pulled at read time).
+  // Returns the number of timelines written
+  fanOut: async (reel) => {
+    try {
+      const author = await User.getById(reel.userId);
+      
+      if (!author || Timeline.isPulled(author)) {
+        return 0;
+      }
+      
+      let lastEvaluatedKey = null;
+      let fannedOut = 0;
+      
+      do {
+        const page = await User.getFollowersPage(reel.userId, 1000, lastEvaluatedKey);
+        
+        if (page.userIds.length > 0) {
+          await Timeline.addReel(reel, page.userIds);
+          fannedOut += page.userIds.length;
+        }
+        
+        lastEvaluatedKey = page.lastEvaluatedKey;
+      } while (lastEvaluatedKey);
+      
+      return fannedOut;
+    } catch (error) {
+      console.error('Error fanning out reel:', error);
+      throw error;
+    }
+  },
+  
   // Get a story by ID
   getById: async (contentId) => {
     try {
@@ -53,75 +149,66 @@ const Story = {
     }
   },
   
-  // Get user's stories
+  // Get user's stories that have not expired yet, oldest first
   getByUserId: async (userId) => {
     try {
-      const params = {
-        TableName: TABLES.STORIES,
-        IndexName: 'UserIdIndex',
-        KeyConditionExpression: 'userId = :userId',
-        FilterExpression: 'contentType = :contentType',
-        ExpressionAttributeValues: {
-          ':userId': userId,
-          ':contentType': 'story'
-        }
-      };
-      
-      const result = await dynamoDb.query(params);
-      return result.Items;
+      return await getActiveStories(userId);
     } catch (error) {
       console.error('Error getting user stories:', error);
       throw error;
     }
   },
   
-  // Get user's reels (similar to stories but with contentType='reel')
-  getReelsByUserId: async (userId) => {
+  // Get a page of a user's reels, newest first
+  // Stories share the index, so pages are read until enough reels are found
+  getReelsByUserId: async (userId, limit = 20, lastEvaluatedKey = null) => {
     try {
-      const params = {
-        TableName: TABLES.STORIES,
-        IndexName: 'UserIdIndex',
-        KeyConditionExpression: 'userId = :userId',
-        FilterExpression: 'contentType = :contentType',
-        ExpressionAttributeValues: {
-          ':userId': userId,
-          ':contentType': 'reel'
+      const reels = [];
+      
+      do {
+        const params = {
+          TableName: TABLES.STORIES,
+          IndexName: 'UserIdIndex',
+          KeyConditionExpression: 'userId = :userId',
+          FilterExpression: 'contentType = :contentType',
+          ExpressionAttributeValues: {
+            ':userId': userId,
+            ':contentType': 'reel'
+          },
+          ScanIndexForward: false, // Newest first
+          Limit: limit - reels.length
+        };
+        
+        if (lastEvaluatedKey) {
+          params.ExclusiveStartKey = lastEvaluatedKey;
         }
-      };
+        
+        const result = await dynamoDb.queryPage(params);
+        reels.push(...result.Items);
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (reels.length < limit && lastEvaluatedKey);
       
-      const result = await dynamoDb.query(params);
-      return result.Items;
+      return {
+        reels,
+        lastEvaluatedKey
+      };
     } catch (error) {
       console.error('Error getting user reels:', error);
       throw error;
     }
   },
   
-  // Get stories from multiple users (for stories feed)
+  // Get the unexpired stories of multiple users (for stories feed), keyed by userId.
+  // Users without stories are left out
   getStoriesFeed: async (userIds) => {
     try {
-      // Use batch queries for multiple users
-      const queries = userIds.map(userId => ({
-        TableName: TABLES.STORIES,
-        IndexName: 'UserIdIndex',
-        KeyConditionExpression: 'userId = :userId',
-        FilterExpression: 'contentType = :contentType',
-        ExpressionAttributeValues: {
-          ':userId': userId,
-          ':contentType': 'story'
-        }
-      }));
+      const results = await Promise.all(userIds.map(userId => getActiveStories(userId)));
       
-      // Execute queries in parallel
-      const results = await Promise.all(queries.map(params => dynamoDb.query(params)));
-      
-      // Combine results by user
       const storiesByUser = {};
       
-      results.forEach((result, index) => {
-        const userId = userIds[index];
-        if (result.Items && result.Items.length > 0) {
-          storiesByUser[userId] = result.Items;
+      results.forEach((stories, index) => {
+        if (stories.length > 0) {
+          storiesByUser[userIds[index]] = stories;
         }
       });
       
@@ -132,58 +219,137 @@ const Story = {
     }
   },
   
-  // Get reels feed (popular and followed users)
-  getReelsFeed: async (userIds, limit = 20) => {
+  // Get reels from the user's reel timeline (own reels and followed users'), newest first,
+  // older than the `before` cursor (`timestamp#contentId` of the last reel served) if given.
+  // options.exclude(reel) drops reels, e.g. from blocked or muted users
+  getReelsFeed: async (userId, limit = 20, before = null, options = {}) => {
     try {
-      // First, get reels from followed users
-      const followedQueries = userIds.map(userId => ({
-        TableName: TABLES.STORIES,
-        IndexName: 'UserIdIndex',
-        KeyConditionExpression: 'userId = :userId',
-        FilterExpression: 'contentType = :contentType',
-        ExpressionAttributeValues: {
-          ':userId': userId,
-          ':contentType': 'reel'
-        },
-        Limit: Math.floor(limit / 2) // Half from followed users
-      }));
+      const timelineId = Timeline.toReelTimelineId(userId);
+      const toSortKey = Timeline.toReelSortKey;
+      const isExcluded = (reel) => !!options.exclude && options.exclude(reel);
       
-      // Execute queries in parallel
-      const followedResults = await Promise.all(followedQueries.map(params => dynamoDb.query(params)));
-      const followedReels = followedResults.flatMap(result => result.Items);
+      // Read timeline entries until we have a full page (filtered entries don't count)
+      const entries = [];
+      let lastEvaluatedKey = null;
+      do {
+        const page = await Timeline.getPage(timelineId, limit, before, lastEvaluatedKey);
+        entries.push(...page.entries.filter(entry =>
+          !isExcluded({ userId: entry.authorId, contentId: entry.contentId })
+        ));
+        lastEvaluatedKey = page.lastEvaluatedKey;
+      } while (entries.length < limit && lastEvaluatedKey);
       
-      // Then, get popular reels (in a real app, this would use metrics like views or likes)
-      // This is a simplified approach - would need a more sophisticated ranking system
-      const popularParams = {
-        TableName: TABLES.STORIES,
-        FilterExpression: 'contentType = :contentType',
-        ExpressionAttributeValues: {
-          ':contentType': 'reel'
-        },
-        Limit: limit - followedReels.length // Remaining slots for popular reels
+      // Oldest sort key down to which every source has been read completely;
+      // anything older must wait for the next page
+      let boundary = null;
+      const raiseBoundary = (sortKey) => {
+        if (!boundary || sortKey > boundary) {
+          boundary = sortKey;
+        }
       };
       
-      const popularResult = await dynamoDb.scan(popularParams);
-      const popularReels = popularResult.Items.filter(
-        reel => !followedReels.some(f => f.contentId === reel.contentId)
+      const pageEntries = entries.slice(0, limit);
+      if (entries.length >= limit && (entries.length > limit || lastEvaluatedKey)) {
+        raiseBoundary(pageEntries[pageEntries.length - 1].sortKey);
+      }
+      
+      // Hydrate timeline entries; reels deleted since fan-out simply drop out
+      const entryReels = await dynamoDb.batchGetAll(
+        TABLES.STORIES,
+        pageEntries.map(entry => ({ contentId: entry.contentId }))
       );
       
-      // Combine and shuffle results for variety
-      const allReels = [...followedReels, ...popularReels];
+      // Pull recent reels from followed authors that are not fanned out
+      const pulledAuthorIds = await User.getPulledFollowing(userId);
       
-      // Fisher-Yates shuffle algorithm
-      for (let i = allReels.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [allReels[i], allReels[j]] = [allReels[j], allReels[i]];
-      }
+      const pulledResults = await Promise.all(pulledAuthorIds.map(authorId => {
+        const params = {
+          TableName: TABLES.STORIES,
+          IndexName: 'UserIdIndex',
+          KeyConditionExpression: 'userId = :userId',
+          FilterExpression: 'contentType = :contentType',
+          ExpressionAttributeValues: {
+            ':userId': authorId,
+            ':contentType': 'reel'
+          },
+          ScanIndexForward: false, // Newest first
+          Limit: limit
+        };
+        
+        if (before) {
+          params.KeyConditionExpression = 'userId = :userId AND #timestamp <= :before';
+          params.ExpressionAttributeNames = { '#timestamp': 'timestamp' };
+          params.ExpressionAttributeValues[':before'] = before.split('#')[0];
+        }
+        
+        return dynamoDb.queryPage(params);
+      }));
+      
+      // Authors with more to read limit how far back this page can safely go
+      pulledResults.forEach(result => {
+        if (result.LastEvaluatedKey) {
+          raiseBoundary(toSortKey(result.LastEvaluatedKey));
+        }
+      });
       
-      return allReels.slice(0, limit);
+      // Merge, de-duplicate and order by sort key so pages never overlap
+      const reelsById = {};
+      [...entryReels, ...pulledResults.flatMap(result => result.Items)].forEach(reel => {
+        reelsById[reel.contentId] = reel;
+      });
+      
+      const candidates = Object.values(reelsById)
+        .filter(reel => !before || toSortKey(reel) < before)
+        .filter(reel => !boundary || toSortKey(reel) >= boundary)
+        .filter(reel => !isExcluded(reel))
+        .sort((a, b) => (toSortKey(a) < toSortKey(b) ? 1 : -1));
+      
+      const reels = candidates.slice(0, limit);
+      
+      // Continue after the last reel served, or after the boundary if the page ran short
+      const nextBefore = candidates.length > limit
+        ? toSortKey(reels[reels.length - 1])
+        : boundary;
+      
+      return {
+        reels,
+        nextBefore
+      };
     } catch (error) {
       console.error('Error getting reels feed:', error);
       throw error;
     }
   },
   
+  // Get the most recent reels posted since `since` (ISO timestamp), ordered by popularity
+  // (see rankReels). Only the newest POPULAR_REEL_CANDIDATES reels of the window are ranked,
+  // so a busy window costs one bounded read per discover page
+  getPopularReels: async (since) => {
+    try {
+      const params = {
+        TableName: TABLES.STORIES,
+        IndexName: 'ContentTypeIndex',
+        KeyConditionExpression: 'contentType = :contentType AND #timestamp >= :since',
+        ExpressionAttributeNames: {
+          '#timestamp': 'timestamp'
+        },
+        ExpressionAttributeValues: {
+          ':contentType': 'reel',
+          ':since': since
+        },
+        ScanIndexForward: false, // Newest first
+        Limit: POPULAR_REEL_CANDIDATES
+      };
+      
+      const result = await dynamoDb.queryPage(params);
+      
+      return rankReels(result.Items);
+    } catch (error) {
+      console.error('Error getting popular reels:', error);
+      throw error;
+    }
+  },
+  
   // Mark a story as viewed by a user
   markAsViewed: async (contentId, viewerId) => {
     try {
@@ -0,0 +1,214 @@
+// models/Timeline.js
+const { dynamoDb, TABLES } = require('../config/dynamodb');
+
+// Authors with at least this many followers are switched to pull mode: their posts are
+// no longer fanned out on write but pulled into followers' timelines at read time
+const HIGH_FANOUT_THRESHOLD = parseInt(process.env.TIMELINE_FANOUT_THRESHOLD || '10000');
+
+// Timeline entries expire after this many days (DynamoDB TTL on expiryTime)
+const ENTRY_TTL_DAYS = parseInt(process.env.TIMELINE_ENTRY_TTL_DAYS || '30');
+
+// Number of recent posts copied into a timeline when following someone
+const BACKFILL_LIMIT = 20;
+
+// Timeline entries sort by post time, with the post ID as a tie-breaker
+const toSortKey = (post) => `${post.timestamp}#${post.postId}`;
+
+// Reels have a timeline of their own, kept under a separate partition key of the same table
+const toReelTimelineId = (userId) => `${userId}#reels`;
+
+// Reel timeline entries sort by reel time, with the reel's contentId as a tie-breaker
+const toReelSortKey = (reel) => `${reel.timestamp}#${reel.contentId}`;
+
+const getExpiryTime = (timestamp) => Math.floor(new Date(timestamp).getTime() / 1000) + ENTRY_TTL_DAYS * 86400;
+
+const buildEntry = (userId, post) => ({
+  userId,
+  sortKey: toSortKey(post),
+  postId: post.postId,
+  authorId: post.userId,
+  timestamp: post.timestamp,
+  expiryTime: getExpiryTime(post.timestamp)
+});
+
+const buildReelEntry = (userId, reel) => ({
+  userId: toReelTimelineId(userId),
+  sortKey: toReelSortKey(reel),
+  contentId: reel.contentId,
+  authorId: reel.userId,
+  timestamp: reel.timestamp,
+  expiryTime: getExpiryTime(reel.timestamp)
+});
+
+const Timeline = {
+  HIGH_FANOUT_THRESHOLD,
+  toSortKey,
+  toReelTimelineId,
+  toReelSortKey,
+  
+  // Has this author enough followers to be switched to pull mode?
+  isHighFanout: (author) => !!author && (author.followersCount || 0) >= HIGH_FANOUT_THRESHOLD,
+  
+  // Has this author been switched to pull mode? Set by User.switchToPull once every follow
+  // edge is indexed for pulling, and never unset, so authors near the threshold don't flap
+  isPulled: (author) => !!author && author.fanoutMode === 'pull',
+  
+  // Write a post into the timelines of the given users
+  addPost: async (post, userIds) => {
+    try {
+      const writeRequests = userIds.map(userId => ({
+        PutRequest: { Item: buildEntry(userId, post) }
+      }));
+      
+      await dynamoDb.batchWriteAll(TABLES.TIMELINES, writeRequests);
+      return true;
+    } catch (error) {
+      console.error('Error adding post to timelines:', error);
+      throw error;
+    }
+  },
+  
+  // Write a reel into the reel timelines of the given users
+  addReel: async (reel, userIds) => {
+    try {
+      const writeRequests = userIds.map(userId => ({
+        PutRequest: { Item: buildReelEntry(userId, reel) }
+      }));
+      
+      await dynamoDb.batchWriteAll(TABLES.TIMELINES, writeRequests);
+      return true;
+    } catch (error) {
+      console.error('Error adding reel to timelines:', error);
+      throw error;
+    }
+  },
+  
+  // Copy an author's most recent posts and reels into a user's timelines (after a follow)
+  backfillAuthor: async (userId, authorId, limit = BACKFILL_LIMIT) => {
+    try {
+      const [posts, reels] = await Promise.all([
+        dynamoDb.query({
+          TableName: TABLES.POSTS,
+          IndexName: 'UserIdIndex',
+          KeyConditionExpression: 'userId = :authorId',
+          ExpressionAttributeValues: {
+            ':authorId': authorId
+          },
+          ScanIndexForward: false, // Newest first
+          Limit: limit
+        }),
+        dynamoDb.query({
+          TableName: TABLES.STORIES,
+          IndexName: 'UserIdIndex',
+          KeyConditionExpression: 'userId = :authorId',
+          FilterExpression: 'contentType = :contentType',
+          ExpressionAttributeValues: {
+            ':authorId': authorId,
+            ':contentType': 'reel'
+          },
+          ScanIndexForward: false, // Newest first
+          Limit: limit
+        })
+      ]);
+      
+      const writeRequests = [
+        ...(posts || []).map(post => ({ PutRequest: { Item: buildEntry(userId, post) } })),
+        ...(reels || []).map(reel => ({ PutRequest: { Item: buildReelEntry(userId, reel) } }))
+      ];
+      
+      if (writeRequests.length === 0) {
+        return 0;
+      }
+      
+      await dynamoDb.batchWriteAll(TABLES.TIMELINES, writeRequests);
+      
+      return writeRequests.length;
+    } catch (error) {
+      console.error('Error backfilling timeline:', error);
+      throw error;
+    }
+  },
+  
+  // Remove every entry from one author out of a user's post and reel timelines (after an unfollow)
+  removeAuthor: async (userId, authorId) => {
+    try {
+      let removed = 0;
+      
+      for (const timelineId of [userId, toReelTimelineId(userId)]) {
+        let lastEvaluatedKey = null;
+        
+        do {
+          const params = {
+            TableName: TABLES.TIMELINES,
+            IndexName: 'AuthorIndex',
+            KeyConditionExpression: 'userId = :userId AND authorId = :authorId',
+            ExpressionAttributeValues: {
+              ':userId': timelineId,
+              ':authorId': authorId
+            }
+          };
+          
+          if (lastEvaluatedKey) {
+            params.ExclusiveStartKey = lastEvaluatedKey;
+          }
+          
+          const result = await dynamoDb.queryPage(params);
+          
+          if (result.Items.length > 0) {
+            await dynamoDb.batchWriteAll(TABLES.TIMELINES, result.Items.map(entry => ({
+              DeleteRequest: {
+                Key: { userId: entry.userId, sortKey: entry.sortKey }
+              }
+            })));
+            removed += result.Items.length;
+          }
+          
+          lastEvaluatedKey = result.LastEvaluatedKey;
+        } while (lastEvaluatedKey);
+      }
+      
+      return removed;
+    } catch (error) {
+      console.error('Error removing author from timeline:', error);
+      throw error;
+    }
+  },
+  
+  // Get a page of timeline entries older than `before` (a sort key), newest first.
+  // Pass toReelTimelineId(userId) to read the user's reel timeline
+  getPage: async (userId, limit = 20, before = null, lastEvaluatedKey = null) => {
+    try {
+      const params = {
+        TableName: TABLES.TIMELINES,
+        KeyConditionExpression: before
+          ? 'userId = :userId AND sortKey < :before'
+          : 'userId = :userId',
+        ExpressionAttributeValues: {
+          ':userId': userId
+        },
+        ScanIndexForward: false, // Newest first
+        Limit: limit
+      };
+      
+      if (before) {
+        params.ExpressionAttributeValues[':before'] = before;
+      }
+      
+      if (lastEvaluatedKey) {
+        params.ExclusiveStartKey = lastEvaluatedKey;
+      }
+      
+      const result = await dynamoDb.queryPage(params);
+      
+      return {
+        entries: result.Items,
+        lastEvaluatedKey: result.LastEvaluatedKey
+      };
+    } catch (error) {
+      console.error('Error getting timeline page:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = Timeline;
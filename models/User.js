@@ -1,7 +1,37 @@
 // models/User.js
-const { dynamoDb, TABLES } = require('../config/dynamodb');
+const { dynamoDb, TABLES, isConditionalCheckFailure } = require('../config/dynamodb');
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const FollowRequest = require('./FollowRequest');
+const Timeline = require('./Timeline');
+const config = require('../config');
+
+// Wrong guesses allowed per one-time code
+const MAX_AUTH_CODE_ATTEMPTS = 5;
+
+// One-time codes are stored as SHA-256 hashes
+const hashAuthCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Wrong two-factor codes allowed in a row before verification is locked for a while
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+const TWO_FACTOR_LOCK_SECONDS = 15 * 60;
+
+// Backup codes are short, so they are hashed with an HMAC keyed by the data encryption key:
+// a copy of the Users table alone is not enough to try every possible code offline
+const hashBackupCode = (code) => {
+  if (!config.security.encryptionKey) {
+    throw new Error('Two-factor authentication is not configured');
+  }
+  
+  return crypto.createHmac('sha256', config.security.encryptionKey).update(code).digest('hex');
+};
+
+// Backup codes, keyed by hash so using one is a single conditional REMOVE
+const hashBackupCodes = (codes) => codes.reduce((hashes, code) => {
+  hashes[hashBackupCode(code)] = true;
+  return hashes;
+}, {});
 
 const User = {
   // Create a new user
@@ -24,12 +54,18 @@ const User = {
         passwordHash,
         profilePicture: userData.profilePicture || null,
         bio: userData.bio || '',
-        following: userData.following || [],
-        followers: userData.followers || [],
+        isPrivate: userData.isPrivate || false,
+        followersCount: 0,
+        followingCount: 0,
         createdAt: timestamp,
         updatedAt: timestamp
       };
       
+      // Accounts that must confirm their email first (the local auth provider)
+      if (userData.emailVerified !== undefined) {
+        userItem.emailVerified = userData.emailVerified;
+      }
+      
       const params = {
         TableName: TABLES.USERS,
         Item: userItem,
@@ -61,6 +97,9 @@ const User = {
       if (user) {
         // Remove sensitive fields
         delete user.passwordHash;
+        delete user.authCodes;
+        delete user.twoFactor;
+        delete user.twoFactorPending;
       }
       
       return user;
@@ -88,6 +127,9 @@ const User = {
         const user = users[0];
         // Remove sensitive fields
         delete user.passwordHash;
+        delete user.authCodes;
+        delete user.twoFactor;
+        delete user.twoFactorPending;
         return user;
       }
       
@@ -135,7 +177,7 @@ const User = {
       };
       
       // Add fields to update
-      const allowedFields = ['username', 'profilePicture', 'bio'];
+      const allowedFields = ['username', 'profilePicture', 'bio', 'isPrivate', 'showActivityStatus'];
       allowedFields.forEach(field => {
         if (updates[field] !== undefined) {
           updateExpression += `, ${field} = :${field}`;
@@ -155,6 +197,9 @@ const User = {
       
       // Remove sensitive fields
       delete result.Attributes.passwordHash;
+      delete result.Attributes.authCodes;
+      delete result.Attributes.twoFactor;
+      delete result.Attributes.twoFactorPending;
       
       return result.Attributes;
     } catch (error) {
@@ -163,142 +208,1154 @@ const User = {
     }
   },
   
-  // Follow user
+  // Follow user (writes a follow edge and bumps both counters atomically)
   followUser: async (userId, targetUserId) => {
     try {
-      // Add targetUserId to user's following list
-      let params = {
-        TableName: TABLES.USERS,
-        Key: { userId },
-        UpdateExpression: 'ADD following :targetUserId',
-        ExpressionAttributeValues: {
-          ':targetUserId': dynamoDb.createSet([targetUserId])
-        },
-        ReturnValues: 'UPDATED_NEW'
-      };
+      const timestamp = new Date().toISOString();
       
-      await dynamoDb.update(params);
+      // Edges to high-follower authors carry pullFollowerId (sparse PullIndex), so a
+      // timeline read finds the authors it must pull without reading every follow
+      const target = await User.getById(targetUserId);
+      const isPullEdge = Timeline.isHighFanout(target) || Timeline.isPulled(target);
       
-      // Add userId to target user's followers list
-      params = {
-        TableName: TABLES.USERS,
-        Key: { userId: targetUserId },
-        UpdateExpression: 'ADD followers :userId',
-        ExpressionAttributeValues: {
-          ':userId': dynamoDb.createSet([userId])
-        },
-        ReturnValues: 'UPDATED_NEW'
+      const transactionParams = {
+        TransactItems: [
+          {
+            Put: {
+              TableName: TABLES.FOLLOWS,
+              Item: {
+                followerId: userId,
+                followeeId: targetUserId,
+                timestamp,
+                ...(isPullEdge && { pullFollowerId: userId })
+              },
+              ConditionExpression: 'attribute_not_exists(followerId)'
+            }
+          },
+          {
+            Update: {
+              TableName: TABLES.USERS,
+              Key: { userId },
+              UpdateExpression: 'ADD followingCount :inc',
+              ExpressionAttributeValues: { ':inc': 1 }
+            }
+          },
+          {
+            Update: {
+              TableName: TABLES.USERS,
+              Key: { userId: targetUserId },
+              UpdateExpression: 'ADD followersCount :inc',
+              ExpressionAttributeValues: { ':inc': 1 }
+            }
+          }
+        ]
       };
       
-      await dynamoDb.update(params);
+      await dynamoDb.transactWrite(transactionParams);
+      
+      // Bring the author's recent posts into the new follower's timeline
+      try {
+        await Timeline.backfillAuthor(userId, targetUserId);
+      } catch (timelineError) {
+        console.error('Error backfilling timeline after follow:', timelineError);
+        // Continue even if backfill fails
+      }
       
       return true;
     } catch (error) {
+      // Already following - nothing to do
+      if (isConditionalCheckFailure(error)) {
+        return false;
+      }
+      
       console.error('Error following user:', error);
       throw error;
     }
   },
   
-  // Unfollow user
+  // Unfollow user (removes the follow edge and decrements both counters atomically)
   unfollowUser: async (userId, targetUserId) => {
     try {
-      // Remove targetUserId from user's following list
-      let params = {
-        TableName: TABLES.USERS,
-        Key: { userId },
-        UpdateExpression: 'DELETE following :targetUserId',
+      const transactionParams = {
+        TransactItems: [
+          {
+            Delete: {
+              TableName: TABLES.FOLLOWS,
+              Key: {
+                followerId: userId,
+                followeeId: targetUserId
+              },
+              ConditionExpression: 'attribute_exists(followerId)'
+            }
+          },
+          {
+            Update: {
+              TableName: TABLES.USERS,
+              Key: { userId },
+              UpdateExpression: 'ADD followingCount :dec',
+              ExpressionAttributeValues: { ':dec': -1 }
+            }
+          },
+          {
+            Update: {
+              TableName: TABLES.USERS,
+              Key: { userId: targetUserId },
+              UpdateExpression: 'ADD followersCount :dec',
+              ExpressionAttributeValues: { ':dec': -1 }
+            }
+          }
+        ]
+      };
+      
+      await dynamoDb.transactWrite(transactionParams);
+      
+      // Drop the author's posts from the former follower's timeline
+      try {
+        await Timeline.removeAuthor(userId, targetUserId);
+      } catch (timelineError) {
+        console.error('Error cleaning timeline after unfollow:', timelineError);
+        // Continue even if cleanup fails
+      }
+      
+      return true;
+    } catch (error) {
+      // Not following - nothing to do
+      if (isConditionalCheckFailure(error)) {
+        return false;
+      }
+      
+      console.error('Error unfollowing user:', error);
+      throw error;
+    }
+  },
+  
+  // Check whether userId follows targetUserId
+  isFollowing: async (userId, targetUserId) => {
+    try {
+      const params = {
+        TableName: TABLES.FOLLOWS,
+        Key: {
+          followerId: userId,
+          followeeId: targetUserId
+        }
+      };
+      
+      const edge = await dynamoDb.get(params);
+      return !!edge;
+    } catch (error) {
+      console.error('Error checking follow status:', error);
+      throw error;
+    }
+  },
+  
+  // Get the follow relationship between a viewer and each of the given users
+  // Returns a map of userId -> { isFollowing, followsYou }
+  getFollowStatuses: async (viewerId, userIds) => {
+    try {
+      const otherIds = [...new Set(userIds)].filter(id => id !== viewerId);
+      
+      const [following, followers] = await Promise.all([
+        dynamoDb.batchGetAll(
+          TABLES.FOLLOWS,
+          otherIds.map(id => ({ followerId: viewerId, followeeId: id })),
+          'followeeId'
+        ),
+        dynamoDb.batchGetAll(
+          TABLES.FOLLOWS,
+          otherIds.map(id => ({ followerId: id, followeeId: viewerId })),
+          'followerId'
+        )
+      ]);
+      
+      const followingIds = new Set(following.map(edge => edge.followeeId));
+      const followerIds = new Set(followers.map(edge => edge.followerId));
+      
+      const statuses = {};
+      userIds.forEach(id => {
+        statuses[id] = {
+          isFollowing: followingIds.has(id),
+          followsYou: followerIds.has(id)
+        };
+      });
+      
+      return statuses;
+    } catch (error) {
+      console.error('Error getting follow statuses:', error);
+      throw error;
+    }
+  },
+  
+  // Of the given user IDs, the ones whose content the viewer may see (batched
+  // canViewContent; users that no longer exist are left out)
+  getViewableIds: async (viewerId, userIds) => {
+    try {
+      const users = await dynamoDb.batchGetAll(
+        TABLES.USERS,
+        [...new Set(userIds)].map(userId => ({ userId })),
+        'userId, isPrivate'
+      );
+      
+      const privateIds = users
+        .filter(user => user.isPrivate && user.userId !== viewerId)
+        .map(user => user.userId);
+      const statuses = viewerId && privateIds.length > 0
+        ? await User.getFollowStatuses(viewerId, privateIds)
+        : {};
+      
+      return new Set(users
+        .filter(user => !privateIds.includes(user.userId) ||
+          (statuses[user.userId] && statuses[user.userId].isFollowing))
+        .map(user => user.userId));
+    } catch (error) {
+      console.error('Error checking content visibility:', error);
+      throw error;
+    }
+  },
+  
+  // Check whether a viewer may see a user's posts, stories and reels
+  canViewContent: async (viewerId, targetUser) => {
+    try {
+      if (!targetUser.isPrivate || viewerId === targetUser.userId) {
+        return true;
+      }
+      
+      if (!viewerId) {
+        return false;
+      }
+      
+      return await User.isFollowing(viewerId, targetUser.userId);
+    } catch (error) {
+      console.error('Error checking content visibility:', error);
+      throw error;
+    }
+  },
+  
+  // Get a page of follower IDs
+  getFollowersPage: async (userId, limit = 20, lastEvaluatedKey = null) => {
+    try {
+      const params = {
+        TableName: TABLES.FOLLOWS,
+        IndexName: 'FolloweeIndex',
+        KeyConditionExpression: 'followeeId = :userId',
         ExpressionAttributeValues: {
-          ':targetUserId': dynamoDb.createSet([targetUserId])
+          ':userId': userId
         },
-        ReturnValues: 'UPDATED_NEW'
+        Limit: limit
       };
       
-      await dynamoDb.update(params);
+      if (lastEvaluatedKey) {
+        params.ExclusiveStartKey = lastEvaluatedKey;
+      }
+      
+      const result = await dynamoDb.queryPage(params);
+      
+      return {
+        userIds: result.Items.map(edge => edge.followerId),
+        lastEvaluatedKey: result.LastEvaluatedKey
+      };
+    } catch (error) {
+      console.error('Error getting followers page:', error);
+      throw error;
+    }
+  },
+  
+  // Get the followed authors whose posts are pulled into userId's timeline at read time
+  getPulledFollowing: async (userId) => {
+    try {
+      const authorIds = [];
+      let lastEvaluatedKey = null;
+      
+      do {
+        const params = {
+          TableName: TABLES.FOLLOWS,
+          IndexName: 'PullIndex',
+          KeyConditionExpression: 'pullFollowerId = :userId',
+          ExpressionAttributeValues: {
+            ':userId': userId
+          }
+        };
+        
+        if (lastEvaluatedKey) {
+          params.ExclusiveStartKey = lastEvaluatedKey;
+        }
+        
+        const result = await dynamoDb.queryPage(params);
+        authorIds.push(...result.Items.map(edge => edge.followeeId));
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+      
+      return authorIds;
+    } catch (error) {
+      console.error('Error getting pulled following:', error);
+      throw error;
+    }
+  },
+  
+  // Switch an author to pull mode: index every follow edge to them in PullIndex, then mark
+  // the author so new posts are no longer fanned out. Run in the background (see
+  // lambda/timelineFanout.js) when an author passes the fan-out threshold
+  switchToPull: async (authorId) => {
+    try {
+      let lastEvaluatedKey = null;
+      let edgeCount = 0;
       
-      // Remove userId from target user's followers list
-      params = {
+      do {
+        const page = await User.getFollowersPage(authorId, 1000, lastEvaluatedKey);
+        
+        await Promise.all(page.userIds.map(async followerId => {
+          try {
+            await dynamoDb.update({
+              TableName: TABLES.FOLLOWS,
+              Key: { followerId, followeeId: authorId },
+              UpdateExpression: 'SET pullFollowerId = :followerId',
+              // Don't bring back an edge removed by an unfollow in the meantime
+              ConditionExpression: 'attribute_exists(followerId)',
+              ExpressionAttributeValues: { ':followerId': followerId }
+            });
+          } catch (updateError) {
+            if (!isConditionalCheckFailure(updateError)) {
+              throw updateError;
+            }
+          }
+        }));
+        
+        edgeCount += page.userIds.length;
+        lastEvaluatedKey = page.lastEvaluatedKey;
+      } while (lastEvaluatedKey);
+      
+      await dynamoDb.update({
         TableName: TABLES.USERS,
-        Key: { userId: targetUserId },
-        UpdateExpression: 'DELETE followers :userId',
+        Key: { userId: authorId },
+        UpdateExpression: 'SET fanoutMode = :pull',
+        ExpressionAttributeValues: { ':pull': 'pull' }
+      });
+      
+      return edgeCount;
+    } catch (error) {
+      console.error('Error switching author to pull mode:', error);
+      throw error;
+    }
+  },
+  
+  // Get a page of followed user IDs
+  getFollowingPage: async (userId, limit = 20, lastEvaluatedKey = null) => {
+    try {
+      const params = {
+        TableName: TABLES.FOLLOWS,
+        KeyConditionExpression: 'followerId = :userId',
         ExpressionAttributeValues: {
-          ':userId': dynamoDb.createSet([userId])
+          ':userId': userId
         },
-        ReturnValues: 'UPDATED_NEW'
+        Limit: limit
       };
       
-      await dynamoDb.update(params);
+      if (lastEvaluatedKey) {
+        params.ExclusiveStartKey = lastEvaluatedKey;
+      }
       
-      return true;
+      const result = await dynamoDb.queryPage(params);
+      
+      return {
+        userIds: result.Items.map(edge => edge.followeeId),
+        lastEvaluatedKey: result.LastEvaluatedKey
+      };
     } catch (error) {
-      console.error('Error unfollowing user:', error);
+      console.error('Error getting following page:', error);
       throw error;
     }
   },
   
-  // Get follower list
+  // Get follower list (all follower IDs, read page by page)
   getFollowers: async (userId) => {
+    try {
+      const followers = [];
+      let lastEvaluatedKey = null;
+      
+      do {
+        const page = await User.getFollowersPage(userId, 1000, lastEvaluatedKey);
+        followers.push(...page.userIds);
+        lastEvaluatedKey = page.lastEvaluatedKey;
+      } while (lastEvaluatedKey);
+      
+      return followers;
+    } catch (error) {
+      console.error('Error getting followers:', error);
+      throw error;
+    }
+  },
+  
+  // Get following list (all followed user IDs, read page by page)
+  getFollowing: async (userId) => {
+    try {
+      const following = [];
+      let lastEvaluatedKey = null;
+      
+      do {
+        const page = await User.getFollowingPage(userId, 1000, lastEvaluatedKey);
+        following.push(...page.userIds);
+        lastEvaluatedKey = page.lastEvaluatedKey;
+      } while (lastEvaluatedKey);
+      
+      return following;
+    } catch (error) {
+      console.error('Error getting following:', error);
+      throw error;
+    }
+  },
+  
+  // Block a user (also removes any follow edges and follow requests between the two)
+  blockUser: async (userId, targetUserId) => {
     try {
       const params = {
-        TableName: TABLES.USERS,
-        Key: { userId },
-        ProjectionExpression: 'followers'
+        TableName: TABLES.BLOCKS,
+        Item: {
+          blockerId: userId,
+          blockedId: targetUserId,
+          timestamp: new Date().toISOString()
+        },
+        ConditionExpression: 'attribute_not_exists(blockerId)'
       };
       
-      const result = await dynamoDb.get(params);
-      
-      if (!result || !result.followers) {
-        return [];
+      try {
+        await dynamoDb.put(params);
+      } catch (putError) {
+        // Already blocked - nothing to do
+        if (isConditionalCheckFailure(putError)) {
+          return false;
+        }
+        throw putError;
       }
       
-      return Array.from(result.followers);
+      await Promise.all([
+        User.unfollowUser(userId, targetUserId),
+        User.unfollowUser(targetUserId, userId),
+        FollowRequest.delete(targetUserId, userId),
+        FollowRequest.delete(userId, targetUserId)
+      ]);
+      
+      return true;
     } catch (error) {
-      console.error('Error getting followers:', error);
+      console.error('Error blocking user:', error);
       throw error;
     }
   },
   
-  // Get following list
-  getFollowing: async (userId) => {
+  // Unblock a user
+  unblockUser: async (userId, targetUserId) => {
     try {
       const params = {
-        TableName: TABLES.USERS,
-        Key: { userId },
-        ProjectionExpression: 'following'
+        TableName: TABLES.BLOCKS,
+        Key: {
+          blockerId: userId,
+          blockedId: targetUserId
+        },
+        ConditionExpression: 'attribute_exists(blockerId)'
       };
       
-      const result = await dynamoDb.get(params);
+      await dynamoDb.delete(params);
+      return true;
+    } catch (error) {
+      // Not blocked - nothing to do
+      if (isConditionalCheckFailure(error)) {
+        return false;
+      }
       
-      if (!result || !result.following) {
-        return [];
+      console.error('Error unblocking user:', error);
+      throw error;
+    }
+  },
+  
+  // Check whether either user has blocked the other
+  isBlocked: async (userId, otherUserId) => {
+    try {
+      if (!userId || !otherUserId || userId === otherUserId) {
+        return false;
       }
       
-      return Array.from(result.following);
+      const [blocked, blockedBy] = await Promise.all([
+        dynamoDb.get({
+          TableName: TABLES.BLOCKS,
+          Key: { blockerId: userId, blockedId: otherUserId }
+        }),
+        dynamoDb.get({
+          TableName: TABLES.BLOCKS,
+          Key: { blockerId: otherUserId, blockedId: userId }
+        })
+      ]);
+      
+      return !!(blocked || blockedBy);
     } catch (error) {
-      console.error('Error getting following:', error);
+      console.error('Error checking block status:', error);
       throw error;
     }
   },
   
-  // Change password
-  changePassword: async (userId, newPassword) => {
+  // Get a page of users blocked by userId
+  getBlockedPage: async (userId, limit = 20, lastEvaluatedKey = null) => {
     try {
-      const salt = await bcrypt.genSalt(10);
-      const passwordHash = await bcrypt.hash(newPassword, salt);
-      
       const params = {
-        TableName: TABLES.USERS,
-        Key: { userId },
-        UpdateExpression: 'SET passwordHash = :passwordHash, updatedAt = :updatedAt',
+        TableName: TABLES.BLOCKS,
+        KeyConditionExpression: 'blockerId = :userId',
         ExpressionAttributeValues: {
-          ':passwordHash': passwordHash,
-          ':updatedAt': new Date().toISOString()
+          ':userId': userId
+        },
+        Limit: limit
+      };
+      
+      if (lastEvaluatedKey) {
+        params.ExclusiveStartKey = lastEvaluatedKey;
+      }
+      
+      const result = await dynamoDb.queryPage(params);
+      
+      return {
+        blocks: result.Items,
+        lastEvaluatedKey: result.LastEvaluatedKey
+      };
+    } catch (error) {
+      console.error('Error getting blocked users:', error);
+      throw error;
+    }
+  },
+  
+  // Get every user hidden from userId: users they blocked and users who blocked them
+  getBlockedIds: async (userId) => {
+    try {
+      const blockedIds = new Set();
+      
+      const collect = async (params, attribute) => {
+        let lastEvaluatedKey = null;
+        do {
+          if (lastEvaluatedKey) {
+            params.ExclusiveStartKey = lastEvaluatedKey;
+          }
+          
+          const result = await dynamoDb.queryPage(params);
+          result.Items.forEach(item => blockedIds.add(item[attribute]));
+          lastEvaluatedKey = result.LastEvaluatedKey;
+        } while (lastEvaluatedKey);
+      };
+      
+      await Promise.all([
+        collect({
+          TableName: TABLES.BLOCKS,
+          KeyConditionExpression: 'blockerId = :userId',
+          ExpressionAttributeValues: { ':userId': userId }
+        }, 'blockedId'),
+        collect({
+          TableName: TABLES.BLOCKS,
+          IndexName: 'BlockedIndex',
+          KeyConditionExpression: 'blockedId = :userId',
+          ExpressionAttributeValues: { ':userId': userId }
+        }, 'blockerId')
+      ]);
+      
+      return blockedIds;
+    } catch (error) {
+      console.error('Error getting blocked IDs:', error);
+      throw error;
+    }
+  },
+  
+  // Mute a user's posts and/or stories (silent - the muted user is never told).
+  // Mutes are rows in the Mutes table, like blocks, so they don't grow the user item
+  muteUser: async (userId, targetUserId, { posts = true, stories = true } = {}) => {
+    try {
+      const params = {
+        TableName: TABLES.MUTES,
+        Item: {
+          userId,
+          muteKey: `user#${targetUserId}`,
+          targetUserId,
+          posts: !!posts,
+          stories: !!stories,
+          timestamp: new Date().toISOString()
         }
       };
       
-      await dynamoDb.update(params);
+      await dynamoDb.put(params);
       return true;
     } catch (error) {
-      console.error('Error changing password:', error);
+      console.error('Error muting user:', error);
+      throw error;
+    }
+  },
+  
+  // Unmute a user
+  unmuteUser: async (userId, targetUserId) => {
+    try {
+      const params = {
+        TableName: TABLES.MUTES,
+        Key: { userId, muteKey: `user#${targetUserId}` },
+        ConditionExpression: 'attribute_exists(userId)'
+      };
+      
+      await dynamoDb.delete(params);
+      return true;
+    } catch (error) {
+      // Not muted - nothing to do
+      if (isConditionalCheckFailure(error)) {
+        return false;
+      }
+      
+      console.error('Error unmuting user:', error);
+      throw error;
+    }
+  },
+  
+  // Mute a word or hashtag, optionally until expiresAt (ISO timestamp).
+  // Muted words with an end date are removed by the table's TTL once it has passed
+  muteWord: async (userId, word, expiresAt = null) => {
+    try {
+      const muteItem = {
+        userId,
+        muteKey: `word#${word}`,
+        word,
+        expiresAt,
+        timestamp: new Date().toISOString()
+      };
+      
+      if (expiresAt) {
+        muteItem.expiryTime = Math.floor(new Date(expiresAt).getTime() / 1000);
+      }
+      
+      await dynamoDb.put({
+        TableName: TABLES.MUTES,
+        Item: muteItem
+      });
+      return true;
+    } catch (error) {
+      console.error('Error muting word:', error);
+      throw error;
+    }
+  },
+  
+  // Unmute a word or hashtag
+  unmuteWord: async (userId, word) => {
+    try {
+      const params = {
+        TableName: TABLES.MUTES,
+        Key: { userId, muteKey: `word#${word}` },
+        ConditionExpression: 'attribute_exists(userId)'
+      };
+      
+      await dynamoDb.delete(params);
+      return true;
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return false;
+      }
+      
+      console.error('Error unmuting word:', error);
+      throw error;
+    }
+  },
+  
+  // Get a user's mutes as { users, words }. Expired words are left out
+  // (TTL deletes them, but not straight away)
+  getMutes: async (userId) => {
+    try {
+      const now = Date.now();
+      const mutes = { users: [], words: [] };
+      let lastEvaluatedKey = null;
+      
+      do {
+        const params = {
+          TableName: TABLES.MUTES,
+          KeyConditionExpression: 'userId = :userId',
+          ExpressionAttributeValues: {
+            ':userId': userId
+          }
+        };
+        
+        if (lastEvaluatedKey) {
+          params.ExclusiveStartKey = lastEvaluatedKey;
+        }
+        
+        const result = await dynamoDb.queryPage(params);
+        
+        result.Items.forEach(mute => {
+          if (mute.targetUserId) {
+            mutes.users.push(mute);
+          } else if (!mute.expiresAt || new Date(mute.expiresAt).getTime() > now) {
+            mutes.words.push(mute);
+          }
+        });
+        
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+      
+      return mutes;
+    } catch (error) {
+      console.error('Error getting mutes:', error);
+      throw error;
+    }
+  },
+  
+  // Scan a page of users with the fields needed to email them
+  getEmailRecipientsPage: async (limit = 100, lastEvaluatedKey = null) => {
+    try {
+      const params = {
+        TableName: TABLES.USERS,
+        ProjectionExpression: 'userId, username, email, notificationPreferences',
+        Limit: limit
+      };
+      
+      if (lastEvaluatedKey) {
+        params.ExclusiveStartKey = lastEvaluatedKey;
+      }
+      
+      const result = await dynamoDb.scanPage(params);
+      
+      return {
+        users: result.Items,
+        lastEvaluatedKey: result.LastEvaluatedKey
+      };
+    } catch (error) {
+      console.error('Error scanning users:', error);
+      throw error;
+    }
+  },
+  
+  // Replace the user's notification preferences (see utils/notificationPreferences)
+  updateNotificationPreferences: async (userId, preferences) => {
+    try {
+      const params = {
+        TableName: TABLES.USERS,
+        Key: { userId },
+        UpdateExpression: 'SET notificationPreferences = :preferences, updatedAt = :updatedAt',
+        ExpressionAttributeValues: {
+          ':preferences': preferences,
+          ':updatedAt': new Date().toISOString()
+        }
+      };
+      
+      await dynamoDb.update(params);
+      return preferences;
+    } catch (error) {
+      console.error('Error updating notification preferences:', error);
+      throw error;
+    }
+  },
+  
+  // Record the user as just active (a socket connection opening or closing)
+  updateLastActive: async (userId) => {
+    try {
+      const params = {
+        TableName: TABLES.USERS,
+        Key: { userId },
+        UpdateExpression: 'SET lastActiveAt = :lastActiveAt',
+        ConditionExpression: 'attribute_exists(userId)',
+        ExpressionAttributeValues: {
+          ':lastActiveAt': new Date().toISOString()
+        }
+      };
+      
+      await dynamoDb.update(params);
+      return true;
+    } catch (error) {
+      // Deleted account - nothing to record
+      if (isConditionalCheckFailure(error)) {
+        return false;
+      }
+      
+      console.error('Error updating last active time:', error);
+      throw error;
+    }
+  },
+  
+  // Get the activity fields (lastActiveAt, showActivityStatus) of several users at once
+  getActivity: async (userIds) => {
+    try {
+      return await dynamoDb.batchGetAll(
+        TABLES.USERS,
+        userIds.map(userId => ({ userId })),
+        'userId, lastActiveAt, showActivityStatus'
+      );
+    } catch (error) {
+      console.error('Error getting user activity:', error);
+      throw error;
+    }
+  },
+  
+  // Change password (this also signs out every existing session)
+  changePassword: async (userId, newPassword) => {
+    try {
+      const salt = await bcrypt.genSalt(10);
+      const passwordHash = await bcrypt.hash(newPassword, salt);
+      
+      const params = {
+        TableName: TABLES.USERS,
+        Key: { userId },
+        UpdateExpression: 'SET passwordHash = :passwordHash, tokensValidAfterMs = :tokensValidAfterMs, updatedAt = :updatedAt',
+        ExpressionAttributeValues: {
+          ':passwordHash': passwordHash,
+          ':tokensValidAfterMs': Date.now(),
+          ':updatedAt': new Date().toISOString()
+        }
+      };
+      
+      await dynamoDb.update(params);
+      return true;
+    } catch (error) {
+      console.error('Error changing password:', error);
+      throw error;
+    }
+  },
+  
+  // Revoke every token issued to the user so far (tokens carry their issue time in milliseconds)
+  revokeTokens: async (userId) => {
+    try {
+      const params = {
+        TableName: TABLES.USERS,
+        Key: { userId },
+        UpdateExpression: 'SET tokensValidAfterMs = :tokensValidAfterMs, updatedAt = :updatedAt',
+        ExpressionAttributeValues: {
+          ':tokensValidAfterMs': Date.now(),
+          ':updatedAt': new Date().toISOString()
+        }
+      };
+      
+      await dynamoDb.update(params);
+      return true;
+    } catch (error) {
+      console.error('Error revoking tokens:', error);
+      throw error;
+    }
+  },
+  
+  // Store a one-time code (email confirmation or password reset) for the user, replacing
+  // any earlier code for the same purpose. Only a hash of the code is kept
+  setAuthCode: async (userId, purpose, code, ttlSeconds) => {
+    try {
+      // Make sure the map exists before writing a nested path into it
+      await dynamoDb.update({
+        TableName: TABLES.USERS,
+        Key: { userId },
+        UpdateExpression: 'SET authCodes = if_not_exists(authCodes, :empty)',
+        ExpressionAttributeValues: { ':empty': {} }
+      });
+      
+      const params = {
+        TableName: TABLES.USERS,
+        Key: { userId },
+        UpdateExpression: 'SET authCodes.#purpose = :code',
+        ExpressionAttributeNames: {
+          '#purpose': purpose
+        },
+        ExpressionAttributeValues: {
+          ':code': {
+            hash: hashAuthCode(code),
+            expiresAt: Math.floor(Date.now() / 1000) + ttlSeconds,
+            attempts: 0
+          }
+        }
+      };
+      
+      await dynamoDb.update(params);
+      return true;
+    } catch (error) {
+      console.error('Error setting auth code:', error);
+      throw error;
+    }
+  },
+  
+  // Check a one-time code. A correct code is used up; a wrong one counts towards
+  // MAX_AUTH_CODE_ATTEMPTS, after which the code stops working
+  verifyAuthCode: async (userId, purpose, code) => {
+    try {
+      const params = {
+        TableName: TABLES.USERS,
+        Key: { userId },
+        ProjectionExpression: 'authCodes'
+      };
+      
+      const result = await dynamoDb.get(params);
+      const stored = result && result.authCodes && result.authCodes[purpose];
+      
+      if (!stored || stored.expiresAt < Math.floor(Date.now() / 1000) || stored.attempts >= MAX_AUTH_CODE_ATTEMPTS) {
+        return false;
+      }
+      
+      const expected = Buffer.from(stored.hash, 'hex');
+      const actual = Buffer.from(hashAuthCode(String(code)), 'hex');
+      
+      if (!crypto.timingSafeEqual(expected, actual)) {
+        await dynamoDb.update({
+          TableName: TABLES.USERS,
+          Key: { userId },
+          UpdateExpression: 'SET authCodes.#purpose.attempts = authCodes.#purpose.attempts + :one',
+          ExpressionAttributeNames: { '#purpose': purpose },
+          ExpressionAttributeValues: { ':one': 1 }
+        });
+        return false;
+      }
+      
+      // Use the code up; the condition stops the same code being redeemed twice
+      await dynamoDb.update({
+        TableName: TABLES.USERS,
+        Key: { userId },
+        UpdateExpression: 'REMOVE authCodes.#purpose',
+        ConditionExpression: 'authCodes.#purpose.#hash = :hash',
+        ExpressionAttributeNames: { '#purpose': purpose, '#hash': 'hash' },
+        ExpressionAttributeValues: { ':hash': stored.hash }
+      });
+      return true;
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return false;
+      }
+      
+      console.error('Error verifying auth code:', error);
+      throw error;
+    }
+  },
+  
+  // Mark the user's email address as confirmed
+  confirmEmail: async (userId) => {
+    try {
+      const params = {
+        TableName: TABLES.USERS,
+        Key: { userId },
+        UpdateExpression: 'SET emailVerified = :emailVerified, updatedAt = :updatedAt',
+        ExpressionAttributeValues: {
+          ':emailVerified': true,
+          ':updatedAt': new Date().toISOString()
+        }
+      };
+      
+      await dynamoDb.update(params);
+      return true;
+    } catch (error) {
+      console.error('Error confirming email:', error);
+      throw error;
+    }
+  },
+  
+  // Get the user's two-factor state: twoFactorEnabled, twoFactor (secret, backup code hashes,
+  // last used step, failed attempts, lock) and twoFactorPending (enrolment in progress)
+  getTwoFactor: async (userId) => {
+    try {
+      const params = {
+        TableName: TABLES.USERS,
+        Key: { userId },
+        ProjectionExpression: 'twoFactorEnabled, twoFactor, twoFactorPending'
+      };
+      
+      return await dynamoDb.get(params);
+    } catch (error) {
+      console.error('Error getting two-factor settings:', error);
+      throw error;
+    }
+  },
+  
+  // Start enrolment with a new (encrypted) secret, replacing any unfinished one.
+  // Returns false if two-factor authentication is already on
+  setPendingTwoFactor: async (userId, encryptedSecret) => {
+    try {
+      const params = {
+        TableName: TABLES.USERS,
+        Key: { userId },
+        UpdateExpression: 'SET twoFactorPending = :pending',
+        ConditionExpression: 'attribute_exists(userId) AND (attribute_not_exists(twoFactorEnabled) OR twoFactorEnabled = :false)',
+        ExpressionAttributeValues: {
+          ':pending': {
+            secret: encryptedSecret,
+            createdAt: new Date().toISOString()
+          },
+          ':false': false
+        }
+      };
+      
+      await dynamoDb.update(params);
+      return true;
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return false;
+      }
+      
+      console.error('Error setting pending two-factor secret:', error);
+      throw error;
+    }
+  },
+  
+  // Finish enrolment: turn two-factor authentication on with the pending secret and a set
+  // of backup codes. Returns false if the pending secret was replaced in the meantime
+  enableTwoFactor: async (userId, encryptedSecret, backupCodes, step) => {
+    try {
+      const timestamp = new Date().toISOString();
+      
+      const params = {
+        TableName: TABLES.USERS,
+        Key: { userId },
+        UpdateExpression: 'SET twoFactorEnabled = :true, twoFactor = :twoFactor, updatedAt = :updatedAt REMOVE twoFactorPending',
+        ConditionExpression: 'twoFactorPending.secret = :secret',
+        ExpressionAttributeValues: {
+          ':true': true,
+          ':twoFactor': {
+            secret: encryptedSecret,
+            backupCodes: hashBackupCodes(backupCodes),
+            lastUsedStep: step, // The code that confirmed enrolment cannot be used to log in
+            failedAttempts: 0,
+            enabledAt: timestamp
+          },
+          ':secret': encryptedSecret,
+          ':updatedAt': timestamp
+        }
+      };
+      
+      await dynamoDb.update(params);
+      return true;
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return false;
+      }
+      
+      console.error('Error enabling two-factor authentication:', error);
+      throw error;
+    }
+  },
+  
+  // Record a successful authenticator code. Codes only count once, so this fails (returns false)
+  // for a time step at or before the last one used
+  useTotpStep: async (userId, step) => {
+    try {
+      const params = {
+        TableName: TABLES.USERS,
+        Key: { userId },
+        UpdateExpression: 'SET twoFactor.lastUsedStep = :step, twoFactor.failedAttempts = :zero',
+        ConditionExpression: 'twoFactorEnabled = :true AND twoFactor.lastUsedStep < :step',
+        ExpressionAttributeValues: {
+          ':step': step,
+          ':zero': 0,
+          ':true': true
+        }
+      };
+      
+      await dynamoDb.update(params);
+      return true;
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return false;
+      }
+      
+      console.error('Error recording two-factor code:', error);
+      throw error;
+    }
+  },
+  
+  // Use up a backup code. Returns false if it is not one of the user's unused codes
+  useBackupCode: async (userId, code) => {
+    try {
+      const params = {
+        TableName: TABLES.USERS,
+        Key: { userId },
+        UpdateExpression: 'REMOVE twoFactor.backupCodes.#hash SET twoFactor.failedAttempts = :zero',
+        ConditionExpression: 'twoFactorEnabled = :true AND attribute_exists(twoFactor.backupCodes.#hash)',
+        ExpressionAttributeNames: {
+          '#hash': hashBackupCode(code)
+        },
+        ExpressionAttributeValues: {
+          ':zero': 0,
+          ':true': true
+        }
+      };
+      
+      await dynamoDb.update(params);
+      return true;
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return false;
+      }
+      
+      console.error('Error using backup code:', error);
+      throw error;
+    }
+  },
+  
+  // Count a wrong two-factor code. After MAX_TWO_FACTOR_ATTEMPTS in a row, verification is
+  // locked for TWO_FACTOR_LOCK_SECONDS. Returns true if this attempt caused the lock
+  recordTwoFactorFailure: async (userId) => {
+    try {
+      const result = await dynamoDb.update({
+        TableName: TABLES.USERS,
+        Key: { userId },
+        UpdateExpression: 'SET twoFactor.failedAttempts = twoFactor.failedAttempts + :one',
+        ConditionExpression: 'twoFactorEnabled = :true',
+        ExpressionAttributeValues: {
+          ':one': 1,
+          ':true': true
+        },
+        ReturnValues: 'UPDATED_NEW'
+      });
+      
+      if (result.Attributes.twoFactor.failedAttempts < MAX_TWO_FACTOR_ATTEMPTS) {
+        return false;
+      }
+      
+      await dynamoDb.update({
+        TableName: TABLES.USERS,
+        Key: { userId },
+        UpdateExpression: 'SET twoFactor.lockedUntil = :lockedUntil, twoFactor.failedAttempts = :zero',
+        ExpressionAttributeValues: {
+          ':lockedUntil': Math.floor(Date.now() / 1000) + TWO_FACTOR_LOCK_SECONDS,
+          ':zero': 0
+        }
+      });
+      return true;
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return false;
+      }
+      
+      console.error('Error recording two-factor failure:', error);
+      throw error;
+    }
+  },
+  
+  // Replace the user's backup codes (the old ones stop working)
+  setBackupCodes: async (userId, backupCodes) => {
+    try {
+      const params = {
+        TableName: TABLES.USERS,
+        Key: { userId },
+        UpdateExpression: 'SET twoFactor.backupCodes = :backupCodes',
+        ConditionExpression: 'twoFactorEnabled = :true',
+        ExpressionAttributeValues: {
+          ':backupCodes': hashBackupCodes(backupCodes),
+          ':true': true
+        }
+      };
+      
+      await dynamoDb.update(params);
+      return true;
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        return false;
+      }
+      
+      console.error('Error setting backup codes:', error);
+      throw error;
+    }
+  },
+  
+  // Turn two-factor authentication off, discarding the secret and backup codes
+  disableTwoFactor: async (userId) => {
+    try {
+      const params = {
+        TableName: TABLES.USERS,
+        Key: { userId },
+        UpdateExpression: 'SET twoFactorEnabled = :false, updatedAt = :updatedAt REMOVE twoFactor, twoFactorPending',
+        ExpressionAttributeValues: {
+          ':false': false,
+          ':updatedAt': new Date().toISOString()
+        }
+      };
+      
+      await dynamoDb.update(params);
+      return true;
+    } catch (error) {
+      console.error('Error disabling two-factor authentication:', error);
       throw error;
     }
   },
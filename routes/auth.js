@@ -1,6 +1,6 @@
 // routes/auth.js
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const authController = require('../controllers/authController');
 const { authenticateToken } = require('../middleware/auth');
 
@@ -12,7 +12,8 @@ router.post(
   [
     body('username').isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
     body('email').isEmail().withMessage('Must be a valid email address'),
-    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('deviceName').optional().isString().isLength({ max: 100 }).withMessage('Device name must be at most 100 characters')
   ],
   authController.register
 );
@@ -32,7 +33,8 @@ router.post(
   '/login',
   [
     body('email').isEmail().withMessage('Must be a valid email address'),
-    body('password').notEmpty().withMessage('Password is required')
+    body('password').notEmpty().withMessage('Password is required'),
+    body('deviceName').optional().isString().isLength({ max: 100 }).withMessage('Device name must be at most 100 characters')
   ],
   authController.login
 );
@@ -44,6 +46,16 @@ router.post(
   authController.refreshToken
 );
 
+// Second login step for accounts with two-factor authentication
+router.post(
+  '/2fa/login',
+  [
+    body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+    body('code').notEmpty().withMessage('Code is required')
+  ],
+  authController.completeTwoFactorLogin
+);
+
 // Forgot password
 router.post(
   '/forgot-password',
@@ -73,4 +85,56 @@ router.post(
   authController.changePassword
 );
 
+// Start two-factor enrolment (requires authentication)
+router.post(
+  '/2fa/setup',
+  authenticateToken,
+  body('password').notEmpty().withMessage('Password is required'),
+  authController.setupTwoFactor
+);
+
+// Finish two-factor enrolment (requires authentication)
+router.post(
+  '/2fa/verify',
+  authenticateToken,
+  body('code').notEmpty().withMessage('Code is required'),
+  authController.verifyTwoFactorSetup
+);
+
+// Replace two-factor backup codes (requires authentication)
+router.post(
+  '/2fa/backup-codes',
+  authenticateToken,
+  [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').notEmpty().withMessage('Code is required')
+  ],
+  authController.regenerateBackupCodes
+);
+
+// Turn off two-factor authentication (requires authentication)
+router.post(
+  '/2fa/disable',
+  authenticateToken,
+  [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').notEmpty().withMessage('Code is required')
+  ],
+  authController.disableTwoFactor
+);
+
+// List active sessions (requires authentication)
+router.get('/sessions', authenticateToken, authController.getSessions);
+
+// Revoke a session (requires authentication)
+router.delete(
+  '/sessions/:sessionId',
+  authenticateToken,
+  param('sessionId').isUUID().withMessage('Invalid session ID'),
+  authController.deleteSession
+);
+
+// Log out of all sessions (requires authentication)
+router.post('/logout-all', authenticateToken, authController.logoutAll);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,137 @@
+// routes/conversations.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const conversationController = require('../controllers/conversationController');
+const { authenticateToken } = require('../middleware/auth');
+const uploadMiddleware = require('../middleware/upload');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// Start a direct or group conversation
+router.post(
+  '/',
+  [
+    body('participantIds').isArray({ min: 1 }).withMessage('Participant IDs must be a non-empty array'),
+    body('participantIds.*').isString().notEmpty().withMessage('Participant IDs must be strings'),
+    body('name').optional().isString().isLength({ max: 100 }).withMessage('Name must be at most 100 characters')
+  ],
+  conversationController.createConversation
+);
+
+// Get user's conversations (inbox by default, or message requests)
+router.get(
+  '/',
+  [
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    query('folder').optional().isIn(['inbox', 'requests']).withMessage('Folder must be inbox or requests')
+  ],
+  conversationController.getConversations
+);
+
+// Get the number of conversations with unread messages
+router.get('/unread-count', conversationController.getUnreadCount);
+
+// Get a conversation
+router.get(
+  '/:conversationId',
+  param('conversationId').isString().notEmpty().withMessage('Conversation ID is required'),
+  conversationController.getConversation
+);
+
+// Get a conversation's messages
+router.get(
+  '/:conversationId/messages',
+  [
+    param('conversationId').isString().notEmpty().withMessage('Conversation ID is required'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  conversationController.getMessages
+);
+
+// Send a text message
+router.post(
+  '/:conversationId/messages',
+  [
+    param('conversationId').isString().notEmpty().withMessage('Conversation ID is required'),
+    body('text').isString().notEmpty().isLength({ max: 2000 }).withMessage('Message must be at most 2000 characters')
+  ],
+  conversationController.sendMessage
+);
+
+// Send an image message
+router.post(
+  '/:conversationId/messages/image',
+  uploadMiddleware.messageImage,
+  uploadMiddleware.handleUploadError,
+  [
+    param('conversationId').isString().notEmpty().withMessage('Conversation ID is required'),
+    body('text').optional().isString().isLength({ max: 2000 }).withMessage('Caption must be at most 2000 characters')
+  ],
+  conversationController.sendMessage
+);
+
+// Send a video message
+router.post(
+  '/:conversationId/messages/video',
+  uploadMiddleware.messageVideo,
+  uploadMiddleware.handleUploadError,
+  [
+    param('conversationId').isString().notEmpty().withMessage('Conversation ID is required'),
+    body('text').optional().isString().isLength({ max: 2000 }).withMessage('Caption must be at most 2000 characters')
+  ],
+  conversationController.sendMessage
+);
+
+// Mark a conversation as read
+router.post(
+  '/:conversationId/read',
+  [
+    param('conversationId').isString().notEmpty().withMessage('Conversation ID is required'),
+    body('messageId').optional().isString().notEmpty().withMessage('Message ID must be a string')
+  ],
+  conversationController.markRead
+);
+
+// Accept a message request
+router.post(
+  '/:conversationId/accept',
+  param('conversationId').isString().notEmpty().withMessage('Conversation ID is required'),
+  conversationController.acceptRequest
+);
+
+// Delete a message request
+router.delete(
+  '/:conversationId/request',
+  param('conversationId').isString().notEmpty().withMessage('Conversation ID is required'),
+  conversationController.deleteRequest
+);
+
+// Delete a message request and block the sender
+router.post(
+  '/:conversationId/block',
+  param('conversationId').isString().notEmpty().withMessage('Conversation ID is required'),
+  conversationController.blockRequest
+);
+
+// Add participants to a group conversation
+router.post(
+  '/:conversationId/members',
+  [
+    param('conversationId').isString().notEmpty().withMessage('Conversation ID is required'),
+    body('userIds').isArray({ min: 1 }).withMessage('User IDs must be a non-empty array'),
+    body('userIds.*').isString().notEmpty().withMessage('User IDs must be strings')
+  ],
+  conversationController.addMembers
+);
+
+// Leave a group conversation
+router.delete(
+  '/:conversationId/members/me',
+  param('conversationId').isString().notEmpty().withMessage('Conversation ID is required'),
+  conversationController.leaveConversation
+);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+// routes/devices.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const deviceController = require('../controllers/deviceController');
+const { PLATFORMS } = require('../models/Device');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+// Register a device for push notifications
+router.post(
+  '/',
+  [
+    body('deviceId').isString().trim().notEmpty().isLength({ max: 128 }).withMessage('Device ID is required'),
+    body('platform').isIn(Object.values(PLATFORMS)).withMessage(`Platform must be one of: ${Object.values(PLATFORMS).join(', ')}`),
+    body('token').isString().trim().notEmpty().isLength({ max: 4096 }).withMessage('Push token is required')
+  ],
+  deviceController.registerDevice
+);
+
+// Unregister a device
+router.delete(
+  '/:deviceId',
+  param('deviceId').isString().notEmpty().withMessage('Device ID is required'),
+  deviceController.unregisterDevice
+);
+
+module.exports = router;
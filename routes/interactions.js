@@ -3,6 +3,7 @@ const express = require('express');
 const { body, param, query } = require('express-validator');
 const interactionController = require('../controllers/interactionController');
 const { authenticateToken } = require('../middleware/auth');
+const { REACTION_TYPES } = require('../models/Interaction');
 
 const router = express.Router();
 
@@ -50,7 +51,10 @@ router.delete(
 // Like a comment
 router.post(
   '/comment/:commentId/like',
-  param('commentId').isString().notEmpty().withMessage('Comment ID is required'),
+  [
+    param('commentId').isString().notEmpty().withMessage('Comment ID is required'),
+    body('reactionType').optional().isIn(REACTION_TYPES).withMessage('Invalid reaction type')
+  ],
   interactionController.likeComment
 );
 
@@ -61,4 +65,43 @@ router.delete(
   interactionController.unlikeComment
 );
 
+// React to a comment (or change the reaction)
+router.put(
+  '/comment/:commentId/reaction',
+  [
+    param('commentId').isString().notEmpty().withMessage('Comment ID is required'),
+    body('reactionType').isIn(REACTION_TYPES).withMessage('Invalid reaction type')
+  ],
+  interactionController.likeComment
+);
+
+// Remove a reaction from a comment
+router.delete(
+  '/comment/:commentId/reaction',
+  param('commentId').isString().notEmpty().withMessage('Comment ID is required'),
+  interactionController.unlikeComment
+);
+
+// Get who liked a comment (every reaction counts as a like)
+router.get(
+  '/comment/:commentId/likes',
+  [
+    param('commentId').isString().notEmpty().withMessage('Comment ID is required'),
+    query('type').optional().isIn(REACTION_TYPES).withMessage('Invalid reaction type'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  interactionController.getCommentReactions
+);
+
+// Get who reacted to a comment
+router.get(
+  '/comment/:commentId/reactions',
+  [
+    param('commentId').isString().notEmpty().withMessage('Comment ID is required'),
+    query('type').optional().isIn(REACTION_TYPES).withMessage('Invalid reaction type'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  interactionController.getCommentReactions
+);
+
 module.exports = router;
\ No newline at end of file
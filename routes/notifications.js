@@ -6,7 +6,22 @@ const { authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Apply authentication middleware to all routes
+// Unsubscribe from emails through the link they contain (no login needed). Opening the link
+// only asks for confirmation; the POST (the confirm button, or the one-click request mail
+// clients send for the List-Unsubscribe header) makes the change
+router.get(
+  '/unsubscribe',
+  query('token').isString().notEmpty().withMessage('Token is required'),
+  notificationController.confirmUnsubscribe
+);
+
+router.post(
+  '/unsubscribe',
+  query('token').isString().notEmpty().withMessage('Token is required'),
+  notificationController.unsubscribe
+);
+
+// Apply authentication middleware to the remaining routes
 router.use(authenticateToken);
 
 // Get user's notifications
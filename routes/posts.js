@@ -5,6 +5,7 @@ const { body, query, param } = require('express-validator');
 const postController = require('../controllers/postController');
 const { authenticateToken } = require('../middleware/auth');
 const uploadMiddleware = require('../middleware/upload');
+const { REACTION_TYPES } = require('../models/Interaction');
 
 const router = express.Router();
 
@@ -45,6 +46,34 @@ router.post(
   postController.createPost
 );
 
+// Static paths come before '/:postId' so they are not captured by it
+// Get timeline posts (mode=ranked serves the "For You" feed)
+router.get(
+  '/timeline',
+  [
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('mode').optional().isIn(['ranked', 'chronological']).withMessage('Mode must be ranked or chronological')
+  ],
+  postController.getTimelinePosts
+);
+
+// Get the ranked "For You" feed
+router.get(
+  '/feed',
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  postController.getRankedFeed
+);
+
+// Search posts
+router.get(
+  '/search',
+  [
+    query('query').isString().notEmpty().withMessage('Search query is required'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  postController.searchPosts
+);
+
 // Get a post by ID
 router.get(
   '/:postId',
@@ -62,13 +91,6 @@ router.get(
   postController.getUserPosts
 );
 
-// Get timeline posts
-router.get(
-  '/timeline',
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  postController.getTimelinePosts
-);
-
 // Update a post
 router.put(
   '/:postId',
@@ -90,7 +112,10 @@ router.delete(
 // Like a post
 router.post(
   '/:postId/like',
-  param('postId').isString().notEmpty().withMessage('Post ID is required'),
+  [
+    param('postId').isString().notEmpty().withMessage('Post ID is required'),
+    body('reactionType').optional().isIn(REACTION_TYPES).withMessage('Invalid reaction type')
+  ],
   postController.likePost
 );
 
@@ -101,21 +126,50 @@ router.delete(
   postController.unlikePost
 );
 
-// Share a post
-router.post(
-  '/:postId/share',
+// React to a post (or change the reaction)
+router.put(
+  '/:postId/reaction',
+  [
+    param('postId').isString().notEmpty().withMessage('Post ID is required'),
+    body('reactionType').isIn(REACTION_TYPES).withMessage('Invalid reaction type')
+  ],
+  postController.likePost
+);
+
+// Remove a reaction from a post
+router.delete(
+  '/:postId/reaction',
   param('postId').isString().notEmpty().withMessage('Post ID is required'),
-  postController.sharePost
+  postController.unlikePost
 );
 
-// Search posts
+// Get who liked a post (every reaction counts as a like)
 router.get(
-  '/search',
+  '/:postId/likes',
   [
-    query('query').isString().notEmpty().withMessage('Search query is required'),
+    param('postId').isString().notEmpty().withMessage('Post ID is required'),
+    query('type').optional().isIn(REACTION_TYPES).withMessage('Invalid reaction type'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
   ],
-  postController.searchPosts
+  postController.getPostReactions
+);
+
+// Get who reacted to a post
+router.get(
+  '/:postId/reactions',
+  [
+    param('postId').isString().notEmpty().withMessage('Post ID is required'),
+    query('type').optional().isIn(REACTION_TYPES).withMessage('Invalid reaction type'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  postController.getPostReactions
+);
+
+// Share a post
+router.post(
+  '/:postId/share',
+  param('postId').isString().notEmpty().withMessage('Post ID is required'),
+  postController.sharePost
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
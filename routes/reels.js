@@ -4,6 +4,7 @@ const { body, param, query } = require('express-validator');
 const reelController = require('../controllers/reelController');
 const { authenticateToken } = require('../middleware/auth');
 const uploadMiddleware = require('../middleware/upload');
+const { REACTION_TYPES } = require('../models/Interaction');
 
 const router = express.Router();
 
@@ -25,7 +26,10 @@ router.post(
 // Get user's reels
 router.get(
   '/user/:userId',
-  param('userId').isString().notEmpty().withMessage('User ID is required'),
+  [
+    param('userId').isString().notEmpty().withMessage('User ID is required'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+  ],
   reelController.getUserReels
 );
 
@@ -36,10 +40,23 @@ router.get(
   reelController.getReelFeed
 );
 
+// Get discovery feed (popular recent reels)
+router.get(
+  '/discover',
+  [
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    query('windowHours').optional().isInt({ min: 1, max: 720 }).withMessage('Window must be between 1 and 720 hours')
+  ],
+  reelController.getDiscoverReels
+);
+
 // Like a reel
 router.post(
   '/:reelId/like',
-  param('reelId').isString().notEmpty().withMessage('Reel ID is required'),
+  [
+    param('reelId').isString().notEmpty().withMessage('Reel ID is required'),
+    body('reactionType').optional().isIn(REACTION_TYPES).withMessage('Invalid reaction type')
+  ],
   reelController.likeReel
 );
 
@@ -50,6 +67,45 @@ router.delete(
   reelController.unlikeReel
 );
 
+// React to a reel (or change the reaction)
+router.put(
+  '/:reelId/reaction',
+  [
+    param('reelId').isString().notEmpty().withMessage('Reel ID is required'),
+    body('reactionType').isIn(REACTION_TYPES).withMessage('Invalid reaction type')
+  ],
+  reelController.likeReel
+);
+
+// Remove a reaction from a reel
+router.delete(
+  '/:reelId/reaction',
+  param('reelId').isString().notEmpty().withMessage('Reel ID is required'),
+  reelController.unlikeReel
+);
+
+// Get who liked a reel (every reaction counts as a like)
+router.get(
+  '/:reelId/likes',
+  [
+    param('reelId').isString().notEmpty().withMessage('Reel ID is required'),
+    query('type').optional().isIn(REACTION_TYPES).withMessage('Invalid reaction type'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  reelController.getReelReactions
+);
+
+// Get who reacted to a reel
+router.get(
+  '/:reelId/reactions',
+  [
+    param('reelId').isString().notEmpty().withMessage('Reel ID is required'),
+    query('type').optional().isIn(REACTION_TYPES).withMessage('Invalid reaction type'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  reelController.getReelReactions
+);
+
 // Comment on a reel
 router.post(
   '/:reelId/comment',
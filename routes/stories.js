@@ -1,9 +1,11 @@
 // routes/stories.js
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const storyController = require('../controllers/storyController');
 const { authenticateToken } = require('../middleware/auth');
 const uploadMiddleware = require('../middleware/upload');
+const { REACTION_TYPES } = require('../models/Interaction');
+const { STORY_QUICK_REACTIONS } = require('../models/Message');
 
 const router = express.Router();
 
@@ -52,6 +54,62 @@ router.post(
   storyController.viewStory
 );
 
+// Reply to a story by direct message (text, or one of the quick emoji reactions)
+router.post(
+  '/:storyId/reply',
+  [
+    param('storyId').isString().notEmpty().withMessage('Story ID is required'),
+    body('text').optional().isString().isLength({ max: 2000 }).withMessage('Reply must be at most 2000 characters'),
+    body('emoji').optional().isIn(STORY_QUICK_REACTIONS).withMessage('Invalid story reaction')
+  ],
+  storyController.replyToStory
+);
+
+// Like a story
+router.post(
+  '/:storyId/like',
+  [
+    param('storyId').isString().notEmpty().withMessage('Story ID is required'),
+    body('reactionType').optional().isIn(REACTION_TYPES).withMessage('Invalid reaction type')
+  ],
+  storyController.likeStory
+);
+
+// Unlike a story
+router.delete(
+  '/:storyId/like',
+  param('storyId').isString().notEmpty().withMessage('Story ID is required'),
+  storyController.unlikeStory
+);
+
+// React to a story (or change the reaction)
+router.put(
+  '/:storyId/reaction',
+  [
+    param('storyId').isString().notEmpty().withMessage('Story ID is required'),
+    body('reactionType').isIn(REACTION_TYPES).withMessage('Invalid reaction type')
+  ],
+  storyController.likeStory
+);
+
+// Remove a reaction from a story
+router.delete(
+  '/:storyId/reaction',
+  param('storyId').isString().notEmpty().withMessage('Story ID is required'),
+  storyController.unlikeStory
+);
+
+// Get who reacted to a story
+router.get(
+  '/:storyId/reactions',
+  [
+    param('storyId').isString().notEmpty().withMessage('Story ID is required'),
+    query('type').optional().isIn(REACTION_TYPES).withMessage('Invalid reaction type'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  storyController.getStoryReactions
+);
+
 // Delete a story
 router.delete(
   '/:storyId',
@@ -2,22 +2,54 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const userController = require('../controllers/userController');
-const { authenticateToken } = require('../middleware/auth');
+const FollowRequest = require('../models/FollowRequest');
+const { CATEGORIES, CHANNELS, DIGEST_FREQUENCIES, isValidTimeZone } = require('../utils/notificationPreferences');
+const { authenticateToken, optionalAuthenticateToken } = require('../middleware/auth');
 const uploadMiddleware = require('../middleware/upload');
 
 const router = express.Router();
 
-// Public routes (no authentication required)
-// Get user profile
+// Get follow requests, pending unless ?status= says otherwise (declared before /:userId
+// so it is not read as a user ID)
 router.get(
-  '/:userId',
-  param('userId').isString().notEmpty().withMessage('User ID is required'),
-  userController.getProfile
+  '/follow-requests',
+  authenticateToken,
+  [
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    query('status').optional().isIn(Object.values(FollowRequest.STATUS))
+      .withMessage('Status must be pending, accepted or declined')
+  ],
+  userController.getFollowRequests
+);
+
+// Get blocked users (declared before /:userId so it is not read as a user ID)
+router.get(
+  '/blocked',
+  authenticateToken,
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  userController.getBlockedUsers
 );
 
+// Get mute settings (declared before /:userId so it is not read as a user ID)
+router.get(
+  '/mutes',
+  authenticateToken,
+  userController.getMutes
+);
+
+// Get online status of followed users (declared before /:userId so it is not read as a user ID)
+router.get(
+  '/presence',
+  authenticateToken,
+  query('userIds').optional().isString().withMessage('User IDs must be a comma-separated list'),
+  userController.getPresence
+);
+
+// Public routes (no authentication required, but a token is honoured when sent)
 // Search users
 router.get(
   '/search',
+  optionalAuthenticateToken,
   [
     query('query').isString().notEmpty().withMessage('Search query is required'),
     query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
@@ -25,17 +57,33 @@ router.get(
   userController.searchUsers
 );
 
+// Get user profile
+router.get(
+  '/:userId',
+  optionalAuthenticateToken,
+  param('userId').isString().notEmpty().withMessage('User ID is required'),
+  userController.getProfile
+);
+
 // Get user followers
 router.get(
   '/:userId/followers',
-  param('userId').isString().notEmpty().withMessage('User ID is required'),
+  optionalAuthenticateToken,
+  [
+    param('userId').isString().notEmpty().withMessage('User ID is required'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
   userController.getFollowers
 );
 
 // Get user following
 router.get(
   '/:userId/following',
-  param('userId').isString().notEmpty().withMessage('User ID is required'),
+  optionalAuthenticateToken,
+  [
+    param('userId').isString().notEmpty().withMessage('User ID is required'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
   userController.getFollowing
 );
 
@@ -47,7 +95,9 @@ router.put(
   '/profile',
   [
     body('username').optional().isString().isLength({ min: 3, max: 30 }).withMessage('Username must be between 3 and 30 characters'),
-    body('bio').optional().isString().isLength({ max: 200 }).withMessage('Bio must be at most 200 characters')
+    body('bio').optional().isString().isLength({ max: 200 }).withMessage('Bio must be at most 200 characters'),
+    body('isPrivate').optional().isBoolean().withMessage('isPrivate must be a boolean').toBoolean(),
+    body('showActivityStatus').optional().isBoolean().withMessage('showActivityStatus must be a boolean').toBoolean()
   ],
   userController.updateProfile
 );
@@ -74,6 +124,100 @@ router.delete(
   userController.unfollowUser
 );
 
+// Block a user
+router.post(
+  '/block/:targetUserId',
+  param('targetUserId').isString().notEmpty().withMessage('Target user ID is required'),
+  userController.blockUser
+);
+
+// Unblock a user
+router.delete(
+  '/block/:targetUserId',
+  param('targetUserId').isString().notEmpty().withMessage('Target user ID is required'),
+  userController.unblockUser
+);
+
+// Mute a user's posts and/or stories
+router.post(
+  '/mute/:targetUserId',
+  [
+    param('targetUserId').isString().notEmpty().withMessage('Target user ID is required'),
+    body('posts').optional().isBoolean().withMessage('posts must be a boolean').toBoolean(),
+    body('stories').optional().isBoolean().withMessage('stories must be a boolean').toBoolean()
+  ],
+  userController.muteUser
+);
+
+// Unmute a user
+router.delete(
+  '/mute/:targetUserId',
+  param('targetUserId').isString().notEmpty().withMessage('Target user ID is required'),
+  userController.unmuteUser
+);
+
+// Mute a word or hashtag
+router.post(
+  '/muted-words',
+  [
+    body('word').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Word must be at most 100 characters'),
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('expiresAt must be an ISO 8601 date')
+  ],
+  userController.muteWord
+);
+
+// Unmute a word or hashtag
+router.delete(
+  '/muted-words/:word',
+  param('word').isString().notEmpty().withMessage('Word is required'),
+  userController.unmuteWord
+);
+
+// Get notification preferences
+router.get(
+  '/settings/notifications',
+  userController.getNotificationPreferences
+);
+
+// Update notification preferences, quiet hours and the email digest frequency
+router.put(
+  '/settings/notifications',
+  [
+    body('types').optional().isObject().withMessage('types must be an object'),
+    body('types.*').custom((value, { path }) => {
+      const category = path.split('.')[1];
+      if (!CATEGORIES[category]) {
+        throw new Error(`Unknown notification type: ${category}`);
+      }
+      if (typeof value !== 'object' || Object.keys(value).some(channel => !CHANNELS.includes(channel))) {
+        throw new Error(`Channels must be ${CHANNELS.join(', ')}`);
+      }
+      return true;
+    }),
+    body('types.*.*').isBoolean({ strict: true }).withMessage('Channel settings must be booleans'),
+    body('quietHours').optional().isObject().withMessage('quietHours must be an object'),
+    body('quietHours.enabled').optional().isBoolean({ strict: true }).withMessage('quietHours.enabled must be a boolean'),
+    body(['quietHours.start', 'quietHours.end']).optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Quiet hours must be HH:MM times'),
+    body('quietHours.timeZone').optional().custom(isValidTimeZone).withMessage('Invalid time zone'),
+    body('digest').optional().isIn(DIGEST_FREQUENCIES).withMessage(`Digest must be one of: ${DIGEST_FREQUENCIES.join(', ')}`)
+  ],
+  userController.updateNotificationPreferences
+);
+
+// Accept a follow request
+router.post(
+  '/follow-requests/:requesterId/accept',
+  param('requesterId').isString().notEmpty().withMessage('Requester ID is required'),
+  userController.acceptFollowRequest
+);
+
+// Decline a follow request
+router.post(
+  '/follow-requests/:requesterId/decline',
+  param('requesterId').isString().notEmpty().withMessage('Requester ID is required'),
+  userController.declineFollowRequest
+);
+
 // Get suggested users to follow
 router.get(
   '/suggested',
@@ -0,0 +1,149 @@
+// scripts/backfillReelTimelines.js - One-off fill of the reel timelines from existing reels
+//
+// Usage: node scripts/backfillReelTimelines.js [--dry-run]
+//
+// The reel feed is read from materialized timelines (userId#reels partitions of the Timelines
+// table) instead of querying every followed user. New reels are fanned out by
+// lambda/timelineFanout.js; this writes the reels posted before that, within the timeline
+// entry lifetime, into their authors' and followers' reel timelines. Authors in pull mode
+// are skipped like in the fan-out. Writes are plain puts, so the script can be re-run safely.
+
+const AWS = require('aws-sdk');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Configure AWS SDK
+AWS.config.update({
+  region: process.env.AWS_REGION || 'us-east-1',
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+// Table names
+const TABLES = {
+  USERS: process.env.DYNAMODB_USERS_TABLE || 'SocialMedia_Users',
+  STORIES: process.env.DYNAMODB_STORIES_TABLE || 'SocialMedia_Stories',
+  FOLLOWS: process.env.DYNAMODB_FOLLOWS_TABLE || 'SocialMedia_Follows',
+  TIMELINES: process.env.DYNAMODB_TIMELINES_TABLE || 'SocialMedia_Timelines'
+};
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const BATCH_SIZE = 25; // DynamoDB batchWrite limit
+
+// Same lifetime as models/Timeline.js; older reels would expire straight away
+const ENTRY_TTL_DAYS = parseInt(process.env.TIMELINE_ENTRY_TTL_DAYS || '30');
+
+// Same shape as the entries written by models/Timeline.js
+const buildReelEntry = (userId, reel) => ({
+  userId: `${userId}#reels`,
+  sortKey: `${reel.timestamp}#${reel.contentId}`,
+  contentId: reel.contentId,
+  authorId: reel.userId,
+  timestamp: reel.timestamp,
+  expiryTime: Math.floor(new Date(reel.timestamp).getTime() / 1000) + ENTRY_TTL_DAYS * 86400
+});
+
+// Write items in batches, retrying anything DynamoDB leaves unprocessed
+async function batchPut(items) {
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    let requestItems = {
+      [TABLES.TIMELINES]: items.slice(i, i + BATCH_SIZE).map(item => ({ PutRequest: { Item: item } }))
+    };
+
+    while (requestItems && Object.keys(requestItems).length > 0) {
+      const result = await dynamoDB.batchWrite({ RequestItems: requestItems }).promise();
+      requestItems = result.UnprocessedItems;
+    }
+  }
+}
+
+// Every follower of an author
+async function getFollowerIds(authorId) {
+  const followerIds = [];
+  let lastEvaluatedKey = null;
+
+  do {
+    const params = {
+      TableName: TABLES.FOLLOWS,
+      IndexName: 'FolloweeIndex',
+      KeyConditionExpression: 'followeeId = :authorId',
+      ExpressionAttributeValues: { ':authorId': authorId },
+      ProjectionExpression: 'followerId'
+    };
+
+    if (lastEvaluatedKey) {
+      params.ExclusiveStartKey = lastEvaluatedKey;
+    }
+
+    const result = await dynamoDB.query(params).promise();
+    followerIds.push(...result.Items.map(edge => edge.followerId));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return followerIds;
+}
+
+// Main function to run the backfill
+async function backfillReelTimelines() {
+  try {
+    const since = new Date(Date.now() - ENTRY_TTL_DAYS * 86400000).toISOString();
+    const authors = {};
+    let reelCount = 0;
+    let entryCount = 0;
+    let lastEvaluatedKey = null;
+
+    do {
+      const params = {
+        TableName: TABLES.STORIES,
+        IndexName: 'ContentTypeIndex',
+        KeyConditionExpression: 'contentType = :contentType AND #timestamp >= :since',
+        ExpressionAttributeNames: { '#timestamp': 'timestamp' },
+        ExpressionAttributeValues: { ':contentType': 'reel', ':since': since },
+        ProjectionExpression: 'contentId, userId, #timestamp'
+      };
+
+      if (lastEvaluatedKey) {
+        params.ExclusiveStartKey = lastEvaluatedKey;
+      }
+
+      const result = await dynamoDB.query(params).promise();
+
+      for (const reel of result.Items) {
+        // Followers of each author are read once
+        if (!(reel.userId in authors)) {
+          const author = await dynamoDB.get({
+            TableName: TABLES.USERS,
+            Key: { userId: reel.userId },
+            ProjectionExpression: 'fanoutMode'
+          }).promise();
+          const isPulled = !!author.Item && author.Item.fanoutMode === 'pull';
+
+          authors[reel.userId] = isPulled ? [] : await getFollowerIds(reel.userId);
+        }
+
+        const entries = [reel.userId, ...authors[reel.userId]].map(userId => buildReelEntry(userId, reel));
+
+        reelCount++;
+        entryCount += entries.length;
+
+        if (!DRY_RUN) {
+          await batchPut(entries);
+        }
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    console.log(`${DRY_RUN ? 'Would write' : 'Wrote'} ${entryCount} timeline entries for ${reelCount} reels`);
+  } catch (error) {
+    console.error('Error backfilling reel timelines:', error);
+    process.exitCode = 1;
+  }
+}
+
+// Run the script
+backfillReelTimelines();
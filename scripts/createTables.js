@@ -20,7 +20,19 @@ const TABLES = {
   USERS: process.env.DYNAMODB_USERS_TABLE || 'SocialMedia_Users',
   POSTS: process.env.DYNAMODB_POSTS_TABLE || 'SocialMedia_Posts',
   INTERACTIONS: process.env.DYNAMODB_INTERACTIONS_TABLE || 'SocialMedia_Interactions',
-  STORIES: process.env.DYNAMODB_STORIES_TABLE || 'SocialMedia_Stories'
+  STORIES: process.env.DYNAMODB_STORIES_TABLE || 'SocialMedia_Stories',
+  FOLLOWS: process.env.DYNAMODB_FOLLOWS_TABLE || 'SocialMedia_Follows',
+  FOLLOW_REQUESTS: process.env.DYNAMODB_FOLLOW_REQUESTS_TABLE || 'SocialMedia_FollowRequests',
+  BLOCKS: process.env.DYNAMODB_BLOCKS_TABLE || 'SocialMedia_Blocks',
+  MUTES: process.env.DYNAMODB_MUTES_TABLE || 'SocialMedia_Mutes',
+  TIMELINES: process.env.DYNAMODB_TIMELINES_TABLE || 'SocialMedia_Timelines',
+  FEED_IMPRESSIONS: process.env.DYNAMODB_FEED_IMPRESSIONS_TABLE || 'SocialMedia_FeedImpressions',
+  CONVERSATIONS: process.env.DYNAMODB_CONVERSATIONS_TABLE || 'SocialMedia_Conversations',
+  CONVERSATION_MEMBERS: process.env.DYNAMODB_CONVERSATION_MEMBERS_TABLE || 'SocialMedia_ConversationMembers',
+  MESSAGES: process.env.DYNAMODB_MESSAGES_TABLE || 'SocialMedia_Messages',
+  NOTIFICATIONS: process.env.DYNAMODB_NOTIFICATIONS_TABLE || 'SocialMedia_Notifications',
+  DEVICES: process.env.DYNAMODB_DEVICES_TABLE || 'SocialMedia_Devices',
+  SESSIONS: process.env.DYNAMODB_SESSIONS_TABLE || 'SocialMedia_Sessions'
 };
 
 // Create Users table
@@ -63,6 +75,11 @@ async function createUsersTable() {
         }
       }
     ],
+    // Stream consumed by lambda/timelineFanout.js (authors passing the fan-out threshold)
+    StreamSpecification: {
+      StreamEnabled: true,
+      StreamViewType: 'NEW_AND_OLD_IMAGES'
+    },
     ProvisionedThroughput: {
       ReadCapacityUnits: 5,
       WriteCapacityUnits: 5
@@ -107,6 +124,11 @@ async function createPostsTable() {
         }
       }
     ],
+    // Stream consumed by lambda/timelineFanout.js (fan-out) and lambda/contentModerator.js
+    StreamSpecification: {
+      StreamEnabled: true,
+      StreamViewType: 'NEW_AND_OLD_IMAGES'
+    },
     ProvisionedThroughput: {
       ReadCapacityUnits: 5,
       WriteCapacityUnits: 5
@@ -207,7 +229,8 @@ async function createStoriesTable() {
     AttributeDefinitions: [
       { AttributeName: 'contentId', AttributeType: 'S' },
       { AttributeName: 'userId', AttributeType: 'S' },
-      { AttributeName: 'timestamp', AttributeType: 'S' }
+      { AttributeName: 'timestamp', AttributeType: 'S' },
+      { AttributeName: 'contentType', AttributeType: 'S' }
     ],
     GlobalSecondaryIndexes: [
       {
@@ -223,8 +246,28 @@ async function createStoriesTable() {
           ReadCapacityUnits: 5,
           WriteCapacityUnits: 5
         }
+      },
+      {
+        // Recent reels across all users (discovery feed)
+        IndexName: 'ContentTypeIndex',
+        KeySchema: [
+          { AttributeName: 'contentType', KeyType: 'HASH' },
+          { AttributeName: 'timestamp', KeyType: 'RANGE' }
+        ],
+        Projection: {
+          ProjectionType: 'ALL'
+        },
+        ProvisionedThroughput: {
+          ReadCapacityUnits: 5,
+          WriteCapacityUnits: 5
+        }
       }
     ],
+    // Stream consumed by lambda/timelineFanout.js (reel fan-out) and lambda/contentModerator.js
+    StreamSpecification: {
+      StreamEnabled: true,
+      StreamViewType: 'NEW_AND_OLD_IMAGES'
+    },
     ProvisionedThroughput: {
       ReadCapacityUnits: 5,
       WriteCapacityUnits: 5
@@ -241,6 +284,529 @@ async function createStoriesTable() {
   }
 }
 
+// Create Follows table (one item per follow edge)
+async function createFollowsTable() {
+  const params = {
+    TableName: TABLES.FOLLOWS,
+    KeySchema: [
+      { AttributeName: 'followerId', KeyType: 'HASH' }, // Partition key
+      { AttributeName: 'followeeId', KeyType: 'RANGE' } // Sort key
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'followerId', AttributeType: 'S' },
+      { AttributeName: 'followeeId', AttributeType: 'S' },
+      { AttributeName: 'pullFollowerId', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        // Reverse index for follower lookups
+        IndexName: 'FolloweeIndex',
+        KeySchema: [
+          { AttributeName: 'followeeId', KeyType: 'HASH' },
+          { AttributeName: 'followerId', KeyType: 'RANGE' }
+        ],
+        Projection: {
+          ProjectionType: 'ALL'
+        },
+        ProvisionedThroughput: {
+          ReadCapacityUnits: 5,
+          WriteCapacityUnits: 5
+        }
+      },
+      {
+        // Sparse index of edges to high-follower authors (only those edges have pullFollowerId)
+        IndexName: 'PullIndex',
+        KeySchema: [
+          { AttributeName: 'pullFollowerId', KeyType: 'HASH' },
+          { AttributeName: 'followeeId', KeyType: 'RANGE' }
+        ],
+        Projection: {
+          ProjectionType: 'KEYS_ONLY'
+        },
+        ProvisionedThroughput: {
+          ReadCapacityUnits: 5,
+          WriteCapacityUnits: 5
+        }
+      }
+    ],
+    ProvisionedThroughput: {
+      ReadCapacityUnits: 5,
+      WriteCapacityUnits: 5
+    }
+  };
+
+  try {
+    const result = await dynamodb.createTable(params).promise();
+    console.log('Follows table created:', result);
+    return result;
+  } catch (error) {
+    console.error('Error creating Follows table:', error);
+    throw error;
+  }
+}
+
+// Create FollowRequests table (pending, accepted and declined requests to private accounts)
+// Enable TTL on the expiryTime attribute once the table exists so answered requests age out
+async function createFollowRequestsTable() {
+  const params = {
+    TableName: TABLES.FOLLOW_REQUESTS,
+    KeySchema: [
+      { AttributeName: 'targetId', KeyType: 'HASH' }, // Partition key
+      { AttributeName: 'requesterId', KeyType: 'RANGE' } // Sort key
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'targetId', AttributeType: 'S' },
+      { AttributeName: 'requesterId', AttributeType: 'S' },
+      { AttributeName: 'statusKey', AttributeType: 'S' },
+      { AttributeName: 'updatedAt', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        // Requests received by a user in one state (statusKey is targetId#status)
+        IndexName: 'StatusIndex',
+        KeySchema: [
+          { AttributeName: 'statusKey', KeyType: 'HASH' },
+          { AttributeName: 'updatedAt', KeyType: 'RANGE' }
+        ],
+        Projection: {
+          ProjectionType: 'ALL'
+        },
+        ProvisionedThroughput: {
+          ReadCapacityUnits: 5,
+          WriteCapacityUnits: 5
+        }
+      },
+      {
+        // Outgoing requests made by a user
+        IndexName: 'RequesterIndex',
+        KeySchema: [
+          { AttributeName: 'requesterId', KeyType: 'HASH' },
+          { AttributeName: 'targetId', KeyType: 'RANGE' }
+        ],
+        Projection: {
+          ProjectionType: 'ALL'
+        },
+        ProvisionedThroughput: {
+          ReadCapacityUnits: 5,
+          WriteCapacityUnits: 5
+        }
+      }
+    ],
+    ProvisionedThroughput: {
+      ReadCapacityUnits: 5,
+      WriteCapacityUnits: 5
+    }
+  };
+
+  try {
+    const result = await dynamodb.createTable(params).promise();
+    console.log('FollowRequests table created:', result);
+    return result;
+  } catch (error) {
+    console.error('Error creating FollowRequests table:', error);
+    throw error;
+  }
+}
+
+// Create Blocks table (one item per block, keyed by the user who blocked)
+async function createBlocksTable() {
+  const params = {
+    TableName: TABLES.BLOCKS,
+    KeySchema: [
+      { AttributeName: 'blockerId', KeyType: 'HASH' }, // Partition key
+      { AttributeName: 'blockedId', KeyType: 'RANGE' } // Sort key
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'blockerId', AttributeType: 'S' },
+      { AttributeName: 'blockedId', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        // Reverse index to find who has blocked a user
+        IndexName: 'BlockedIndex',
+        KeySchema: [
+          { AttributeName: 'blockedId', KeyType: 'HASH' },
+          { AttributeName: 'blockerId', KeyType: 'RANGE' }
+        ],
+        Projection: {
+          ProjectionType: 'ALL'
+        },
+        ProvisionedThroughput: {
+          ReadCapacityUnits: 5,
+          WriteCapacityUnits: 5
+        }
+      }
+    ],
+    ProvisionedThroughput: {
+      ReadCapacityUnits: 5,
+      WriteCapacityUnits: 5
+    }
+  };
+
+  try {
+    const result = await dynamodb.createTable(params).promise();
+    console.log('Blocks table created:', result);
+    return result;
+  } catch (error) {
+    console.error('Error creating Blocks table:', error);
+    throw error;
+  }
+}
+
+// Create Mutes table (one item per muted user or muted word, keyed user#<id> / word#<word>)
+// Enable TTL on the expiryTime attribute once the table exists so muted words with an end date age out
+async function createMutesTable() {
+  const params = {
+    TableName: TABLES.MUTES,
+    KeySchema: [
+      { AttributeName: 'userId', KeyType: 'HASH' }, // Partition key
+      { AttributeName: 'muteKey', KeyType: 'RANGE' } // Sort key
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'muteKey', AttributeType: 'S' }
+    ],
+    ProvisionedThroughput: {
+      ReadCapacityUnits: 5,
+      WriteCapacityUnits: 5
+    }
+  };
+
+  try {
+    const result = await dynamodb.createTable(params).promise();
+    console.log('Mutes table created:', result);
+    return result;
+  } catch (error) {
+    console.error('Error creating Mutes table:', error);
+    throw error;
+  }
+}
+
+// Create Timelines table (materialized home and reel timelines, one item per post or reel per follower)
+// Enable TTL on the expiryTime attribute once the table exists so old entries age out
+async function createTimelinesTable() {
+  const params = {
+    TableName: TABLES.TIMELINES,
+    KeySchema: [
+      { AttributeName: 'userId', KeyType: 'HASH' }, // Partition key (timeline owner)
+      { AttributeName: 'sortKey', KeyType: 'RANGE' } // Sort key (timestamp#postId, or timestamp#contentId in a userId#reels timeline)
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'sortKey', AttributeType: 'S' },
+      { AttributeName: 'authorId', AttributeType: 'S' }
+    ],
+    LocalSecondaryIndexes: [
+      {
+        // Find every entry from one author (used when unfollowing)
+        IndexName: 'AuthorIndex',
+        KeySchema: [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'authorId', KeyType: 'RANGE' }
+        ],
+        Projection: {
+          ProjectionType: 'KEYS_ONLY'
+        }
+      }
+    ],
+    ProvisionedThroughput: {
+      ReadCapacityUnits: 5,
+      WriteCapacityUnits: 5
+    }
+  };
+
+  try {
+    const result = await dynamodb.createTable(params).promise();
+    console.log('Timelines table created:', result);
+    return result;
+  } catch (error) {
+    console.error('Error creating Timelines table:', error);
+    throw error;
+  }
+}
+
+// Create FeedImpressions table (posts already served in a ranked feed session)
+// Enable TTL on the expiryTime attribute once the table exists so old sessions age out
+async function createFeedImpressionsTable() {
+  const params = {
+    TableName: TABLES.FEED_IMPRESSIONS,
+    KeySchema: [
+      { AttributeName: 'sessionId', KeyType: 'HASH' }, // Partition key (userId#feed session)
+      { AttributeName: 'postId', KeyType: 'RANGE' } // Sort key
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'sessionId', AttributeType: 'S' },
+      { AttributeName: 'postId', AttributeType: 'S' }
+    ],
+    ProvisionedThroughput: {
+      ReadCapacityUnits: 5,
+      WriteCapacityUnits: 5
+    }
+  };
+
+  try {
+    const result = await dynamodb.createTable(params).promise();
+    console.log('FeedImpressions table created:', result);
+    return result;
+  } catch (error) {
+    console.error('Error creating FeedImpressions table:', error);
+    throw error;
+  }
+}
+
+// Create Conversations table (one item per direct or group conversation)
+async function createConversationsTable() {
+  const params = {
+    TableName: TABLES.CONVERSATIONS,
+    KeySchema: [
+      { AttributeName: 'conversationId', KeyType: 'HASH' } // Partition key
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'conversationId', AttributeType: 'S' }
+    ],
+    ProvisionedThroughput: {
+      ReadCapacityUnits: 5,
+      WriteCapacityUnits: 5
+    }
+  };
+
+  try {
+    const result = await dynamodb.createTable(params).promise();
+    console.log('Conversations table created:', result);
+    return result;
+  } catch (error) {
+    console.error('Error creating Conversations table:', error);
+    throw error;
+  }
+}
+
+// Create ConversationMembers table (one item per participant per conversation)
+async function createConversationMembersTable() {
+  const params = {
+    TableName: TABLES.CONVERSATION_MEMBERS,
+    KeySchema: [
+      { AttributeName: 'conversationId', KeyType: 'HASH' }, // Partition key
+      { AttributeName: 'userId', KeyType: 'RANGE' } // Sort key
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'conversationId', AttributeType: 'S' },
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'lastActivityAt', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        // A user's conversations, most recently active first (the inbox)
+        IndexName: 'UserActivityIndex',
+        KeySchema: [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'lastActivityAt', KeyType: 'RANGE' }
+        ],
+        Projection: {
+          ProjectionType: 'ALL'
+        },
+        ProvisionedThroughput: {
+          ReadCapacityUnits: 5,
+          WriteCapacityUnits: 5
+        }
+      }
+    ],
+    ProvisionedThroughput: {
+      ReadCapacityUnits: 5,
+      WriteCapacityUnits: 5
+    }
+  };
+
+  try {
+    const result = await dynamodb.createTable(params).promise();
+    console.log('ConversationMembers table created:', result);
+    return result;
+  } catch (error) {
+    console.error('Error creating ConversationMembers table:', error);
+    throw error;
+  }
+}
+
+// Create Messages table (message history, ordered within each conversation)
+async function createMessagesTable() {
+  const params = {
+    TableName: TABLES.MESSAGES,
+    KeySchema: [
+      { AttributeName: 'conversationId', KeyType: 'HASH' }, // Partition key
+      { AttributeName: 'messageId', KeyType: 'RANGE' } // Sort key (time-ordered ID)
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'conversationId', AttributeType: 'S' },
+      { AttributeName: 'messageId', AttributeType: 'S' }
+    ],
+    ProvisionedThroughput: {
+      ReadCapacityUnits: 5,
+      WriteCapacityUnits: 5
+    }
+  };
+
+  try {
+    const result = await dynamodb.createTable(params).promise();
+    console.log('Messages table created:', result);
+    return result;
+  } catch (error) {
+    console.error('Error creating Messages table:', error);
+    throw error;
+  }
+}
+
+// Create Notifications table
+async function createNotificationsTable() {
+  const params = {
+    TableName: TABLES.NOTIFICATIONS,
+    KeySchema: [
+      { AttributeName: 'notificationId', KeyType: 'HASH' } // Partition key
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'notificationId', AttributeType: 'S' },
+      { AttributeName: 'recipientId', AttributeType: 'S' },
+      { AttributeName: 'timestamp', AttributeType: 'S' },
+      { AttributeName: 'groupKey', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        // A user's notifications, newest first
+        IndexName: 'RecipientIndex',
+        KeySchema: [
+          { AttributeName: 'recipientId', KeyType: 'HASH' },
+          { AttributeName: 'timestamp', KeyType: 'RANGE' }
+        ],
+        Projection: {
+          ProjectionType: 'ALL'
+        },
+        ProvisionedThroughput: {
+          ReadCapacityUnits: 5,
+          WriteCapacityUnits: 5
+        }
+      },
+      {
+        // Latest entry of a grouped notification (recipient, type and target); sparse,
+        // only grouped notifications have a groupKey
+        IndexName: 'GroupIndex',
+        KeySchema: [
+          { AttributeName: 'groupKey', KeyType: 'HASH' },
+          { AttributeName: 'timestamp', KeyType: 'RANGE' }
+        ],
+        Projection: {
+          ProjectionType: 'ALL'
+        },
+        ProvisionedThroughput: {
+          ReadCapacityUnits: 5,
+          WriteCapacityUnits: 5
+        }
+      }
+    ],
+    ProvisionedThroughput: {
+      ReadCapacityUnits: 5,
+      WriteCapacityUnits: 5
+    }
+  };
+
+  try {
+    const result = await dynamodb.createTable(params).promise();
+    console.log('Notifications table created:', result);
+    return result;
+  } catch (error) {
+    console.error('Error creating Notifications table:', error);
+    throw error;
+  }
+}
+
+// Create Devices table (push endpoints per user and device)
+async function createDevicesTable() {
+  const params = {
+    TableName: TABLES.DEVICES,
+    KeySchema: [
+      { AttributeName: 'userId', KeyType: 'HASH' }, // Partition key
+      { AttributeName: 'deviceId', KeyType: 'RANGE' } // Sort key
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'deviceId', AttributeType: 'S' },
+      { AttributeName: 'token', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        // Registrations of a push token (a device that changes hands between accounts)
+        IndexName: 'TokenIndex',
+        KeySchema: [
+          { AttributeName: 'token', KeyType: 'HASH' }
+        ],
+        Projection: {
+          ProjectionType: 'ALL'
+        },
+        ProvisionedThroughput: {
+          ReadCapacityUnits: 5,
+          WriteCapacityUnits: 5
+        }
+      }
+    ],
+    ProvisionedThroughput: {
+      ReadCapacityUnits: 5,
+      WriteCapacityUnits: 5
+    }
+  };
+
+  try {
+    const result = await dynamodb.createTable(params).promise();
+    console.log('Devices table created:', result);
+    return result;
+  } catch (error) {
+    console.error('Error creating Devices table:', error);
+    throw error;
+  }
+}
+
+// Create Sessions table (one item per signed-in device, holding its current refresh token)
+// Enable TTL on the expiryTime attribute once the table exists so expired sessions age out
+async function createSessionsTable() {
+  const params = {
+    TableName: TABLES.SESSIONS,
+    KeySchema: [
+      { AttributeName: 'sessionId', KeyType: 'HASH' } // Partition key
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'sessionId', AttributeType: 'S' },
+      { AttributeName: 'userId', AttributeType: 'S' },
+      { AttributeName: 'createdAt', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        // A user's sessions
+        IndexName: 'UserIndex',
+        KeySchema: [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' }
+        ],
+        Projection: {
+          ProjectionType: 'ALL'
+        },
+        ProvisionedThroughput: {
+          ReadCapacityUnits: 5,
+          WriteCapacityUnits: 5
+        }
+      }
+    ],
+    ProvisionedThroughput: {
+      ReadCapacityUnits: 5,
+      WriteCapacityUnits: 5
+    }
+  };
+
+  try {
+    const result = await dynamodb.createTable(params).promise();
+    console.log('Sessions table created:', result);
+    return result;
+  } catch (error) {
+    console.error('Error creating Sessions table:', error);
+    throw error;
+  }
+}
+
 // Main function to create all tables
 async function createAllTables() {
   try {
@@ -248,6 +814,18 @@ async function createAllTables() {
     await createPostsTable();
     await createInteractionsTable();
     await createStoriesTable();
+    await createFollowsTable();
+    await createFollowRequestsTable();
+    await createBlocksTable();
+    await createMutesTable();
+    await createTimelinesTable();
+    await createFeedImpressionsTable();
+    await createConversationsTable();
+    await createConversationMembersTable();
+    await createMessagesTable();
+    await createNotificationsTable();
+    await createDevicesTable();
+    await createSessionsTable();
     console.log('All tables created successfully');
   } catch (error) {
     console.error('Error creating tables:', error);
@@ -0,0 +1,197 @@
+// scripts/migrateFollowGraph.js - One-off migration of follower/following arrays into the Follows table
+//
+// Usage: node scripts/migrateFollowGraph.js [--dry-run]
+//
+// Pass 1 scans the Users table and writes a follow edge for every entry found in the
+// legacy `following`/`followers` attributes. Pass 2 recounts each user's edges, stores
+// followersCount/followingCount and removes the legacy attributes. Both passes are
+// idempotent, so the script can be re-run safely if it is interrupted.
+
+const AWS = require('aws-sdk');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Configure AWS SDK
+AWS.config.update({
+  region: process.env.AWS_REGION || 'us-east-1',
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+// Table names
+const TABLES = {
+  USERS: process.env.DYNAMODB_USERS_TABLE || 'SocialMedia_Users',
+  FOLLOWS: process.env.DYNAMODB_FOLLOWS_TABLE || 'SocialMedia_Follows'
+};
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const BATCH_SIZE = 25; // DynamoDB batchWrite limit
+
+// Legacy attributes may be DocumentClient string sets or plain lists
+const toArray = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  if (Array.isArray(value.values)) return value.values;
+  return [];
+};
+
+// Scan every user, one page at a time
+async function forEachUser(projection, callback) {
+  let lastEvaluatedKey = null;
+
+  do {
+    const params = {
+      TableName: TABLES.USERS,
+      ProjectionExpression: projection
+    };
+
+    if (lastEvaluatedKey) {
+      params.ExclusiveStartKey = lastEvaluatedKey;
+    }
+
+    const result = await dynamoDB.scan(params).promise();
+
+    for (const user of result.Items) {
+      await callback(user);
+    }
+
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+}
+
+// Write edges in batches, retrying unprocessed items
+async function writeEdges(edges) {
+  for (let i = 0; i < edges.length; i += BATCH_SIZE) {
+    let requestItems = {
+      [TABLES.FOLLOWS]: edges.slice(i, i + BATCH_SIZE).map(edge => ({
+        PutRequest: { Item: edge }
+      }))
+    };
+
+    let attempt = 0;
+    while (requestItems && Object.keys(requestItems).length > 0) {
+      const result = await dynamoDB.batchWrite({ RequestItems: requestItems }).promise();
+      requestItems = result.UnprocessedItems;
+
+      if (requestItems && Object.keys(requestItems).length > 0) {
+        attempt++;
+        await new Promise(resolve => setTimeout(resolve, Math.min(1000, 50 * 2 ** attempt)));
+      }
+    }
+  }
+}
+
+// Count edges for a user on either side of the graph
+async function countEdges(userId, indexName) {
+  let count = 0;
+  let lastEvaluatedKey = null;
+
+  do {
+    const params = indexName
+      ? {
+        TableName: TABLES.FOLLOWS,
+        IndexName: indexName,
+        KeyConditionExpression: 'followeeId = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        Select: 'COUNT'
+      }
+      : {
+        TableName: TABLES.FOLLOWS,
+        KeyConditionExpression: 'followerId = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        Select: 'COUNT'
+      };
+
+    if (lastEvaluatedKey) {
+      params.ExclusiveStartKey = lastEvaluatedKey;
+    }
+
+    const result = await dynamoDB.query(params).promise();
+    count += result.Count;
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return count;
+}
+
+// Pass 1: copy legacy arrays into follow edges
+async function migrateEdges() {
+  let edgeCount = 0;
+  const migratedAt = new Date().toISOString();
+
+  await forEachUser('userId, following, followers', async (user) => {
+    const edges = new Map();
+
+    toArray(user.following).forEach(followeeId => {
+      edges.set(`${user.userId}:${followeeId}`, { followerId: user.userId, followeeId });
+    });
+
+    toArray(user.followers).forEach(followerId => {
+      edges.set(`${followerId}:${user.userId}`, { followerId, followeeId: user.userId });
+    });
+
+    const items = [...edges.values()]
+      .filter(edge => edge.followerId !== edge.followeeId)
+      .map(edge => ({ ...edge, timestamp: migratedAt }));
+
+    if (items.length === 0) {
+      return;
+    }
+
+    edgeCount += items.length;
+
+    if (!DRY_RUN) {
+      await writeEdges(items);
+    }
+  });
+
+  console.log(`${DRY_RUN ? 'Would write' : 'Wrote'} ${edgeCount} follow edges`);
+}
+
+// Pass 2: store counters and drop legacy arrays
+async function migrateCounters() {
+  let userCount = 0;
+
+  await forEachUser('userId', async (user) => {
+    const followersCount = await countEdges(user.userId, 'FolloweeIndex');
+    const followingCount = await countEdges(user.userId, null);
+
+    userCount++;
+
+    if (DRY_RUN) {
+      console.log(`${user.userId}: followers=${followersCount} following=${followingCount}`);
+      return;
+    }
+
+    await dynamoDB.update({
+      TableName: TABLES.USERS,
+      Key: { userId: user.userId },
+      UpdateExpression: 'SET followersCount = :followersCount, followingCount = :followingCount REMOVE followers, following',
+      ExpressionAttributeValues: {
+        ':followersCount': followersCount,
+        ':followingCount': followingCount
+      }
+    }).promise();
+  });
+
+  console.log(`${DRY_RUN ? 'Would update' : 'Updated'} counters for ${userCount} users`);
+}
+
+// Main function to run the migration
+async function migrateFollowGraph() {
+  try {
+    await migrateEdges();
+    await migrateCounters();
+    console.log('Follow graph migration completed successfully');
+  } catch (error) {
+    console.error('Error migrating follow graph:', error);
+    process.exitCode = 1;
+  }
+}
+
+// Run the script
+migrateFollowGraph();
@@ -0,0 +1,284 @@
+// scripts/migrateLikes.js - One-off migration of legacy like records to per-user keys
+//
+// Usage: node scripts/migrateLikes.js [--dry-run]
+//
+// Likes used to be stored under random interaction IDs, so a user could like the same
+// content twice and unliking could not find the record by key. Likes are now keyed
+// `like#<userId>#<contentId>` (see models/Interaction.js). Pass 1 scans the Interactions
+// table, moves every legacy like to its per-user key (dropping duplicates) and fills in the
+// contentType. Pass 2 recounts likesCount and reactionCounts on every content item with a
+// migrated like, since duplicates and unlikes that missed their record left the counters off.
+// Migrated likes keep their old ID in legacyInteractionId, so pass 2 finds them again on a
+// re-run and the script can be re-run safely if it is interrupted.
+// Run it while traffic is low: a reaction landing during pass 2 can be overwritten by the recount.
+
+const AWS = require('aws-sdk');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Configure AWS SDK
+AWS.config.update({
+  region: process.env.AWS_REGION || 'us-east-1',
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+// Table names
+const TABLES = {
+  POSTS: process.env.DYNAMODB_POSTS_TABLE || 'SocialMedia_Posts',
+  STORIES: process.env.DYNAMODB_STORIES_TABLE || 'SocialMedia_Stories',
+  INTERACTIONS: process.env.DYNAMODB_INTERACTIONS_TABLE || 'SocialMedia_Interactions'
+};
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Same key as models/Interaction.js
+const getLikeId = (userId, contentId) => `like#${userId}#${contentId}`;
+
+// Legacy likes carry no contentType; find which table the liked content lives in.
+// Returns { contentType, target } or null if the content no longer exists
+async function resolveTarget(contentId) {
+  const post = await dynamoDB.get({
+    TableName: TABLES.POSTS,
+    Key: { postId: contentId },
+    ProjectionExpression: 'postId'
+  }).promise();
+
+  if (post.Item) {
+    return { contentType: 'post', target: { TableName: TABLES.POSTS, Key: { postId: contentId } } };
+  }
+
+  const story = await dynamoDB.get({
+    TableName: TABLES.STORIES,
+    Key: { contentId },
+    ProjectionExpression: 'contentId, contentType'
+  }).promise();
+
+  if (story.Item) {
+    return {
+      contentType: story.Item.contentType || 'story',
+      target: { TableName: TABLES.STORIES, Key: { contentId } }
+    };
+  }
+
+  const comment = await dynamoDB.get({
+    TableName: TABLES.INTERACTIONS,
+    Key: { interactionId: contentId },
+    ProjectionExpression: 'interactionId'
+  }).promise();
+
+  if (comment.Item) {
+    return {
+      contentType: 'comment',
+      target: { TableName: TABLES.INTERACTIONS, Key: { interactionId: contentId } }
+    };
+  }
+
+  return null;
+}
+
+// Move one legacy like to its per-user key; a like already there wins and the legacy row is dropped
+async function moveLike(like, contentType) {
+  const likeId = getLikeId(like.userId, like.contentId);
+
+  try {
+    await dynamoDB.transactWrite({
+      TransactItems: [
+        {
+          Put: {
+            TableName: TABLES.INTERACTIONS,
+            Item: { ...like, interactionId: likeId, contentType, legacyInteractionId: like.interactionId },
+            ConditionExpression: 'attribute_not_exists(interactionId)'
+          }
+        },
+        {
+          Delete: {
+            TableName: TABLES.INTERACTIONS,
+            Key: { interactionId: like.interactionId }
+          }
+        }
+      ]
+    }).promise();
+  } catch (error) {
+    if (error.code !== 'TransactionCanceledException' || !/ConditionalCheckFailed/.test(error.message || '')) {
+      throw error;
+    }
+
+    await dynamoDB.delete({
+      TableName: TABLES.INTERACTIONS,
+      Key: { interactionId: like.interactionId }
+    }).promise();
+  }
+}
+
+// Pass 1: re-key legacy likes
+async function migrateRecords() {
+  const targets = new Map();
+  let likeCount = 0;
+  let orphanCount = 0;
+  let lastEvaluatedKey = null;
+
+  do {
+    const params = {
+      TableName: TABLES.INTERACTIONS,
+      FilterExpression: '#type = :like AND NOT begins_with(interactionId, :prefix)',
+      ExpressionAttributeNames: { '#type': 'type' },
+      ExpressionAttributeValues: { ':like': 'like', ':prefix': 'like#' }
+    };
+
+    if (lastEvaluatedKey) {
+      params.ExclusiveStartKey = lastEvaluatedKey;
+    }
+
+    const result = await dynamoDB.scan(params).promise();
+
+    for (const like of result.Items) {
+      if (!targets.has(like.contentId)) {
+        targets.set(like.contentId, await resolveTarget(like.contentId));
+      }
+
+      const resolved = targets.get(like.contentId);
+      likeCount++;
+
+      if (DRY_RUN) {
+        continue;
+      }
+
+      // Likes on deleted content are simply dropped
+      if (!resolved) {
+        orphanCount++;
+        await dynamoDB.delete({
+          TableName: TABLES.INTERACTIONS,
+          Key: { interactionId: like.interactionId }
+        }).promise();
+        continue;
+      }
+
+      await moveLike(like, resolved.contentType);
+    }
+
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  console.log(`${DRY_RUN ? 'Would migrate' : 'Migrated'} ${likeCount} legacy likes (${orphanCount} on deleted content)`);
+}
+
+// Content IDs with at least one migrated like
+async function getMigratedContentIds() {
+  const contentIds = new Set();
+  let lastEvaluatedKey = null;
+
+  do {
+    const params = {
+      TableName: TABLES.INTERACTIONS,
+      FilterExpression: 'attribute_exists(legacyInteractionId)',
+      ProjectionExpression: 'contentId'
+    };
+
+    if (lastEvaluatedKey) {
+      params.ExclusiveStartKey = lastEvaluatedKey;
+    }
+
+    const result = await dynamoDB.scan(params).promise();
+    result.Items.forEach(item => contentIds.add(item.contentId));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return [...contentIds];
+}
+
+// Count the likes on one content item per reaction type (legacy likes count as 'like')
+async function countReactions(contentId) {
+  const reactionCounts = {};
+  let lastEvaluatedKey = null;
+
+  do {
+    const params = {
+      TableName: TABLES.INTERACTIONS,
+      IndexName: 'ContentIndex',
+      KeyConditionExpression: 'contentId = :contentId',
+      FilterExpression: '#type = :like',
+      ExpressionAttributeNames: { '#type': 'type' },
+      ExpressionAttributeValues: { ':contentId': contentId, ':like': 'like' },
+      ProjectionExpression: 'reactionType'
+    };
+
+    if (lastEvaluatedKey) {
+      params.ExclusiveStartKey = lastEvaluatedKey;
+    }
+
+    const result = await dynamoDB.query(params).promise();
+
+    result.Items.forEach(item => {
+      const reactionType = item.reactionType || 'like';
+      reactionCounts[reactionType] = (reactionCounts[reactionType] || 0) + 1;
+    });
+
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return reactionCounts;
+}
+
+// Pass 2: recount the counters of every content item with a migrated like
+async function recountTargets() {
+  const contentIds = await getMigratedContentIds();
+  let updatedCount = 0;
+
+  for (const contentId of contentIds) {
+    const resolved = await resolveTarget(contentId);
+
+    // Deleted since its likes were migrated - nothing to count
+    if (!resolved) {
+      continue;
+    }
+
+    const { target } = resolved;
+    const reactionCounts = await countReactions(contentId);
+    const likesCount = Object.values(reactionCounts).reduce((sum, count) => sum + count, 0);
+
+    if (DRY_RUN) {
+      console.log(`${contentId}: likes=${likesCount}`);
+      continue;
+    }
+
+    try {
+      await dynamoDB.update({
+        ...target,
+        UpdateExpression: 'SET likesCount = :likesCount, reactionCounts = :reactionCounts',
+        ConditionExpression: `attribute_exists(${Object.keys(target.Key)[0]})`,
+        ExpressionAttributeValues: {
+          ':likesCount': likesCount,
+          ':reactionCounts': reactionCounts
+        }
+      }).promise();
+      updatedCount++;
+    } catch (error) {
+      // Deleted since pass 1 - nothing to count
+      if (error.code !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    }
+  }
+
+  console.log(`${DRY_RUN ? 'Would update' : 'Updated'} counters on ${DRY_RUN ? contentIds.length : updatedCount} content items`);
+}
+
+// Main function to run the migration
+async function migrateLikes() {
+  try {
+    await migrateRecords();
+    await recountTargets();
+    console.log('Like migration completed successfully');
+  } catch (error) {
+    console.error('Error migrating likes:', error);
+    process.exitCode = 1;
+  }
+}
+
+// Run the script
+migrateLikes();
@@ -0,0 +1,111 @@
+// scripts/migrateMutes.js - One-off migration of mutedUsers/mutedWords maps into the Mutes table
+//
+// Usage: node scripts/migrateMutes.js [--dry-run]
+//
+// Scans the Users table, writes a Mutes row for every muted user and every muted word that
+// has not expired, then removes the legacy attributes from the user item. Writing a row is
+// a plain put keyed by user and muted user/word, so the script can be re-run safely.
+
+const AWS = require('aws-sdk');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Configure AWS SDK
+AWS.config.update({
+  region: process.env.AWS_REGION || 'us-east-1',
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+// Table names
+const TABLES = {
+  USERS: process.env.DYNAMODB_USERS_TABLE || 'SocialMedia_Users',
+  MUTES: process.env.DYNAMODB_MUTES_TABLE || 'SocialMedia_Mutes'
+};
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Rows for one user's legacy mute maps (expired words are dropped)
+function toMuteRows(user) {
+  const now = Date.now();
+
+  const userRows = Object.entries(user.mutedUsers || {}).map(([targetUserId, mute]) => ({
+    userId: user.userId,
+    muteKey: `user#${targetUserId}`,
+    targetUserId,
+    posts: !!mute.posts,
+    stories: !!mute.stories,
+    timestamp: mute.timestamp
+  }));
+
+  const wordRows = Object.entries(user.mutedWords || {})
+    .filter(([, mute]) => !mute.expiresAt || new Date(mute.expiresAt).getTime() > now)
+    .map(([word, mute]) => ({
+      userId: user.userId,
+      muteKey: `word#${word}`,
+      word,
+      expiresAt: mute.expiresAt || null,
+      timestamp: mute.timestamp,
+      ...(mute.expiresAt && { expiryTime: Math.floor(new Date(mute.expiresAt).getTime() / 1000) })
+    }));
+
+  return [...userRows, ...wordRows];
+}
+
+// Main function to run the migration
+async function migrateMutes() {
+  try {
+    let userCount = 0;
+    let rowCount = 0;
+    let lastEvaluatedKey = null;
+
+    do {
+      const params = {
+        TableName: TABLES.USERS,
+        ProjectionExpression: 'userId, mutedUsers, mutedWords',
+        FilterExpression: 'attribute_exists(mutedUsers) OR attribute_exists(mutedWords)'
+      };
+
+      if (lastEvaluatedKey) {
+        params.ExclusiveStartKey = lastEvaluatedKey;
+      }
+
+      const result = await dynamoDB.scan(params).promise();
+
+      for (const user of result.Items) {
+        const rows = toMuteRows(user);
+
+        userCount++;
+        rowCount += rows.length;
+
+        if (DRY_RUN) {
+          continue;
+        }
+
+        for (const row of rows) {
+          await dynamoDB.put({ TableName: TABLES.MUTES, Item: row }).promise();
+        }
+
+        await dynamoDB.update({
+          TableName: TABLES.USERS,
+          Key: { userId: user.userId },
+          UpdateExpression: 'REMOVE mutedUsers, mutedWords'
+        }).promise();
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    console.log(`${DRY_RUN ? 'Would write' : 'Wrote'} ${rowCount} mutes for ${userCount} users`);
+  } catch (error) {
+    console.error('Error migrating mutes:', error);
+    process.exitCode = 1;
+  }
+}
+
+// Run the script
+migrateMutes();
@@ -18,7 +18,14 @@ const postRoutes = require('./routes/posts');
 const reelRoutes = require('./routes/reels');
 const storyRoutes = require('./routes/stories');
 const interactionRoutes = require('./routes/interactions');
+const conversationRoutes = require('./routes/conversations');
+const notificationRoutes = require('./routes/notifications');
+const deviceRoutes = require('./routes/devices');
 const { healthCheck, deepHealthCheck } = require('./monitoring/healthcheck');
+const { registerChatHandlers } = require('./sockets/chat');
+const { registerPresenceHandlers } = require('./sockets/presence');
+const { attachAdapter } = require('./sockets/adapter');
+const { authenticateSocket } = require('./middleware/auth');
 
 // Initialize Express app
 const app = express();
@@ -30,6 +37,9 @@ const io = socketIO(server, {
   }
 });
 
+// Make socket.io available to controllers for real-time delivery
+app.set('io', io);
+
 // Middleware
 app.use(helmet()); // Set security headers
 app.use(cors()); // Enable CORS for all routes
@@ -44,6 +54,9 @@ app.use('/api/posts', postRoutes);
 app.use('/api/reels', reelRoutes);
 app.use('/api/stories', storyRoutes);
 app.use('/api/interactions', interactionRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/devices', deviceRoutes);
 
 // Health check route
 app.get('/health', healthCheck);
@@ -59,33 +72,59 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Only authenticated clients can connect to socket.io
+io.use(authenticateSocket);
+
 // Socket.io connection handlers for real-time features
 io.on('connection', (socket) => {
-  console.log(`User connected: ${socket.id}`);
+  const userId = socket.data.userId;
+  console.log(`User ${userId} connected: ${socket.id}`);
   
-  // Join user's personal room for notifications
-  socket.on('join', (userId) => {
-    socket.join(userId);
-    console.log(`User ${userId} joined personal room`);
-  });
+  // Join user's personal room for notifications and messages
+  socket.join(userId);
+  
+  // Disconnect when the token used for the handshake expires
+  let expiryTimer = null;
+  if (socket.data.tokenExpiresAt) {
+    expiryTimer = setTimeout(() => {
+      socket.emit('session:expired');
+      socket.disconnect(true);
+    }, Math.max(socket.data.tokenExpiresAt - Date.now(), 0));
+  }
   
-  // Handle real-time notifications for likes, comments, etc.
-  socket.on('notification', (data) => {
-    // Send notification to recipient
-    io.to(data.recipientId).emit('notification', data);
+  // Notifications are only sent by the server
+  socket.on('notification', (data, ack) => {
+    console.warn(`Rejected client notification from ${userId}`);
+    if (typeof ack === 'function') {
+      ack({ error: 'Notifications cannot be sent by clients' });
+    }
   });
   
+  // Typing indicators, delivery and read receipts for conversations
+  registerChatHandlers(io, socket);
+  
+  // Online status for followers
+  registerPresenceHandlers(io, socket);
+  
   // Handle disconnection
   socket.on('disconnect', () => {
+    clearTimeout(expiryTimer);
     console.log(`User disconnected: ${socket.id}`);
   });
 });
 
-// Start server
+// Start server once socket.io can reach the other instances (SOCKET_ADAPTER)
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV}`);
-});
+attachAdapter(io)
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+      console.log(`Environment: ${process.env.NODE_ENV}`);
+    });
+  })
+  .catch((error) => {
+    console.error('Socket adapter error:', error);
+    process.exit(1);
+  });
 
 module.exports = { app, server, io };
\ No newline at end of file
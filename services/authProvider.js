@@ -0,0 +1,146 @@
+// services/authProvider.js - Pluggable identity provider behind registration, login and password resets
+const crypto = require('crypto');
+const User = require('../models/User');
+const { cognitoService } = require('./cognitoService');
+const emailService = require('./emailService');
+const emailTemplates = require('../utils/emailTemplates');
+const config = require('../config');
+
+// Every provider implements:
+//   signUp(username, email, password)               -> the new user item (emailVerified: false
+//                                                      while the address still needs confirming)
+//   confirmSignUp(email, confirmationCode)
+//   signIn(email, password)                         -> { user, providerTokens }
+//   forgotPassword(user)
+//   confirmForgotPassword(email, confirmationCode, newPassword)
+// and throws an Error with a client-safe message when the request is refused
+// (code 'UserNotConfirmedException' when the email address still needs confirming)
+
+// AWS Cognito user pool. Cognito owns sign-in, confirmation and reset codes; the user
+// item (with its bcrypt hash) is still kept in DynamoDB alongside
+const cognitoProvider = {
+  signUp: async (username, email, password) => {
+    const cognitoResult = await cognitoService.signUp(username, email, password);
+    
+    return User.create({
+      userId: cognitoResult.UserSub,
+      username,
+      email,
+      password // Will be hashed in the model
+    });
+  },
+  
+  confirmSignUp: async (email, confirmationCode) => {
+    // Cognito users are registered under their username
+    const user = await User.getByEmail(email);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    
+    await cognitoService.confirmSignUp(user.username, confirmationCode);
+  },
+  
+  signIn: async (email, password) => {
+    const providerTokens = await cognitoService.signIn(email, password);
+    const user = await User.getByEmail(email);
+    
+    return { user, providerTokens };
+  },
+  
+  forgotPassword: (user) => cognitoService.forgotPassword(user.email),
+  
+  confirmForgotPassword: (email, confirmationCode, newPassword) =>
+    cognitoService.confirmForgotPassword(email, confirmationCode, newPassword)
+};
+
+// How long emailed codes stay valid
+const CODE_TTL_HOURS = {
+  confirmEmail: 24,
+  resetPassword: 1
+};
+
+// Email the user a fresh six-digit code for confirming their email or resetting their password
+const sendCode = async (user, purpose) => {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const expiresInHours = CODE_TTL_HOURS[purpose];
+  
+  await User.setAuthCode(user.userId, purpose, code, expiresInHours * 60 * 60);
+  
+  const email = emailTemplates.renderAuthCode({ recipient: user, purpose, code, expiresInHours });
+  await emailService.send({ to: user.email, ...email });
+};
+
+// Fully local provider: bcrypt hashes on the user item and one-time codes sent through
+// the email service (with the file transport nothing leaves the machine)
+const localProvider = {
+  signUp: async (username, email, password) => {
+    const user = await User.create({
+      username,
+      email,
+      password, // Will be hashed in the model
+      emailVerified: false
+    });
+    
+    await sendCode(user, 'confirmEmail');
+    return user;
+  },
+  
+  confirmSignUp: async (email, confirmationCode) => {
+    const user = await User.getByEmail(email);
+    
+    if (!user || !(await User.verifyAuthCode(user.userId, 'confirmEmail', confirmationCode))) {
+      throw new Error('Invalid or expired confirmation code');
+    }
+    
+    await User.confirmEmail(user.userId);
+  },
+  
+  signIn: async (email, password) => {
+    const user = await User.getByEmail(email);
+    
+    if (!user || !(await User.verifyPassword(user.userId, password))) {
+      throw new Error('Incorrect email or password');
+    }
+    
+    // Accounts created before the local provider have no emailVerified flag and may sign in
+    if (user.emailVerified === false) {
+      const error = new Error('User is not confirmed');
+      error.code = 'UserNotConfirmedException'; // Same code Cognito uses
+      throw error;
+    }
+    
+    return { user, providerTokens: null };
+  },
+  
+  forgotPassword: (user) => sendCode(user, 'resetPassword'),
+  
+  confirmForgotPassword: async (email, confirmationCode) => {
+    const user = await User.getByEmail(email);
+    
+    // The controller stores the new password once the code checks out
+    if (!user || !(await User.verifyAuthCode(user.userId, 'resetPassword', confirmationCode))) {
+      throw new Error('Invalid or expired confirmation code');
+    }
+  }
+};
+
+const PROVIDERS = {
+  cognito: cognitoProvider,
+  local: localProvider
+};
+
+// Get the configured auth provider
+const getAuthProvider = (name = config.auth.provider) => {
+  const provider = PROVIDERS[name];
+  
+  if (!provider) {
+    throw new Error(`Unknown auth provider: ${name}`);
+  }
+  
+  return provider;
+};
+
+module.exports = {
+  getAuthProvider,
+  PROVIDERS
+};
@@ -0,0 +1,81 @@
+// services/digestService.js
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { getPreferences } = require('../utils/notificationPreferences');
+
+// How far back each digest looks
+const DIGEST_PERIODS_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Most notifications listed in one digest email
+const MAX_DIGEST_ITEMS = 10;
+
+// Unread notifications from the digest period, newest first, and how many there are in total
+const getUnreadSince = async (userId, since) => {
+  const notifications = [];
+  let lastEvaluatedKey = null;
+  let total = 0;
+  
+  // Notifications come newest first, so stop at the first page that reaches past the period
+  do {
+    const page = await Notification.getByUserId(userId, 100, lastEvaluatedKey, true);
+    const recent = page.notifications.filter(notification => notification.timestamp >= since);
+    
+    total += recent.length;
+    notifications.push(...recent.slice(0, MAX_DIGEST_ITEMS - notifications.length));
+    
+    lastEvaluatedKey = recent.length === page.notifications.length ? page.lastEvaluatedKey : null;
+  } while (lastEvaluatedKey);
+  
+  return { notifications, total };
+};
+
+// Email digests of unread notifications to users who chose this frequency
+const digestService = {
+  // Send the daily or weekly digest. Returns the number of emails sent
+  sendDigests: async (frequency) => {
+    try {
+      if (!DIGEST_PERIODS_MS[frequency]) {
+        throw new Error(`Unknown digest frequency: ${frequency}`);
+      }
+      
+      const since = new Date(Date.now() - DIGEST_PERIODS_MS[frequency]).toISOString();
+      let sent = 0;
+      let lastEvaluatedKey = null;
+      
+      do {
+        const page = await User.getEmailRecipientsPage(100, lastEvaluatedKey);
+        
+        for (const user of page.users) {
+          if (!user.email || getPreferences(user).digest !== frequency) {
+            continue;
+          }
+          
+          try {
+            const { notifications, total } = await getUnreadSince(user.userId, since);
+            
+            if (total > 0) {
+              await emailService.sendDigest(user, notifications, total, frequency);
+              sent++;
+            }
+          } catch (userError) {
+            console.error(`Digest error for user ${user.userId}:`, userError);
+            // Continue with the other users
+          }
+        }
+        
+        lastEvaluatedKey = page.lastEvaluatedKey;
+      } while (lastEvaluatedKey);
+      
+      return sent;
+    } catch (error) {
+      console.error('Error sending digests:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = digestService;
@@ -0,0 +1,165 @@
+// services/emailService.js
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const emailTemplates = require('../utils/emailTemplates');
+const { getCategory } = require('../utils/notificationPreferences');
+
+// SMTP transport: a real mail server, or a mailcatcher during development
+const smtpTransport = {
+  create: () => {
+    const { host, port, secure, user, pass } = config.email.smtp;
+    
+    return nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+};
+
+// File transport: renders each email and writes it to config.email.fileDir as an .eml
+// file instead of sending it, so local development needs no mail server
+const fileTransport = {
+  create: () => {
+    const renderer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    
+    return {
+      sendMail: async (message) => {
+        const info = await renderer.sendMail(message);
+        const fileName = `${Date.now()}-${String(message.to).replace(/[^\w.@-]/g, '_')}.eml`;
+        const filePath = path.join(config.email.fileDir, fileName);
+        
+        await fs.mkdir(config.email.fileDir, { recursive: true });
+        await fs.writeFile(filePath, info.message);
+        
+        return { ...info, path: filePath };
+      }
+    };
+  }
+};
+
+const TRANSPORTS = {
+  smtp: smtpTransport,
+  file: fileTransport
+};
+
+// Transport in use, created on first send
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const selected = TRANSPORTS[config.email.transport];
+    
+    if (!selected) {
+      throw new Error(`Unknown email transport: ${config.email.transport}`);
+    }
+    
+    transport = selected.create();
+  }
+  
+  return transport;
+};
+
+// Unsubscribe tokens name the user and the setting to switch off: a preference
+// category (e.g. "follows") or "digest". Links in older emails stop working once the token
+// expires; notification settings in the app still work then
+const UNSUBSCRIBE_PURPOSE = 'unsubscribe';
+
+// The unsubscribe signing key is only needed once emails are sent (or their links opened),
+// so a server without email can run without one
+const getUnsubscribeSecret = () => {
+  if (!config.email.unsubscribe.secret) {
+    throw new Error('Email unsubscribe links are not configured');
+  }
+  
+  return config.email.unsubscribe.secret;
+};
+
+const emailService = {
+  // Send an email; `message` holds to, subject, text, html and optional headers
+  send: async (message) => {
+    try {
+      return await getTransport().sendMail({
+        from: config.email.from,
+        ...message
+      });
+    } catch (error) {
+      console.error('Email send error:', error);
+      throw error;
+    }
+  },
+  
+  // One-click unsubscribe link for a user and setting
+  getUnsubscribeUrl: (userId, setting) => {
+    const token = jwt.sign({ userId, setting, purpose: UNSUBSCRIBE_PURPOSE }, getUnsubscribeSecret(), {
+      expiresIn: config.email.unsubscribe.expiry
+    });
+    return `${config.email.apiUrl}/api/notifications/unsubscribe?token=${encodeURIComponent(token)}`;
+  },
+  
+  // Read an unsubscribe token; returns { userId, setting }, or null if it is not valid
+  verifyUnsubscribeToken: (token) => {
+    const secret = getUnsubscribeSecret();
+    
+    try {
+      const decoded = jwt.verify(token, secret);
+      
+      if (decoded.purpose !== UNSUBSCRIBE_PURPOSE) {
+        return null;
+      }
+      
+      return { userId: decoded.userId, setting: decoded.setting };
+    } catch (error) {
+      return null;
+    }
+  },
+  
+  // Email a notification to its recipient if its type has a template.
+  // Returns false when there is nothing to send
+  sendNotification: async (recipient, notification) => {
+    try {
+      if (!recipient.email || !emailTemplates.hasNotificationTemplate(notification.type)) {
+        return false;
+      }
+      
+      const unsubscribeUrl = emailService.getUnsubscribeUrl(recipient.userId, getCategory(notification.type));
+      const email = emailTemplates.renderNotification({ recipient, notification, unsubscribeUrl });
+      
+      await emailService.send({
+        to: recipient.email,
+        ...email,
+        list: { unsubscribe: { url: unsubscribeUrl } },
+        headers: { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+      });
+      return true;
+    } catch (error) {
+      console.error('Error emailing notification:', error);
+      throw error;
+    }
+  },
+  
+  // Email a digest of unread notifications
+  sendDigest: async (recipient, notifications, total, frequency) => {
+    try {
+      const unsubscribeUrl = emailService.getUnsubscribeUrl(recipient.userId, 'digest');
+      const email = emailTemplates.renderDigest({ recipient, notifications, total, frequency, unsubscribeUrl });
+      
+      await emailService.send({
+        to: recipient.email,
+        ...email,
+        list: { unsubscribe: { url: unsubscribeUrl } },
+        headers: { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+      });
+      return true;
+    } catch (error) {
+      console.error('Error emailing digest:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = emailService;
@@ -0,0 +1,117 @@
+// services/messagingService.js
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const chatSockets = require('../sockets/chat');
+const notificationService = require('./notificationService');
+
+// Messaging service shared by the conversation and story reply endpoints
+const messagingService = {
+  // Folder a conversation starts in for each user someone else adds to it: the inbox for
+  // users who follow that person, message requests for everyone else.
+  // Returns a map of userId -> folder
+  getRequestFolders: async (senderId, userIds) => {
+    try {
+      const statuses = await User.getFollowStatuses(senderId, userIds);
+      
+      const folders = {};
+      userIds.forEach(userId => {
+        folders[userId] = statuses[userId] && statuses[userId].followsYou
+          ? Conversation.FOLDERS.INBOX
+          : Conversation.FOLDERS.REQUESTS;
+      });
+      
+      return folders;
+    } catch (error) {
+      console.error('Error getting request folders:', error);
+      throw error;
+    }
+  },
+  
+  // Get or start the direct conversation between sender and recipient. A new
+  // conversation lands in the recipient's message requests unless they follow the sender
+  openDirectConversation: async (senderId, recipientId) => {
+    try {
+      const folders = await messagingService.getRequestFolders(senderId, [recipientId]);
+      
+      return await Conversation.getOrCreateDirect(senderId, recipientId, folders[recipientId]);
+    } catch (error) {
+      console.error('Error opening direct conversation:', error);
+      throw error;
+    }
+  },
+  
+  // Store a message, update every member's inbox and deliver it in real time
+  sendMessage: async (io, members, messageData) => {
+    try {
+      const { conversationId, senderId } = messageData;
+      const message = await Message.create(messageData);
+      
+      const newlyUnreadIds = await Conversation.recordMessage(
+        conversationId,
+        message,
+        members.map(member => member.userId)
+      );
+      
+      // Replying to a message request accepts it
+      const sender = members.find(member => member.userId === senderId);
+      if (sender && sender.folder && sender.folder !== Conversation.FOLDERS.INBOX) {
+        await Conversation.acceptRequest(conversationId, senderId);
+      }
+      
+      // Tell recipients about a new message request, once per unread request. Recipients who
+      // deleted the request are not told (and it stays deleted)
+      const requestRecipientIds = members
+        .filter(member => member.userId !== senderId)
+        .filter(member => member.folder === Conversation.FOLDERS.REQUESTS && newlyUnreadIds.includes(member.userId))
+        .map(member => member.userId);
+      
+      await Promise.all(requestRecipientIds.map(recipientId => notificationService.notify(io, {
+        type: 'message_request',
+        senderId,
+        recipientId,
+        contentId: conversationId,
+        contentType: 'conversation',
+        action: 'sent you a message request'
+      }).catch(notifError => {
+        console.error('Message request notification error:', notifError);
+        // Continue even if notification fails
+      })));
+      
+      // Tell inbox members about a new message, once until they read the conversation,
+      // so a busy chat does not fill their notification list
+      const inboxRecipientIds = members
+        .filter(member => member.userId !== senderId)
+        .filter(member => (member.folder || Conversation.FOLDERS.INBOX) === Conversation.FOLDERS.INBOX)
+        .filter(member => newlyUnreadIds.includes(member.userId))
+        .map(member => member.userId);
+      
+      await Promise.all(inboxRecipientIds.map(recipientId => notificationService.notify(io, {
+        type: 'message',
+        senderId,
+        recipientId,
+        contentId: conversationId,
+        contentType: 'conversation',
+        action: 'sent you a message'
+      }).catch(notifError => {
+        console.error('Message notification error:', notifError);
+        // Continue even if notification fails
+      })));
+      
+      // Deliver in real time to every participant's personal room
+      try {
+        await chatSockets.deliverMessage(io, members, message, newlyUnreadIds);
+      } catch (socketError) {
+        console.error('Message delivery error:', socketError);
+        // Continue even if real-time delivery fails
+      }
+      
+      return message;
+    } catch (error) {
+      console.error('Error sending message:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = messagingService;
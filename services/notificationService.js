@@ -0,0 +1,175 @@
+// services/notificationService.js
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const pushService = require('./pushService');
+const emailService = require('./emailService');
+const { getChannels, isQuietHours } = require('../utils/notificationPreferences');
+const { extractMentions } = require('../utils/mentions');
+const config = require('../config');
+
+// Attempts at folding an event into a grouped notification that other events keep updating
+const MAX_AGGREGATE_ATTEMPTS = 3;
+
+// Notification text, e.g. "alex liked your post" or "alex and 12 others liked your post"
+const buildMessage = (username, actorCount, action) => {
+  if (actorCount <= 1) {
+    return `${username} ${action}`;
+  }
+  
+  const others = actorCount - 1;
+  return `${username} and ${others} ${others === 1 ? 'other' : 'others'} ${action}`;
+};
+
+// Add an event to its target's notification group. Events within the aggregation window of the
+// group's latest activity update that entry in place; otherwise a new entry starts the group
+const storeAggregated = async (notificationData, username) => {
+  const windowMs = config.notifications.aggregationWindowMinutes * 60 * 1000;
+  
+  for (let attempt = 0; attempt < MAX_AGGREGATE_ATTEMPTS; attempt++) {
+    const latest = await Notification.getLatestInGroup(notificationData);
+    
+    if (!latest || Date.now() - new Date(latest.timestamp).getTime() > windowMs ||
+      Notification.isGroupFull(latest)) {
+      break;
+    }
+    
+    const actorCount = Notification.countWithActor(latest, notificationData.senderId);
+    const message = buildMessage(username, actorCount, notificationData.action);
+    
+    const notification = await Notification.aggregate(latest, notificationData, actorCount, message);
+    if (notification) {
+      return notification;
+    }
+  }
+  
+  return Notification.create({
+    ...notificationData,
+    message: buildMessage(username, 1, notificationData.action)
+  });
+};
+
+// Single entry point for user notifications: stores the notification, emits it to the
+// recipient's open connections and fans it out to push and email delivery, following
+// the recipient's notification preferences
+const notificationService = {
+  buildMessage,
+  
+  // Notify a user about something the sender did. `action` completes the sentence after the
+  // sender's name ("liked your post"). Returns the notification, or null when nothing is sent
+  // (notifying yourself, a block between sender and recipient, or every channel switched off)
+  notify: async (io, notificationData) => {
+    try {
+      const { senderId, recipientId } = notificationData;
+      
+      if (senderId === recipientId || await User.isBlocked(senderId, recipientId)) {
+        return null;
+      }
+      
+      const [sender, recipient] = await Promise.all([
+        User.getById(senderId),
+        User.getById(recipientId)
+      ]);
+      
+      const channels = getChannels(recipient, notificationData.type);
+      if (!channels.inApp && !channels.push && !channels.email) {
+        return null;
+      }
+      
+      const username = sender ? sender.username : 'Someone';
+      let notification;
+      
+      if (channels.inApp) {
+        notification = Notification.isAggregated(notificationData)
+          ? await storeAggregated(notificationData, username)
+          : await Notification.create({
+            ...notificationData,
+            message: buildMessage(username, 1, notificationData.action)
+          });
+        
+        // Real-time delivery to the recipient's personal room. Grouped entries arrive again
+        // under the same notificationId and replace the client's copy
+        try {
+          io.to(recipientId).emit('notification', notification);
+        } catch (socketError) {
+          console.error('Notification socket error:', socketError);
+          // Continue even if real-time delivery fails
+        }
+      } else {
+        // Push or email only: nothing is kept in the notification list
+        notification = {
+          recipientId,
+          senderId,
+          type: notificationData.type,
+          contentId: notificationData.contentId || null,
+          contentType: notificationData.contentType || null,
+          message: buildMessage(username, 1, notificationData.action),
+          timestamp: new Date().toISOString()
+        };
+      }
+      
+      // Push and email are not sent during the recipient's quiet hours. They are dropped, not
+      // queued: the notification stays in the in-app list (when that channel is on) and
+      // unread notifications still reach the recipient in their email digest
+      const quiet = isQuietHours(recipient);
+      
+      // Push delivery to the recipient's devices
+      if (channels.push && !quiet) {
+        try {
+          await pushService.sendToUser(recipientId, notification);
+        } catch (pushError) {
+          console.error('Notification push error:', pushError);
+          // Continue even if push delivery fails
+        }
+      }
+      
+      // Email, for the types that have an email template
+      if (channels.email && recipient && !quiet) {
+        try {
+          await emailService.sendNotification(recipient, notification);
+        } catch (emailError) {
+          console.error('Notification email error:', emailError);
+          // Continue even if email delivery fails
+        }
+      }
+      
+      return notification;
+    } catch (error) {
+      console.error('Error sending notification:', error);
+      throw error;
+    }
+  },
+  
+  // Notify the users mentioned (@username) in a post, reel caption or comment. `contentId` and
+  // `contentType` name what the notification links to. Unknown usernames are skipped, and a
+  // failed notification does not stop the others. Returns the IDs of the users mentioned
+  notifyMentions: async (io, { senderId, text, contentId, contentType, action }) => {
+    try {
+      const usernames = extractMentions(text);
+      if (usernames.length === 0) {
+        return [];
+      }
+      
+      const users = await Promise.all(usernames.map(username => User.getByUsername(username)));
+      const recipientIds = [...new Set(users.filter(Boolean).map(user => user.userId))];
+      
+      await Promise.all(recipientIds.map(recipientId => notificationService.notify(io, {
+        type: 'mention',
+        senderId,
+        recipientId,
+        contentId,
+        contentType,
+        action
+      }).catch(notifError => {
+        console.error('Mention notification error:', notifError);
+        // Continue even if one notification fails
+      })));
+      
+      return recipientIds;
+    } catch (error) {
+      console.error('Error sending mention notifications:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = notificationService;
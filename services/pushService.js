@@ -0,0 +1,144 @@
+// services/pushService.js
+const Device = require('../models/Device');
+const { snsService } = require('./snsService');
+const config = require('../config');
+
+// SNS errors meaning the provider no longer accepts the device's token
+const DEAD_ENDPOINT_ERRORS = ['EndpointDisabled', 'NotFound'];
+
+// SNS platform application for each device platform
+const getPlatformApplicationArn = (platform) => {
+  const { apnsApplicationArn, fcmApplicationArn } = config.aws.sns;
+  return platform === Device.PLATFORMS.IOS ? apnsApplicationArn : fcmApplicationArn;
+};
+
+// Data sent along with every push so the app can open the right screen
+const getPushData = (notification) => {
+  const data = {
+    notificationId: notification.notificationId,
+    type: notification.type,
+    contentId: notification.contentId,
+    contentType: notification.contentType,
+    senderId: notification.senderId
+  };
+  
+  // FCM data values must be strings; leave out anything unset
+  Object.keys(data).forEach(key => {
+    if (data[key] === undefined || data[key] === null) {
+      delete data[key];
+    }
+  });
+  
+  return data;
+};
+
+// Build the platform-specific SNS message for a notification
+const buildPayload = (platform, notification) => {
+  const data = getPushData(notification);
+  
+  if (platform === Device.PLATFORMS.IOS) {
+    const apnsKey = config.aws.sns.apnsSandbox ? 'APNS_SANDBOX' : 'APNS';
+    return {
+      default: notification.message,
+      [apnsKey]: JSON.stringify({
+        aps: {
+          alert: { body: notification.message },
+          sound: 'default'
+        },
+        ...data
+      })
+    };
+  }
+  
+  return {
+    default: notification.message,
+    GCM: JSON.stringify({
+      notification: { body: notification.message },
+      data
+    })
+  };
+};
+
+// Is this SNS error the provider reporting a disabled or removed endpoint?
+const isDeadEndpoint = (error) => DEAD_ENDPOINT_ERRORS.includes(error && error.code);
+
+// Mobile push: device registration and delivery through SNS platform endpoints
+const pushService = {
+  // Register a device's APNs/FCM token for a user. Re-registering refreshes the token,
+  // re-enables a disabled endpoint, and takes the token away from any other account
+  // that registered it before (a phone that changed hands)
+  registerDevice: async (userId, { deviceId, platform, token }) => {
+    try {
+      const platformApplicationArn = getPlatformApplicationArn(platform);
+      if (!platformApplicationArn) {
+        throw new Error('Push notifications are not configured for this platform');
+      }
+      
+      const existing = await Device.get(userId, deviceId);
+      
+      // SNS returns the existing endpoint when the token is already registered
+      const endpointArn = await snsService.createPlatformEndpoint(token, platformApplicationArn);
+      await snsService.updatePlatformEndpoint(endpointArn, token);
+      
+      // The device's previous endpoint (old token or platform) is no longer needed
+      if (existing && existing.endpointArn !== endpointArn) {
+        await snsService.deletePlatformEndpoint(existing.endpointArn);
+      }
+      
+      const otherRegistrations = (await Device.getByToken(token))
+        .filter(device => device.userId !== userId || device.deviceId !== deviceId);
+      await Promise.all(otherRegistrations.map(device => Device.delete(device.userId, device.deviceId)));
+      
+      return await Device.save(userId, { deviceId, platform, token, endpointArn });
+    } catch (error) {
+      console.error('Error registering device:', error);
+      throw error;
+    }
+  },
+  
+  // Unregister a device (e.g. on logout). Returns false if it was not registered
+  unregisterDevice: async (userId, deviceId) => {
+    try {
+      const device = await Device.get(userId, deviceId);
+      
+      if (!device) {
+        return false;
+      }
+      
+      await snsService.deletePlatformEndpoint(device.endpointArn);
+      await Device.delete(userId, deviceId);
+      return true;
+    } catch (error) {
+      console.error('Error unregistering device:', error);
+      throw error;
+    }
+  },
+  
+  // Deliver a notification to all of a user's devices. Endpoints the provider reports as
+  // disabled (app uninstalled, token expired) are removed. Returns the number of devices reached
+  sendToUser: async (userId, notification) => {
+    try {
+      const devices = await Device.getByUserId(userId);
+      
+      const results = await Promise.all(devices.map(async device => {
+        try {
+          await snsService.publishToEndpoint(device.endpointArn, buildPayload(device.platform, notification));
+          return true;
+        } catch (publishError) {
+          if (isDeadEndpoint(publishError)) {
+            await snsService.deletePlatformEndpoint(device.endpointArn);
+            await Device.delete(device.userId, device.deviceId);
+          }
+          return false;
+        }
+      }));
+      
+      return results.filter(Boolean).length;
+    } catch (error) {
+      console.error('Error sending push notification:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = pushService;
@@ -0,0 +1,184 @@
+// services/sessionService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const config = require('../config');
+
+// Seconds per unit in durations such as "15m" or "7d"
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// Convert a duration ("30s", "15m", "12h", "7d" or plain seconds) to seconds
+const toSeconds = (duration) => {
+  const match = String(duration).match(/^(\d+)\s*([smhd]?)$/);
+  
+  if (!match) {
+    throw new Error(`Invalid duration: ${duration}`);
+  }
+  
+  return parseInt(match[1]) * (DURATION_UNITS[match[2]] || 1);
+};
+
+// Refresh tokens are "<sessionId>.<secret>"; only a hash of the secret is stored
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  return sessionId && secret ? { sessionId, secret } : null;
+};
+
+// Client details shown in the session list
+const getClientInfo = (req) => ({
+  ip: req.ip || null,
+  userAgent: req.get('user-agent') || null
+});
+
+// Hashes of rotated-out refresh tokens a session remembers, newest last. Presenting one of
+// them revokes the session; older ones are only refused like any unknown token
+const MAX_ROTATED_HASHES = 50;
+
+// Sliding expiry: a session lives for the refresh token lifetime after its last use
+const getExpiryTime = () => Math.floor(Date.now() / 1000) + toSeconds(config.jwt.refreshTokenExpiry);
+
+// Short-lived access token tied to a session. iatMs is the issue time in milliseconds
+// (iat only has seconds), so a token issued just after the user's tokens were revoked
+// is told apart from one issued just before
+const issueAccessToken = (userId, sessionId) => jwt.sign(
+  { userId, sid: sessionId, iatMs: Date.now() },
+  config.jwt.secret,
+  { expiresIn: config.jwt.accessTokenExpiry }
+);
+
+// Tokens returned to the client after login or refresh
+const buildTokens = (session, secret) => ({
+  token: issueAccessToken(session.userId, session.sessionId),
+  refreshToken: `${session.sessionId}.${secret}`,
+  expiresIn: toSeconds(config.jwt.accessTokenExpiry),
+  sessionId: session.sessionId
+});
+
+// Server-side sessions: one per signed-in device, each with a rotating refresh token.
+// Presenting a refresh token that has already been rotated means it was copied, so the
+// whole session (every token descended from that login) is revoked. Any other wrong
+// token is simply refused, so guessing cannot sign anyone out
+const sessionService = {
+  // Start a session for a user who just signed in
+  createSession: async (userId, req, deviceName = null) => {
+    try {
+      const secret = crypto.randomBytes(32).toString('hex');
+      
+      const session = await Session.create({
+        userId,
+        refreshTokenHash: hashSecret(secret),
+        deviceName,
+        ...getClientInfo(req),
+        expiryTime: getExpiryTime()
+      });
+      
+      return buildTokens(session, secret);
+    } catch (error) {
+      console.error('Error creating session:', error);
+      throw error;
+    }
+  },
+  
+  // Exchange a refresh token for a new access and refresh token. Throws 'Invalid refresh token',
+  // or 'Refresh token reuse detected' (with error.session set) after revoking the session
+  // when the token is one the session has rotated out
+  refresh: async (refreshToken, req) => {
+    try {
+      const parsed = parseRefreshToken(refreshToken);
+      const session = parsed ? await Session.getById(parsed.sessionId) : null;
+      
+      if (!session || session.expiryTime < Math.floor(Date.now() / 1000)) {
+        throw new Error('Invalid refresh token');
+      }
+      
+      const presentedHash = hashSecret(parsed.secret);
+      const rotatedHashes = session.rotatedTokenHashes || [];
+      
+      if (presentedHash !== session.refreshTokenHash && !rotatedHashes.includes(presentedHash)) {
+        throw new Error('Invalid refresh token');
+      }
+      
+      const secret = crypto.randomBytes(32).toString('hex');
+      
+      const rotated = presentedHash === session.refreshTokenHash
+        ? await Session.rotate(session.sessionId, presentedHash, {
+          refreshTokenHash: hashSecret(secret),
+          rotatedTokenHashes: [...rotatedHashes, presentedHash].slice(-MAX_ROTATED_HASHES),
+          ...getClientInfo(req),
+          expiryTime: getExpiryTime()
+        })
+        : null;
+      
+      // An old token from this session (or one that lost a race with another rotation,
+      // and so has just been rotated out)
+      if (!rotated) {
+        await Session.delete(session.sessionId);
+        
+        const reuseError = new Error('Refresh token reuse detected');
+        reuseError.session = session;
+        throw reuseError;
+      }
+      
+      return buildTokens(rotated, secret);
+    } catch (error) {
+      console.error('Error refreshing session:', error);
+      throw error;
+    }
+  },
+  
+  // List a user's active sessions, marking the one making the request
+  listSessions: async (userId, currentSessionId = null) => {
+    try {
+      const now = Math.floor(Date.now() / 1000);
+      const sessions = await Session.getByUserId(userId);
+      
+      return sessions
+        .filter(session => session.expiryTime > now)
+        .map(session => ({
+          sessionId: session.sessionId,
+          deviceName: session.deviceName,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          current: session.sessionId === currentSessionId
+        }));
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      throw error;
+    }
+  },
+  
+  // Revoke one of a user's sessions. Returns false if it does not exist (or is someone else's)
+  revokeSession: async (userId, sessionId) => {
+    try {
+      const session = await Session.getById(sessionId);
+      
+      if (!session || session.userId !== userId) {
+        return false;
+      }
+      
+      await Session.delete(sessionId);
+      return true;
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      throw error;
+    }
+  },
+  
+  // Revoke all of a user's sessions
+  revokeAllSessions: async (userId) => {
+    try {
+      const sessions = await Session.getByUserId(userId);
+      await Promise.all(sessions.map(session => Session.delete(session.sessionId)));
+      return sessions.length;
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = sessionService;
@@ -40,6 +40,43 @@ const snsService = {
     }
   },
   
+  // Publish a message directly to a platform endpoint. `message` maps each platform
+  // (e.g. APNS, GCM) to its JSON payload
+  publishToEndpoint: async (endpointArn, message) => {
+    try {
+      const params = {
+        TargetArn: endpointArn,
+        MessageStructure: 'json',
+        Message: JSON.stringify(message)
+      };
+      
+      const result = await sns.publish(params).promise();
+      return result.MessageId;
+    } catch (error) {
+      console.error('SNS endpoint publish error:', error);
+      throw error;
+    }
+  },
+  
+  // Update a platform endpoint's token and re-enable it
+  updatePlatformEndpoint: async (endpointArn, token) => {
+    try {
+      const params = {
+        EndpointArn: endpointArn,
+        Attributes: {
+          Token: token,
+          Enabled: 'true'
+        }
+      };
+      
+      await sns.setEndpointAttributes(params).promise();
+      return true;
+    } catch (error) {
+      console.error('SNS update endpoint error:', error);
+      throw error;
+    }
+  },
+  
   // Delete platform endpoint
   deletePlatformEndpoint: async (endpointArn) => {
     try {
@@ -0,0 +1,182 @@
+// services/twoFactorService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const { encryptData, decryptData } = require('../utils/encryption');
+const config = require('../config');
+
+// Backup codes handed out at a time, each usable once
+const BACKUP_CODE_COUNT = 10;
+
+// Challenge tokens carry this purpose so they are never accepted as access tokens
+const CHALLENGE_PURPOSE = 'twoFactorChallenge';
+
+// Secrets are encrypted at rest with the data encryption key
+const getEncryptionKey = () => {
+  if (!config.security.encryptionKey) {
+    throw new Error('Two-factor authentication is not configured');
+  }
+  
+  return config.security.encryptionKey;
+};
+
+// Backup codes are shown as "xxxx-xxxx" but accepted in any case, with or without the dash
+const normalizeBackupCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const generateBackupCodes = () => Array.from(
+  { length: BACKUP_CODE_COUNT },
+  () => crypto.randomBytes(4).toString('hex')
+);
+
+const formatBackupCode = (code) => `${code.slice(0, 4)}-${code.slice(4)}`;
+
+// Error for too many wrong codes in a row
+const lockedError = () => {
+  const error = new Error('Too many incorrect codes, please try again later');
+  error.code = 'TwoFactorLocked';
+  return error;
+};
+
+// TOTP two-factor authentication: enrolment with an authenticator app, one-time backup codes,
+// and the second login step. Login with 2FA on returns a short-lived challenge token instead
+// of a session; the session is only created once the challenge is answered with a code
+const twoFactorService = {
+  // Start enrolment: a new secret and the otpauth:// URI for the app's QR code.
+  // The secret is only kept as pending until confirmEnrolment sees a code from it
+  beginEnrolment: async (user) => {
+    try {
+      const secret = totp.generateSecret();
+      const started = await User.setPendingTwoFactor(user.userId, encryptData(secret, getEncryptionKey()));
+      
+      if (!started) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+      
+      return {
+        secret,
+        otpauthUrl: totp.getProvisioningUri(secret, user.email, config.auth.twoFactor.issuer)
+      };
+    } catch (error) {
+      console.error('Error starting two-factor enrolment:', error);
+      throw error;
+    }
+  },
+  
+  // Finish enrolment with a code from the authenticator app. Returns the backup codes,
+  // which are only ever shown this once
+  confirmEnrolment: async (userId, code) => {
+    try {
+      const state = await User.getTwoFactor(userId);
+      
+      if (!state || !state.twoFactorPending) {
+        throw new Error('No two-factor setup in progress');
+      }
+      
+      const encryptedSecret = state.twoFactorPending.secret;
+      const step = totp.verifyCode(decryptData(encryptedSecret, getEncryptionKey()), code);
+      
+      if (step === null) {
+        throw new Error('Invalid code');
+      }
+      
+      const backupCodes = generateBackupCodes();
+      const enabled = await User.enableTwoFactor(userId, encryptedSecret, backupCodes, step);
+      
+      if (!enabled) {
+        throw new Error('No two-factor setup in progress');
+      }
+      
+      return backupCodes.map(formatBackupCode);
+    } catch (error) {
+      console.error('Error confirming two-factor enrolment:', error);
+      throw error;
+    }
+  },
+  
+  // Check a code from the authenticator app, or a backup code (used up if correct).
+  // Returns false for a wrong code; throws (code 'TwoFactorLocked') after too many
+  verifyCode: async (userId, code) => {
+    try {
+      const state = await User.getTwoFactor(userId);
+      
+      if (!state || !state.twoFactorEnabled) {
+        return false;
+      }
+      
+      if (state.twoFactor.lockedUntil && state.twoFactor.lockedUntil > Math.floor(Date.now() / 1000)) {
+        throw lockedError();
+      }
+      
+      let valid;
+      
+      if (/^\d{6}$/.test(String(code).replace(/\s/g, ''))) {
+        const secret = decryptData(state.twoFactor.secret, getEncryptionKey());
+        const step = totp.verifyCode(secret, code);
+        valid = step !== null && await User.useTotpStep(userId, step);
+      } else {
+        valid = await User.useBackupCode(userId, normalizeBackupCode(code));
+      }
+      
+      if (!valid && await User.recordTwoFactorFailure(userId)) {
+        throw lockedError();
+      }
+      
+      return valid;
+    } catch (error) {
+      console.error('Error verifying two-factor code:', error);
+      throw error;
+    }
+  },
+  
+  // Replace the user's backup codes with a new set and return it
+  regenerateBackupCodes: async (userId) => {
+    try {
+      const backupCodes = generateBackupCodes();
+      const replaced = await User.setBackupCodes(userId, backupCodes);
+      
+      if (!replaced) {
+        throw new Error('Two-factor authentication is not enabled');
+      }
+      
+      return backupCodes.map(formatBackupCode);
+    } catch (error) {
+      console.error('Error regenerating backup codes:', error);
+      throw error;
+    }
+  },
+  
+  // Turn two-factor authentication off
+  disable: async (userId) => {
+    try {
+      return await User.disableTwoFactor(userId);
+    } catch (error) {
+      console.error('Error disabling two-factor authentication:', error);
+      throw error;
+    }
+  },
+  
+  // Challenge token for the second login step, remembering the device being signed in
+  createChallenge: (userId, deviceName = null) => jwt.sign(
+    { userId, deviceName, purpose: CHALLENGE_PURPOSE },
+    config.jwt.secret,
+    { expiresIn: config.auth.twoFactor.challengeExpiry }
+  ),
+  
+  // Read a challenge token; returns { userId, deviceName }, or null if it is not valid
+  verifyChallenge: (token) => {
+    try {
+      const decoded = jwt.verify(token, config.jwt.secret);
+      
+      if (decoded.purpose !== CHALLENGE_PURPOSE) {
+        return null;
+      }
+      
+      return { userId: decoded.userId, deviceName: decoded.deviceName };
+    } catch (error) {
+      return null;
+    }
+  }
+};
+
+module.exports = twoFactorService;
@@ -0,0 +1,58 @@
+// sockets/adapter.js - Pluggable socket.io adapter so emits reach users connected to any server instance
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { createClient } = require('redis');
+const config = require('../config');
+
+// In-process adapter: socket.io's built-in one. Rooms and emits stay within this
+// process, which is all a single node (or a test) needs
+const memoryAdapter = {
+  attach: async () => {
+    return async () => {};
+  }
+};
+
+// Broker-backed adapter: every emit, room query and disconnect is relayed through
+// Redis pub/sub to all instances pointed at the same broker
+const redisAdapter = {
+  attach: async (io) => {
+    const pubClient = createClient({ url: config.realtime.redisUrl });
+    const subClient = pubClient.duplicate();
+    
+    [pubClient, subClient].forEach(client => {
+      client.on('error', (error) => {
+        console.error('Redis adapter error:', error);
+      });
+    });
+    
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    io.adapter(createAdapter(pubClient, subClient));
+    
+    return async () => {
+      await Promise.all([pubClient.quit(), subClient.quit()]);
+    };
+  }
+};
+
+const ADAPTERS = {
+  memory: memoryAdapter,
+  redis: redisAdapter
+};
+
+// Attach the configured adapter to the socket.io server.
+// Returns a function that closes any broker connections
+const attachAdapter = async (io, name = config.realtime.adapter) => {
+  const adapter = ADAPTERS[name];
+  
+  if (!adapter) {
+    throw new Error(`Unknown socket adapter: ${name}`);
+  }
+  
+  const close = await adapter.attach(io);
+  console.log(`Socket.io using ${name} adapter`);
+  return close;
+};
+
+module.exports = {
+  attachAdapter,
+  ADAPTERS
+};
@@ -0,0 +1,172 @@
+// sockets/chat.js - Real-time chat state: message delivery, typing indicators, receipts and unread counts
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+
+// Emit an event to each member's personal room, optionally skipping one user
+const emitToMembers = (io, members, event, payload, exceptUserId = null) => {
+  members.forEach(member => {
+    if (member.userId !== exceptUserId) {
+      io.to(member.userId).emit(event, payload);
+    }
+  });
+};
+
+// Push a user's current number of unread conversations (and unread message requests)
+// to all of their connections
+const emitUnreadCount = async (io, userId) => {
+  const [count, requestCount] = await Promise.all([
+    Conversation.getUnreadCount(userId),
+    Conversation.getUnreadCount(userId, Conversation.FOLDERS.REQUESTS)
+  ]);
+  io.to(userId).emit('conversations:unread', { count, requestCount });
+};
+
+// Deliver a new message to every member and update unread counts for anyone
+// whose conversation just became unread. Members who have the conversation in their
+// message requests (or deleted it) only see the request notification and their unread
+// counts, so a request can't push its messages into an open chat screen
+const deliverMessage = async (io, members, message, newlyUnreadIds = []) => {
+  const recipients = members.filter(member => member.userId === message.senderId ||
+    (member.folder !== Conversation.FOLDERS.REQUESTS && member.folder !== Conversation.FOLDERS.DELETED));
+  
+  emitToMembers(io, recipients, 'message', {
+    conversationId: message.conversationId,
+    message: { ...message, status: Message.STATUSES.SENT }
+  });
+  
+  await Promise.all(newlyUnreadIds.map(userId => emitUnreadCount(io, userId)));
+};
+
+// Tell the other members how far a user has got through a conversation
+const emitReceipt = async (io, conversationId, userId, status, messageId) => {
+  const members = await Conversation.getMembers(conversationId);
+  
+  emitToMembers(io, members, 'message:receipt', {
+    conversationId,
+    userId,
+    status,
+    messageId,
+    timestamp: new Date().toISOString()
+  }, userId);
+};
+
+// Whether messageId names a message in the conversation; receipts for anything else would
+// move a member's pointers to an arbitrary position (the IDs are compared as strings)
+const isMessageIn = async (conversationId, messageId) => {
+  if (typeof messageId !== 'string' || !messageId) {
+    return false;
+  }
+  
+  return !!(await Message.getById(conversationId, messageId));
+};
+
+// Mark messages up to messageId as delivered to a user.
+// Returns the updated membership, or null if nothing changed
+const markDelivered = async (io, conversationId, userId, messageId) => {
+  if (!(await isMessageIn(conversationId, messageId))) {
+    return null;
+  }
+  
+  const member = await Conversation.markDelivered(conversationId, userId, messageId);
+  
+  if (member) {
+    await emitReceipt(io, conversationId, userId, Message.STATUSES.DELIVERED, messageId);
+  }
+  
+  return member;
+};
+
+// Mark a conversation as read up to messageId (the latest message by default).
+// Returns the updated membership, or null if nothing changed
+const markRead = async (io, conversationId, userId, messageId = null) => {
+  let readUpTo = messageId;
+  
+  if (readUpTo) {
+    if (!(await isMessageIn(conversationId, readUpTo))) {
+      return null;
+    }
+  } else {
+    const conversation = await Conversation.getById(conversationId);
+    if (!conversation || !conversation.lastMessage) {
+      return null;
+    }
+    readUpTo = conversation.lastMessage.messageId;
+  }
+  
+  const member = await Conversation.markRead(conversationId, userId, readUpTo);
+  
+  if (member) {
+    await emitReceipt(io, conversationId, userId, Message.STATUSES.READ, readUpTo);
+    await emitUnreadCount(io, userId);
+  }
+  
+  return member;
+};
+
+// Tell the other members that a user started or stopped typing
+const emitTyping = async (io, socket, conversationId, isTyping) => {
+  const userId = socket.data.userId;
+  const members = await Conversation.getMembers(conversationId);
+  
+  // Only members can type in a conversation
+  if (!members.some(member => member.userId === userId)) {
+    return;
+  }
+  
+  if (isTyping) {
+    socket.data.typingIn.add(conversationId);
+  } else {
+    socket.data.typingIn.delete(conversationId);
+  }
+  
+  emitToMembers(io, members, 'typing', { conversationId, userId, isTyping }, userId);
+};
+
+// Register chat event handlers for a connected socket
+const registerChatHandlers = (io, socket) => {
+  socket.data.typingIn = new Set();
+  
+  // Run a handler for a conversation event, logging failures
+  const handle = (event, handler) => {
+    socket.on(event, async (data = {}) => {
+      if (!data.conversationId) {
+        return;
+      }
+      
+      try {
+        await handler(data);
+      } catch (error) {
+        console.error(`Socket ${event} error:`, error);
+      }
+    });
+  };
+  
+  handle('typing:start', ({ conversationId }) => emitTyping(io, socket, conversationId, true));
+  
+  handle('typing:stop', ({ conversationId }) => emitTyping(io, socket, conversationId, false));
+  
+  handle('message:delivered', ({ conversationId, messageId }) => {
+    return markDelivered(io, conversationId, socket.data.userId, messageId);
+  });
+  
+  handle('message:read', ({ conversationId, messageId }) => {
+    return markRead(io, conversationId, socket.data.userId, messageId);
+  });
+  
+  // Clear typing indicators left behind by a dropped connection
+  socket.on('disconnect', () => {
+    socket.data.typingIn.forEach(conversationId => {
+      emitTyping(io, socket, conversationId, false).catch(error => {
+        console.error('Socket typing cleanup error:', error);
+      });
+    });
+  });
+};
+
+module.exports = {
+  registerChatHandlers,
+  deliverMessage,
+  markDelivered,
+  markRead,
+  emitUnreadCount
+};
@@ -0,0 +1,101 @@
+// sockets/presence.js - Online status: connected sockets per user and "active now" updates for followers
+const User = require('../models/User');
+
+// Get which of the given users have at least one open connection. Every socket sits in
+// its user's room, so this asks the adapter and sees connections on all server instances
+const getOnlineIds = async (io, userIds) => {
+  if (userIds.length === 0) {
+    return new Set();
+  }
+  
+  const sockets = await io.in(userIds).fetchSockets();
+  return new Set(sockets.map(socket => socket.data.userId));
+};
+
+// Users share their activity status unless they turned it off
+const sharesActivity = (user) => !!user && user.showActivityStatus !== false;
+
+// Presence as shown to other users
+const getPresence = (userId, lastActiveAt, onlineIds) => ({
+  userId,
+  isOnline: onlineIds.has(userId),
+  lastActiveAt: lastActiveAt || null
+});
+
+// Push a user's presence to everyone following them
+const broadcastPresence = async (io, userId, presence) => {
+  const followerIds = await User.getFollowers(userId);
+  
+  followerIds.forEach(followerId => {
+    io.to(followerId).emit('presence', presence);
+  });
+};
+
+// Push the current presence of a user who changed it (or their activity setting) to followers.
+// Users who hide their activity are always shown as offline with no last-active time
+const publishPresence = async (io, userId) => {
+  const [user, onlineIds] = await Promise.all([
+    User.getById(userId),
+    getOnlineIds(io, [userId])
+  ]);
+  
+  const presence = sharesActivity(user)
+    ? getPresence(userId, user.lastActiveAt, onlineIds)
+    : { userId, isOnline: false, lastActiveAt: null };
+  
+  await broadcastPresence(io, userId, presence);
+};
+
+// Whether socket `a` opened before socket `b` (the socket ID breaks ties)
+const connectedBefore = (a, b) => a.handshake.issued < b.handshake.issued ||
+  (a.handshake.issued === b.handshake.issued && a.id < b.id);
+
+// A new connection; the user's earliest open one marks them online. Connections are read
+// from the adapter rather than counted, so sockets of an instance that died simply drop
+// out. Comparing start times means two connections opening at once on different
+// instances can't both (or neither) see themselves as the first
+const trackConnection = async (io, socket) => {
+  const userId = socket.data.userId;
+  
+  await User.updateLastActive(userId);
+  
+  const sockets = await io.in(userId).fetchSockets();
+  if (sockets.every(other => other.id === socket.id || connectedBefore(socket, other))) {
+    await publishPresence(io, userId);
+  }
+};
+
+// A closed connection; if the user has none left open, they are now offline. The socket
+// has already left its rooms by the time 'disconnect' fires, so of several closing at
+// once at least the last to check sees none left
+const trackDisconnection = async (io, socket) => {
+  const userId = socket.data.userId;
+  
+  await User.updateLastActive(userId);
+  
+  const onlineIds = await getOnlineIds(io, [userId]);
+  if (!onlineIds.has(userId)) {
+    await publishPresence(io, userId);
+  }
+};
+
+// Register presence tracking for a connected socket
+const registerPresenceHandlers = (io, socket) => {
+  trackConnection(io, socket).catch(error => {
+    console.error('Presence connect error:', error);
+  });
+  
+  socket.on('disconnect', () => {
+    trackDisconnection(io, socket).catch(error => {
+      console.error('Presence disconnect error:', error);
+    });
+  });
+};
+
+module.exports = {
+  registerPresenceHandlers,
+  publishPresence,
+  getPresence,
+  getOnlineIds,
+  sharesActivity
+};
@@ -0,0 +1,30 @@
+// tests/helpers/app.js - Express app mounting one router, for route tests with supertest.
+// Tests mock middleware/auth.js with tests/helpers/auth.js before requiring their router
+const express = require('express');
+
+// Socket.io stand-in: records every emit as [room, event, payload]
+const createIo = () => {
+  const emitted = [];
+  
+  return {
+    emitted,
+    to: (room) => ({
+      emit: (event, payload) => emitted.push([room, event, payload])
+    })
+  };
+};
+
+const createApp = (basePath, router, io = createIo()) => {
+  const app = express();
+  
+  app.use(express.json());
+  app.set('io', io);
+  app.use(basePath, router);
+  
+  return app;
+};
+
+module.exports = {
+  createIo,
+  createApp
+};
@@ -0,0 +1,26 @@
+// tests/helpers/auth.js - Stand-in for middleware/auth.js in route tests: the signed-in
+// user is whoever the X-User-Id header names, so tests need no tokens or sessions
+const authenticateToken = (req, res, next) => {
+  const userId = req.get('x-user-id');
+  
+  if (!userId) {
+    return res.status(401).json({ message: 'No token provided' });
+  }
+  
+  req.user = { userId };
+  req.sessionId = null;
+  next();
+};
+
+const optionalAuthenticateToken = (req, res, next) => (req.get('x-user-id')
+  ? authenticateToken(req, res, next)
+  : next());
+
+module.exports = {
+  authenticateToken,
+  optionalAuthenticateToken,
+  authenticateSocket: (socket, next) => next(),
+  verifyToken: async () => {
+    throw new Error('Not available in tests');
+  }
+};
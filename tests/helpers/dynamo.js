@@ -0,0 +1,136 @@
+// tests/helpers/dynamo.js - In-memory rows behind the dynamoDb wrapper's reads, so model code
+// runs unchanged in tests. Writes differ per test, so tests stub those themselves
+const { dynamoDb } = require('../../config/dynamodb');
+
+const matchesKey = (row, key) => Object.entries(key).every(([name, value]) => row[name] === value);
+
+const COMPARISONS = {
+  '=': (a, b) => a === b,
+  '<>': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+// Split an expression on a keyword (AND / OR) outside parentheses
+const splitTopLevel = (expression, keyword) => {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  
+  for (let i = 0; i < expression.length; i++) {
+    if (expression[i] === '(') depth++;
+    if (expression[i] === ')') depth--;
+    
+    const rest = expression.slice(i);
+    if (depth === 0 && new RegExp(`^\\s+${keyword}\\s+`, 'i').test(rest)) {
+      parts.push(expression.slice(start, i));
+      start = i + rest.match(/^\s+\S+\s+/)[0].length;
+      i = start - 1;
+    }
+  }
+  
+  parts.push(expression.slice(start));
+  return parts.map(part => part.trim());
+};
+
+// Evaluate the simple expressions the models use: comparisons, begins_with, attribute_exists
+// and attribute_not_exists, joined by AND and OR with parentheses
+const matchesExpression = (row, expression, params) => {
+  if (!expression) {
+    return true;
+  }
+  
+  const names = params.ExpressionAttributeNames || {};
+  const values = params.ExpressionAttributeValues || {};
+  const attribute = (name) => row[names[name] || name];
+  
+  const evaluate = (clause) => {
+    const anyOf = splitTopLevel(clause, 'OR');
+    if (anyOf.length > 1) {
+      return anyOf.some(evaluate);
+    }
+    
+    const allOf = splitTopLevel(clause, 'AND');
+    if (allOf.length > 1) {
+      return allOf.every(evaluate);
+    }
+    
+    if (/^\(.*\)$/.test(clause)) {
+      return evaluate(clause.slice(1, -1).trim());
+    }
+    
+    const exists = clause.match(/^attribute_(not_)?exists\((\S+)\)$/);
+    if (exists) {
+      return (attribute(exists[2]) !== undefined) !== !!exists[1];
+    }
+    
+    const beginsWith = clause.match(/^begins_with\((\S+),\s*(\S+)\)$/);
+    if (beginsWith) {
+      return String(attribute(beginsWith[1]) || '').startsWith(values[beginsWith[2]]);
+    }
+    
+    const comparison = clause.match(/^(\S+)\s*(<>|<=|>=|=|<|>)\s*(\S+)$/);
+    if (!comparison) {
+      throw new Error(`Unsupported expression in test: ${clause}`);
+    }
+    
+    return COMPARISONS[comparison[2]](attribute(comparison[1]), values[comparison[3]]);
+  };
+  
+  return evaluate(expression.trim());
+};
+
+// Run a query the way DynamoDB pages it. Rows are taken to be listed in ascending sort-key
+// order; the LastEvaluatedKey handed out is simply the last row read
+const runQuery = (rows, params) => {
+  let matching = rows.filter(row => matchesExpression(row, params.KeyConditionExpression, params));
+  
+  if (params.ScanIndexForward === false) {
+    matching = matching.reverse();
+  }
+  
+  if (params.ExclusiveStartKey) {
+    matching = matching.slice(matching.findIndex(row => matchesKey(row, params.ExclusiveStartKey)) + 1);
+  }
+  
+  const read = params.Limit ? matching.slice(0, params.Limit) : matching;
+  
+  return {
+    Items: read
+      .filter(row => matchesExpression(row, params.FilterExpression, params))
+      .map(row => ({ ...row })),
+    LastEvaluatedKey: read.length < matching.length ? { ...read[read.length - 1] } : undefined
+  };
+};
+
+// Serve dynamoDb.get, batchGetAll, query and queryPage from `tables`: { [tableName]: [row, ...] }.
+// Rows are copied, so callers may change what they get back
+const mockTables = (tables) => {
+  const rows = (tableName) => tables[tableName] || [];
+  const find = (tableName, key) => rows(tableName).find(row => matchesKey(row, key));
+  
+  jest.spyOn(dynamoDb, 'get').mockImplementation(async ({ TableName, Key }) => {
+    const row = find(TableName, Key);
+    return row ? { ...row } : undefined;
+  });
+  
+  jest.spyOn(dynamoDb, 'batchGetAll').mockImplementation(async (tableName, keys) => keys
+    .map(key => find(tableName, key))
+    .filter(Boolean)
+    .map(row => ({ ...row })));
+  
+  jest.spyOn(dynamoDb, 'query').mockImplementation(async (params) => runQuery(rows(params.TableName), params).Items);
+  
+  jest.spyOn(dynamoDb, 'queryPage').mockImplementation(async (params) => {
+    const page = runQuery(rows(params.TableName), params);
+    return { ...page, Count: page.Items.length };
+  });
+  
+  return tables;
+};
+
+module.exports = {
+  mockTables
+};
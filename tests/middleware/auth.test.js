@@ -0,0 +1,41 @@
+// tests/middleware/auth.test.js
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+const User = require('../../models/User');
+const { verifyToken } = require('../../middleware/auth');
+
+// An access token from before server-side sessions: no session ID
+const sessionlessToken = () => jwt.sign({ userId: 'user-1' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+const at = (isoTime) => jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] }).setSystemTime(new Date(isoTime));
+
+beforeEach(() => {
+  jest.spyOn(User, 'getById').mockResolvedValue({ userId: 'user-1' });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('verifyToken with access tokens from before sessions', () => {
+  const until = Date.parse(config.jwt.sessionlessTokensUntil);
+  
+  test('has a migration window by default', () => {
+    expect(Number.isNaN(until)).toBe(false);
+  });
+  
+  test('accepts them during the migration window', async () => {
+    at(until - 60 * 60 * 1000);
+    
+    const { user } = await verifyToken(sessionlessToken());
+    
+    expect(user.userId).toBe('user-1');
+  });
+  
+  test('refuses them once the window has ended', async () => {
+    at(until + 1000);
+    
+    await expect(verifyToken(sessionlessToken())).rejects.toThrow('Token has no session');
+  });
+});
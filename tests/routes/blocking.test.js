@@ -0,0 +1,112 @@
+// tests/routes/blocking.test.js
+jest.mock('../../middleware/auth', () => require('../helpers/auth'));
+
+const request = require('supertest');
+const { dynamoDb, TABLES } = require('../../config/dynamodb');
+const { createApp } = require('../helpers/app');
+const { mockTables } = require('../helpers/dynamo');
+
+const usersApp = createApp('/api/users', require('../../routes/users'));
+const postsApp = createApp('/api/posts', require('../../routes/posts'));
+const interactionsApp = createApp('/api/interactions', require('../../routes/interactions'));
+
+beforeEach(() => {
+  mockTables({
+    [TABLES.USERS]: [
+      { userId: 'alice', username: 'alice' },
+      { userId: 'bob', username: 'bob' },
+      { userId: 'carol', username: 'carol' }
+    ],
+    // alice has blocked bob
+    [TABLES.BLOCKS]: [
+      { blockerId: 'alice', blockedId: 'bob' }
+    ],
+    [TABLES.POSTS]: [
+      { postId: 'alice-post', userId: 'alice', content: 'hello' },
+      { postId: 'carol-post', userId: 'carol', content: 'hi' }
+    ],
+    [TABLES.INTERACTIONS]: [
+      { interactionId: 'c1', type: 'comment', contentId: 'carol-post', userId: 'bob', content: 'from bob' },
+      { interactionId: 'c2', type: 'comment', contentId: 'carol-post', userId: 'carol', content: 'from carol' }
+    ]
+  });
+  
+  jest.spyOn(dynamoDb, 'put').mockResolvedValue({});
+  jest.spyOn(dynamoDb, 'delete').mockResolvedValue({});
+  jest.spyOn(dynamoDb, 'update').mockResolvedValue({});
+  jest.spyOn(dynamoDb, 'transactWrite').mockResolvedValue({});
+  jest.spyOn(dynamoDb, 'batchWriteAll').mockResolvedValue();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('reads across a block', () => {
+  test('hides profiles in both directions', async () => {
+    const asBlocked = await request(usersApp).get('/api/users/alice').set('X-User-Id', 'bob');
+    const asBlocker = await request(usersApp).get('/api/users/bob').set('X-User-Id', 'alice');
+    
+    expect(asBlocked.status).toBe(404);
+    expect(asBlocker.status).toBe(404);
+  });
+  
+  test('hides posts from the blocked user', async () => {
+    const res = await request(postsApp).get('/api/posts/alice-post').set('X-User-Id', 'bob');
+    
+    expect(res.status).toBe(404);
+  });
+  
+  test('leaves comments by blocked users out of comment listings', async () => {
+    const res = await request(interactionsApp).get('/api/interactions/comments/carol-post').set('X-User-Id', 'alice');
+    
+    expect(res.status).toBe(200);
+    expect(res.body.comments.map(comment => comment.interactionId)).toEqual(['c2']);
+  });
+});
+
+describe('writes across a block', () => {
+  test('refuses to follow someone who blocked you', async () => {
+    const res = await request(usersApp).post('/api/users/follow/alice').set('X-User-Id', 'bob');
+    
+    expect(res.status).toBe(404);
+    expect(dynamoDb.put).not.toHaveBeenCalled();
+    expect(dynamoDb.transactWrite).not.toHaveBeenCalled();
+  });
+  
+  test('refuses comments on the blocker\'s posts', async () => {
+    const res = await request(interactionsApp)
+      .post('/api/interactions/comment')
+      .set('X-User-Id', 'bob')
+      .send({ contentId: 'alice-post', content: 'let me in' });
+    
+    expect(res.status).toBe(403);
+    expect(dynamoDb.put).not.toHaveBeenCalled();
+    expect(dynamoDb.transactWrite).not.toHaveBeenCalled();
+  });
+  
+  test('blocking removes follows and follow requests in both directions', async () => {
+    const res = await request(usersApp).post('/api/users/block/carol').set('X-User-Id', 'alice');
+    
+    expect(res.status).toBe(200);
+    expect(dynamoDb.put).toHaveBeenCalledWith(expect.objectContaining({
+      TableName: TABLES.BLOCKS,
+      Item: expect.objectContaining({ blockerId: 'alice', blockedId: 'carol' })
+    }));
+    
+    const removedFollows = dynamoDb.transactWrite.mock.calls.map(([params]) => params.TransactItems[0].Delete.Key);
+    expect(removedFollows).toEqual(expect.arrayContaining([
+      { followerId: 'alice', followeeId: 'carol' },
+      { followerId: 'carol', followeeId: 'alice' }
+    ]));
+    
+    const removedRequests = dynamoDb.delete.mock.calls
+      .filter(([params]) => params.TableName === TABLES.FOLLOW_REQUESTS)
+      .map(([params]) => params.Key);
+    expect(removedRequests).toEqual(expect.arrayContaining([
+      { targetId: 'carol', requesterId: 'alice' },
+      { targetId: 'alice', requesterId: 'carol' }
+    ]));
+  });
+});
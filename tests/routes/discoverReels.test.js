@@ -0,0 +1,72 @@
+// tests/routes/discoverReels.test.js
+jest.mock('../../middleware/auth', () => require('../helpers/auth'));
+
+const request = require('supertest');
+const { dynamoDb, TABLES } = require('../../config/dynamodb');
+const { createApp } = require('../helpers/app');
+const { mockTables } = require('../helpers/dynamo');
+
+const app = createApp('/api/reels', require('../../routes/reels'));
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 3600 * 1000).toISOString();
+
+const reel = (contentId, userId, hours, viewCount) => ({
+  contentId,
+  userId,
+  contentType: 'reel',
+  timestamp: hoursAgo(hours),
+  viewCount
+});
+
+beforeEach(() => {
+  mockTables({
+    [TABLES.USERS]: ['viewer', 'maker', 'blocked'].map(userId => ({ userId, username: userId })),
+    [TABLES.BLOCKS]: [
+      { blockerId: 'viewer', blockedId: 'blocked' }
+    ],
+    // Oldest first, as ContentTypeIndex sorts them
+    [TABLES.STORIES]: [
+      reel('r1', 'maker', 100, 50),
+      reel('r2', 'maker', 10, 5),
+      reel('r3', 'blocked', 8, 40),
+      reel('r4', 'maker', 6, 30),
+      reel('r5', 'viewer', 4, 20),
+      reel('r6', 'maker', 2, 10)
+    ]
+  });
+  
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/reels/discover', () => {
+  test('pages through the window by popularity, leaving out own and blocked reels', async () => {
+    const first = await request(app).get('/api/reels/discover').query({ limit: 2 }).set('X-User-Id', 'viewer');
+    
+    expect(first.status).toBe(200);
+    expect(first.body.reels.map(r => r.contentId)).toEqual(['r4', 'r6']);
+    
+    const second = await request(app)
+      .get('/api/reels/discover')
+      .query({ limit: 2, lastKey: first.body.nextKey })
+      .set('X-User-Id', 'viewer');
+    
+    expect(second.status).toBe(200);
+    expect(second.body.reels.map(r => r.contentId)).toEqual(['r2']);
+    expect(second.body.nextKey).toBeNull();
+  });
+  
+  test('ranks a bounded number of the newest reels with a single read', async () => {
+    await request(app).get('/api/reels/discover').set('X-User-Id', 'viewer');
+    
+    const reelReads = dynamoDb.queryPage.mock.calls
+      .map(([params]) => params)
+      .filter(params => params.IndexName === 'ContentTypeIndex');
+    
+    expect(reelReads).toHaveLength(1);
+    expect(reelReads[0]).toMatchObject({ ScanIndexForward: false, Limit: expect.any(Number) });
+  });
+});
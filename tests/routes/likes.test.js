@@ -0,0 +1,148 @@
+// tests/routes/likes.test.js
+jest.mock('../../middleware/auth', () => require('../helpers/auth'));
+
+const request = require('supertest');
+const { dynamoDb, TABLES } = require('../../config/dynamodb');
+const notificationService = require('../../services/notificationService');
+const { createApp } = require('../helpers/app');
+const { mockTables } = require('../helpers/dynamo');
+
+const postsApp = createApp('/api/posts', require('../../routes/posts'));
+const reelsApp = createApp('/api/reels', require('../../routes/reels'));
+const interactionsApp = createApp('/api/interactions', require('../../routes/interactions'));
+
+const conditionFailed = () => Object.assign(
+  new Error('Transaction cancelled, please refer cancellation reasons for specific reasons [ConditionalCheckFailed, None]'),
+  { code: 'TransactionCanceledException' }
+);
+
+// Apply the reaction transactions to the in-memory tables: Put and Delete with their
+// existence conditions, and the ADDs on the target's counters
+const applyTransactions = (tables) => async ({ TransactItems }) => {
+  const keyOf = (params) => Object.entries(params.Key);
+  const findIndex = (params) => tables[params.TableName].findIndex(row =>
+    keyOf(params).every(([name, value]) => row[name] === value));
+  
+  TransactItems.forEach(({ Put, Delete }) => {
+    if (Put && tables[Put.TableName].some(row => row.interactionId === Put.Item.interactionId)) {
+      throw conditionFailed();
+    }
+    if (Delete && findIndex(Delete) === -1) {
+      throw conditionFailed();
+    }
+  });
+  
+  TransactItems.forEach(({ Put, Delete, Update }) => {
+    if (Put) {
+      tables[Put.TableName].push({ ...Put.Item });
+    } else if (Delete) {
+      tables[Delete.TableName].splice(findIndex(Delete), 1);
+    } else if (Update && Update.UpdateExpression.startsWith('ADD ')) {
+      const row = tables[Update.TableName][findIndex(Update)];
+      Update.UpdateExpression.slice(4).split(',').forEach(clause => {
+        const [path, value] = clause.trim().split(' ');
+        const amount = Update.ExpressionAttributeValues[value];
+        if (path === 'likesCount') {
+          row.likesCount = (row.likesCount || 0) + amount;
+        } else {
+          const type = Update.ExpressionAttributeNames[path.split('.')[1]];
+          row.reactionCounts = { ...row.reactionCounts, [type]: (row.reactionCounts[type] || 0) + amount };
+        }
+      });
+    }
+  });
+};
+
+let tables;
+
+beforeEach(() => {
+  tables = mockTables({
+    [TABLES.USERS]: [
+      { userId: 'author', username: 'author' },
+      { userId: 'fan', username: 'fan' }
+    ],
+    [TABLES.POSTS]: [
+      { postId: 'post-1', userId: 'author', likesCount: 0, reactionCounts: {} }
+    ],
+    [TABLES.STORIES]: [
+      { contentId: 'reel-1', userId: 'author', contentType: 'reel', likesCount: 0, reactionCounts: {} }
+    ],
+    [TABLES.INTERACTIONS]: [
+      { interactionId: 'comment-1', type: 'comment', userId: 'author', contentId: 'post-1', reactionCounts: {} }
+    ]
+  });
+  
+  jest.spyOn(dynamoDb, 'transactWrite').mockImplementation(applyTransactions(tables));
+  jest.spyOn(notificationService, 'notify').mockResolvedValue();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe.each([
+  ['post', postsApp, '/api/posts/post-1/like'],
+  ['reel', reelsApp, '/api/reels/reel-1/like'],
+  ['comment', interactionsApp, '/api/interactions/comment/comment-1/like']
+])('liking a %s', (contentType, app, path) => {
+  test('counts a repeated like once and notifies once', async () => {
+    const first = await request(app).post(path).set('X-User-Id', 'fan');
+    const second = await request(app).post(path).set('X-User-Id', 'fan');
+    
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.body.likesCount).toBe(1);
+    expect(second.body.reactionCounts).toEqual({ like: 1 });
+    expect(notificationService.notify).toHaveBeenCalledTimes(1);
+  });
+  
+  test('unlikes, and unliking again is a no-op', async () => {
+    await request(app).post(path).set('X-User-Id', 'fan');
+    
+    const first = await request(app).delete(path).set('X-User-Id', 'fan');
+    const second = await request(app).delete(path).set('X-User-Id', 'fan');
+    
+    expect(first.status).toBe(200);
+    expect(first.body.likesCount).toBe(0);
+    expect(second.status).toBe(200);
+    expect(second.body.likesCount).toBe(0);
+    expect(dynamoDb.transactWrite).toHaveBeenCalledTimes(2);
+  });
+});
+
+test('a like that loses a race with the same user\'s other request is not counted twice', async () => {
+  // The other request writes the like between our read and our write
+  const getRow = dynamoDb.get.getMockImplementation();
+  let raced = false;
+  dynamoDb.get.mockImplementation(async (params) => {
+    const result = await getRow(params);
+    if (raced || params.Key.interactionId !== 'like#fan#post-1') {
+      return result;
+    }
+    
+    raced = true;
+    await applyTransactions(tables)({
+      TransactItems: [
+        { Put: { TableName: TABLES.INTERACTIONS, Item: { interactionId: 'like#fan#post-1', type: 'like', reactionType: 'like' } } },
+        {
+          Update: {
+            TableName: TABLES.POSTS,
+            Key: { postId: 'post-1' },
+            UpdateExpression: 'ADD likesCount :inc, reactionCounts.#reaction :inc',
+            ExpressionAttributeNames: { '#reaction': 'like' },
+            ExpressionAttributeValues: { ':inc': 1 }
+          }
+        }
+      ]
+    });
+    return result;
+  });
+  
+  const res = await request(postsApp).post('/api/posts/post-1/like').set('X-User-Id', 'fan');
+  
+  expect(res.status).toBe(200);
+  expect(res.body.likesCount).toBe(1);
+  expect(dynamoDb.transactWrite).toHaveBeenCalledTimes(1);
+  expect(notificationService.notify).not.toHaveBeenCalled();
+});
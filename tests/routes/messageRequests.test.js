@@ -0,0 +1,159 @@
+// tests/routes/messageRequests.test.js
+jest.mock('../../middleware/auth', () => require('../helpers/auth'));
+
+const request = require('supertest');
+const { dynamoDb, TABLES } = require('../../config/dynamodb');
+const notificationService = require('../../services/notificationService');
+const { createApp, createIo } = require('../helpers/app');
+const { mockTables } = require('../helpers/dynamo');
+
+const router = require('../../routes/conversations');
+
+const member = (conversationId, userId, folder, extra = {}) => ({
+  conversationId,
+  userId,
+  role: 'member',
+  folder,
+  unreadCount: 0,
+  lastActivityAt: '2026-10-01T10:00:00.000Z',
+  ...extra
+});
+
+let io;
+let app;
+
+beforeEach(() => {
+  mockTables({
+    [TABLES.USERS]: ['viewer', 'stranger', 'creator', 'adder'].map(userId => ({ userId, username: userId })),
+    [TABLES.CONVERSATIONS]: [
+      {
+        conversationId: 'dm_stranger_viewer',
+        type: 'direct',
+        createdBy: 'stranger',
+        participantIds: ['stranger', 'viewer'],
+        lastMessage: { messageId: 'm1', senderId: 'stranger' }
+      },
+      {
+        conversationId: 'group-1',
+        type: 'group',
+        createdBy: 'creator',
+        lastMessage: { messageId: 'm2', senderId: 'creator' }
+      }
+    ],
+    [TABLES.CONVERSATION_MEMBERS]: [
+      member('dm_stranger_viewer', 'stranger', 'inbox'),
+      member('dm_stranger_viewer', 'viewer', 'requests', { unreadCount: 1 }),
+      member('group-1', 'creator', 'inbox', { role: 'admin' }),
+      member('group-1', 'adder', 'inbox', { addedBy: 'creator' }),
+      member('group-1', 'viewer', 'requests', { addedBy: 'adder', unreadCount: 1 })
+    ]
+  });
+  
+  jest.spyOn(dynamoDb, 'put').mockResolvedValue({});
+  jest.spyOn(dynamoDb, 'delete').mockResolvedValue({});
+  jest.spyOn(dynamoDb, 'transactWrite').mockResolvedValue({});
+  jest.spyOn(dynamoDb, 'batchWriteAll').mockResolvedValue();
+  jest.spyOn(dynamoDb, 'update').mockImplementation(async (params) => ({
+    Attributes: /ADD unreadCount/.test(params.UpdateExpression) ? { unreadCount: 1 } : { ...params.Key }
+  }));
+  jest.spyOn(notificationService, 'notify').mockResolvedValue();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  
+  io = createIo();
+  app = createApp('/api/conversations', router, io);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const folderUpdates = () => dynamoDb.update.mock.calls
+  .map(([params]) => params)
+  .filter(params => params.TableName === TABLES.CONVERSATION_MEMBERS && /folder = :toFolder/.test(params.UpdateExpression));
+
+describe('POST /api/conversations/:conversationId/block', () => {
+  test('blocks the other participant of a direct request', async () => {
+    const res = await request(app).post('/api/conversations/dm_stranger_viewer/block').set('X-User-Id', 'viewer');
+    
+    expect(res.status).toBe(200);
+    expect(dynamoDb.put).toHaveBeenCalledWith(expect.objectContaining({
+      TableName: TABLES.BLOCKS,
+      Item: expect.objectContaining({ blockerId: 'viewer', blockedId: 'stranger' })
+    }));
+    expect(folderUpdates()[0].ExpressionAttributeValues[':toFolder']).toBe('deleted');
+  });
+  
+  test('blocks whoever added the user to a group request', async () => {
+    const res = await request(app).post('/api/conversations/group-1/block').set('X-User-Id', 'viewer');
+    
+    expect(res.status).toBe(200);
+    expect(dynamoDb.put).toHaveBeenCalledWith(expect.objectContaining({
+      TableName: TABLES.BLOCKS,
+      Item: expect.objectContaining({ blockerId: 'viewer', blockedId: 'adder' })
+    }));
+    expect(folderUpdates()).toHaveLength(1);
+  });
+  
+  test('keeps the request when blocking fails', async () => {
+    dynamoDb.put.mockRejectedValue(new Error('Service unavailable'));
+    
+    const res = await request(app).post('/api/conversations/group-1/block').set('X-User-Id', 'viewer');
+    
+    expect(res.status).toBe(500);
+    expect(folderUpdates()).toHaveLength(0);
+  });
+});
+
+describe('POST /api/conversations/:conversationId/messages', () => {
+  test('notifies the recipient of a new message request without delivering the message', async () => {
+    const res = await request(app)
+      .post('/api/conversations/dm_stranger_viewer/messages')
+      .set('X-User-Id', 'stranger')
+      .send({ text: 'hello' });
+    
+    expect(res.status).toBe(201);
+    expect(notificationService.notify).toHaveBeenCalledWith(io, expect.objectContaining({
+      type: 'message_request',
+      recipientId: 'viewer'
+    }));
+    expect(io.emitted.filter(([room, event]) => room === 'viewer' && event === 'message')).toHaveLength(0);
+  });
+  
+  test('leaves a deleted request deleted and does not notify', async () => {
+    mockTables({
+      [TABLES.USERS]: ['viewer', 'stranger'].map(userId => ({ userId, username: userId })),
+      [TABLES.CONVERSATIONS]: [
+        { conversationId: 'dm_stranger_viewer', type: 'direct', createdBy: 'stranger', participantIds: ['stranger', 'viewer'] }
+      ],
+      [TABLES.CONVERSATION_MEMBERS]: [
+        member('dm_stranger_viewer', 'stranger', 'inbox'),
+        member('dm_stranger_viewer', 'viewer', 'deleted', { clearedMessageId: 'm1' })
+      ]
+    });
+    
+    const res = await request(app)
+      .post('/api/conversations/dm_stranger_viewer/messages')
+      .set('X-User-Id', 'stranger')
+      .send({ text: 'hello again' });
+    
+    expect(res.status).toBe(201);
+    expect(folderUpdates()).toHaveLength(0);
+    expect(notificationService.notify).not.toHaveBeenCalled();
+    expect(io.emitted.filter(([room, event]) => room === 'viewer' && event === 'message')).toHaveLength(0);
+  });
+});
+
+describe('POST /api/conversations/:conversationId/members', () => {
+  test('records who added each new member', async () => {
+    const res = await request(app)
+      .post('/api/conversations/group-1/members')
+      .set('X-User-Id', 'creator')
+      .send({ userIds: ['stranger'] });
+    
+    expect(res.status).toBe(200);
+    
+    const [tableName, writes] = dynamoDb.batchWriteAll.mock.calls[0];
+    expect(tableName).toBe(TABLES.CONVERSATION_MEMBERS);
+    expect(writes[0].PutRequest.Item).toMatchObject({ userId: 'stranger', addedBy: 'creator', folder: 'requests' });
+  });
+});
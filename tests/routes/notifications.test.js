@@ -0,0 +1,94 @@
+// tests/routes/notifications.test.js
+jest.mock('../../middleware/auth', () => require('../helpers/auth'));
+
+const request = require('supertest');
+const { dynamoDb, TABLES } = require('../../config/dynamodb');
+const { createApp } = require('../helpers/app');
+const { mockTables } = require('../helpers/dynamo');
+
+const app = createApp('/api/notifications', require('../../routes/notifications'));
+
+const at = (minute) => `2026-10-01T10:${String(minute).padStart(2, '0')}:00.000Z`;
+
+// A grouped like notification as stored: the latest actors (newest first) and every actor counted
+const likeGroup = (notificationId, actorIds, counted, minute) => ({
+  notificationId,
+  recipientId: 'me',
+  senderId: actorIds[0],
+  type: 'like',
+  contentId: `post-${notificationId}`,
+  contentType: 'post',
+  action: 'liked your post',
+  actorIds,
+  actorSet: dynamoDb.createSet(counted),
+  actorCount: counted.length,
+  message: 'stored message',
+  read: false,
+  timestamp: at(minute)
+});
+
+beforeEach(() => {
+  mockTables({
+    [TABLES.USERS]: ['me', 'alex', 'sam'].map(userId => ({ userId, username: userId })),
+    // Oldest first, as RecipientIndex sorts them
+    [TABLES.NOTIFICATIONS]: [
+      { notificationId: 'n1', recipientId: 'me', senderId: 'sam', type: 'follow', read: true, timestamp: at(1) },
+      { notificationId: 'n2', recipientId: 'me', senderId: 'alex', type: 'mention', read: false, timestamp: at(2) }
+    ]
+  });
+  
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/notifications', () => {
+  test('lists notifications newest first with their senders', async () => {
+    const res = await request(app).get('/api/notifications').set('X-User-Id', 'me');
+    
+    expect(res.status).toBe(200);
+    expect(res.body.notifications.map(n => [n.notificationId, n.sender.username])).toEqual([
+      ['n2', 'alex'],
+      ['n1', 'sam']
+    ]);
+  });
+  
+  test('leaves blocked users out of grouped notifications and their counts', async () => {
+    mockTables({
+      [TABLES.USERS]: ['me', 'alex', 'sam', 'blocked', 'kim'].map(userId => ({ userId, username: userId })),
+      [TABLES.BLOCKS]: [
+        { blockerId: 'me', blockedId: 'blocked' }
+      ],
+      [TABLES.NOTIFICATIONS]: [
+        { notificationId: 'n1', recipientId: 'me', senderId: 'blocked', type: 'follow', read: false, timestamp: at(1) },
+        likeGroup('g1', ['blocked'], ['blocked'], 2),
+        likeGroup('g2', ['blocked', 'alex', 'sam'], ['kim', 'sam', 'alex', 'blocked'], 3),
+        likeGroup('g3', ['sam', 'alex'], ['alex', 'sam'], 4)
+      ]
+    });
+    
+    const res = await request(app).get('/api/notifications').set('X-User-Id', 'me');
+    
+    expect(res.status).toBe(200);
+    
+    const [g3, g2] = res.body.notifications;
+    expect(res.body.notifications).toHaveLength(2);
+    
+    expect(g2).toMatchObject({ notificationId: 'g2', senderId: 'alex', actorCount: 3 });
+    expect(g2.actors.map(actor => actor.userId)).toEqual(['alex', 'sam']);
+    expect(g2.message).toBe('alex and 2 others liked your post');
+    expect(g2.actorSet).toBeUndefined();
+    
+    expect(g3).toMatchObject({ notificationId: 'g3', actorCount: 2, message: 'sam and 1 other liked your post' });
+  });
+  
+  test('rejects invalid query parameters', async () => {
+    const badLimit = await request(app).get('/api/notifications').query({ limit: 'abc' }).set('X-User-Id', 'me');
+    const badFlag = await request(app).get('/api/notifications').query({ unreadOnly: 'maybe' }).set('X-User-Id', 'me');
+    
+    expect(badLimit.status).toBe(400);
+    expect(badFlag.status).toBe(400);
+  });
+});
@@ -0,0 +1,168 @@
+// tests/routes/privateAccounts.test.js
+jest.mock('../../middleware/auth', () => require('../helpers/auth'));
+
+const request = require('supertest');
+const { dynamoDb, TABLES } = require('../../config/dynamodb');
+const { createApp } = require('../helpers/app');
+const { mockTables } = require('../helpers/dynamo');
+
+const postsApp = createApp('/api/posts', require('../../routes/posts'));
+const storiesApp = createApp('/api/stories', require('../../routes/stories'));
+const usersApp = createApp('/api/users', require('../../routes/users'));
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 3600 * 1000).toISOString();
+
+let tables;
+
+beforeEach(() => {
+  tables = mockTables({
+    [TABLES.USERS]: [
+      { userId: 'owner', username: 'owner', isPrivate: true },
+      { userId: 'follower', username: 'follower' },
+      { userId: 'stranger', username: 'stranger' }
+    ],
+    [TABLES.FOLLOWS]: [
+      { followerId: 'follower', followeeId: 'owner' }
+    ]
+  });
+  
+  jest.spyOn(dynamoDb, 'queryPage').mockResolvedValue({ Items: [], LastEvaluatedKey: undefined });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/posts/user/:userId', () => {
+  test('refuses viewers who do not follow a private account', async () => {
+    const res = await request(postsApp).get('/api/posts/user/owner').set('X-User-Id', 'stranger');
+    
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ message: 'This account is private', isPrivate: true });
+    expect(dynamoDb.queryPage).not.toHaveBeenCalled();
+  });
+  
+  test('lists a private account\'s posts to an approved follower, page by page', async () => {
+    const lastKey = { postId: 'post-1', userId: 'owner', timestamp: hoursAgo(1) };
+    dynamoDb.queryPage.mockResolvedValue({
+      Items: [{ postId: 'post-1', userId: 'owner', content: 'hello' }],
+      LastEvaluatedKey: lastKey
+    });
+    
+    const res = await request(postsApp).get('/api/posts/user/owner?limit=1').set('X-User-Id', 'follower');
+    
+    expect(res.status).toBe(200);
+    expect(res.body.posts).toEqual([
+      expect.objectContaining({ postId: 'post-1', author: expect.objectContaining({ username: 'owner' }) })
+    ]);
+    expect(JSON.parse(Buffer.from(res.body.nextKey, 'base64').toString())).toEqual(lastKey);
+    expect(dynamoDb.queryPage.mock.calls[0][0]).toMatchObject({ IndexName: 'UserIdIndex', Limit: 1 });
+  });
+  
+  test('lets the owner see their own posts', async () => {
+    const res = await request(postsApp).get('/api/posts/user/owner').set('X-User-Id', 'owner');
+    
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ posts: [], nextKey: null });
+  });
+  
+  test('answers 404 across a block', async () => {
+    tables[TABLES.BLOCKS] = [{ blockerId: 'owner', blockedId: 'follower' }];
+    
+    const res = await request(postsApp).get('/api/posts/user/owner').set('X-User-Id', 'follower');
+    
+    expect(res.status).toBe(404);
+  });
+  
+  test('rejects an invalid limit', async () => {
+    const res = await request(postsApp).get('/api/posts/user/owner?limit=abc').set('X-User-Id', 'owner');
+    
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/stories/user/:userId', () => {
+  test('refuses viewers who do not follow a private account', async () => {
+    const res = await request(storiesApp).get('/api/stories/user/owner').set('X-User-Id', 'stranger');
+    
+    expect(res.status).toBe(403);
+    expect(res.body.isPrivate).toBe(true);
+    expect(dynamoDb.queryPage).not.toHaveBeenCalled();
+  });
+  
+  test('lists unexpired stories to an approved follower, reading every page', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    dynamoDb.queryPage
+      .mockResolvedValueOnce({
+        Items: [{ contentId: 'story-1', userId: 'owner', expiryTime: now + 3600 }],
+        LastEvaluatedKey: { contentId: 'story-1' }
+      })
+      .mockResolvedValueOnce({
+        Items: [
+          { contentId: 'story-2', userId: 'owner', expiryTime: now + 7200 },
+          { contentId: 'expired', userId: 'owner', expiryTime: now - 60 }
+        ]
+      });
+    
+    const res = await request(storiesApp).get('/api/stories/user/owner').set('X-User-Id', 'follower');
+    
+    expect(res.status).toBe(200);
+    expect(res.body.stories.map(story => story.contentId)).toEqual(['story-1', 'story-2']);
+    expect(dynamoDb.queryPage).toHaveBeenCalledTimes(2);
+    expect(dynamoDb.queryPage.mock.calls[1][0].ExclusiveStartKey).toEqual({ contentId: 'story-1' });
+  });
+});
+
+describe('follow requests', () => {
+  test('declining keeps the request as declined, where it can be listed', async () => {
+    jest.spyOn(dynamoDb, 'update').mockResolvedValue({});
+    
+    const decline = await request(usersApp)
+      .post('/api/users/follow-requests/stranger/decline')
+      .set('X-User-Id', 'owner');
+    
+    expect(decline.status).toBe(200);
+    const update = dynamoDb.update.mock.calls[0][0];
+    expect(update.Key).toEqual({ targetId: 'owner', requesterId: 'stranger' });
+    expect(update.ExpressionAttributeValues).toMatchObject({
+      ':status': 'declined',
+      ':statusKey': 'owner#declined',
+      ':pending': 'pending'
+    });
+    expect(update.ExpressionAttributeValues[':expiryTime']).toBeGreaterThan(Date.now() / 1000);
+    
+    dynamoDb.queryPage.mockResolvedValue({
+      Items: [{ targetId: 'owner', requesterId: 'stranger', status: 'declined', timestamp: hoursAgo(2) }]
+    });
+    
+    const list = await request(usersApp).get('/api/users/follow-requests?status=declined').set('X-User-Id', 'owner');
+    
+    expect(list.status).toBe(200);
+    expect(list.body.requests).toEqual([
+      expect.objectContaining({ requesterId: 'stranger', status: 'declined' })
+    ]);
+    expect(dynamoDb.queryPage.mock.calls[0][0]).toMatchObject({
+      IndexName: 'StatusIndex',
+      ExpressionAttributeValues: { ':statusKey': 'owner#declined' }
+    });
+  });
+  
+  test('answers 404 for a request that is no longer pending', async () => {
+    jest.spyOn(dynamoDb, 'update').mockRejectedValue(Object.assign(new Error('failed'), {
+      code: 'ConditionalCheckFailedException'
+    }));
+    
+    const res = await request(usersApp)
+      .post('/api/users/follow-requests/stranger/accept')
+      .set('X-User-Id', 'owner');
+    
+    expect(res.status).toBe(404);
+  });
+  
+  test('rejects an unknown status', async () => {
+    const res = await request(usersApp).get('/api/users/follow-requests?status=ignored').set('X-User-Id', 'owner');
+    
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,69 @@
+// tests/routes/storiesFeed.test.js
+jest.mock('../../middleware/auth', () => require('../helpers/auth'));
+
+const request = require('supertest');
+const { TABLES } = require('../../config/dynamodb');
+const { createApp } = require('../helpers/app');
+const { mockTables } = require('../helpers/dynamo');
+
+const app = createApp('/api/stories', require('../../routes/stories'));
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 3600 * 1000).toISOString();
+const inHours = (hours) => Math.floor(Date.now() / 1000) + hours * 3600;
+
+const story = (contentId, userId, hours) => ({
+  contentId,
+  userId,
+  contentType: 'story',
+  timestamp: hoursAgo(hours),
+  expiryTime: inHours(24 - hours)
+});
+
+beforeEach(() => {
+  mockTables({
+    [TABLES.USERS]: ['viewer', 'friend', 'muted', 'blocked'].map(userId => ({ userId, username: userId })),
+    [TABLES.FOLLOWS]: ['friend', 'muted', 'blocked'].map(followeeId => ({ followerId: 'viewer', followeeId })),
+    [TABLES.BLOCKS]: [
+      { blockerId: 'blocked', blockedId: 'viewer' }
+    ],
+    [TABLES.MUTES]: [
+      { userId: 'viewer', targetUserId: 'muted', posts: false, stories: true }
+    ],
+    [TABLES.STORIES]: [
+      story('friend-1', 'friend', 2),
+      story('friend-old', 'friend', 30),
+      story('muted-1', 'muted', 1),
+      story('blocked-1', 'blocked', 1),
+      story('viewer-1', 'viewer', 3)
+    ]
+  });
+  
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/stories/feed', () => {
+  test('shows unexpired stories of followed accounts and the viewer', async () => {
+    const res = await request(app).get('/api/stories/feed').set('X-User-Id', 'viewer');
+    
+    expect(res.status).toBe(200);
+    
+    const byUser = Object.fromEntries(res.body.feed.map(entry => [entry.user.userId, entry.stories]));
+    expect(byUser.friend.map(s => s.contentId)).toEqual(['friend-1']);
+    expect(byUser.viewer.map(s => s.contentId)).toEqual(['viewer-1']);
+  });
+  
+  test('leaves out authors whose stories the viewer muted, and blocked accounts', async () => {
+    const res = await request(app).get('/api/stories/feed').set('X-User-Id', 'viewer');
+    
+    expect(res.status).toBe(200);
+    
+    const authors = res.body.feed.map(entry => entry.user.userId);
+    expect(authors).not.toContain('muted');
+    expect(authors).not.toContain('blocked');
+    expect(authors).toContain('friend');
+  });
+});
@@ -0,0 +1,109 @@
+// tests/routes/timeline.test.js
+jest.mock('../../middleware/auth', () => require('../helpers/auth'));
+
+const request = require('supertest');
+const { TABLES } = require('../../config/dynamodb');
+const { createApp } = require('../helpers/app');
+const { mockTables } = require('../helpers/dynamo');
+
+const app = createApp('/api/posts', require('../../routes/posts'));
+
+const at = (minute) => `2026-10-01T10:${String(minute).padStart(2, '0')}:00.000Z`;
+
+const post = (postId, userId, minute) => ({ postId, userId, timestamp: at(minute), content: postId });
+
+const entry = (userId, { postId, userId: authorId, timestamp }) => ({
+  userId,
+  sortKey: `${timestamp}#${postId}`,
+  postId,
+  authorId,
+  timestamp
+});
+
+// Follow nextKey until the timeline runs out, collecting the post IDs of every page
+const readAllPages = async (userId, limit) => {
+  const pages = [];
+  let lastKey = null;
+  
+  do {
+    const res = await request(app)
+      .get('/api/posts/timeline')
+      .query(lastKey ? { limit, lastKey } : { limit })
+      .set('X-User-Id', userId);
+    
+    expect(res.status).toBe(200);
+    pages.push(res.body.posts.map(p => p.postId));
+    lastKey = res.body.nextKey;
+  } while (lastKey && pages.length < 10);
+  
+  return pages;
+};
+
+const posts = [
+  post('p1', 'friend', 1),
+  post('p2', 'friend', 2),
+  post('p3', 'blocked', 3),
+  post('p4', 'friend', 4),
+  post('p5', 'blocked', 5),
+  post('p6', 'friend', 6)
+];
+
+beforeEach(() => {
+  mockTables({
+    [TABLES.USERS]: ['viewer', 'friend', 'blocked', 'celebrity'].map(userId => ({ userId, username: userId })),
+    [TABLES.BLOCKS]: [
+      { blockerId: 'viewer', blockedId: 'blocked' }
+    ],
+    [TABLES.POSTS]: posts,
+    [TABLES.TIMELINES]: posts.map(p => entry('viewer', p))
+  });
+  
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/posts/timeline', () => {
+  test('pages through the timeline newest first without gaps or repeats', async () => {
+    const pages = await readAllPages('viewer', 2);
+    
+    expect(pages.flat()).toEqual(['p6', 'p4', 'p2', 'p1']);
+    pages.slice(0, -1).forEach(page => expect(page).toHaveLength(2));
+  });
+  
+  test('keeps reading timeline entries when blocked authors thin out a page', async () => {
+    const res = await request(app).get('/api/posts/timeline').query({ limit: 3 }).set('X-User-Id', 'viewer');
+    
+    expect(res.status).toBe(200);
+    expect(res.body.posts.map(p => p.postId)).toEqual(['p6', 'p4', 'p2']);
+    expect(res.body.nextKey).not.toBeNull();
+  });
+  
+  test('merges posts pulled from high-fanout authors in order across pages', async () => {
+    const pulled = [post('c1', 'celebrity', 3), post('c2', 'celebrity', 7)];
+    
+    mockTables({
+      [TABLES.USERS]: ['viewer', 'friend', 'blocked', 'celebrity'].map(userId => ({ userId, username: userId })),
+      [TABLES.BLOCKS]: [
+        { blockerId: 'viewer', blockedId: 'blocked' }
+      ],
+      [TABLES.FOLLOWS]: [
+        { followerId: 'viewer', followeeId: 'celebrity', pullFollowerId: 'viewer' }
+      ],
+      [TABLES.POSTS]: [...posts, ...pulled],
+      [TABLES.TIMELINES]: posts.map(p => entry('viewer', p))
+    });
+    
+    const pages = await readAllPages('viewer', 2);
+    
+    expect(pages.flat()).toEqual(['c2', 'p6', 'p4', 'c1', 'p2', 'p1']);
+  });
+  
+  test('rejects a malformed cursor', async () => {
+    const res = await request(app).get('/api/posts/timeline').query({ lastKey: '%%%' }).set('X-User-Id', 'viewer');
+    
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,41 @@
+// tests/services/emailService.test.js
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+const emailService = require('../../services/emailService');
+
+const tokenOf = (url) => new URL(url).searchParams.get('token');
+
+describe('unsubscribe links', () => {
+  test('carry a token naming the user and setting', () => {
+    const url = emailService.getUnsubscribeUrl('user-1', 'follows');
+    
+    expect(url).toContain('/api/notifications/unsubscribe?token=');
+    expect(emailService.verifyUnsubscribeToken(tokenOf(url))).toEqual({ userId: 'user-1', setting: 'follows' });
+  });
+  
+  test('reject tokens signed for something else or with another key', () => {
+    const accessToken = jwt.sign({ userId: 'user-1', setting: 'follows' }, config.email.unsubscribe.secret);
+    const forged = jwt.sign({ userId: 'user-1', setting: 'follows', purpose: 'unsubscribe' }, config.jwt.secret);
+    
+    expect(emailService.verifyUnsubscribeToken(accessToken)).toBeNull();
+    expect(emailService.verifyUnsubscribeToken(forged)).toBeNull();
+    expect(emailService.verifyUnsubscribeToken('not-a-token')).toBeNull();
+  });
+  
+  describe('without a signing key', () => {
+    const secret = config.email.unsubscribe.secret;
+    
+    beforeEach(() => {
+      config.email.unsubscribe.secret = undefined;
+    });
+    
+    afterEach(() => {
+      config.email.unsubscribe.secret = secret;
+    });
+    
+    test('fail when a link is made or read, not when the server starts', () => {
+      expect(() => emailService.getUnsubscribeUrl('user-1', 'follows')).toThrow('not configured');
+      expect(() => emailService.verifyUnsubscribeToken('any-token')).toThrow('not configured');
+    });
+  });
+});
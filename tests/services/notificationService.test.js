@@ -0,0 +1,190 @@
+// tests/services/notificationService.test.js
+const { dynamoDb } = require('../../config/dynamodb');
+const User = require('../../models/User');
+const pushService = require('../../services/pushService');
+const emailService = require('../../services/emailService');
+const notificationService = require('../../services/notificationService');
+
+const USERS = {
+  owner: { userId: 'owner', username: 'owner', email: 'owner@example.com' },
+  alex: { userId: 'alex', username: 'alex' },
+  sam: { userId: 'sam', username: 'sam' }
+};
+
+const like = (senderId) => ({
+  type: 'like',
+  senderId,
+  recipientId: 'owner',
+  contentId: 'post-1',
+  contentType: 'post',
+  action: 'liked your post'
+});
+
+// Latest entry of the post's like group, as stored
+const groupEntry = ({ actorIds, actorSet = actorIds, actorCount = actorSet.length, minutesAgo = 5 }) => ({
+  notificationId: 'notification-1',
+  recipientId: 'owner',
+  groupKey: 'owner#like#post-1',
+  actorIds,
+  actorSet: dynamoDb.createSet(actorSet),
+  actorCount,
+  timestamp: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString()
+});
+
+const conditionalCheckFailed = () => Object.assign(new Error('The conditional request failed'), {
+  code: 'ConditionalCheckFailedException'
+});
+
+let io;
+let emit;
+
+beforeEach(() => {
+  emit = jest.fn();
+  io = { to: jest.fn(() => ({ emit })) };
+  
+  jest.spyOn(User, 'isBlocked').mockResolvedValue(false);
+  jest.spyOn(User, 'getById').mockImplementation(async (userId) => USERS[userId] || null);
+  jest.spyOn(pushService, 'sendToUser').mockResolvedValue(true);
+  jest.spyOn(emailService, 'sendNotification').mockResolvedValue(true);
+  
+  jest.spyOn(dynamoDb, 'query').mockResolvedValue([]);
+  jest.spyOn(dynamoDb, 'put').mockResolvedValue({});
+  jest.spyOn(dynamoDb, 'update').mockImplementation(async (params) => ({
+    Attributes: {
+      notificationId: params.Key.notificationId,
+      actorCount: params.ExpressionAttributeValues[':actorCount'],
+      message: params.ExpressionAttributeValues[':message'],
+      actorSet: params.ExpressionAttributeValues[':actors']
+    }
+  }));
+  
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('notificationService.notify', () => {
+  describe('aggregation', () => {
+    test('starts a group with the first event', async () => {
+      const notification = await notificationService.notify(io, like('alex'));
+      
+      expect(dynamoDb.update).not.toHaveBeenCalled();
+      expect(dynamoDb.put).toHaveBeenCalledTimes(1);
+      
+      const stored = dynamoDb.put.mock.calls[0][0].Item;
+      expect(stored).toMatchObject({ actorIds: ['alex'], actorCount: 1, message: 'alex liked your post' });
+      expect(stored.actorSet.values).toEqual(['alex']);
+      
+      // Bookkeeping stays on the server
+      expect(notification.actorSet).toBeUndefined();
+      expect(io.to).toHaveBeenCalledWith('owner');
+      expect(emit).toHaveBeenCalledWith('notification', notification);
+    });
+    
+    test('folds a new actor into the latest entry within the window', async () => {
+      dynamoDb.query.mockResolvedValue([groupEntry({ actorIds: ['alex'] })]);
+      
+      const notification = await notificationService.notify(io, like('sam'));
+      
+      expect(dynamoDb.put).not.toHaveBeenCalled();
+      expect(dynamoDb.update).toHaveBeenCalledTimes(1);
+      
+      const { ExpressionAttributeValues: values, UpdateExpression } = dynamoDb.update.mock.calls[0][0];
+      expect(values[':actorCount']).toBe(2);
+      expect(values[':actorIds']).toEqual(['sam', 'alex']);
+      expect(values[':message']).toBe('sam and 1 other liked your post');
+      expect(UpdateExpression).toContain('ADD actorSet :actors');
+      expect(values[':actors'].values).toEqual(['sam']);
+      
+      expect(notification).toMatchObject({ notificationId: 'notification-1', actorCount: 2 });
+      expect(notification.actorSet).toBeUndefined();
+    });
+    
+    test('does not count an actor twice', async () => {
+      dynamoDb.query.mockResolvedValue([groupEntry({ actorIds: ['sam', 'alex'] })]);
+      
+      await notificationService.notify(io, like('alex'));
+      
+      const values = dynamoDb.update.mock.calls[0][0].ExpressionAttributeValues;
+      expect(values[':actorCount']).toBe(2);
+      expect(values[':actorIds']).toEqual(['alex', 'sam']);
+      expect(values[':message']).toBe('alex and 1 other liked your post');
+    });
+    
+    test('remembers actors beyond the latest three shown', async () => {
+      dynamoDb.query.mockResolvedValue([groupEntry({
+        actorIds: ['d', 'c', 'b'],
+        actorSet: ['alex', 'b', 'c', 'd']
+      })]);
+      
+      await notificationService.notify(io, like('alex'));
+      
+      const values = dynamoDb.update.mock.calls[0][0].ExpressionAttributeValues;
+      expect(values[':actorCount']).toBe(4);
+      expect(values[':message']).toBe('alex and 3 others liked your post');
+    });
+    
+    test('starts a new entry once the latest is outside the window', async () => {
+      dynamoDb.query.mockResolvedValue([groupEntry({ actorIds: ['alex'], minutesAgo: 24 * 60 })]);
+      
+      await notificationService.notify(io, like('sam'));
+      
+      expect(dynamoDb.update).not.toHaveBeenCalled();
+      expect(dynamoDb.put.mock.calls[0][0].Item).toMatchObject({ actorCount: 1, message: 'sam liked your post' });
+    });
+    
+    test('retries when the entry changes under it, then starts a new one', async () => {
+      dynamoDb.query.mockResolvedValue([groupEntry({ actorIds: ['alex'] })]);
+      dynamoDb.update.mockRejectedValue(conditionalCheckFailed());
+      
+      await notificationService.notify(io, like('sam'));
+      
+      expect(dynamoDb.update).toHaveBeenCalledTimes(3);
+      expect(dynamoDb.put).toHaveBeenCalledTimes(1);
+    });
+  });
+  
+  describe('delivery', () => {
+    const follow = { type: 'follow', senderId: 'alex', recipientId: 'owner', action: 'started following you' };
+    
+    test('pushes and emails (for types with email on)', async () => {
+      await notificationService.notify(io, follow);
+      
+      expect(pushService.sendToUser).toHaveBeenCalledWith('owner', expect.objectContaining({ type: 'follow' }));
+      expect(emailService.sendNotification).toHaveBeenCalledWith(USERS.owner, expect.objectContaining({ type: 'follow' }));
+    });
+    
+    test('sends neither push nor email during quiet hours, but keeps the in-app notification', async () => {
+      User.getById.mockImplementation(async (userId) => (userId === 'owner'
+        ? {
+          ...USERS.owner,
+          notificationPreferences: { quietHours: { enabled: true, start: '00:00', end: '23:59', timeZone: 'UTC' } }
+        }
+        : USERS[userId]));
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] }).setSystemTime(new Date('2026-03-10T12:00:00Z'));
+      
+      try {
+        await notificationService.notify(io, follow);
+      } finally {
+        jest.useRealTimers();
+      }
+      
+      expect(dynamoDb.put).toHaveBeenCalledTimes(1);
+      expect(emit).toHaveBeenCalledWith('notification', expect.objectContaining({ type: 'follow' }));
+      expect(pushService.sendToUser).not.toHaveBeenCalled();
+      expect(emailService.sendNotification).not.toHaveBeenCalled();
+    });
+    
+    test('sends nothing to yourself or across a block', async () => {
+      await expect(notificationService.notify(io, { ...follow, senderId: 'owner' })).resolves.toBeNull();
+      
+      User.isBlocked.mockResolvedValue(true);
+      await expect(notificationService.notify(io, follow)).resolves.toBeNull();
+      
+      expect(dynamoDb.put).not.toHaveBeenCalled();
+      expect(pushService.sendToUser).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,127 @@
+// tests/services/sessionService.test.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../models/Session');
+
+const Session = require('../../models/Session');
+const sessionService = require('../../services/sessionService');
+
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const req = { ip: '203.0.113.7', get: () => 'test-agent' };
+
+// In-memory sessions table behind the mocked model
+let sessions;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sessions = {};
+  
+  Session.create.mockImplementation(async (data) => {
+    const session = { sessionId: `session-${Object.keys(sessions).length + 1}`, rotatedTokenHashes: [], ...data };
+    sessions[session.sessionId] = session;
+    return session;
+  });
+  Session.getById.mockImplementation(async (sessionId) => sessions[sessionId]);
+  Session.rotate.mockImplementation(async (sessionId, previousHash, rotation) => {
+    const session = sessions[sessionId];
+    
+    if (!session || session.refreshTokenHash !== previousHash) {
+      return null;
+    }
+    
+    sessions[sessionId] = { ...session, ...rotation };
+    return sessions[sessionId];
+  });
+  Session.delete.mockImplementation(async (sessionId) => {
+    delete sessions[sessionId];
+    return true;
+  });
+  
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('sessionService', () => {
+  describe('createSession', () => {
+    test('stores only a hash of the refresh token and ties the access token to the session', async () => {
+      const tokens = await sessionService.createSession('user-1', req, 'Phone');
+      const [sessionId, secret] = tokens.refreshToken.split('.');
+      
+      expect(sessionId).toBe(tokens.sessionId);
+      expect(sessions[sessionId].refreshTokenHash).toBe(hash(secret));
+      expect(JSON.stringify(sessions[sessionId])).not.toContain(secret);
+      expect(jwt.decode(tokens.token)).toMatchObject({ userId: 'user-1', sid: sessionId });
+    });
+  });
+  
+  describe('refresh', () => {
+    test('rotates the refresh token and remembers the old one', async () => {
+      const first = await sessionService.createSession('user-1', req);
+      const second = await sessionService.refresh(first.refreshToken, req);
+      
+      expect(second.sessionId).toBe(first.sessionId);
+      expect(second.refreshToken).not.toBe(first.refreshToken);
+      expect(sessions[first.sessionId].refreshTokenHash).toBe(hash(second.refreshToken.split('.')[1]));
+      expect(sessions[first.sessionId].rotatedTokenHashes).toEqual([hash(first.refreshToken.split('.')[1])]);
+      
+      // The new token keeps working
+      await expect(sessionService.refresh(second.refreshToken, req)).resolves.toMatchObject({
+        sessionId: first.sessionId
+      });
+    });
+    
+    test('revokes the session when a rotated-out token is presented again', async () => {
+      const first = await sessionService.createSession('user-1', req);
+      const second = await sessionService.refresh(first.refreshToken, req);
+      
+      const reuse = sessionService.refresh(first.refreshToken, req);
+      
+      await expect(reuse).rejects.toThrow('Refresh token reuse detected');
+      await expect(reuse).rejects.toHaveProperty('session.sessionId', first.sessionId);
+      expect(Session.delete).toHaveBeenCalledWith(first.sessionId);
+      
+      // Every token descended from that login stops working
+      await expect(sessionService.refresh(second.refreshToken, req)).rejects.toThrow('Invalid refresh token');
+    });
+    
+    test('refuses an unknown secret without revoking the session', async () => {
+      const tokens = await sessionService.createSession('user-1', req);
+      
+      await expect(sessionService.refresh(`${tokens.sessionId}.guessed`, req)).rejects.toThrow('Invalid refresh token');
+      expect(Session.delete).not.toHaveBeenCalled();
+      
+      await expect(sessionService.refresh(tokens.refreshToken, req)).resolves.toMatchObject({
+        sessionId: tokens.sessionId
+      });
+    });
+    
+    test('treats losing a race with another rotation as reuse', async () => {
+      const tokens = await sessionService.createSession('user-1', req);
+      const session = { ...sessions[tokens.sessionId] };
+      
+      // Another request rotated the token between this one's read and its update
+      Session.getById.mockResolvedValueOnce(session);
+      await sessionService.refresh(tokens.refreshToken, req);
+      Session.getById.mockResolvedValueOnce(session);
+      
+      await expect(sessionService.refresh(tokens.refreshToken, req)).rejects.toThrow('Refresh token reuse detected');
+      expect(Session.delete).toHaveBeenCalledWith(tokens.sessionId);
+    });
+    
+    test('refuses malformed tokens, unknown sessions and expired sessions', async () => {
+      const tokens = await sessionService.createSession('user-1', req);
+      
+      await expect(sessionService.refresh('not-a-token', req)).rejects.toThrow('Invalid refresh token');
+      await expect(sessionService.refresh('missing.secret', req)).rejects.toThrow('Invalid refresh token');
+      
+      sessions[tokens.sessionId].expiryTime = Math.floor(Date.now() / 1000) - 1;
+      await expect(sessionService.refresh(tokens.refreshToken, req)).rejects.toThrow('Invalid refresh token');
+      expect(Session.delete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,113 @@
+// tests/sockets/presence.test.js
+const User = require('../../models/User');
+const { registerPresenceHandlers } = require('../../sockets/presence');
+
+// Socket.io stand-in whose adapter knows the open sockets, with emits recorded as [room, event, payload]
+const createIo = () => {
+  const open = [];
+  const emitted = [];
+  
+  return {
+    open,
+    emitted,
+    in: (rooms) => ({
+      fetchSockets: async () => open.filter(socket => [].concat(rooms).includes(socket.data.userId))
+    }),
+    to: (room) => ({
+      emit: (event, payload) => emitted.push([room, event, payload])
+    })
+  };
+};
+
+let nextId = 0;
+
+// Open a socket for a user; close() leaves the rooms first, then fires 'disconnect' as socket.io does
+const connect = (io, userId, issued = Date.now()) => {
+  const handlers = {};
+  const socket = {
+    id: `socket-${++nextId}`,
+    data: { userId },
+    handshake: { issued },
+    on: (event, handler) => {
+      handlers[event] = handler;
+    },
+    close: () => {
+      io.open.splice(io.open.indexOf(socket), 1);
+      handlers.disconnect();
+    }
+  };
+  
+  io.open.push(socket);
+  registerPresenceHandlers(io, socket);
+  return socket;
+};
+
+// Let the handlers' promises settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const presenceSent = (io) => io.emitted
+  .filter(([room, event]) => room === 'follower' && event === 'presence')
+  .map(([, , payload]) => payload.isOnline);
+
+beforeEach(() => {
+  jest.spyOn(User, 'updateLastActive').mockResolvedValue(true);
+  jest.spyOn(User, 'getById').mockImplementation(async (userId) => ({ userId, lastActiveAt: '2026-10-01T10:00:00.000Z' }));
+  jest.spyOn(User, 'getFollowers').mockResolvedValue(['follower']);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('presence', () => {
+  test('goes online with the first connection and offline with the last', async () => {
+    const io = createIo();
+    
+    const first = connect(io, 'user');
+    await settle();
+    const second = connect(io, 'user');
+    await settle();
+    
+    expect(presenceSent(io)).toEqual([true]);
+    
+    first.close();
+    await settle();
+    expect(presenceSent(io)).toEqual([true]);
+    
+    second.close();
+    await settle();
+    expect(presenceSent(io)).toEqual([true, false]);
+    expect(User.updateLastActive).toHaveBeenCalledTimes(4);
+  });
+  
+  test('announces two connections opening at once only once', async () => {
+    const io = createIo();
+    const issued = Date.now();
+    
+    // Both sockets are open before either handler looks
+    connect(io, 'user', issued + 5);
+    connect(io, 'user', issued);
+    await settle();
+    
+    expect(presenceSent(io)).toEqual([true]);
+  });
+  
+  test('does not count sockets of an instance that died without closing them', async () => {
+    const io = createIo();
+    
+    connect(io, 'user');
+    await settle();
+    
+    // The instance holding that socket went away: no 'disconnect', and the adapter no longer reports it
+    io.open.length = 0;
+    
+    const socket = connect(io, 'user');
+    await settle();
+    expect(presenceSent(io)).toEqual([true, true]);
+    
+    socket.close();
+    await settle();
+    expect(presenceSent(io)).toEqual([true, true, false]);
+  });
+});
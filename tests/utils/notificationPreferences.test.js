@@ -0,0 +1,57 @@
+// tests/utils/notificationPreferences.test.js
+const { isQuietHours } = require('../../utils/notificationPreferences');
+
+const withQuietHours = (quietHours) => ({
+  notificationPreferences: { quietHours: { enabled: true, ...quietHours } }
+});
+
+const at = (isoTime) => new Date(isoTime);
+
+describe('isQuietHours', () => {
+  describe('over midnight (22:00-07:00)', () => {
+    const user = withQuietHours({ start: '22:00', end: '07:00', timeZone: 'UTC' });
+    
+    test.each([
+      ['2026-03-10T22:00:00Z', true],
+      ['2026-03-10T23:59:00Z', true],
+      ['2026-03-11T00:00:00Z', true],
+      ['2026-03-11T06:59:00Z', true],
+      ['2026-03-11T07:00:00Z', false],
+      ['2026-03-11T12:00:00Z', false],
+      ['2026-03-11T21:59:00Z', false]
+    ])('at %s is %s', (time, expected) => {
+      expect(isQuietHours(user, at(time))).toBe(expected);
+    });
+  });
+  
+  test('within one day (13:00-15:00)', () => {
+    const user = withQuietHours({ start: '13:00', end: '15:00', timeZone: 'UTC' });
+    
+    expect(isQuietHours(user, at('2026-03-10T14:00:00Z'))).toBe(true);
+    expect(isQuietHours(user, at('2026-03-10T23:00:00Z'))).toBe(false);
+  });
+  
+  test('uses the user\'s time zone', () => {
+    // 21:30 UTC is 22:30 in Berlin (CET) and 16:30 in New York (EST)
+    const berlin = withQuietHours({ start: '22:00', end: '07:00', timeZone: 'Europe/Berlin' });
+    const newYork = withQuietHours({ start: '22:00', end: '07:00', timeZone: 'America/New_York' });
+    
+    expect(isQuietHours(berlin, at('2026-01-15T21:30:00Z'))).toBe(true);
+    expect(isQuietHours(newYork, at('2026-01-15T21:30:00Z'))).toBe(false);
+  });
+  
+  test('falls back to UTC for an unknown time zone', () => {
+    const user = withQuietHours({ start: '22:00', end: '07:00', timeZone: 'Not/AZone' });
+    
+    expect(isQuietHours(user, at('2026-03-10T23:00:00Z'))).toBe(true);
+  });
+  
+  test('is off when disabled, when start equals end, and by default', () => {
+    const disabled = withQuietHours({ enabled: false, start: '22:00', end: '07:00' });
+    const empty = withQuietHours({ start: '22:00', end: '22:00' });
+    
+    expect(isQuietHours(disabled, at('2026-03-10T23:00:00Z'))).toBe(false);
+    expect(isQuietHours(empty, at('2026-03-10T22:00:00Z'))).toBe(false);
+    expect(isQuietHours({}, at('2026-03-10T23:00:00Z'))).toBe(false);
+  });
+});
@@ -0,0 +1,66 @@
+// tests/utils/totp.test.js
+const totp = require('../../utils/totp');
+
+// RFC 6238 appendix B: the SHA-1 secret is the ASCII string "12345678901234567890".
+// The RFC lists 8-digit codes; the 6 digits authenticator apps show are their last 6
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const RFC_VECTORS = [
+  { time: 59, code: '287082' },
+  { time: 1111111109, code: '081804' },
+  { time: 1111111111, code: '050471' },
+  { time: 1234567890, code: '005924' },
+  { time: 2000000000, code: '279037' },
+  { time: 20000000000, code: '353130' }
+];
+
+describe('totp', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+  
+  describe('generateCode', () => {
+    test.each(RFC_VECTORS)('matches the RFC 6238 code at $time', ({ time, code }) => {
+      expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(time * 1000))).toBe(code);
+    });
+  });
+  
+  describe('verifyCode', () => {
+    test('accepts the current code and returns its time step', () => {
+      jest.useFakeTimers().setSystemTime(1111111111 * 1000);
+      
+      expect(totp.verifyCode(RFC_SECRET, '050471')).toBe(totp.getTimeStep(1111111111 * 1000));
+    });
+    
+    test('accepts a code one step either side for clock drift, but not two', () => {
+      jest.useFakeTimers().setSystemTime(1111111111 * 1000);
+      const step = totp.getTimeStep();
+      
+      expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+      expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+      expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2))).toBeNull();
+    });
+    
+    test('ignores spaces in the code', () => {
+      jest.useFakeTimers().setSystemTime(1234567890 * 1000);
+      
+      expect(totp.verifyCode(RFC_SECRET, '005 924')).not.toBeNull();
+    });
+    
+    test('rejects codes that are not six digits', () => {
+      jest.useFakeTimers().setSystemTime(1234567890 * 1000);
+      
+      expect(totp.verifyCode(RFC_SECRET, '89005924')).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    });
+  });
+  
+  describe('generateSecret', () => {
+    test('creates a 160-bit base32 secret its own codes verify against', () => {
+      const secret = totp.generateSecret();
+      
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(totp.verifyCode(secret, totp.generateCode(secret, totp.getTimeStep()))).not.toBeNull();
+    });
+  });
+});
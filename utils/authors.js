@@ -0,0 +1,38 @@
+// utils/authors.js - Attach public author details to posts, reels and other content
+const { dynamoDb, TABLES } = require('../config/dynamodb');
+
+// Public profile fields of each distinct user, fetched in batches and keyed by userId
+const getUserSummaries = async (userIds) => {
+  const uniqueUserIds = [...new Set(userIds)];
+  const users = await dynamoDb.batchGetAll(
+    TABLES.USERS,
+    uniqueUserIds.map(userId => ({ userId })),
+    'userId, username, profilePicture'
+  );
+  
+  const userMap = {};
+  users.forEach(user => {
+    userMap[user.userId] = {
+      userId: user.userId,
+      username: user.username,
+      profilePicture: user.profilePicture
+    };
+  });
+  
+  return userMap;
+};
+
+// Attach author details to content items (by their userId), fetching each author once
+const withAuthors = async (items) => {
+  const userMap = await getUserSummaries(items.map(item => item.userId));
+  
+  return items.map(item => ({
+    ...item,
+    author: userMap[item.userId] || { userId: item.userId, username: 'Unknown' }
+  }));
+};
+
+module.exports = {
+  getUserSummaries,
+  withAuthors
+};
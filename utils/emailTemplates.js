@@ -0,0 +1,148 @@
+// utils/emailTemplates.js - Subject, plain-text and HTML bodies for notification emails,
+// and the page their unsubscribe links open
+const config = require('../config');
+
+// Escape text for use inside HTML
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Wrap paragraphs, an optional call-to-action link and an optional unsubscribe footer
+// (account emails have none) into both formats
+const layout = ({ subject, greeting, paragraphs, action, unsubscribeUrl, unsubscribeLabel }) => {
+  const text = [
+    greeting,
+    '',
+    ...paragraphs,
+    ...(action ? ['', `${action.label}: ${action.url}`] : []),
+    ...(unsubscribeUrl ? ['', '--', `${unsubscribeLabel}: ${unsubscribeUrl}`] : [])
+  ].join('\n');
+  
+  const html = [
+    '<!DOCTYPE html>',
+    '<html><body style="font-family: sans-serif; color: #222;">',
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+    ...(action ? [`<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>`] : []),
+    ...(unsubscribeUrl ? [
+      '<hr>',
+      `<p style="font-size: 12px; color: #888;"><a href="${escapeHtml(unsubscribeUrl)}">${escapeHtml(unsubscribeLabel)}</a></p>`
+    ] : []),
+    '</body></html>'
+  ].join('\n');
+  
+  return { subject, text, html };
+};
+
+// Link into the web app
+const appLink = (pathname) => `${config.email.appUrl}${pathname}`;
+
+// Templates for notification types important enough to email straight away
+const NOTIFICATION_TEMPLATES = {
+  follow: ({ recipient, notification }) => ({
+    subject: notification.message,
+    greeting: `Hi ${recipient.username},`,
+    paragraphs: [`${notification.message}.`],
+    action: { label: 'View their profile', url: appLink(`/users/${notification.senderId}`) }
+  }),
+  
+  mention: ({ recipient, notification }) => ({
+    subject: notification.message,
+    greeting: `Hi ${recipient.username},`,
+    paragraphs: [`${notification.message}.`],
+    action: { label: `View the ${notification.contentType || 'post'}`, url: appLink(`/${notification.contentType || 'post'}s/${notification.contentId}`) }
+  }),
+  
+  message_request: ({ recipient, notification }) => ({
+    subject: notification.message,
+    greeting: `Hi ${recipient.username},`,
+    paragraphs: [
+      `${notification.message}.`,
+      'Message requests stay in your requests folder until you accept them.'
+    ],
+    action: { label: 'Open message requests', url: appLink('/messages/requests') }
+  })
+};
+
+// Whether a notification type has an email template
+const hasNotificationTemplate = (type) => !!NOTIFICATION_TEMPLATES[type];
+
+// Render the email for a single notification
+const renderNotification = ({ recipient, notification, unsubscribeUrl }) => layout({
+  ...NOTIFICATION_TEMPLATES[notification.type]({ recipient, notification }),
+  unsubscribeUrl,
+  unsubscribeLabel: 'Stop emails like this'
+});
+
+// Render a digest of unread notifications (newest first); `total` may exceed the number listed
+const renderDigest = ({ recipient, notifications, total, frequency, unsubscribeUrl }) => {
+  const period = frequency === 'daily' ? 'today' : 'this week';
+  const more = total - notifications.length;
+  
+  return layout({
+    subject: `You have ${total} unread ${total === 1 ? 'notification' : 'notifications'}`,
+    greeting: `Hi ${recipient.username},`,
+    paragraphs: [
+      `Here is what you missed ${period}:`,
+      ...notifications.map(notification => `• ${notification.message}`),
+      ...(more > 0 ? [`…and ${more} more.`] : [])
+    ],
+    action: { label: 'See all notifications', url: appLink('/notifications') },
+    unsubscribeUrl,
+    unsubscribeLabel: `Stop ${frequency} digest emails`
+  });
+};
+
+// Account emails carrying a one-time code
+const AUTH_CODE_TEMPLATES = {
+  confirmEmail: {
+    subject: 'Confirm your email address',
+    intro: 'Use this code to confirm your email address:'
+  },
+  resetPassword: {
+    subject: 'Reset your password',
+    intro: 'Use this code to reset your password:',
+    note: 'If you did not ask to reset your password, you can ignore this email.'
+  }
+};
+
+// Render an email with a confirmation or password reset code valid for expiresInHours
+const renderAuthCode = ({ recipient, purpose, code, expiresInHours }) => {
+  const template = AUTH_CODE_TEMPLATES[purpose];
+  
+  return layout({
+    subject: template.subject,
+    greeting: `Hi ${recipient.username},`,
+    paragraphs: [
+      template.intro,
+      code,
+      `The code expires in ${expiresInHours} ${expiresInHours === 1 ? 'hour' : 'hours'}.`,
+      ...(template.note ? [template.note] : [])
+    ]
+  });
+};
+
+// Page opened by an unsubscribe link. With `confirm`, a button submits the form to
+// `confirm.url` (a POST, so link scanners and prefetching never unsubscribe anyone)
+const renderUnsubscribePage = ({ message, confirm }) => [
+  '<!DOCTYPE html>',
+  '<html><body style="font-family: sans-serif; color: #222;">',
+  `<p>${escapeHtml(message)}</p>`,
+  ...(confirm ? [
+    `<form method="post" action="${escapeHtml(confirm.url)}">`,
+    `<button type="submit">${escapeHtml(confirm.label)}</button>`,
+    '</form>'
+  ] : []),
+  '</body></html>'
+].join('\n');
+
+module.exports = {
+  hasNotificationTemplate,
+  renderNotification,
+  renderDigest,
+  renderAuthCode,
+  renderUnsubscribePage
+};
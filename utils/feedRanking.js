@@ -0,0 +1,74 @@
+// utils/feedRanking.js - Scoring used by the ranked "For You" feed
+
+// Relative weight of each engagement signal
+const ENGAGEMENT_WEIGHTS = {
+  likes: 1,
+  comments: 2,
+  shares: 3
+};
+
+// Weight of the viewer's past interactions with the author
+const AFFINITY_WEIGHT = 1.5;
+
+// A like counts as this many views when ranking popular reels
+const REEL_LIKE_WEIGHT = 5;
+
+// A post's score halves every RECENCY_HALF_LIFE_HOURS
+const RECENCY_HALF_LIFE_HOURS = parseFloat(process.env.FEED_RECENCY_HALF_LIFE_HOURS || '12');
+
+// Score a post for a viewer; affinity maps authorId -> number of past likes/comments
+const scorePost = (post, affinity = {}, now = Date.now()) => {
+  const engagement = Math.log1p(
+    (post.likesCount || 0) * ENGAGEMENT_WEIGHTS.likes +
+    (post.commentsCount || 0) * ENGAGEMENT_WEIGHTS.comments +
+    (post.sharesCount || 0) * ENGAGEMENT_WEIGHTS.shares
+  );
+  
+  const authorAffinity = Math.log1p(affinity[post.userId] || 0) * AFFINITY_WEIGHT;
+  
+  const ageHours = Math.max(0, (now - new Date(post.timestamp).getTime()) / 3600000);
+  const recency = Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS);
+  
+  return (1 + engagement + authorAffinity) * recency;
+};
+
+// Order posts by score, highest first (newer post wins a tie)
+const rankPosts = (posts, affinity = {}, now = Date.now()) => {
+  return posts
+    .map(post => ({ post, score: scorePost(post, affinity, now) }))
+    .sort((a, b) => (b.score - a.score) || (a.post.timestamp < b.post.timestamp ? 1 : -1))
+    .map(({ post, score }) => ({ ...post, score }));
+};
+
+// Popularity of a reel: views plus weighted likes
+const scoreReel = (reel) => (reel.viewCount || 0) + (reel.likesCount || 0) * REEL_LIKE_WEIGHT;
+
+// Ranking order of two scored reels: higher score first, then newer, then contentId, so
+// every reel has a fixed position that a { score, timestamp, contentId } cursor can point at
+const compareRankedReels = (a, b) => {
+  if (a.score !== b.score) {
+    return b.score - a.score;
+  }
+  if (a.timestamp !== b.timestamp) {
+    return a.timestamp < b.timestamp ? 1 : -1;
+  }
+  if (a.contentId !== b.contentId) {
+    return a.contentId < b.contentId ? 1 : -1;
+  }
+  return 0;
+};
+
+// Order reels by popularity, highest first
+const rankReels = (reels) => {
+  return reels
+    .map(reel => ({ ...reel, score: scoreReel(reel) }))
+    .sort(compareRankedReels);
+};
+
+module.exports = {
+  scorePost,
+  rankPosts,
+  scoreReel,
+  compareRankedReels,
+  rankReels
+};
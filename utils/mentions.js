@@ -0,0 +1,37 @@
+// utils/mentions.js - Find @username mentions in post captions and comments
+
+// "@" followed by username characters (see utils/validators.js), not preceded by a word
+// character so email addresses are not read as mentions
+const MENTION_PATTERN = /(^|[^\w.@])@([a-zA-Z0-9_.]+)/g;
+
+// Users notified per post, reel or comment at most, so one caption cannot notify everyone
+const MAX_MENTIONS = 20;
+
+// Distinct usernames mentioned in a text, in order of first mention. A trailing period
+// ends the sentence rather than the username ("thanks @alex.")
+const extractMentions = (text) => {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+  
+  const usernames = [];
+  
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const username = match[2].replace(/\.+$/, '');
+    
+    if (username.length >= 3 && username.length <= 30 && !usernames.includes(username)) {
+      usernames.push(username);
+    }
+    
+    if (usernames.length >= MAX_MENTIONS) {
+      break;
+    }
+  }
+  
+  return usernames;
+};
+
+module.exports = {
+  MAX_MENTIONS,
+  extractMentions
+};
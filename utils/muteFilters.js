@@ -0,0 +1,70 @@
+// utils/muteFilters.js - Helpers for applying a user's mute settings to feeds and listings
+
+// Turn a user's mutes (as returned by User.getMutes) into lookups for filtering
+const getActiveMutes = (mutes) => {
+  const postUserIds = new Set();
+  const storyUserIds = new Set();
+  
+  mutes.users.forEach(mute => {
+    if (mute.posts) postUserIds.add(mute.targetUserId);
+    if (mute.stories) storyUserIds.add(mute.targetUserId);
+  });
+  
+  const words = mutes.words.map(mute => mute.word.toLowerCase());
+  
+  return {
+    postUserIds,
+    storyUserIds,
+    words
+  };
+};
+
+// Escape a muted word for use inside a regular expression
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Check free text (and optional tags) against muted words and hashtags
+const containsMutedWord = (text, tags, words) => {
+  if (!words || words.length === 0) {
+    return false;
+  }
+  
+  const normalizedText = (text || '').toLowerCase();
+  const normalizedTags = (tags || []).map(tag => `#${String(tag).replace(/^#/, '').toLowerCase()}`);
+  
+  return words.some(word => {
+    // Hashtags match the post's tags as well as inline #tags
+    if (word.startsWith('#')) {
+      if (normalizedTags.includes(word)) {
+        return true;
+      }
+      return new RegExp(`${escapeRegExp(word)}(?![\\w])`).test(normalizedText);
+    }
+    
+    return new RegExp(`(^|[^\\w#])${escapeRegExp(word)}(?![\\w])`).test(normalizedText);
+  });
+};
+
+// Should a post (or reel) be hidden from the viewer?
+const isPostMuted = (post, mutes) => {
+  if (mutes.postUserIds.has(post.userId)) {
+    return true;
+  }
+  
+  return containsMutedWord(post.content || post.caption, post.tags, mutes.words);
+};
+
+// Should a comment be hidden from the viewer?
+const isCommentMuted = (comment, mutes) => {
+  if (mutes.postUserIds.has(comment.userId)) {
+    return true;
+  }
+  
+  return containsMutedWord(comment.content, null, mutes.words);
+};
+
+module.exports = {
+  getActiveMutes,
+  containsMutedWord,
+  isPostMuted,
+  isCommentMuted
+};
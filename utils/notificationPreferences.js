@@ -0,0 +1,153 @@
+// utils/notificationPreferences.js - Helpers for applying a user's notification preferences and quiet hours
+
+// Preference categories and the notification types they cover. Types outside every
+// category (e.g. shares) always use the default channels
+const CATEGORIES = {
+  likes: ['like'],
+  comments: ['comment'],
+  replies: ['reply'],
+  follows: ['follow', 'follow_request', 'follow_accept'],
+  mentions: ['mention'],
+  messages: ['message', 'message_request']
+};
+
+// Delivery channels a category can be switched on or off for
+const CHANNELS = ['inApp', 'push', 'email'];
+
+// Channels used until a user changes them
+const DEFAULT_CHANNELS = {
+  inApp: true,
+  push: true,
+  email: false
+};
+
+// Categories emailed by default (important events: new followers, mentions, message requests)
+const DEFAULT_EMAIL_CATEGORIES = ['follows', 'mentions', 'messages'];
+
+// How often unread notifications are summarised by email
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const DEFAULT_DIGEST = 'weekly';
+
+// Quiet hours are off by default; times are HH:MM in the user's time zone
+const DEFAULT_QUIET_HOURS = {
+  enabled: false,
+  start: '22:00',
+  end: '07:00',
+  timeZone: 'UTC'
+};
+
+// Check an IANA time zone name, e.g. "Europe/Berlin"
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Read a user's preferences, filling in defaults for anything not set
+const getPreferences = (user) => {
+  const stored = (user && user.notificationPreferences) || {};
+  const storedTypes = stored.types || {};
+  
+  const types = {};
+  Object.keys(CATEGORIES).forEach(category => {
+    types[category] = {
+      ...DEFAULT_CHANNELS,
+      email: DEFAULT_EMAIL_CATEGORIES.includes(category),
+      ...storedTypes[category]
+    };
+  });
+  
+  return {
+    types,
+    quietHours: { ...DEFAULT_QUIET_HOURS, ...stored.quietHours },
+    digest: stored.digest || DEFAULT_DIGEST
+  };
+};
+
+// Apply a (partial) update to a user's preferences. Unknown categories and channels are ignored
+const mergePreferences = (user, updates) => {
+  const preferences = getPreferences(user);
+  const typeUpdates = updates.types || {};
+  
+  Object.keys(CATEGORIES).forEach(category => {
+    CHANNELS.forEach(channel => {
+      if (typeUpdates[category] && typeof typeUpdates[category][channel] === 'boolean') {
+        preferences.types[category][channel] = typeUpdates[category][channel];
+      }
+    });
+  });
+  
+  if (updates.quietHours) {
+    Object.keys(DEFAULT_QUIET_HOURS).forEach(field => {
+      if (updates.quietHours[field] !== undefined) {
+        preferences.quietHours[field] = updates.quietHours[field];
+      }
+    });
+  }
+  
+  if (DIGEST_FREQUENCIES.includes(updates.digest)) {
+    preferences.digest = updates.digest;
+  }
+  
+  return preferences;
+};
+
+// The preference category a notification type belongs to, or undefined
+const getCategory = (type) => Object.keys(CATEGORIES).find(key => CATEGORIES[key].includes(type));
+
+// The channels a notification type should be delivered on for a user
+const getChannels = (user, type) => {
+  const { types } = getPreferences(user);
+  const category = getCategory(type);
+  
+  return category ? types[category] : { ...DEFAULT_CHANNELS };
+};
+
+// Minutes since midnight for an HH:MM time
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Is it currently within the user's quiet hours (in their time zone)?
+// A range such as 22:00-07:00 runs over midnight
+const isQuietHours = (user, now = new Date()) => {
+  const { quietHours } = getPreferences(user);
+  
+  if (!quietHours.enabled || quietHours.start === quietHours.end) {
+    return false;
+  }
+  
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimeZone(quietHours.timeZone) ? quietHours.timeZone : 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  
+  const hour = parseInt(parts.find(part => part.type === 'hour').value);
+  const minute = parseInt(parts.find(part => part.type === 'minute').value);
+  const current = hour * 60 + minute;
+  
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+module.exports = {
+  CATEGORIES,
+  CHANNELS,
+  DIGEST_FREQUENCIES,
+  isValidTimeZone,
+  getPreferences,
+  mergePreferences,
+  getCategory,
+  getChannels,
+  isQuietHours
+};
@@ -0,0 +1,141 @@
+// utils/reactionList.js - Builds "who reacted" listings for posts, reels, stories and comments
+const User = require('../models/User');
+const Interaction = require('../models/Interaction');
+const { getUserSummaries } = require('./authors');
+
+// Rank rows so mutual followers come first, then people the viewer follows
+const relationshipRank = (row) => {
+  if (row.isFollowing && row.followsYou) return 0;
+  if (row.isFollowing) return 1;
+  return 2;
+};
+
+// Position of a row among the people the viewer follows (also what the cursor stores)
+const toPosition = (row) => ({
+  rank: relationshipRank(row),
+  timestamp: row.timestamp,
+  userId: row.user.userId
+});
+
+// Order of the people the viewer follows: mutual followers first, then the rest, each
+// most recent first (userId breaks ties so a cursor can point at a fixed position)
+const comparePositions = (a, b) => {
+  if (a.rank !== b.rank) {
+    return a.rank - b.rank;
+  }
+  if (a.timestamp !== b.timestamp) {
+    return a.timestamp < b.timestamp ? 1 : -1;
+  }
+  if (a.userId !== b.userId) {
+    return a.userId < b.userId ? -1 : 1;
+  }
+  return 0;
+};
+
+const toRow = (reaction, userMap, followStatus) => ({
+  user: userMap[reaction.userId] || { userId: reaction.userId, username: 'Unknown' },
+  reactionType: reaction.reactionType,
+  timestamp: reaction.timestamp,
+  isFollowing: followStatus.isFollowing,
+  followsYou: followStatus.followsYou
+});
+
+// Read a page of reactions on a content item and attach user details and the viewer's
+// follow relationship with each user. The list runs in two phases: first everyone the
+// viewer follows (mutual followers first, then the rest, each most recent first), looked
+// up by key, then everyone else from the content's reactions, most recent first.
+// The cursor records the phase: { phase: 'following', rank, timestamp, userId } for the
+// last row served in the first phase, { phase: 'others', lastEvaluatedKey } in the second.
+// Anyone on either side of a block with the viewer is left out.
+const getReactionList = async (viewerId, contentId, reactionType = null, limit = 20, cursor = null) => {
+  const [blockedIds, following] = await Promise.all([
+    User.getBlockedIds(viewerId),
+    User.getFollowing(viewerId)
+  ]);
+  const followingIds = new Set(following);
+  
+  // Cursors handed out before the phases existed are plain reaction keys
+  const phase = cursor && cursor.phase === 'following' ? cursor : null;
+  const othersKey = cursor && !cursor.phase ? cursor : (cursor && cursor.lastEvaluatedKey) || null;
+  
+  const rows = [];
+  let nextCursor = null;
+  
+  // Phase 1: reactions from people the viewer follows
+  if (!cursor || phase) {
+    const reactions = (await Interaction.getReactionsByUsers(contentId, following, reactionType))
+      .filter(reaction => !blockedIds.has(reaction.userId));
+    
+    const userIds = reactions.map(reaction => reaction.userId);
+    const [userMap, followStatuses] = await Promise.all([
+      getUserSummaries(userIds),
+      User.getFollowStatuses(viewerId, userIds)
+    ]);
+    
+    const followedRows = reactions
+      .map(reaction => toRow(reaction, userMap, followStatuses[reaction.userId]))
+      .sort((a, b) => comparePositions(toPosition(a), toPosition(b)))
+      .filter(row => !phase || comparePositions(toPosition(row), phase) > 0);
+    
+    rows.push(...followedRows.slice(0, limit));
+    
+    if (followedRows.length > limit) {
+      nextCursor = { phase: 'following', ...toPosition(rows[rows.length - 1]) };
+    }
+  }
+  
+  // Phase 2: everyone else, filling the rest of the page
+  if (!nextCursor && rows.length < limit) {
+    const result = await Interaction.getReactions(contentId, reactionType, limit - rows.length, othersKey);
+    
+    const reactions = result.reactions.filter(reaction =>
+      !blockedIds.has(reaction.userId) && !followingIds.has(reaction.userId)
+    );
+    
+    const userIds = [...new Set(reactions.map(reaction => reaction.userId))];
+    const [userMap, followStatuses] = await Promise.all([
+      getUserSummaries(userIds),
+      User.getFollowStatuses(viewerId, userIds)
+    ]);
+    
+    rows.push(...reactions.map(reaction => toRow(reaction, userMap, followStatuses[reaction.userId])));
+    
+    if (result.lastEvaluatedKey) {
+      nextCursor = { phase: 'others', lastEvaluatedKey: result.lastEvaluatedKey };
+    }
+  } else if (!nextCursor) {
+    // The first phase filled this page exactly; the next one starts the second phase
+    nextCursor = { phase: 'others', lastEvaluatedKey: null };
+  }
+  
+  return {
+    reactions: rows,
+    lastEvaluatedKey: nextCursor
+  };
+};
+
+// Only report reaction types that currently have reactions
+const summarizeReactions = (content) => {
+  const reactionCounts = {};
+  Object.entries((content && content.reactionCounts) || {}).forEach(([type, count]) => {
+    if (count > 0) {
+      reactionCounts[type] = count;
+    }
+  });
+  
+  return {
+    likesCount: (content && content.likesCount) || 0,
+    reactionCounts
+  };
+};
+
+// Describe a reaction for notification messages, e.g. "liked" or "reacted with love to"
+const describeReaction = (reactionType) => {
+  return reactionType === 'like' ? 'liked' : `reacted with ${reactionType} to`;
+};
+
+module.exports = {
+  getReactionList,
+  summarizeReactions,
+  describeReaction
+};
@@ -0,0 +1,124 @@
+// utils/totp.js - Time-based one-time passwords (RFC 6238) for authenticator apps
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Authenticator app defaults: 6 digits from HMAC-SHA1 over 30 second steps
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+// Steps either side of the current one that are still accepted (clock drift)
+const DEFAULT_WINDOW = 1;
+
+// Encode bytes as unpadded base32, the format authenticator apps expect
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  
+  return output;
+};
+
+// Decode base32 (case-insensitive, ignoring spaces and padding)
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    
+    value = (value << 5) | index;
+    bits += 5;
+    
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  
+  return Buffer.from(bytes);
+};
+
+// Time step a moment falls in
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+// HOTP code (RFC 4226) for a base32 secret and counter
+const generateCode = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** DIGITS);
+  
+  return binary.toString().padStart(DIGITS, '0');
+};
+
+// New random secret (160 bits, as RFC 4226 recommends), base32 encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// otpauth:// URI to show as a QR code for the authenticator app to scan
+const getProvisioningUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Check a code against the secret. Returns the time step it matched, so callers can refuse
+// a code that has already been used, or null if it does not match
+const verifyCode = (secret, code, window = DEFAULT_WINDOW) => {
+  const normalized = String(code).replace(/\s/g, '');
+  
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+  
+  const currentStep = getTimeStep();
+  
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = Buffer.from(generateCode(secret, step));
+    
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  
+  return null;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  getTimeStep,
+  getProvisioningUri,
+  verifyCode
+};